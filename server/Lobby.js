@@ -0,0 +1,54 @@
+/**
+ * Lobby — Where connections wait until they're in a room.
+ *
+ * A new connection can do two things: create a room (and get a code to share) or join
+ * one by its code. Once it's in a room, the Room takes over its messages. Rooms forget
+ * themselves here when they close, so a code can be used again later.
+ */
+import { Room } from './Room.js'
+import { GAME_MODES, createRoomCode, normalizeRoomCode } from '../src/protocol.js'
+
+export class Lobby {
+  /**
+   * @param {import('../src/levels.js').LevelDefinition[]} levels - Scripted levels every room plays.
+   */
+  constructor(levels) {
+    this.levels = levels
+    /** @type {Map<string, Room>} */
+    this.rooms = new Map()
+  }
+
+  /**
+   * @param {import('./SocketConnection.js').SocketConnection} connection - Fresh from the handshake.
+   */
+  welcome(connection) {
+    connection.onMessage = (message) => {
+      if (message.type === 'create') this.createRoom(connection, message.mode)
+      if (message.type === 'join') this.joinRoom(connection, message.code)
+    }
+  }
+
+  createRoom(connection, mode) {
+    if (!GAME_MODES.includes(mode)) return
+
+    // Codes are short, so a fresh one can clash with a room already open
+    let code = createRoomCode()
+    while (this.rooms.has(code)) code = createRoomCode()
+
+    const room = new Room(code, mode, this.levels, () => this.rooms.delete(code))
+    this.rooms.set(code, room)
+    room.addPlayer(connection)
+    connection.send({ type: 'created', code, mode })
+  }
+
+  joinRoom(connection, code) {
+    const room = this.rooms.get(normalizeRoomCode(code ?? ''))
+    if (!room) {
+      connection.send({ type: 'joinFailed', reason: 'There is no room with that code.' })
+    } else if (room.isFull) {
+      connection.send({ type: 'joinFailed', reason: 'That room already has two players.' })
+    } else {
+      room.addPlayer(connection)
+    }
+  }
+}
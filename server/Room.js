@@ -0,0 +1,222 @@
+/**
+ * Room — One online game: two connections and the authoritative GameWorld they share.
+ *
+ * The room runs the same simulation as a local run, at the same fixed 60 steps a second,
+ * so it spawns every enemy and decides every hit. Neither browser can claim a kill or
+ * dodge a bullet the server didn't see.
+ *
+ * Each browser sends its controls once per step, numbered. They're queued per player and
+ * the room uses up one per step. If a player's queue runs dry (a late packet), their last
+ * controls are repeated; if it backs up (a burst after a stall), the oldest are skipped so
+ * they don't fall further and further behind. Every few steps both browsers get a snapshot
+ * with the number of the last input used for each player, which is how their prediction
+ * knows what the server has already seen.
+ */
+import { GameWorld, IDLE_CONTROLS } from '../src/GameWorld.js'
+import { SIMULATION_STEP } from '../src/GameLoop.js'
+import {
+  ONLINE_VIEW_WIDTH,
+  ONLINE_VIEW_HEIGHT,
+  ONLINE_WORLD_SIZE_IN_SCREENS,
+  SNAPSHOTS_PER_SECOND,
+  decodeControls,
+  createSnapshot
+} from '../src/protocol.js'
+
+const STEPS_PER_SNAPSHOT = Math.round(1 / SIMULATION_STEP / SNAPSHOTS_PER_SECOND)
+
+// The most inputs a player can have waiting — about 130ms' worth
+const MAX_QUEUED_INPUTS = 8
+
+// Never simulate more than this much time in one tick, the same cap the browser's GameLoop uses
+const MAX_TICK_TIME = 0.25
+
+// How often the room checks whether a step is due, in milliseconds
+const TICK_INTERVAL = 4
+
+export class Room {
+  /**
+   * @param {string} code - The code players join with.
+   * @param {'coop'|'versus'} mode
+   * @param {import('../src/levels.js').LevelDefinition[]} levels - Scripted levels for the run.
+   * @param {function(Room): void} onClosed - Called once the room has ended, to forget it.
+   */
+  constructor(code, mode, levels, onClosed) {
+    this.code = code
+    this.mode = mode
+    this.levels = levels
+    this.onClosed = onClosed
+
+    /** @type {import('./SocketConnection.js').SocketConnection[]} */
+    this.connections = []
+    this.world = null
+
+    // Per player: controls waiting to be used, the last ones used, and the last sequence number used
+    this.inputQueues = [[], []]
+    this.lastControls = [IDLE_CONTROLS, IDLE_CONTROLS]
+    this.acknowledged = [0, 0]
+
+    // Events from the steps since the last snapshot
+    this.pendingEvents = []
+    this.stepsSinceSnapshot = 0
+
+    this.timer = null
+    this.lastTickTime = 0
+    this.accumulator = 0
+  }
+
+  get isFull() {
+    return this.connections.length === 2
+  }
+
+  /**
+   * Seat a connection as the next player. The game starts as soon as both seats are taken.
+   *
+   * @param {import('./SocketConnection.js').SocketConnection} connection
+   */
+  addPlayer(connection) {
+    const playerIndex = this.connections.length
+    this.connections.push(connection)
+
+    connection.onMessage = (message) => {
+      if (message.type === 'input') this.receiveInput(playerIndex, message)
+    }
+    connection.onClose = () => this.handleDisconnect(playerIndex)
+
+    if (this.isFull) this.start()
+  }
+
+  start() {
+    const viewWidth = ONLINE_VIEW_WIDTH
+    const viewHeight = ONLINE_VIEW_HEIGHT
+    this.world = new GameWorld(viewWidth * ONLINE_WORLD_SIZE_IN_SCREENS, viewHeight * ONLINE_WORLD_SIZE_IN_SCREENS, undefined, {
+      viewWidth,
+      viewHeight,
+      levels: this.levels,
+      playerCount: 2,
+      isVersus: this.mode === 'versus'
+    })
+
+    this.connections.forEach((connection, playerIndex) => connection.send({
+      type: 'start',
+      code: this.code,
+      mode: this.mode,
+      playerIndex,
+      width: this.world.width,
+      height: this.world.height,
+      viewWidth,
+      viewHeight
+    }))
+    this.sendSnapshot()
+
+    this.lastTickTime = performance.now()
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL)
+  }
+
+  receiveInput(playerIndex, message) {
+    const controls = decodeControls(message.controls)
+    const { sequence } = message
+    if (!controls || !Number.isInteger(sequence) || sequence <= this.acknowledged[playerIndex]) return
+
+    const queue = this.inputQueues[playerIndex]
+    queue.push({ sequence, controls })
+
+    // Skip the oldest to catch up, keeping any weapon switch they carried
+    while (queue.length > MAX_QUEUED_INPUTS) {
+      const skipped = queue.shift()
+      if (skipped.controls.weaponSlot >= 0 && queue[0].controls.weaponSlot < 0) {
+        queue[0].controls.weaponSlot = skipped.controls.weaponSlot
+      }
+    }
+  }
+
+  /**
+   * Run however many steps are due since the last tick — timers in Node are no more exact
+   * than requestAnimationFrame, so this uses the same accumulator as the GameLoop.
+   */
+  tick() {
+    const now = performance.now()
+    this.accumulator += Math.min(MAX_TICK_TIME, (now - this.lastTickTime) / 1000)
+    this.lastTickTime = now
+
+    while (this.accumulator >= SIMULATION_STEP && this.world) {
+      this.accumulator -= SIMULATION_STEP
+      this.step()
+    }
+  }
+
+  step() {
+    const { world } = this
+    const controls = this.inputQueues.map((queue, playerIndex) => {
+      const input = queue.shift()
+      if (!input) {
+        // Nothing arrived in time: carry on doing the same, but don't switch weapons twice
+        return { ...this.lastControls[playerIndex], weaponSlot: -1 }
+      }
+      this.lastControls[playerIndex] = input.controls
+      this.acknowledged[playerIndex] = input.sequence
+      return input.controls
+    })
+
+    world.step(SIMULATION_STEP, controls)
+    this.pendingEvents.push(...world.events)
+
+    this.stepsSinceSnapshot++
+    if (world.isGameOver || this.stepsSinceSnapshot >= STEPS_PER_SNAPSHOT) this.sendSnapshot()
+    if (world.isGameOver) this.finish()
+  }
+
+  sendSnapshot() {
+    const snapshot = createSnapshot(this.world, [...this.acknowledged], this.pendingEvents)
+    for (const connection of this.connections) connection.send(snapshot)
+    this.pendingEvents = []
+    this.stepsSinceSnapshot = 0
+  }
+
+  /**
+   * The run is over: tell both players the scores — and in versus, who won — then close.
+   */
+  finish() {
+    const scores = this.world.scoreManager.playerScores
+    let winner = null
+    if (this.mode === 'versus' && scores[0] !== scores[1]) winner = scores[0] > scores[1] ? 0 : 1
+
+    const { connections } = this
+    this.close()
+    for (const connection of connections) {
+      connection.send({ type: 'gameOver', scores, winner })
+      connection.close()
+    }
+  }
+
+  /**
+   * A player left. Before the start that just frees the room; mid-run there's no one
+   * to play with, so the partner is told and the room ends.
+   */
+  handleDisconnect(playerIndex) {
+    const { connections } = this
+    this.close()
+    connections.forEach((connection, index) => {
+      if (index === playerIndex) return
+      connection.send({ type: 'partnerLeft' })
+      connection.close()
+    })
+  }
+
+  /**
+   * Stop the simulation and let go of both connections, so closing them
+   * doesn't call back into a room that's already gone.
+   */
+  close() {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+    this.world = null
+    for (const connection of this.connections) {
+      connection.onMessage = null
+      connection.onClose = null
+    }
+    this.connections = []
+    this.onClosed?.(this)
+    this.onClosed = null
+  }
+}
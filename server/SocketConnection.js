@@ -0,0 +1,208 @@
+/**
+ * SocketConnection — One browser's WebSocket, spoken over a plain Node socket.
+ *
+ * Node has a WebSocket client built in but no server, and the game needs so little of
+ * the protocol (RFC 6455) that it's written out here rather than pulled in as a package:
+ *
+ *   1. The handshake — the browser sends an HTTP "Upgrade: websocket" request with a random
+ *      key, and we answer 101 with that key hashed together with a fixed GUID, proving we
+ *      really speak WebSocket.
+ *   2. Frames — after that, every message is a frame: a byte of flags and opcode, a length
+ *      (7 bits, or 16 or 64 more when it's bigger), then the payload. Frames from a browser
+ *      are always masked: XORed with a 4-byte key sent just before the payload.
+ *
+ * Only text frames (JSON), ping, pong and close are handled. Binary messages and anything
+ * bigger than MAX_MESSAGE_SIZE — one frame, or all the frames of a message split across
+ * several — close the connection; the game never sends them.
+ */
+import { createHash } from 'node:crypto'
+
+// Fixed by the WebSocket standard
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+// Inputs and lobby messages are tiny, so anything bigger is a mistake or an attack
+const MAX_MESSAGE_SIZE = 64 * 1024
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA }
+
+export class SocketConnection {
+  /**
+   * Answer a browser's upgrade request and take over its socket.
+   *
+   * @param {import('node:http').IncomingMessage} request
+   * @param {import('node:net').Socket} socket
+   * @returns {SocketConnection|null} Null if it wasn't a valid WebSocket request (the socket is closed).
+   */
+  static accept(request, socket) {
+    const key = request.headers['sec-websocket-key']
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return null
+    }
+
+    const acceptKey = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64')
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey}`,
+      '', ''
+    ].join('\r\n'))
+    return new SocketConnection(socket)
+  }
+
+  /**
+   * @param {import('node:net').Socket} socket - Already past the handshake.
+   */
+  constructor(socket) {
+    this.socket = socket
+    this.isOpen = true
+
+    // Called with each message, already parsed from JSON
+    this.onMessage = null
+    // Called once when the connection ends, whichever side ended it
+    this.onClose = null
+
+    // Bytes received but not yet making up a whole frame
+    this.buffer = Buffer.alloc(0)
+    // The pieces of a message split across several frames, and their total size in bytes
+    this.fragments = []
+    this.fragmentsSize = 0
+
+    // Delay would only batch up inputs, which is the opposite of what a game wants
+    socket.setNoDelay(true)
+    socket.on('data', (data) => this.receive(data))
+    socket.on('close', () => this.handleClosed())
+    socket.on('error', () => socket.destroy())
+  }
+
+  /**
+   * Send a message to the browser as JSON.
+   *
+   * @param {Object} message
+   */
+  send(message) {
+    if (this.isOpen) this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(message)))
+  }
+
+  /** Say goodbye properly, then hang up */
+  close() {
+    if (!this.isOpen) return
+    this.sendFrame(OPCODES.close, Buffer.alloc(0))
+    this.socket.end()
+    this.handleClosed()
+  }
+
+  sendFrame(opcode, payload) {
+    // Frames from the server are never masked, so the header is all that's needed
+    let header
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length])
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4)
+      header[1] = 126
+      header.writeUInt16BE(payload.length, 2)
+    } else {
+      header = Buffer.alloc(10)
+      header[1] = 127
+      header.writeBigUInt64BE(BigInt(payload.length), 2)
+    }
+    header[0] = 0x80 | opcode
+    this.socket.write(Buffer.concat([header, payload]))
+  }
+
+  /**
+   * Add newly arrived bytes and handle every whole frame among them. TCP can split
+   * frames anywhere, so a partial one waits in the buffer for the rest.
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data])
+
+    while (this.isOpen && this.buffer.length >= 2) {
+      const isFinal = (this.buffer[0] & 0x80) !== 0
+      const opcode = this.buffer[0] & 0x0F
+      const isMasked = (this.buffer[1] & 0x80) !== 0
+      let length = this.buffer[1] & 0x7F
+      let offset = 2
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return
+        length = this.buffer.readUInt16BE(2)
+        offset = 4
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return
+        length = Number(this.buffer.readBigUInt64BE(2))
+        offset = 10
+      }
+
+      // A browser must mask everything it sends
+      if (!isMasked || length > MAX_MESSAGE_SIZE) {
+        this.close()
+        return
+      }
+      if (this.buffer.length < offset + 4 + length) return
+
+      const mask = this.buffer.subarray(offset, offset + 4)
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length))
+      for (let index = 0; index < payload.length; index++) payload[index] ^= mask[index % 4]
+      this.buffer = this.buffer.subarray(offset + 4 + length)
+
+      this.handleFrame(opcode, isFinal, payload)
+    }
+  }
+
+  handleFrame(opcode, isFinal, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        // A new message can't start before the last one is finished, and a continuation
+        // needs one to continue
+        const isStart = opcode === OPCODES.text
+        if (isStart !== (this.fragments.length === 0)) {
+          this.close()
+          return
+        }
+        this.fragmentsSize += payload.length
+        if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+          this.close()
+          return
+        }
+        this.fragments.push(payload)
+        if (!isFinal) return
+        const text = Buffer.concat(this.fragments).toString('utf8')
+        this.fragments = []
+        this.fragmentsSize = 0
+        this.handleText(text)
+        break
+      }
+
+      case OPCODES.ping:
+        this.sendFrame(OPCODES.pong, payload)
+        break
+
+      case OPCODES.pong:
+        break
+
+      default:
+        // Close, or a binary message the game never sends
+        this.close()
+    }
+  }
+
+  handleText(text) {
+    let message
+    try {
+      message = JSON.parse(text)
+    } catch {
+      // Not JSON, so not from the game — ignore it
+      return
+    }
+    if (message !== null && typeof message === 'object') this.onMessage?.(message)
+  }
+
+  handleClosed() {
+    if (!this.isOpen) return
+    this.isOpen = false
+    this.onClose?.()
+  }
+}
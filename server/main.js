@@ -0,0 +1,45 @@
+/**
+ * main.js — Entry point for the online play server.
+ *
+ *   node server/main.js          (or "docker compose up", which runs it alongside nginx)
+ *
+ * It loads the scripted levels from levels/, then listens for WebSocket connections on
+ * PORT (8080 by default). Everything else is plain HTTP and gets a short note saying so.
+ * The game's own files are still served by nginx; this only runs the rooms.
+ *
+ * The server imports the game's modules straight from src/, with nothing to build or
+ * install — the package.json at the root marks the whole repository as ES modules.
+ */
+import { createServer } from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { loadLevels, LEVEL_INDEX_URL } from '../src/levels.js'
+import { DEFAULT_SERVER_PORT } from '../src/protocol.js'
+import { SocketConnection } from './SocketConnection.js'
+import { Lobby } from './Lobby.js'
+
+const port = Number(process.env.PORT) || DEFAULT_SERVER_PORT
+
+// loadLevels() fetches in the browser; here the same paths are read from disk
+const projectRoot = new URL('../', import.meta.url)
+const readProjectFile = async (path) => new Response(await readFile(new URL(path, projectRoot)))
+
+let levels = []
+try {
+  levels = await loadLevels(LEVEL_INDEX_URL, readProjectFile)
+} catch (loadError) {
+  console.warn(`${loadError.message}\nThe scripted levels are skipped; rooms play endless mode.`)
+}
+
+const lobby = new Lobby(levels)
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' })
+  response.end('This is the Space Shooting game server. Connect to it with a WebSocket.\n')
+})
+
+server.on('upgrade', (request, socket) => {
+  const connection = SocketConnection.accept(request, socket)
+  if (connection) lobby.welcome(connection)
+})
+
+server.listen(port, () => console.log(`Game server listening on port ${port}`))
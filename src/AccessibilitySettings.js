@@ -0,0 +1,90 @@
+/**
+ * AccessibilitySettings — How the game is drawn for players who need it easier to read
+ * or calmer to watch, saved in localStorage.
+ *
+ *   - palette: 'standard' gives every enemy a random hue, as the game always has.
+ *     'colorBlind' colors enemies by type from a palette that stays distinct with the
+ *     common kinds of color blindness; 'highContrast' uses bright, saturated colors.
+ *   - hasShapeOutlines: outline every enemy, thicker the bigger it is, so size can be
+ *     read without relying on color.
+ *   - isReducedMotion: far fewer particles, and no flashing or pulsing. Until the player
+ *     changes it, it follows the system's "reduce motion" setting.
+ *   - hudScale: how big the score, hearts and other HUD text are drawn.
+ *
+ * None of these touch the simulation, so they never change how a run plays out.
+ *
+ * Saved as JSON with a format version number:
+ *   { version: 1, palette: 'standard', hasShapeOutlines: false, isReducedMotion: false, hudScale: 1 }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const ACCESSIBILITY_SETTINGS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.accessibility'
+
+export const PALETTES = Object.freeze(['standard', 'colorBlind', 'highContrast'])
+
+// The range of the HUD size slider
+export const MIN_HUD_SCALE = 0.75
+export const MAX_HUD_SCALE = 2
+
+export class AccessibilitySettings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the settings. Defaults to localStorage
+   *   when it exists; with null the settings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, ACCESSIBILITY_SETTINGS_VERSION, migrate)
+    const settings = this.store.load()
+    /** @type {'standard'|'colorBlind'|'highContrast'} */
+    this.palette = settings?.palette ?? 'standard'
+    this.hasShapeOutlines = settings?.hasShapeOutlines ?? false
+    // What the player chose for reduced motion — undefined until they choose, so it's
+    // left out of the saved settings and the system setting keeps deciding
+    /** @type {boolean|undefined} */
+    this.reducedMotionChoice = settings?.isReducedMotion
+    this.hudScale = settings?.hudScale ?? 1
+  }
+
+  get isReducedMotion() {
+    return this.reducedMotionChoice ?? prefersReducedMotion()
+  }
+
+  set isReducedMotion(isReducedMotion) {
+    this.reducedMotionChoice = isReducedMotion
+  }
+
+  save() {
+    this.store.save({
+      palette: this.palette,
+      hasShapeOutlines: this.hasShapeOutlines,
+      isReducedMotion: this.reducedMotionChoice,
+      hudScale: this.hudScale
+    })
+  }
+}
+
+/** Whether the system asks for less motion. Always false outside a browser. */
+function prefersReducedMotion() {
+  return globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case ACCESSIBILITY_SETTINGS_VERSION:
+      return {
+        palette: PALETTES.includes(data.palette) ? data.palette : 'standard',
+        hasShapeOutlines: data.hasShapeOutlines === true,
+        // Left out, the system setting decides
+        isReducedMotion: typeof data.isReducedMotion === 'boolean' ? data.isReducedMotion : undefined,
+        hudScale: Number.isFinite(data.hudScale)
+          ? Math.min(MAX_HUD_SCALE, Math.max(MIN_HUD_SCALE, data.hudScale))
+          : 1
+      }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Achievements — Goals to chase across runs, unlocked once and remembered in localStorage.
+ *
+ * Everything here is worked out from the outside: a run's events arrive through an
+ * EventBus (see EventBus.js), and the ship's position is checked once per step for the
+ * goals about standing still. The GameWorld never knows achievements exist.
+ *
+ *   const achievements = new Achievements()
+ *   achievements.onUnlock = (achievement) => showToast(achievement.title)
+ *   const stopTracking = achievements.startRun(bus, 0)
+ *   ...
+ *   achievements.trackStep(world.player, deltaTime)   (after each step)
+ *   ...
+ *   stopTracking()
+ *
+ * Only one player's progress counts — the one at this keyboard. In a co-op run that's
+ * player 1, and online it's whichever ship this browser flies.
+ *
+ * Saved as JSON with a format version number, each unlocked achievement with the date
+ * it was unlocked:
+ *   { version: 1, unlocked: { 'first-kill': '2025-01-01T12:00:00.000Z', ... } }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+import { WEAPON_ORDER } from './Weapon.js'
+
+export const ACHIEVEMENTS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.achievements'
+
+// Kills in a row without a single shot missing, for Sharpshooter
+const SHARPSHOOTER_STREAK = 100
+// Kills in one run, for Exterminator
+const EXTERMINATOR_KILLS = 250
+// Seconds of standing still, for Statue
+const STATUE_TIME = 60
+// How far the ship can drift (in pixels) and still count as standing still. Online, the
+// predicted ship gets nudged by tiny corrections from the server even when it isn't moving.
+const STILL_TOLERANCE = 0.5
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id - Key in the saved data. Never change one, or it'll be forgotten.
+ * @property {string} title
+ * @property {string} description - What it takes to unlock it.
+ */
+
+/** Every achievement, in the order the gallery lists them */
+export const ACHIEVEMENTS = Object.freeze([
+  { id: 'first-kill', title: 'First Contact', description: 'Destroy an enemy.' },
+  { id: 'level-5', title: 'Getting Warmer', description: 'Reach level 5.' },
+  { id: 'level-10', title: 'Deep Space', description: 'Reach level 10.' },
+  { id: 'flawless', title: 'Untouchable', description: 'Reach level 5 without losing a life.' },
+  { id: 'boss-kill', title: 'Giant Slayer', description: 'Land the final blow on a boss.' },
+  { id: 'sharpshooter', title: 'Sharpshooter', description: `Destroy ${SHARPSHOOTER_STREAK} enemies in a row without a single shot missing.` },
+  { id: 'exterminator', title: 'Exterminator', description: `Destroy ${EXTERMINATOR_KILLS} enemies in one run.` },
+  { id: 'arsenal', title: 'Arsenal', description: 'Fire every weapon in one run.' },
+  { id: 'statue', title: 'Statue', description: `Survive ${STATUE_TIME} seconds without moving.` }
+])
+
+export class Achievements {
+  /**
+   * @param {Storage|null} [storage] - Where to persist unlocked achievements. Defaults to
+   *   localStorage when it exists; with null they still unlock but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, ACHIEVEMENTS_VERSION, migrate)
+    /** @type {Object<string, string>} Unlock date (ISO 8601) of each unlocked achievement, by id */
+    this.unlocked = this.store.load() ?? {}
+
+    // Called with the Achievement each time one is unlocked
+    this.onUnlock = null
+
+    // Progress through the current run, or null when no run is being tracked
+    this.run = null
+  }
+
+  save() {
+    this.store.save({ unlocked: this.unlocked })
+  }
+
+  isUnlocked(id) {
+    return id in this.unlocked
+  }
+
+  /**
+   * Unlock an achievement, if it isn't already. Saves straight away, so closing the
+   * tab mid-run doesn't lose it.
+   *
+   * @param {string} id - One of the ids in ACHIEVEMENTS.
+   */
+  unlock(id) {
+    if (this.isUnlocked(id)) return
+
+    const achievement = ACHIEVEMENTS.find((candidate) => candidate.id === id)
+    if (!achievement) throw new Error(`Unknown achievement "${id}"`)
+
+    this.unlocked[id] = new Date().toISOString()
+    this.save()
+    this.onUnlock?.(achievement)
+  }
+
+  /**
+   * Start following a new run. Any run still being followed is forgotten.
+   *
+   * @param {import('./EventBus.js').EventBus} bus - Where the run's events are published.
+   * @param {number} playerIndex - Which player's progress counts.
+   * @returns {function(): void} Call it when the run ends, to stop listening.
+   */
+  startRun(bus, playerIndex) {
+    const run = {
+      playerIndex,
+      kills: 0,
+      // Kills since this player last missed
+      killStreak: 0,
+      hasDied: false,
+      firedWeapons: new Set(),
+      // Where the ship has stood still since, and for how long
+      stillX: null,
+      stillY: null,
+      stillTime: 0
+    }
+    this.run = run
+
+    // Only this player's shots, kills and deaths count
+    const isMine = (event) => event.playerIndex === playerIndex
+    const unsubscribers = [
+      bus.on('enemyKilled', (event) => {
+        if (!isMine(event)) return
+        run.kills += 1
+        run.killStreak += 1
+        this.unlock('first-kill')
+        if (event.isBoss) this.unlock('boss-kill')
+        if (run.killStreak >= SHARPSHOOTER_STREAK) this.unlock('sharpshooter')
+        if (run.kills >= EXTERMINATOR_KILLS) this.unlock('exterminator')
+      }),
+      bus.on('projectileMissed', (event) => {
+        if (isMine(event)) run.killStreak = 0
+      }),
+      bus.on('projectileFired', (event) => {
+        if (!isMine(event)) return
+        run.firedWeapons.add(event.weaponKind)
+        if (WEAPON_ORDER.every((kind) => run.firedWeapons.has(kind))) this.unlock('arsenal')
+      }),
+      // Levels belong to the whole run, so they count whoever finished the last one
+      bus.on('levelUp', (event) => {
+        if (event.level >= 5) this.unlock('level-5')
+        if (event.level >= 10) this.unlock('level-10')
+        if (event.level >= 5 && !run.hasDied) this.unlock('flawless')
+      }),
+      bus.on('playerDied', (event) => {
+        if (!isMine(event)) return
+        run.hasDied = true
+        run.stillTime = 0
+      })
+    ]
+
+    return () => {
+      for (const unsubscribe of unsubscribers) unsubscribe()
+      if (this.run === run) this.run = null
+    }
+  }
+
+  /**
+   * Follow the player's ship for one step. Call it after every step of a tracked run.
+   *
+   * @param {import('./Player.js').Player} player - The ship whose progress counts.
+   * @param {number} deltaTime - Length of the step, in seconds.
+   */
+  trackStep(player, deltaTime) {
+    const { run } = this
+    if (!run) return
+
+    // Moving (or being knocked about) starts the count again, and so does being downed —
+    // lying still waiting for a revive isn't surviving
+    const hasMoved = run.stillX === null ||
+      Math.hypot(player.positionX - run.stillX, player.positionY - run.stillY) > STILL_TOLERANCE
+    if (hasMoved || player.isDowned) {
+      run.stillX = player.positionX
+      run.stillY = player.positionY
+      run.stillTime = 0
+      return
+    }
+
+    run.stillTime += deltaTime
+    if (run.stillTime >= STATUE_TIME) this.unlock('statue')
+  }
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to nothing unlocked.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case ACHIEVEMENTS_VERSION: {
+      if (data.unlocked === null || typeof data.unlocked !== 'object') return null
+      // Keep only achievements that still exist, with a date that reads as one
+      const unlocked = {}
+      for (const { id } of ACHIEVEMENTS) {
+        const date = data.unlocked[id]
+        if (typeof date === 'string' && !Number.isNaN(Date.parse(date))) unlocked[id] = date
+      }
+      return unlocked
+    }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * ActivePowerUps — Which power-up effects the player currently has, and for how long.
+ *
+ * Stacking and refresh rules:
+ *   - Different kinds combine freely: spread + rapid fires a fast, cool-running fan of shots.
+ *   - Collecting a timed kind that's already running adds its full duration again,
+ *     but never banks more than twice the base duration.
+ *   - The shield doesn't stack: holding one already, a second pickup is wasted.
+ *   - The bomb has no timer — the world applies it the moment it's collected.
+ */
+import { POWER_UP_TYPES } from './PowerUp.js'
+
+// The most time any timed effect can bank, as a multiple of its base duration
+const MAX_DURATION_MULTIPLE = 2
+
+export class ActivePowerUps {
+  constructor() {
+    // Seconds left for each running timed effect, keyed by kind
+    this.timeLeft = {}
+    this.hasShield = false
+  }
+
+  /**
+   * Apply a collected pickup's timer or shield. (The bomb is handled by the world.)
+   *
+   * @param {string} kind - A key of POWER_UP_TYPES.
+   */
+  activate(kind) {
+    if (kind === 'shield') {
+      this.hasShield = true
+      return
+    }
+
+    const { duration } = POWER_UP_TYPES[kind]
+    if (duration <= 0) return
+
+    const current = this.timeLeft[kind] ?? 0
+    this.timeLeft[kind] = Math.min(current + duration, duration * MAX_DURATION_MULTIPLE)
+  }
+
+  isActive(kind) {
+    return (this.timeLeft[kind] ?? 0) > 0
+  }
+
+  /** Use up the shield. Returns false if there wasn't one to use. */
+  consumeShield() {
+    if (!this.hasShield) return false
+    this.hasShield = false
+    return true
+  }
+
+  /**
+   * Count down every running timer, dropping the ones that have run out.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    for (const kind of Object.keys(this.timeLeft)) {
+      this.timeLeft[kind] -= deltaTime
+      if (this.timeLeft[kind] <= 0) delete this.timeLeft[kind]
+    }
+  }
+
+  /**
+   * Everything to show in the HUD, in a stable order.
+   * @returns {Array<{ kind: string, label: string, color: string, timeLeft: number, duration: number }>}
+   */
+  getHudEntries() {
+    const entries = []
+    for (const [kind, type] of Object.entries(POWER_UP_TYPES)) {
+      if (kind === 'shield' && this.hasShield) {
+        entries.push({ kind, label: type.label, color: type.color, timeLeft: Infinity, duration: 0 })
+      } else if (this.isActive(kind)) {
+        entries.push({ kind, label: type.label, color: type.color, timeLeft: this.timeLeft[kind], duration: type.duration })
+      }
+    }
+    return entries
+  }
+}
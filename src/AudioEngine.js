@@ -0,0 +1,447 @@
+/**
+ * AudioEngine — Sound effects and music, made up on the spot with the Web Audio API.
+ *
+ * There are no sound files. Every effect is built from a few basic ingredients when
+ * it's played:
+ *   - an oscillator: a pure tone whose pitch can slide (a "pew" is a pitch falling fast)
+ *   - white noise: random samples, filtered to sound like a thump, hiss or crash
+ *   - a gain envelope: the volume jumps up and then fades, shaping each sound
+ *
+ * The background music is generative. A scheduler lays down a drum beat, a bass line
+ * following a four-chord loop, and a melody picked at random from a pentatonic scale
+ * (any two notes of it sound fine together). The tempo rises with the level.
+ *
+ * Sounds are routed through three volume controls:
+ *
+ *   effects ─┐
+ *            ├──▶ master (mute) ──▶ speakers
+ *   music  ──┘
+ *
+ * Browsers don't let a page make sound until the player has interacted with it, so
+ * the AudioContext is only created (or resumed) in unlock(), which game.js calls on
+ * the first click, key press or touch. Until then every method quietly does nothing.
+ *
+ * The engine only listens: game.js hands it the world's events after each step.
+ * Nothing here feeds back into the simulation, so it's free to use Math.random.
+ */
+
+// The same effect isn't restarted more often than this (in seconds), so a bomb
+// clearing fifty enemies in one step is one big bang rather than fifty stacked ones
+const REPEAT_LIMIT = 0.03
+
+// Music sits under the effects — this scales the music slider's range
+const MUSIC_MIX = 0.35
+
+// How far ahead (in seconds) the music scheduler books notes, and how often (in ms)
+// it wakes up to book more. Booking ahead keeps the beat steady even when the
+// browser is busy, since the audio hardware plays booked notes on time by itself.
+const SCHEDULE_AHEAD_TIME = 0.12
+const SCHEDULER_INTERVAL = 25
+
+// Sixteen sixteenth-notes make one bar of 4/4
+const STEPS_PER_BAR = 16
+
+// A minor pentatonic scale, in semitones above the root
+const PENTATONIC = [0, 3, 5, 7, 10]
+// A2 — the bottom of the bass line
+const ROOT_FREQUENCY = 110
+// The chord loop, as semitones from A: Am, F, C, G — one chord per bar
+const CHORD_PROGRESSION = [0, -4, 3, -2]
+
+// How each weapon sounds when it fires
+const FIRE_SOUNDS = {
+  blaster: { wave: 'square', startFrequency: 880, endFrequency: 440, duration: 0.07, volume: 0.1 },
+  laser: { wave: 'sawtooth', startFrequency: 1600, endFrequency: 300, duration: 0.12, volume: 0.07 },
+  shell: { wave: 'triangle', startFrequency: 220, endFrequency: 80, duration: 0.16, volume: 0.3 },
+  missile: { noise: true, filterFrequency: 1400, duration: 0.25, volume: 0.2 }
+}
+
+/**
+ * Beats per minute for a level: 96 at level 1, six faster each level, topping out at 168.
+ */
+export function getMusicTempo(level) {
+  return Math.min(168, 96 + (level - 1) * 6)
+}
+
+export class AudioEngine {
+  /**
+   * @param {import('./AudioSettings.js').AudioSettings} settings - Volumes and mute, saved when changed.
+   */
+  constructor(settings) {
+    this.settings = settings
+
+    // Created by unlock() on the first user gesture
+    this.context = null
+    this.masterGain = null
+    this.musicGain = null
+    this.effectsGain = null
+    // Two seconds of white noise, shared by every noisy effect
+    this.noiseBuffer = null
+
+    // When each effect last started (in AudioContext time), for REPEAT_LIMIT
+    this.lastPlayedTimes = new Map()
+
+    // ─── Music ────────────────────────────────────────────────────────
+    this.isMusicPlaying = false
+    this.musicLevel = 1
+    this.schedulerId = 0
+    // When the next sixteenth-note is due (in AudioContext time), and which one it is
+    this.nextStepTime = 0
+    this.stepNumber = 0
+  }
+
+  /**
+   * Create the AudioContext if it doesn't exist yet, and resume it if the browser
+   * suspended it. Call this from a click, key press or touch handler — browsers
+   * only allow audio to start in response to one. Safe to call on every gesture.
+   */
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext
+      // No Web Audio at all (very old browsers, Node) — the game stays silent
+      if (!AudioContextClass) return
+
+      this.context = new AudioContextClass()
+      this.masterGain = this.context.createGain()
+      this.masterGain.connect(this.context.destination)
+      this.musicGain = this.context.createGain()
+      this.musicGain.connect(this.masterGain)
+      this.effectsGain = this.context.createGain()
+      this.effectsGain.connect(this.masterGain)
+      this.noiseBuffer = createNoiseBuffer(this.context)
+      this.applySettings()
+
+      // Music asked for before the first gesture starts now
+      if (this.isMusicPlaying) this.startScheduler()
+    }
+
+    if (this.context.state === 'suspended') this.context.resume()
+  }
+
+  get isReady() {
+    return this.context !== null && this.context.state === 'running'
+  }
+
+  // ─── Settings ─────────────────────────────────────────────────────
+  /** @param {number} volume - 0 to 1 */
+  setMusicVolume(volume) {
+    this.settings.musicVolume = volume
+    this.settings.save()
+    this.applySettings()
+  }
+
+  /** @param {number} volume - 0 to 1 */
+  setEffectsVolume(volume) {
+    this.settings.effectsVolume = volume
+    this.settings.save()
+    this.applySettings()
+  }
+
+  /** @param {boolean} isMuted */
+  setMuted(isMuted) {
+    this.settings.isMuted = isMuted
+    this.settings.save()
+    this.applySettings()
+  }
+
+  toggleMute() {
+    this.setMuted(!this.settings.isMuted)
+  }
+
+  /**
+   * Push the current settings into the volume controls. The change glides over a few
+   * milliseconds — jumping a gain instantly can make an audible click.
+   */
+  applySettings() {
+    if (!this.context) return
+    const { musicVolume, effectsVolume, isMuted } = this.settings
+    const now = this.context.currentTime
+    this.masterGain.gain.setTargetAtTime(isMuted ? 0 : 1, now, 0.02)
+    this.musicGain.gain.setTargetAtTime(musicVolume * MUSIC_MIX, now, 0.02)
+    this.effectsGain.gain.setTargetAtTime(effectsVolume, now, 0.02)
+  }
+
+  // ─── Sound Effects ────────────────────────────────────────────────
+  /**
+   * Play the sounds for everything that happened in one simulation step.
+   *
+   * @param {import('./GameWorld.js').WorldEvent[]} events - The world's events from its latest step.
+   * @param {number} viewLeft - Left edge of the camera's view, in world units.
+   * @param {number} viewWidth - Width of the camera's view. Together they pan each sound
+   *   toward where it happened on screen; anything off to the side is panned fully that way.
+   */
+  playEvents(events, viewLeft, viewWidth) {
+    if (!this.isReady) return
+
+    for (const event of events) {
+      // -1 is hard left, 1 is hard right. Kept to 60% so nothing is only in one ear.
+      const pan = event.positionX === undefined
+        ? 0
+        : Math.max(-1, Math.min(1, ((event.positionX - viewLeft) / viewWidth) * 2 - 1)) * 0.6
+
+      switch (event.type) {
+        case 'projectileFired':
+          this.playFire(event.weaponKind, pan)
+          break
+        case 'enemyShrunk':
+          this.playShrink(pan)
+          break
+        case 'enemyKilled':
+          this.playKill(event.radius, pan)
+          break
+        case 'levelUp':
+          this.musicLevel = event.level
+          this.playLevelUp()
+          break
+        case 'playerDied':
+          this.playDeath()
+          break
+        case 'playerRevived':
+          this.playRevive(pan)
+          break
+      }
+    }
+  }
+
+  playFire(weaponKind, pan = 0) {
+    if (!this.claimRepeat(`fire:${weaponKind}`)) return
+    const sound = FIRE_SOUNDS[weaponKind] ?? FIRE_SOUNDS.blaster
+    if (sound.noise) {
+      this.playNoise({ ...sound, pan })
+    } else {
+      this.playTone({ ...sound, pan })
+    }
+  }
+
+  /** A short, bright "tink" — the enemy survived but lost a chunk */
+  playShrink(pan = 0) {
+    if (!this.claimRepeat('shrink')) return
+    this.playTone({ wave: 'triangle', startFrequency: 700, endFrequency: 350, duration: 0.06, volume: 0.18, pan })
+  }
+
+  /**
+   * A thump plus a burst of noise. Small enemies pop with a high pitch,
+   * big ones (and bosses) boom low and ring for longer.
+   *
+   * @param {number} radius - The enemy's size when it spawned.
+   */
+  playKill(radius, pan = 0) {
+    if (!this.claimRepeat('kill')) return
+    // Halving the radius doubles the pitch: 4px → 600 Hz, 30px → 80 Hz
+    const frequency = Math.max(40, Math.min(800, 2400 / radius))
+    const duration = 0.2 + Math.min(radius, 60) * 0.008
+
+    this.playTone({ wave: 'sine', startFrequency: frequency, endFrequency: frequency * 0.3, duration, volume: 0.4, pan })
+    this.playNoise({ filterFrequency: frequency * 6, duration: duration * 0.8, volume: 0.25, pan })
+  }
+
+  /** A quick rising arpeggio: root, major third, fifth, octave */
+  playLevelUp() {
+    const startTime = this.context.currentTime
+    const intervals = [1, 5 / 4, 3 / 2, 2]
+    intervals.forEach((ratio, index) => {
+      this.playTone({
+        wave: 'square',
+        startFrequency: 440 * ratio,
+        endFrequency: 440 * ratio,
+        duration: 0.14,
+        volume: 0.12,
+        startTime: startTime + index * 0.09
+      })
+    })
+  }
+
+  /** A long falling wail over a low rumble */
+  playDeath() {
+    this.playTone({ wave: 'sawtooth', startFrequency: 440, endFrequency: 45, duration: 1.1, volume: 0.25 })
+    this.playNoise({ filterFrequency: 700, duration: 0.8, volume: 0.35 })
+  }
+
+  /** Two quick rising notes — a downed co-op partner is back up */
+  playRevive(pan = 0) {
+    const startTime = this.context.currentTime
+    this.playTone({ wave: 'triangle', startFrequency: 330, endFrequency: 660, duration: 0.15, volume: 0.2, pan, startTime })
+    this.playTone({ wave: 'triangle', startFrequency: 660, endFrequency: 990, duration: 0.2, volume: 0.2, pan, startTime: startTime + 0.12 })
+  }
+
+  /**
+   * Check REPEAT_LIMIT for an effect, and record that it's playing now if allowed.
+   *
+   * @returns {boolean} False if the same effect started too recently.
+   */
+  claimRepeat(name) {
+    const now = this.context.currentTime
+    if (now - (this.lastPlayedTimes.get(name) ?? -Infinity) < REPEAT_LIMIT) return false
+    this.lastPlayedTimes.set(name, now)
+    return true
+  }
+
+  // ─── Synthesis ────────────────────────────────────────────────────
+  /**
+   * Play one oscillator note whose pitch slides from startFrequency to endFrequency.
+   *
+   * @param {Object} sound
+   * @param {OscillatorType} sound.wave - 'sine', 'square', 'sawtooth' or 'triangle'.
+   * @param {number} sound.startFrequency - In hertz.
+   * @param {number} sound.endFrequency
+   * @param {number} sound.duration - In seconds.
+   * @param {number} sound.volume - Peak volume, 0 to 1.
+   * @param {number} [sound.pan] - -1 (left) to 1 (right).
+   * @param {number} [sound.startTime] - AudioContext time to start at. Defaults to now.
+   * @param {AudioNode} [sound.destination] - Defaults to the effects volume.
+   */
+  playTone({ wave, startFrequency, endFrequency, duration, volume, pan = 0, startTime, destination }) {
+    const { context } = this
+    const time = startTime ?? context.currentTime
+
+    const oscillator = context.createOscillator()
+    oscillator.type = wave
+    oscillator.frequency.setValueAtTime(startFrequency, time)
+    // Exponential slides sound even to our ears, which hear pitch as ratios
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration)
+
+    oscillator.connect(this.createEnvelope(time, duration, volume, pan, destination))
+    oscillator.start(time)
+    oscillator.stop(time + duration + 0.05)
+  }
+
+  /**
+   * Play a burst of white noise through a low-pass filter. A low cutoff gives a
+   * dull thump, a high one a hiss.
+   *
+   * @param {Object} sound - As for playTone, with filterFrequency instead of the pitch.
+   */
+  playNoise({ filterFrequency, duration, volume, pan = 0, startTime, destination }) {
+    const { context } = this
+    const time = startTime ?? context.currentTime
+
+    const source = context.createBufferSource()
+    source.buffer = this.noiseBuffer
+    const filter = context.createBiquadFilter()
+    filter.type = 'lowpass'
+    filter.frequency.value = filterFrequency
+
+    source.connect(filter)
+    filter.connect(this.createEnvelope(time, duration, volume, pan, destination))
+    // Start at a random point in the buffer so repeated bursts don't sound identical
+    source.start(time, Math.random() * 0.5)
+    source.stop(time + duration + 0.05)
+  }
+
+  /**
+   * A gain node that snaps up to the volume in 5 ms and fades out exponentially,
+   * routed through a stereo panner to the destination. Returns the node to connect into.
+   */
+  createEnvelope(time, duration, volume, pan, destination = this.effectsGain) {
+    const { context } = this
+    const envelope = context.createGain()
+    // Exponential ramps can't start or end at exactly 0, so "silent" is 0.0001
+    envelope.gain.setValueAtTime(0.0001, time)
+    envelope.gain.linearRampToValueAtTime(volume, time + 0.005)
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration)
+
+    // Older Safari has no StereoPannerNode — those sounds just play in the middle
+    if (pan !== 0 && context.createStereoPanner) {
+      const panner = context.createStereoPanner()
+      panner.pan.value = pan
+      envelope.connect(panner)
+      panner.connect(destination)
+    } else {
+      envelope.connect(destination)
+    }
+    return envelope
+  }
+
+  // ─── Music ────────────────────────────────────────────────────────
+  /**
+   * Start the background music, at the tempo for the given level.
+   * Before the first user gesture this only remembers it — unlock() starts it.
+   */
+  startMusic(level) {
+    this.musicLevel = level
+    if (this.isMusicPlaying) return
+    this.isMusicPlaying = true
+    if (this.context) this.startScheduler()
+  }
+
+  /** Stop booking new notes. Anything already booked (a fraction of a second) plays out. */
+  stopMusic() {
+    this.isMusicPlaying = false
+    clearInterval(this.schedulerId)
+    this.schedulerId = 0
+  }
+
+  startScheduler() {
+    clearInterval(this.schedulerId)
+    this.nextStepTime = this.context.currentTime + 0.05
+    this.stepNumber = 0
+    this.schedulerId = setInterval(() => this.scheduleMusic(), SCHEDULER_INTERVAL)
+  }
+
+  /**
+   * Book every sixteenth-note that falls within the next SCHEDULE_AHEAD_TIME seconds.
+   */
+  scheduleMusic() {
+    const now = this.context.currentTime
+    // Background tabs throttle timers. Rather than cram all the missed notes
+    // into one burst when we come back, skip ahead and carry on from now.
+    if (this.nextStepTime < now - 0.2) this.nextStepTime = now + 0.05
+
+    while (this.nextStepTime < now + SCHEDULE_AHEAD_TIME) {
+      this.playMusicStep(this.stepNumber, this.nextStepTime)
+      // A beat is a quarter-note, so each sixteenth is a quarter of a beat
+      this.nextStepTime += 60 / getMusicTempo(this.musicLevel) / 4
+      this.stepNumber++
+    }
+  }
+
+  /**
+   * Book the notes for one sixteenth-note step of the loop.
+   *
+   * @param {number} stepNumber - Steps since the music started.
+   * @param {number} time - AudioContext time the step starts at.
+   */
+  playMusicStep(stepNumber, time) {
+    const step = stepNumber % STEPS_PER_BAR
+    const bar = Math.floor(stepNumber / STEPS_PER_BAR)
+    const chordRoot = CHORD_PROGRESSION[bar % CHORD_PROGRESSION.length]
+    const destination = this.musicGain
+    // Later levels get busier: more hi-hats and a chattier melody
+    const intensity = Math.min(1, (this.musicLevel - 1) / 8)
+
+    // Kick drum on every beat: a sine that drops in pitch very fast
+    if (step % 4 === 0) {
+      this.playTone({ wave: 'sine', startFrequency: 150, endFrequency: 45, duration: 0.18, volume: 0.8, startTime: time, destination })
+    }
+
+    // Hi-hat on the off-beats, and on every other sixteenth once things heat up
+    if (step % 4 === 2 || (intensity > 0.4 && step % 2 === 1)) {
+      this.playNoise({ filterFrequency: 9000, duration: 0.04, volume: step % 4 === 2 ? 0.25 : 0.12, startTime: time, destination })
+    }
+
+    // Bass: the chord's root on a syncopated rhythm
+    if (step === 0 || step === 3 || step === 8 || step === 11) {
+      const frequency = ROOT_FREQUENCY * semitonesToRatio(chordRoot)
+      this.playTone({ wave: 'triangle', startFrequency: frequency, endFrequency: frequency, duration: 0.22, volume: 0.5, startTime: time, destination })
+    }
+
+    // Melody: on the eighth-notes, sometimes, a random note of the scale two octaves up
+    if (step % 2 === 0 && Math.random() < 0.3 + intensity * 0.3) {
+      const degree = PENTATONIC[Math.floor(Math.random() * PENTATONIC.length)]
+      const frequency = ROOT_FREQUENCY * 4 * semitonesToRatio(degree)
+      this.playTone({ wave: 'square', startFrequency: frequency, endFrequency: frequency, duration: 0.15, volume: 0.08, startTime: time, destination })
+    }
+  }
+}
+
+/** Each semitone raises the pitch by the twelfth root of 2, so 12 semitones doubles it */
+function semitonesToRatio(semitones) {
+  return Math.pow(2, semitones / 12)
+}
+
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate)
+  const samples = buffer.getChannelData(0)
+  for (let index = 0; index < samples.length; index++) samples[index] = Math.random() * 2 - 1
+  return buffer
+}
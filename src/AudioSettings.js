@@ -0,0 +1,57 @@
+/**
+ * AudioSettings — The player's volume levels and mute switch, saved in localStorage.
+ *
+ * Music and sound effects have separate volumes (0 to 1), so the soundtrack can be
+ * turned down without losing the feedback from hits. Muting silences both but keeps
+ * the volumes, so unmuting brings back exactly what was there.
+ *
+ * Saved as JSON with a format version number:
+ *   { version: 1, musicVolume: 0.5, effectsVolume: 0.8, isMuted: false }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const AUDIO_SETTINGS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.audio'
+
+const DEFAULT_SETTINGS = Object.freeze({ musicVolume: 0.5, effectsVolume: 0.8, isMuted: false })
+
+export class AudioSettings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the settings. Defaults to localStorage
+   *   when it exists; with null the settings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, AUDIO_SETTINGS_VERSION, migrate)
+    const settings = this.store.load() ?? DEFAULT_SETTINGS
+    this.musicVolume = settings.musicVolume
+    this.effectsVolume = settings.effectsVolume
+    this.isMuted = settings.isMuted
+  }
+
+  save() {
+    this.store.save({
+      musicVolume: this.musicVolume,
+      effectsVolume: this.effectsVolume,
+      isMuted: this.isMuted
+    })
+  }
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case AUDIO_SETTINGS_VERSION: {
+      const isVolume = (value) => typeof value === 'number' && value >= 0 && value <= 1
+      return {
+        musicVolume: isVolume(data.musicVolume) ? data.musicVolume : DEFAULT_SETTINGS.musicVolume,
+        effectsVolume: isVolume(data.effectsVolume) ? data.effectsVolume : DEFAULT_SETTINGS.effectsVolume,
+        isMuted: data.isMuted === true
+      }
+    }
+    default:
+      return null
+  }
+}
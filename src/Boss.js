@@ -0,0 +1,128 @@
+/**
+ * Boss — A huge enemy that arrives every few levels and has to be worn down with many hits.
+ *
+ * Unlike regular enemies, a boss doesn't shrink when hit. It has a pool of hit points
+ * shown as a health bar, and its attacks get fiercer as that pool drains:
+ *
+ *   Phase 1 (above 2/3 health) — rings of bullets fired in every direction
+ *   Phase 2 (above 1/3 health) — denser, rotating rings, and summons drifting minions
+ *   Phase 3 (the rest)         — rapid rings, and summons homing minions
+ *
+ * The boss doesn't create bullets or minions itself. update() returns a list of
+ * "attacks" and the GameWorld turns them into entities, the same way it creates
+ * everything else. Nothing here is random, so bosses replay exactly.
+ */
+
+// Attack settings per phase. Intervals are in seconds, speeds in pixels per second.
+const PHASES = {
+  1: { ringInterval: 2.2, ringSize: 12, bulletSpeed: 150, summonInterval: 0, summonCount: 0, minionType: 'drifter' },
+  2: { ringInterval: 1.8, ringSize: 16, bulletSpeed: 170, summonInterval: 5, summonCount: 2, minionType: 'drifter' },
+  3: { ringInterval: 1.2, ringSize: 20, bulletSpeed: 190, summonInterval: 4, summonCount: 3, minionType: 'homer' }
+}
+
+/**
+ * @typedef {Object} BossAttack
+ * @property {'ring'|'summon'} kind - Fire a bullet ring, or summon minions.
+ * @property {number} count - Bullets in the ring, or minions to summon.
+ * @property {number} [speed] - Bullet speed for rings.
+ * @property {number} [angleOffset] - Rotation of the ring, so consecutive rings don't line up.
+ * @property {string} [minionType] - Enemy type for summoned minions.
+ */
+
+export class Boss {
+  /**
+   * @param {number} positionX - Where the boss enters from (usually just above the top edge).
+   * @param {number} positionY
+   * @param {number} bossNumber - 1 for the first boss of the run, 2 for the second... Each is tougher.
+   */
+  constructor(positionX, positionY, bossNumber) {
+    this.positionX = positionX
+    this.positionY = positionY
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    this.bossNumber = bossNumber
+    this.radius = 60
+    this.color = 'hsl(0, 70%, 55%)'
+    this.maxHealth = 30 + (bossNumber - 1) * 20
+    this.health = this.maxHealth
+
+    // The boss first glides into view, then starts fighting
+    this.isEntering = true
+    this.enterSpeed = 80
+
+    // Seconds spent fighting, which drives the side-to-side sway
+    this.fightTime = 0
+    this.ringTimeLeft = 1
+    this.summonTimeLeft = 3
+    this.ringAngleOffset = 0
+  }
+
+  /** Which attack phase the boss is in, based on how much health is left */
+  get phase() {
+    const healthFraction = this.health / this.maxHealth
+    if (healthFraction > 2 / 3) return 1
+    if (healthFraction > 1 / 3) return 2
+    return 3
+  }
+
+  get isDefeated() {
+    return this.health <= 0
+  }
+
+  /**
+   * Take damage from a projectile.
+   */
+  takeHit(damage = 1) {
+    this.health = Math.max(0, this.health - damage)
+  }
+
+  /**
+   * Move the boss and count down its attack timers.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   * @param {number} arenaLeft - Left edge of the area the boss fights in (the camera's view).
+   * @param {number} arenaTop - Top edge of that area.
+   * @param {number} arenaWidth - Width of that area, for the sway path.
+   * @param {number} arenaHeight - Height of that area, for the hover height.
+   * @returns {BossAttack[]} Attacks to perform this step (usually none).
+   */
+  update(deltaTime, arenaLeft, arenaTop, arenaWidth, arenaHeight) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+
+    const hoverY = arenaTop + arenaHeight * 0.22
+    if (this.isEntering) {
+      this.positionX = arenaLeft + arenaWidth / 2
+      this.positionY = Math.min(hoverY, this.positionY + this.enterSpeed * deltaTime)
+      if (this.positionY >= hoverY) this.isEntering = false
+      return []
+    }
+
+    // Sway across the upper part of the screen, keeping up as the camera moves
+    this.fightTime += deltaTime
+    this.positionX = arenaLeft + arenaWidth / 2 + Math.sin(this.fightTime * 0.5) * arenaWidth * 0.3
+    this.positionY = hoverY
+
+    const attacks = []
+    const phase = PHASES[this.phase]
+
+    this.ringTimeLeft -= deltaTime
+    if (this.ringTimeLeft <= 0) {
+      this.ringTimeLeft += phase.ringInterval
+      // From phase 2 on, each ring is rotated by half a gap, so the safe lanes keep moving
+      if (this.phase >= 2) this.ringAngleOffset += Math.PI / phase.ringSize
+      attacks.push({ kind: 'ring', count: phase.ringSize, speed: phase.bulletSpeed, angleOffset: this.ringAngleOffset })
+    }
+
+    if (phase.summonCount > 0) {
+      this.summonTimeLeft -= deltaTime
+      if (this.summonTimeLeft <= 0) {
+        this.summonTimeLeft += phase.summonInterval
+        attacks.push({ kind: 'summon', count: phase.summonCount, minionType: phase.minionType })
+      }
+    }
+
+    return attacks
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Camera — The window onto a world that's bigger than the screen.
+ *
+ * The camera is a rectangle the size of one screen (the "view") that glides after the
+ * player. Its position is the view's top-left corner in world coordinates, so a point
+ * in the world appears on screen at (worldX - camera.positionX, worldY - camera.positionY).
+ *
+ * It lives in the GameWorld rather than the Renderer because the simulation depends on
+ * it: enemies spawn just outside the view, wherever the view happens to be. Like every
+ * other entity it moves once per fixed step, so replays see exactly the same camera.
+ *
+ * The camera never shows anything beyond the world's edges. When the player walks up to
+ * a wall the camera stops and the ship moves toward the edge of the screen instead.
+ */
+
+// Fraction of the distance to the target still left after one second — the camera
+// closes most of the gap within a quarter of a second, without snapping
+const FOLLOW_DAMPING = 0.0001
+
+export class Camera {
+  /**
+   * @param {number} viewWidth - Size of the visible area, in world units.
+   * @param {number} viewHeight
+   */
+  constructor(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth
+    this.viewHeight = viewHeight
+    this.positionX = 0
+    this.positionY = 0
+
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = 0
+    this.previousPositionY = 0
+  }
+
+  /**
+   * Glide toward keeping the target in the middle of the view.
+   *
+   * @param {number} targetX - The point to follow, usually the player.
+   * @param {number} targetY
+   * @param {number} worldWidth - Used to keep the view inside the world.
+   * @param {number} worldHeight
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  follow(targetX, targetY, worldWidth, worldHeight, deltaTime) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+
+    // Each step covers the same fraction of the remaining distance, so the camera
+    // moves quickly when far behind and eases in as it catches up
+    const catchUp = 1 - Math.pow(FOLLOW_DAMPING, deltaTime)
+    const [goalX, goalY] = this.centeredOn(targetX, targetY, worldWidth, worldHeight)
+    this.positionX += (goalX - this.positionX) * catchUp
+    this.positionY += (goalY - this.positionY) * catchUp
+  }
+
+  /**
+   * Jump straight to the target, with no glide — for the start of a run and respawns.
+   */
+  snapTo(targetX, targetY, worldWidth, worldHeight) {
+    const [goalX, goalY] = this.centeredOn(targetX, targetY, worldWidth, worldHeight)
+    this.positionX = goalX
+    this.positionY = goalY
+    this.previousPositionX = goalX
+    this.previousPositionY = goalY
+  }
+
+  /**
+   * Where the view's corner would be to center the target, held inside the world.
+   * A world no bigger than the view leaves the camera at 0, 0.
+   *
+   * @returns {[number, number]}
+   */
+  centeredOn(targetX, targetY, worldWidth, worldHeight) {
+    return [
+      Math.max(0, Math.min(worldWidth - this.viewWidth, targetX - this.viewWidth / 2)),
+      Math.max(0, Math.min(worldHeight - this.viewHeight, targetY - this.viewHeight / 2))
+    ]
+  }
+
+  /**
+   * Whether a circle is at least partly inside the view.
+   */
+  canSee(positionX, positionY, radius) {
+    return positionX + radius > this.positionX &&
+      positionX - radius < this.positionX + this.viewWidth &&
+      positionY + radius > this.positionY &&
+      positionY - radius < this.positionY + this.viewHeight
+  }
+}
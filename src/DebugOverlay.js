@@ -0,0 +1,165 @@
+/**
+ * DebugOverlay — Shows what's going on inside a run, drawn over the finished frame.
+ *
+ * Turned on and off with F3 when the game is opened with ?debug (see DevConsole.js).
+ * It draws two things:
+ *   - In the world: every enemy's, projectile's, bullet's, power-up's and player's
+ *     collision circle, with a line showing where it'll be a quarter of a second from now
+ *   - In the top-left corner, under the HUD: frame rate and frame time, how many of
+ *     each kind of entity there are, the spawn delay and enemy speed right now, and how
+ *     full each object pool is
+ *
+ * Like the Renderer it only reads the world, so it works the same for a GameWorld and
+ * for the NetworkWorld of an online run (which has no spawn timer or pools of its own
+ * to show — those lines are left out).
+ */
+import { interpolate, SIMULATION_STEP } from './GameLoop.js'
+
+// Velocity lines show how far each entity moves in this many seconds
+const VELOCITY_LINE_TIME = 0.25
+
+// How strongly each frame's time pulls the displayed average — small values give a steadier readout
+const AVERAGE_WEIGHT = 0.05
+
+const PANEL_LINE_HEIGHT = 16
+
+export class DebugOverlay {
+  /**
+   * @param {CanvasRenderingContext2D} context
+   * @param {import('./Viewport.js').Viewport} viewport
+   */
+  constructor(context, viewport) {
+    this.context = context
+    this.viewport = viewport
+    this.isVisible = false
+
+    // Time between drawn frames, in milliseconds, averaged over recent frames
+    this.averageFrameTime = 0
+    this.lastFrameTimestamp = null
+  }
+
+  toggle() {
+    this.isVisible = !this.isVisible
+    this.lastFrameTimestamp = null
+  }
+
+  /**
+   * Count a drawn frame towards the frame rate. Call it once per frame, visible or not.
+   *
+   * @param {number} timestamp - From performance.now(), in milliseconds.
+   */
+  recordFrame(timestamp) {
+    if (this.lastFrameTimestamp !== null) {
+      const frameTime = timestamp - this.lastFrameTimestamp
+      this.averageFrameTime = this.averageFrameTime === 0
+        ? frameTime
+        : this.averageFrameTime + (frameTime - this.averageFrameTime) * AVERAGE_WEIGHT
+    }
+    this.lastFrameTimestamp = timestamp
+  }
+
+  /**
+   * Draw the overlay on top of what the Renderer drew, if it's switched on.
+   *
+   * @param {import('./GameWorld.js').GameWorld} world
+   * @param {number} interpolation - The same value the Renderer was given.
+   * @param {string[]} [notes] - Extra lines for the panel, like "Paused" or "God mode".
+   */
+  draw(world, interpolation, notes = []) {
+    if (!this.isVisible) return
+
+    const { context, viewport } = this
+    const { camera } = world
+    context.save()
+    viewport.applyWorldTransform(
+      context,
+      interpolate(camera.previousPositionX, camera.positionX, interpolation),
+      interpolate(camera.previousPositionY, camera.positionY, interpolation)
+    )
+    // Lines stay one screen pixel wide however far the view is scaled
+    context.lineWidth = 1 / viewport.scale
+    this.drawOutlines(world.enemies, 'rgba(255, 80, 80, 0.9)', interpolation)
+    this.drawOutlines(world.projectiles, 'rgba(80, 255, 120, 0.9)', interpolation)
+    this.drawOutlines(world.enemyBullets, 'rgba(255, 170, 60, 0.9)', interpolation)
+    this.drawOutlines(world.powerUps, 'rgba(80, 200, 255, 0.9)', interpolation)
+    this.drawOutlines(world.players, 'rgba(255, 255, 255, 0.9)', interpolation)
+    if (world.boss) this.drawOutlines([world.boss], 'rgba(255, 80, 80, 0.9)', interpolation)
+    context.restore()
+
+    this.drawPanel(this.describe(world).concat(notes))
+  }
+
+  /**
+   * A circle for each entity's collision radius, and a line along its velocity. The
+   * velocity is read from how far it moved in the last step, so it's the same for
+   * every kind of entity, however it works out its own movement.
+   */
+  drawOutlines(entities, color, interpolation) {
+    const { context } = this
+    context.strokeStyle = color
+    context.beginPath()
+    for (const entity of entities) {
+      const positionX = interpolate(entity.previousPositionX, entity.positionX, interpolation)
+      const positionY = interpolate(entity.previousPositionY, entity.positionY, interpolation)
+      context.moveTo(positionX + entity.radius, positionY)
+      context.arc(positionX, positionY, entity.radius, 0, Math.PI * 2, false)
+
+      const stepsAhead = VELOCITY_LINE_TIME / SIMULATION_STEP
+      context.moveTo(positionX, positionY)
+      context.lineTo(
+        positionX + (entity.positionX - entity.previousPositionX) * stepsAhead,
+        positionY + (entity.positionY - entity.previousPositionY) * stepsAhead
+      )
+    }
+    context.stroke()
+  }
+
+  /**
+   * The panel's lines of text for this world.
+   *
+   * @returns {string[]}
+   */
+  describe(world) {
+    const frameTime = this.averageFrameTime
+    const lines = [
+      frameTime > 0 ? `${(1000 / frameTime).toFixed(0)} fps  ${frameTime.toFixed(1)} ms` : '— fps',
+      `Enemies ${world.enemies.length}  Projectiles ${world.projectiles.length}  Bullets ${world.enemyBullets.length}`,
+      `Particles ${world.particles.length}  Power-ups ${world.powerUps.length}`
+    ]
+
+    // An online run's NetworkWorld has no spawning of its own to report
+    if (world.getSpawnDelay) {
+      const levelKind = world.levelScript ? `"${world.levelScript.definition.name}"` : 'endless'
+      const spawnDelay = world.levelScript ? 'scripted' : `${world.getSpawnDelay().toFixed(2)} s`
+      lines.push(
+        `Level ${world.currentLevel} (${levelKind})  ${world.levelElapsed.toFixed(1)} s in`,
+        `Spawn delay ${spawnDelay}  Enemy speed ${world.getEnemySpeed().toFixed(0)} px/s`
+      )
+    }
+
+    const pools = [['Particles', world.particlePool], ['Projectiles', world.projectilePool], ['Enemies', world.enemyPool]]
+    for (const [label, pool] of pools) {
+      if (!pool) continue
+      lines.push(`${label} pool ${pool.inUseCount}/${pool.maxSize} in use, ${pool.spare.length} spare, full ${pool.exhaustedCount}×`)
+    }
+    return lines
+  }
+
+  drawPanel(lines) {
+    const { context } = this
+    const panelX = 16
+    // Below the score, level and combo in the top-left corner
+    const panelY = 130
+    const panelWidth = 420
+
+    context.save()
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    context.fillRect(panelX - 6, panelY - 6, panelWidth, lines.length * PANEL_LINE_HEIGHT + 12)
+    context.fillStyle = '#9fff9f'
+    context.font = '13px monospace'
+    context.textAlign = 'left'
+    context.textBaseline = 'top'
+    lines.forEach((line, index) => context.fillText(line, panelX, panelY + index * PANEL_LINE_HEIGHT))
+    context.restore()
+  }
+}
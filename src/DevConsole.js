@@ -0,0 +1,180 @@
+/**
+ * DevConsole — Typed commands for looking inside a run while tuning the game.
+ *
+ * Open the game with ?debug in the address (index.html?debug), start a run and press `
+ * (the key left of 1) to bring up the console. Type "help" to see the commands:
+ *
+ *   pause           stop the simulation, or start it again (the picture keeps drawing)
+ *   step [count]    run that many steps (1 if left out), pausing first if need be
+ *   slow [scale]    run time at that fraction of normal speed, or toggle slow motion
+ *   spawn <type>    put an enemy of that type under the mouse cursor
+ *   level <number>  jump to the start of a level
+ *   god             turn god mode on or off — nothing can hurt the players
+ *
+ * Pausing, stepping and slowing down only change when the steps run, never what happens
+ * in them, so they work on replays too. The last three change the run itself: they only
+ * work in a live run, and once one has been used the run can't be replayed or enter the
+ * high-score table. None of them work online, where the server runs the world.
+ *
+ * This class only keeps the console's state and carries the commands out — game.js
+ * owns the text box and reads isPaused, takeStep() and timeScale around the game loop.
+ */
+
+// "slow" with no scale toggles between full speed and this
+const DEFAULT_SLOW_TIME_SCALE = 0.25
+
+// Limits on what can be typed, so a typo can't freeze the tab
+const MAX_STEPS = 600
+const MIN_TIME_SCALE = 0.05
+const MAX_TIME_SCALE = 4
+
+/**
+ * What a command needs to know about the run it's typed into.
+ *
+ * @typedef {Object} DevTarget
+ * @property {import('./GameWorld.js').GameWorld} world
+ * @property {'live'|'replay'|'online'} kind - What sort of run it is.
+ * @property {number} cursorX - The mouse cursor's position in the world.
+ * @property {number} cursorY
+ */
+
+/**
+ * @typedef {Object} DevCommandResult
+ * @property {string} message - What happened, to print in the console.
+ * @property {boolean} changesRun - True if the command changed the world itself.
+ */
+
+export class DevConsole {
+  constructor() {
+    // Set by "pause". The game loop keeps drawing but runs no steps, except...
+    this.isPaused = false
+    // ...this many, queued up by "step"
+    this.stepsPending = 0
+    // Multiplies the game speed, for "slow"
+    this.timeScale = 1
+  }
+
+  /** Back to normal: running, at full speed. Called when a new run starts. */
+  reset() {
+    this.isPaused = false
+    this.stepsPending = 0
+    this.timeScale = 1
+  }
+
+  /**
+   * Whether the next simulation step should run. Call it once per step.
+   *
+   * @returns {boolean}
+   */
+  takeStep() {
+    if (!this.isPaused) return true
+    if (this.stepsPending === 0) return false
+    this.stepsPending--
+    return true
+  }
+
+  /**
+   * Carry out one typed command.
+   *
+   * @param {string} line - What was typed, like "spawn charger".
+   * @param {DevTarget} target - The run it applies to.
+   * @returns {DevCommandResult}
+   * @throws {Error} With a message to print, if the command is unknown, its arguments
+   *   don't make sense, or it can't be used in this kind of run.
+   */
+  run(line, target) {
+    const [name = '', ...args] = line.trim().toLowerCase().split(/\s+/)
+    if (!Object.hasOwn(COMMANDS, name)) throw new Error(`Unknown command "${name}". Type "help" for the list.`)
+    const command = COMMANDS[name]
+
+    if (target.kind === 'online' && command.scope !== 'any') {
+      throw new Error(`"${name}" doesn't work online — the server runs the world.`)
+    }
+    if (target.kind === 'replay' && command.scope === 'live') {
+      throw new Error(`"${name}" only works in a live run. A replay has to play out as it was recorded.`)
+    }
+
+    const message = command.run(this, args, target)
+    return { message, changesRun: command.scope === 'live' }
+  }
+}
+
+/**
+ * Every command, by name. scope says where it can be used: 'any' run, any run that's
+ * simulated here ('local'), or only a 'live' one, because it changes the world.
+ */
+const COMMANDS = {
+  help: {
+    usage: 'help',
+    scope: 'any',
+    run: () => Object.values(COMMANDS).map((command) => command.usage).join('\n')
+  },
+
+  pause: {
+    usage: 'pause — stop or start the simulation',
+    scope: 'local',
+    run(devConsole) {
+      devConsole.isPaused = !devConsole.isPaused
+      devConsole.stepsPending = 0
+      return devConsole.isPaused ? 'Paused. "step" runs one step at a time.' : 'Running.'
+    }
+  },
+
+  step: {
+    usage: 'step [count] — run steps one at a time',
+    scope: 'local',
+    run(devConsole, [countText = '1']) {
+      const count = Number(countText)
+      if (!Number.isInteger(count) || count < 1 || count > MAX_STEPS) {
+        throw new Error(`The step count has to be a whole number from 1 to ${MAX_STEPS}.`)
+      }
+      devConsole.isPaused = true
+      devConsole.stepsPending += count
+      return count === 1 ? 'Stepping once.' : `Stepping ${count} times.`
+    }
+  },
+
+  slow: {
+    usage: 'slow [scale] — slow time down, e.g. "slow 0.5"; on its own, toggle slow motion',
+    scope: 'local',
+    run(devConsole, [scaleText]) {
+      if (scaleText === undefined) {
+        devConsole.timeScale = devConsole.timeScale === 1 ? DEFAULT_SLOW_TIME_SCALE : 1
+      } else {
+        const scale = Number(scaleText)
+        if (!Number.isFinite(scale) || scale < MIN_TIME_SCALE || scale > MAX_TIME_SCALE) {
+          throw new Error(`The time scale has to be between ${MIN_TIME_SCALE} and ${MAX_TIME_SCALE}.`)
+        }
+        devConsole.timeScale = scale
+      }
+      return `Time runs at ×${devConsole.timeScale}.`
+    }
+  },
+
+  spawn: {
+    usage: 'spawn <type> — put an enemy under the cursor',
+    scope: 'live',
+    run(devConsole, [typeName = ''], { world, cursorX, cursorY }) {
+      world.spawnEnemyAt(typeName, cursorX, cursorY)
+      return `Spawned a ${typeName}.`
+    }
+  },
+
+  level: {
+    usage: 'level <number> — jump to a level',
+    scope: 'live',
+    run(devConsole, [levelText = ''], { world }) {
+      world.jumpToLevel(Number(levelText))
+      return `Jumped to level ${world.currentLevel}.`
+    }
+  },
+
+  god: {
+    usage: 'god — toggle god mode',
+    scope: 'live',
+    run(devConsole, args, { world }) {
+      world.isGodMode = !world.isGodMode
+      return world.isGodMode ? 'God mode on.' : 'God mode off.'
+    }
+  }
+}
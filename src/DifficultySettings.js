@@ -0,0 +1,106 @@
+/**
+ * DifficultySettings — How hard the game is and how fast it runs, saved in localStorage.
+ *
+ * Difficulty is a pair of multipliers on the level's own numbers: how often enemies
+ * spawn and how fast they fly (see Difficulty in GameWorld.js). Easy, normal and hard
+ * are fixed presets; custom uses the player's own pair.
+ *
+ * Game speed is separate: it changes how much simulation time passes per second of real
+ * time, not what happens in it, so a run at half speed plays out exactly as it would at
+ * full speed — just slower. Replays stay exact either way.
+ *
+ * Saved as JSON with a format version number:
+ *   { version: 1, preset: 'normal', custom: { spawnRate: 1, enemySpeed: 1 }, gameSpeed: 1 }
+ */
+import { DEFAULT_DIFFICULTY } from './GameWorld.js'
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const DIFFICULTY_SETTINGS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.difficulty'
+
+/** The fixed presets, by name. "custom" isn't here — its multipliers are the player's own. */
+export const DIFFICULTY_PRESETS = Object.freeze({
+  easy: Object.freeze({ spawnRate: 0.7, enemySpeed: 0.8 }),
+  normal: DEFAULT_DIFFICULTY,
+  hard: Object.freeze({ spawnRate: 1.3, enemySpeed: 1.2 })
+})
+
+// The range a custom multiplier can be set to
+export const MIN_MULTIPLIER = 0.5
+export const MAX_MULTIPLIER = 2
+
+// The range of the game speed slider: half speed to one and a half times
+export const MIN_GAME_SPEED = 0.5
+export const MAX_GAME_SPEED = 1.5
+
+export class DifficultySettings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the settings. Defaults to localStorage
+   *   when it exists; with null the settings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, DIFFICULTY_SETTINGS_VERSION, migrate)
+    const settings = this.store.load()
+    /** @type {'easy'|'normal'|'hard'|'custom'} */
+    this.preset = settings?.preset ?? 'normal'
+    /** @type {import('./GameWorld.js').Difficulty} */
+    this.custom = settings?.custom ?? DEFAULT_DIFFICULTY
+    this.gameSpeed = settings?.gameSpeed ?? 1
+  }
+
+  /**
+   * The multipliers in use right now. The same object is returned until something
+   * changes, so a new one always means the difficulty was changed.
+   *
+   * @returns {import('./GameWorld.js').Difficulty}
+   */
+  get difficulty() {
+    return this.preset === 'custom' ? this.custom : DIFFICULTY_PRESETS[this.preset]
+  }
+
+  /**
+   * Change one of the custom multipliers, and switch to custom if a preset was in use.
+   *
+   * @param {'spawnRate'|'enemySpeed'} name
+   * @param {number} value - Clamped to MIN_MULTIPLIER..MAX_MULTIPLIER.
+   */
+  setCustomMultiplier(name, value) {
+    this.custom = Object.freeze({ ...this.custom, [name]: clamp(value, MIN_MULTIPLIER, MAX_MULTIPLIER) })
+    this.preset = 'custom'
+  }
+
+  save() {
+    this.store.save({
+      preset: this.preset,
+      custom: this.custom,
+      gameSpeed: this.gameSpeed
+    })
+  }
+}
+
+function clamp(value, minimum, maximum) {
+  return Math.min(maximum, Math.max(minimum, value))
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case DIFFICULTY_SETTINGS_VERSION: {
+      const readMultiplier = (value) => Number.isFinite(value) ? clamp(value, MIN_MULTIPLIER, MAX_MULTIPLIER) : 1
+      const custom = data.custom ?? {}
+      return {
+        preset: Object.hasOwn(DIFFICULTY_PRESETS, data.preset) || data.preset === 'custom' ? data.preset : 'normal',
+        custom: Object.freeze({
+          spawnRate: readMultiplier(custom.spawnRate),
+          enemySpeed: readMultiplier(custom.enemySpeed)
+        }),
+        gameSpeed: Number.isFinite(data.gameSpeed) ? clamp(data.gameSpeed, MIN_GAME_SPEED, MAX_GAME_SPEED) : 1
+      }
+    }
+    default:
+      return null
+  }
+}
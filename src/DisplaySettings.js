@@ -0,0 +1,44 @@
+/**
+ * DisplaySettings — How the game is fitted to the window, saved in localStorage.
+ *
+ * For now that's one choice: letterboxing. Off, each run's view of the world takes the
+ * shape of the window, so it fills the screen edge to edge. On, every view is 16:9, with
+ * empty bars wherever the window is a different shape — so everyone sees exactly the
+ * same amount of the world, and replays look the same on every screen.
+ *
+ * Saved as JSON with a format version number:
+ *   { version: 1, isLetterboxed: false }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const DISPLAY_SETTINGS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.display'
+
+export class DisplaySettings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the settings. Defaults to localStorage
+   *   when it exists; with null the settings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, DISPLAY_SETTINGS_VERSION, migrate)
+    const settings = this.store.load()
+    this.isLetterboxed = settings?.isLetterboxed ?? false
+  }
+
+  save() {
+    this.store.save({ isLetterboxed: this.isLetterboxed })
+  }
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case DISPLAY_SETTINGS_VERSION:
+      return { isLetterboxed: data.isLetterboxed === true }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Effects — The screen shake, hit-stop, death flash and starfield that make hits feel heavy.
+ *
+ * These are reactions to what happens in a run, not part of it. Like Achievements, they
+ * hear about a run through its EventBus (see EventBus.js), and the GameWorld never knows
+ * they exist:
+ *   - an enemy destroyed shakes the view (harder the bigger it was) and freezes the
+ *     action for a few steps — a "hit-stop"
+ *   - a ship destroyed flashes the edges of the screen red
+ *
+ * This class only keeps track of those, plus the stars for the starfield. The Renderer
+ * draws them all (and the trails and glow, which need no tracking), and game.js holds
+ * steps back while advance() says a hit-stop is on:
+ *
+ *   const stopEffects = effects.startRun(bus)
+ *   ...
+ *   if (effects.advance(deltaTime)) return   (before each step)
+ *
+ * A hit-stop only holds steps back, the same as pausing would, so a replay still plays
+ * out exactly — it has the same kills, so it gets the same hit-stops. Online, the server
+ * keeps running regardless, so there are none.
+ *
+ * Nothing here feeds back into the simulation, so it's free to use Math.random.
+ */
+import { EffectsSettings } from './EffectsSettings.js'
+
+// The strongest shake, in world units, and how much each unit of an enemy's radius adds.
+// A boss always gets the strongest.
+const MAX_SHAKE = 12
+const SHAKE_PER_RADIUS = 0.3
+// How long a shake takes to die away, in seconds
+const SHAKE_TIME = 0.25
+
+// Steps held back after a kill, and after a boss kill
+const HIT_STOP_STEPS = 3
+const BOSS_HIT_STOP_STEPS = 15
+// Seconds after a hit-stop before the next one. Without it, a spread shot through a
+// swarm would stop the action on every other step.
+const HIT_STOP_COOLDOWN = 0.3
+
+// How long the red flash takes to fade, in seconds
+const VIGNETTE_TIME = 0.9
+
+// The starfield's layers, back to front. depth is how far each one moves with the view:
+// 0 would stay fixed on the screen, 1 would be fixed in the world like everything else.
+// size is in world units.
+const STAR_LAYERS = [
+  { depth: 0.1, count: 70, size: 1, alpha: 0.3 },
+  { depth: 0.3, count: 40, size: 1.5, alpha: 0.5 },
+  { depth: 0.6, count: 20, size: 2, alpha: 0.8 }
+]
+
+/**
+ * @typedef {Object} StarLayer
+ * @property {number} depth
+ * @property {number} size
+ * @property {number} alpha
+ * @property {number[]} stars - x, y pairs, each from 0 up to 1 across the view.
+ */
+
+export class Effects {
+  /**
+   * @param {EffectsSettings} [settings] - Which effects are switched on.
+   */
+  constructor(settings = new EffectsSettings(null)) {
+    this.settings = settings
+
+    // Seconds of shake left, and how hard it started
+    this.shakeTime = 0
+    this.shakeStrength = 0
+    this.hitStopStepsLeft = 0
+    this.hitStopCooldown = 0
+    this.vignetteTime = 0
+
+    // Scattered once; the Renderer repeats them across the view as it scrolls
+    /** @type {StarLayer[]} */
+    this.starLayers = STAR_LAYERS.map(({ depth, count, size, alpha }) => ({
+      depth,
+      size,
+      alpha,
+      stars: Array.from({ length: count * 2 }, () => Math.random())
+    }))
+  }
+
+  /**
+   * Start reacting to a new run. Anything left over from the last one is cleared.
+   *
+   * @param {import('./EventBus.js').EventBus} bus - Where the run's events are published.
+   * @param {Object} [options]
+   * @param {number|null} [options.playerIndex] - Only this player's death flashes the screen.
+   *   Null (the default) for every player on this screen.
+   * @param {boolean} [options.canHitStop] - False when the steps can't be held back (online).
+   * @returns {function(): void} Call it when the run ends, to stop listening.
+   */
+  startRun(bus, { playerIndex = null, canHitStop = true } = {}) {
+    this.shakeTime = 0
+    this.hitStopStepsLeft = 0
+    this.hitStopCooldown = 0
+    this.vignetteTime = 0
+
+    const unsubscribers = [
+      bus.on('enemyKilled', (event) => {
+        if (this.settings.hasScreenShake) {
+          this.shake(event.isBoss ? MAX_SHAKE : event.radius * SHAKE_PER_RADIUS)
+        }
+        if (canHitStop && this.settings.hasHitStop) this.hitStop(event.isBoss)
+      }),
+      bus.on('playerDied', (event) => {
+        if (playerIndex !== null && event.playerIndex !== playerIndex) return
+        if (this.settings.hasDeathVignette) this.vignetteTime = VIGNETTE_TIME
+      })
+    ]
+    return () => {
+      for (const unsubscribe of unsubscribers) unsubscribe()
+    }
+  }
+
+  /**
+   * Start a shake, unless a stronger one is still going.
+   *
+   * @param {number} strength - How far the view is thrown about, in world units.
+   */
+  shake(strength) {
+    const clamped = Math.min(MAX_SHAKE, strength)
+    if (clamped < this.getShakeStrength()) return
+    this.shakeStrength = clamped
+    this.shakeTime = SHAKE_TIME
+  }
+
+  /** Freeze the action for a moment — longer for a boss, which also skips the cooldown */
+  hitStop(isBoss) {
+    if (isBoss) {
+      this.hitStopStepsLeft = BOSS_HIT_STOP_STEPS
+    } else if (this.hitStopCooldown === 0) {
+      this.hitStopStepsLeft = Math.max(this.hitStopStepsLeft, HIT_STOP_STEPS)
+    } else {
+      return
+    }
+    this.hitStopCooldown = HIT_STOP_COOLDOWN
+  }
+
+  /**
+   * Move the effects on by one simulation step. Call it before each step.
+   *
+   * @param {number} deltaTime - Length of the step, in seconds.
+   * @returns {boolean} True if a hit-stop is holding this step back, so it shouldn't run.
+   */
+  advance(deltaTime) {
+    this.shakeTime = Math.max(0, this.shakeTime - deltaTime)
+    this.vignetteTime = Math.max(0, this.vignetteTime - deltaTime)
+
+    if (this.hitStopStepsLeft > 0) {
+      this.hitStopStepsLeft--
+      return true
+    }
+    // The cooldown starts once the action is moving again
+    this.hitStopCooldown = Math.max(0, this.hitStopCooldown - deltaTime)
+    return false
+  }
+
+  /** How far the view is being thrown about right now, in world units */
+  getShakeStrength() {
+    return this.shakeStrength * (this.shakeTime / SHAKE_TIME)
+  }
+
+  /**
+   * A random offset for the view this frame, within the current shake.
+   *
+   * @returns {number[]} x and y, in world units. Zero when nothing is shaking.
+   */
+  getShakeOffset() {
+    const strength = this.getShakeStrength()
+    if (strength === 0) return [0, 0]
+    return [(Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength]
+  }
+
+  /** How strong the red flash is right now, from 0 (gone) to 1 (just died) */
+  getVignetteStrength() {
+    return this.vignetteTime / VIGNETTE_TIME
+  }
+}
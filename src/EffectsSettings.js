@@ -0,0 +1,74 @@
+/**
+ * EffectsSettings — Which of the extra visual effects are switched on, saved in localStorage.
+ *
+ *   - hasScreenShake: the view shakes when an enemy is destroyed, harder for bigger ones.
+ *   - hasHitStop: the action freezes for an instant on each kill, so it lands with a thud.
+ *   - hasStarfield: layers of stars behind everything, sliding at different speeds as the
+ *     ship moves.
+ *   - hasTrails: enemies and shots leave a fading streak behind them.
+ *   - hasPlayerGlow: a soft halo around each ship, to find it in a crowd.
+ *   - hasDeathVignette: the edges of the screen flash red when a ship is destroyed.
+ *
+ * All of them start on. Reduced motion (see AccessibilitySettings.js) wins over these:
+ * with it there's no shake, the stars hold still and the red flash is a gentle tint.
+ * None of them touch the simulation — a hit-stop only holds steps back, like pausing —
+ * so they never change how a run plays out.
+ *
+ * Saved as JSON with a format version number:
+ *   { version: 1, hasScreenShake: true, hasHitStop: true, hasStarfield: true,
+ *     hasTrails: true, hasPlayerGlow: true, hasDeathVignette: true }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const EFFECTS_SETTINGS_VERSION = 1
+const STORAGE_KEY = 'space-shooting.effects'
+
+/** The name of every effect's setting, as saved */
+export const EFFECT_SETTINGS = Object.freeze([
+  'hasScreenShake',
+  'hasHitStop',
+  'hasStarfield',
+  'hasTrails',
+  'hasPlayerGlow',
+  'hasDeathVignette'
+])
+
+export class EffectsSettings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the settings. Defaults to localStorage
+   *   when it exists; with null the settings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, EFFECTS_SETTINGS_VERSION, migrate)
+    const settings = this.store.load()
+    this.hasScreenShake = settings?.hasScreenShake ?? true
+    this.hasHitStop = settings?.hasHitStop ?? true
+    this.hasStarfield = settings?.hasStarfield ?? true
+    this.hasTrails = settings?.hasTrails ?? true
+    this.hasPlayerGlow = settings?.hasPlayerGlow ?? true
+    this.hasDeathVignette = settings?.hasDeathVignette ?? true
+  }
+
+  save() {
+    const settings = {}
+    for (const name of EFFECT_SETTINGS) settings[name] = this[name]
+    this.store.save(settings)
+  }
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case EFFECTS_SETTINGS_VERSION: {
+      // Anything but an explicit false leaves the effect on
+      const settings = {}
+      for (const name of EFFECT_SETTINGS) settings[name] = data[name] !== false
+      return settings
+    }
+    default:
+      return null
+  }
+}
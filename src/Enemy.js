@@ -1,32 +1,129 @@
+import { ENEMY_TYPES } from './enemyTypes.js'
+
 /**
- * Enemy — Hostile circles that spawn at the canvas edges and move toward the player.
+ * Enemy — Hostile circles that spawn at the edges of the world and move toward the player.
  *
  * Each enemy gets a random size and color when created. Its velocity is calculated
  * at spawn time using atan2 to aim at wherever the player is at that moment.
- * After spawning, the enemy travels in a straight line (it does NOT track the player).
- * This makes movement predictable so the player can dodge strategically.
+ *
+ * How it moves after that depends on its type (see enemyTypes.js). The basic "drifter"
+ * travels in a straight line and does NOT track the player, which makes it predictable
+ * so the player can dodge strategically. Other types weave, home in, or charge.
+ *
+ * Like every entity, an Enemy is plain simulation data — it never touches the canvas.
+ * The Renderer reads its position, radius and color to draw it.
+ *
+ * Destroyed enemies go back to an ObjectPool and are reused for later spawns.
  */
+
+// Default velocity for a blank enemy
+const STILL = Object.freeze({ horizontal: 0, vertical: 0 })
+
 export class Enemy {
-  constructor(context, positionX, positionY, radius, color, velocity) {
-    this.context = context
+  /**
+   * Enemies come from the world's enemy pool, which creates them blank and
+   * calls init() each time one is handed out.
+   *
+   * @param {number} [positionX] - Spawn X position.
+   * @param {number} [positionY] - Spawn Y position.
+   * @param {number} [radius] - Starting size.
+   * @param {string} [color] - Fill color.
+   * @param {Object} [velocity] - Initial direction and speed in pixels per second { horizontal, vertical }.
+   * @param {string} [type] - Which kind of enemy this is — a key of ENEMY_TYPES.
+   */
+  constructor(positionX = 0, positionY = 0, radius = 0, color = 'white', velocity = STILL, type = 'drifter') {
+    // The enemy's own velocity object, reused for every life it has.
+    // init() copies the values in, and behaviours steer by changing them.
+    this.velocity = { horizontal: 0, vertical: 0 }
+    this.init(positionX, positionY, radius, color, velocity, type)
+  }
+
+  /**
+   * Set every field, so a recycled enemy starts exactly like a new one.
+   * Takes the same arguments as the constructor.
+   */
+  init(positionX, positionY, radius, color, velocity, type = 'drifter') {
     this.positionX = positionX
     this.positionY = positionY
     this.radius = radius
     this.color = color
-    // velocity is an object { horizontal, vertical } — pixels moved per frame on each axis
-    this.velocity = velocity
+    // velocity is an object { horizontal, vertical } — pixels moved per second on each axis
+    this.velocity.horizontal = velocity.horizontal
+    this.velocity.vertical = velocity.vertical
+    // Behaviours that re-steer need to know how fast this enemy is meant to go
+    this.speed = Math.hypot(velocity.horizontal, velocity.vertical)
+
+    this.type = type
+    this.behaviour = ENEMY_TYPES[type]
+    // Set by behaviours that turn to face the player. A recycled enemy mustn't
+    // keep facing wherever its previous life was looking.
+    this.facingAngle = undefined
+    // The rest of each behaviour's state, which its init() sets for the types that use it.
+    // Cleared so a recycled drifter isn't sent online as shielded or winding up.
+    this.baseVelocity = undefined
+    this.zigzagPhase = undefined
+    this.shieldAngle = undefined
+    this.shieldArc = undefined
+    this.chargePhase = undefined
+    this.chargePhaseTimeLeft = undefined
+
+    // Where the enemy was at the end of the previous simulation step.
+    // The Renderer blends between this and the current position for smooth motion.
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    // When hit, the enemy doesn't shrink instantly — the radius eases toward this
+    // target over a few steps, creating a satisfying visual "crunch" effect.
+    this.targetRadius = radius
+
+    // Remember the spawn size and how long ago the first hit landed,
+    // so quickly destroying a big enemy can earn a burst bonus
+    this.initialRadius = radius
+    this.timeSinceFirstHit = Infinity
+
+    // Set when the enemy is destroyed. The world sweeps destroyed enemies out once
+    // per step, so an explosion can take out several without disturbing any loop.
+    this.isDestroyed = false
+
+    if (this.behaviour.init) this.behaviour.init(this)
   }
 
-  draw() {
-    this.context.beginPath()
-    this.context.arc(this.positionX, this.positionY, this.radius, 0, Math.PI * 2, false)
-    this.context.fillStyle = this.color
-    this.context.fill()
+  /**
+   * Check whether a hit at the given position bounces off (e.g. a shield) instead of doing damage.
+   */
+  blocksHit(hitX, hitY) {
+    return this.behaviour.blocksHit ? this.behaviour.blocksHit(this, hitX, hitY) : false
   }
 
-  update() {
-    this.draw()
-    this.positionX = this.positionX + this.velocity.horizontal
-    this.positionY = this.positionY + this.velocity.vertical
+  /**
+   * Start shrinking the enemy by the given number of pixels.
+   * The visible radius catches up gradually during update().
+   */
+  shrink(amount) {
+    this.targetRadius -= amount
+    if (this.timeSinceFirstHit === Infinity) this.timeSinceFirstHit = 0
+  }
+
+  /**
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   * @param {{ positionX: number, positionY: number }} target - What the enemy is hunting (the nearest player).
+   */
+  update(deltaTime, target) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+
+    // Let this enemy's type adjust its velocity before it moves
+    if (this.behaviour.steer) this.behaviour.steer(this, target, deltaTime)
+
+    this.positionX = this.positionX + this.velocity.horizontal * deltaTime
+    this.positionY = this.positionY + this.velocity.vertical * deltaTime
+    this.timeSinceFirstHit += deltaTime
+
+    // Close 10% of the gap to the target radius every 1/60th of a second.
+    // Expressing the rate per second keeps the shrink speed the same at any step size.
+    if (this.radius > this.targetRadius) {
+      const shrinkFactor = 1 - Math.pow(0.9, deltaTime * 60)
+      this.radius -= (this.radius - this.targetRadius) * shrinkFactor
+    }
   }
 }
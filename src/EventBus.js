@@ -0,0 +1,83 @@
+/**
+ * EventBus — Lets any part of the game react to what happens in a run, without the
+ * simulation knowing who's listening.
+ *
+ * The GameWorld records what happened during each step in world.events (see WorldEvent
+ * in GameWorld.js). After every step, game.js publishes that list here, and each
+ * subscriber hears about the types it asked for:
+ *
+ *   const unsubscribe = bus.on('enemyKilled', (event) => { ... })
+ *   bus.publish(world.events)
+ *   unsubscribe()
+ *
+ * The bus is typed: subscribing to or emitting a type that isn't in EVENT_TYPES throws,
+ * so a misspelt name fails loudly instead of quietly never firing.
+ *
+ * Listeners only ever hear about a step after it's over, so nothing they do can change
+ * how a run plays out — replays stay exact however many listeners there are.
+ */
+
+/** Every event type the GameWorld publishes */
+export const EVENT_TYPES = Object.freeze([
+  'projectileFired',
+  'projectileMissed',
+  'enemyShrunk',
+  'enemyKilled',
+  'bossHit',
+  'levelUp',
+  'playerDied',
+  'playerRevived'
+])
+
+export class EventBus {
+  constructor() {
+    /** @type {Map<string, Array<function(import('./GameWorld.js').WorldEvent): void>>} */
+    this.handlers = new Map(EVENT_TYPES.map((type) => [type, []]))
+  }
+
+  /**
+   * Call a handler every time an event of this type is published.
+   *
+   * @param {string} type - One of EVENT_TYPES.
+   * @param {function(import('./GameWorld.js').WorldEvent): void} handler
+   * @returns {function(): void} Call it to stop listening.
+   */
+  on(type, handler) {
+    this.getHandlers(type).push(handler)
+    return () => this.off(type, handler)
+  }
+
+  /**
+   * Stop calling a handler. Does nothing if it wasn't listening.
+   */
+  off(type, handler) {
+    const handlers = this.getHandlers(type)
+    const index = handlers.indexOf(handler)
+    if (index !== -1) handlers.splice(index, 1)
+  }
+
+  /**
+   * Hand one event to everyone listening for its type.
+   *
+   * @param {import('./GameWorld.js').WorldEvent} event
+   */
+  emit(event) {
+    // A copy, so a handler that unsubscribes itself doesn't make the next one get skipped
+    for (const handler of [...this.getHandlers(event.type)]) handler(event)
+  }
+
+  /**
+   * Emit a whole step's worth of events, in the order they happened.
+   *
+   * @param {import('./GameWorld.js').WorldEvent[]} events
+   */
+  publish(events) {
+    for (const event of events) this.emit(event)
+  }
+
+  getHandlers(type) {
+    const handlers = this.handlers.get(type)
+    if (!handlers) throw new Error(`Unknown game event type "${type}"`)
+    return handlers
+  }
+}
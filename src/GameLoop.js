@@ -0,0 +1,97 @@
+/**
+ * GameLoop — Runs the simulation at a fixed rate no matter how fast the display refreshes.
+ *
+ * requestAnimationFrame fires once per display refresh: ~60 times a second on most laptops,
+ * but 144 times a second on gaming monitors. If we moved everything a fixed amount per frame,
+ * the game would run more than twice as fast on a 144 Hz screen.
+ *
+ * Instead we measure how much real time passed since the last frame and add it to an
+ * "accumulator". We then run as many fixed-size simulation steps as fit into the accumulator.
+ * A 60 Hz display runs about one step per frame, a 144 Hz display runs a step on most frames
+ * but not all, and a slow machine runs two or three steps per frame to catch up.
+ *
+ * Whatever time is left over in the accumulator (less than one step) is passed to the
+ * render callback as an "interpolation" value between 0 and 1. Entities use it to draw
+ * themselves part-way between their previous and current positions, so motion looks smooth
+ * even when the display and the simulation are out of sync.
+ *
+ * Slowing the game down (or speeding it up) only changes how much real time is added to
+ * the accumulator. Every step is still exactly SIMULATION_STEP long, so a run plays out
+ * the same at any speed.
+ *
+ * Further reading: "Fix Your Timestep!" by Glenn Fiedler.
+ */
+
+// The length of one simulation step in seconds. 60 steps per second matches
+// the speed the game was originally tuned for on a 60 Hz display.
+export const SIMULATION_STEP = 1 / 60
+
+// If the tab was in the background or the machine stalled, a single frame could report
+// several seconds of elapsed time. Simulating all of it at once would freeze the game
+// while it catches up (the "spiral of death"), so we cap how much time one frame can add.
+const MAX_FRAME_TIME = 0.25
+
+/**
+ * Blend between an entity's previous and current value for smooth rendering.
+ *
+ * @param {number} previousValue - The value at the end of the previous simulation step.
+ * @param {number} currentValue - The value at the end of the latest simulation step.
+ * @param {number} interpolation - How far between the two steps we are (0 to 1).
+ * @returns {number}
+ */
+export function interpolate(previousValue, currentValue, interpolation) {
+  return previousValue + (currentValue - previousValue) * interpolation
+}
+
+export class GameLoop {
+  /**
+   * @param {function(number): void} update - Advances the simulation by one fixed step (in seconds).
+   * @param {function(number): void} render - Draws the current state, given the interpolation value.
+   */
+  constructor(update, render) {
+    this.update = update
+    this.render = render
+    this.accumulator = 0
+    this.lastTimestamp = null
+    this.frameId = null
+    this.running = false
+
+    // Seconds of simulation per second of real time: 0.5 runs the game at half speed
+    this.speed = 1
+
+    // Arrow function so "this" stays bound when the browser calls it back
+    this.handleFrame = (timestamp) => {
+      if (!this.running) return
+      this.frameId = requestAnimationFrame(this.handleFrame)
+
+      // The very first frame has no previous timestamp to compare against
+      if (this.lastTimestamp === null) this.lastTimestamp = timestamp
+      const frameTime = Math.min((timestamp - this.lastTimestamp) / 1000, MAX_FRAME_TIME)
+      this.lastTimestamp = timestamp
+      this.accumulator += frameTime * this.speed
+
+      // Run as many whole simulation steps as the elapsed time allows.
+      // The update callback may stop the loop (for example on game over),
+      // in which case we bail out immediately instead of simulating further.
+      while (this.accumulator >= SIMULATION_STEP) {
+        this.update(SIMULATION_STEP)
+        this.accumulator -= SIMULATION_STEP
+        if (!this.running) return
+      }
+
+      this.render(this.accumulator / SIMULATION_STEP)
+    }
+  }
+
+  start() {
+    this.running = true
+    this.accumulator = 0
+    this.lastTimestamp = null
+    this.frameId = requestAnimationFrame(this.handleFrame)
+  }
+
+  stop() {
+    this.running = false
+    cancelAnimationFrame(this.frameId)
+  }
+}
@@ -0,0 +1,1624 @@
+/**
+ * GameWorld — The complete game simulation, with no knowledge of the browser.
+ *
+ * The world owns the player, projectiles, enemies and particles, and advances them
+ * one fixed step at a time in step(). Spawning, collision, scoring and level progression
+ * all live here. It never reads the DOM, listens for events or draws anything:
+ *   - Input arrives as a plain "controls" object passed into step()
+ *   - The Renderer reads the world's public fields to draw a frame
+ *
+ * Every random decision goes through a seeded Random generator, so two worlds created
+ * with the same seed and stepped with the same controls play out identically.
+ * That's what replays are built on.
+ *
+ * The world can be bigger than the screen. A Camera follows the player around it, and
+ * enemies spawn just outside the camera's view rather than at the world's edges. Leave
+ * out the view size and the view is the whole world, with a camera that never moves.
+ *
+ * Levels can be scripted (see levels.js and LevelScript.js): waves, enemy mixes, formations
+ * and speed curves written as data. Once those run out — or with none at all — difficulty
+ * follows the endless formula in getSpawnDelay() and getEnemySpeed(). Either way, the
+ * run's Difficulty multiplies how often enemies come and how fast they fly.
+ *
+ * Two players can share the world in co-op. Each gets their own controls, weapons and
+ * score; enemies go after whichever ship is nearest, and the camera keeps both in view.
+ * A player who runs out of health goes down until their partner revives them, and the
+ * run is over once both are down. In versus there's no reviving: each player plays for
+ * the higher score, and whoever goes down stays down.
+ *
+ * Because of that, the whole game can be stepped in Node — for tests, bots and tools:
+ *
+ *   const world = new GameWorld(800, 600, 12345)
+ *   world.step(SIMULATION_STEP, { directionX: 1, directionY: 0, aimX: 800, aimY: 300, fire: true, weaponSlot: -1 })
+ */
+import { Player } from './Player.js'
+import { Projectile } from './Projectile.js'
+import { Enemy } from './Enemy.js'
+import { Particle } from './Particle.js'
+import { ScoreManager } from './ScoreManager.js'
+import { ScorePopup } from './ScorePopup.js'
+import { Random } from './Random.js'
+import { ENEMY_TYPES, pickEnemyType, pickEnemyTypeFromMix } from './enemyTypes.js'
+import { Boss } from './Boss.js'
+import { PowerUp, POWER_UP_TYPES } from './PowerUp.js'
+import { ActivePowerUps } from './ActivePowerUps.js'
+import { SpatialHash } from './SpatialHash.js'
+import { ObjectPool } from './ObjectPool.js'
+import { Camera } from './Camera.js'
+import { LevelScript } from './LevelScript.js'
+
+// Past the scripted levels, the game gets harder every 10 seconds of simulation time
+const LEVEL_DURATION = 10
+
+// Enemies in a scripted formation are spaced this far apart
+const FORMATION_SPACING = 40
+
+// An enemy this far outside the world has missed and is never coming back, so it's
+// quietly removed. Far enough out that a long formation spawning off the world's
+// edge isn't caught by it.
+const ENEMY_ESCAPE_MARGIN = 1000
+
+/**
+ * Multipliers on top of the level's own spawn rate and enemy speed. They can be changed
+ * mid-run by replacing world.difficulty (never by editing it — replays spot a change by
+ * the object being a new one).
+ *
+ * @typedef {Object} Difficulty
+ * @property {number} spawnRate - 2 spawns enemies twice as often, 0.5 half as often.
+ * @property {number} enemySpeed - 2 makes every enemy fly twice as fast.
+ */
+
+/** @type {Difficulty} */
+export const DEFAULT_DIFFICULTY = Object.freeze({ spawnRate: 1, enemySpeed: 1 })
+
+// A boss arrives on every fifth level (5, 10, 15...)
+const BOSS_LEVEL_INTERVAL = 5
+
+// Chance that a destroyed enemy drops a power-up, and how many can be on screen at once
+const POWER_UP_DROP_CHANCE = 0.08
+const MAX_POWER_UPS_ON_SCREEN = 4
+
+// While the slow-motion power-up runs, everything hostile moves at this fraction of its speed
+const SLOW_MOTION_FACTOR = 0.5
+
+// While rapid fire is active, weapons cycle this much faster and don't build up heat
+const RAPID_FIRE_INTERVAL_MULTIPLIER = 0.4
+
+// A shell bursts on impact, or after its fuse runs out, hitting everything within the blast
+const SHELL_FUSE_TIME = 1.6
+const SHELL_BLAST_RADIUS = 70
+const SHELL_BOSS_DAMAGE = 3
+
+// Missiles turn toward the nearest target at this many radians per second, and
+// burn out if they haven't hit anything after MISSILE_LIFETIME seconds
+const MISSILE_TURN_RATE = 4
+const MISSILE_LIFETIME = 3
+
+// After the shield pops, the player can't be hit again for this many seconds
+const SHIELD_GRACE_TIME = 1
+
+// Taking a hit shoves the player away at this speed (px/s) and makes them
+// untouchable for a moment, so one enemy can't drain all their health at once
+const HIT_KNOCKBACK_SPEED = 400
+const HIT_INVULNERABLE_TIME = 1.5
+
+// In co-op, a downed player is revived by their partner staying within REVIVE_RADIUS
+// of them for REVIVE_TIME seconds. Stepping away lets the progress drain back.
+const REVIVE_RADIUS = 60
+export const REVIVE_TIME = 2
+
+// Co-op ships start this far apart, side by side at the center, and each has its own color
+const PLAYER_SPACING = 60
+export const PLAYER_COLORS = ['white', 'hsl(195, 100%, 65%)']
+
+// After losing a life the player reappears at the center, with everything this
+// close wiped away and a longer moment of invulnerability to get their bearings
+const RESPAWN_CLEAR_RADIUS = 200
+const RESPAWN_INVULNERABLE_TIME = 3
+
+// Size of the collision grid's cells, in pixels — about the diameter of a large enemy
+const COLLISION_CELL_SIZE = 64
+
+/**
+ * How many of each entity the world's object pools keep for reuse.
+ * Override them with the poolSizes option, e.g. for a low-memory device or a stress test.
+ *
+ * When a pool runs out, projectiles and enemies are still created — just as throwaway
+ * objects — so the game plays the same whatever the sizes. Particles are only decoration,
+ * so an explosion that finds the particle pool empty simply has fewer sparks.
+ */
+export const DEFAULT_POOL_SIZES = Object.freeze({ particles: 2000, projectiles: 400, enemies: 400 })
+
+/**
+ * Controls for a step where the player does nothing — handy for tests and tools.
+ * @type {Controls}
+ */
+export const IDLE_CONTROLS = Object.freeze({ directionX: 0, directionY: 0, aimX: 0, aimY: 0, fire: false, weaponSlot: -1 })
+
+/**
+ * @typedef {Object} Controls
+ * @property {number} directionX - Horizontal movement (-1 to 1). The direction's length is at
+ *   most 1: keys always give full speed, a gamepad stick pushed part way gives less.
+ * @property {number} directionY - Vertical movement (-1 to 1).
+ * @property {number} aimX - World X position the player is aiming at.
+ * @property {number} aimY - World Y position the player is aiming at.
+ * @property {boolean} fire - Whether the trigger is held. The current weapon fires toward the
+ *   aim point whenever its cooldown allows, so holding it down fires continuously.
+ * @property {number} [weaponSlot] - Index into WEAPON_ORDER to switch to this step, or -1 to keep the current weapon.
+ */
+
+/**
+ * Something that happened during a step, for the parts of the game outside the
+ * simulation to react to — sound effects, for instance. The world only records them;
+ * it never reads them back, so listening can't change how a run plays out.
+ *
+ * @typedef {Object} WorldEvent
+ * @property {'projectileFired'|'projectileMissed'|'enemyShrunk'|'enemyKilled'|'bossHit'|'levelUp'|'playerDied'|'playerRevived'} type
+ * @property {number} [positionX] - Where it happened, for events that happen somewhere.
+ * @property {number} [positionY]
+ * @property {number} [radius] - enemyShrunk: the size it's shrinking to. enemyKilled: the size it spawned at.
+ * @property {string} [color] - enemyShrunk, enemyKilled, bossHit: the color of what was hit.
+ * @property {string} [weaponKind] - projectileFired: which weapon fired.
+ * @property {boolean} [isBoss] - enemyKilled: true when it was a boss.
+ * @property {number} [level] - levelUp: the level just reached.
+ * @property {number} [playerIndex] - projectileFired, projectileMissed, enemyKilled, playerDied, playerRevived: which player.
+ * @property {number} [livesLeft] - playerDied: lives remaining (0 means game over). In co-op,
+ *   the number of players still up instead.
+ */
+
+export class GameWorld {
+  /**
+   * @param {number} width - Width of the whole world in pixels.
+   * @param {number} height - Height of the whole world in pixels.
+   * @param {number} [seed] - Seed for all randomness. A fresh one is picked if omitted.
+   * @param {Object} [options]
+   * @param {number} [options.viewWidth] - Width of the part the camera shows. Defaults to the whole world.
+   * @param {number} [options.viewHeight] - Height of the part the camera shows. Defaults to the whole world.
+   * @param {import('./levels.js').LevelDefinition[]} [options.levels] - Scripted levels to play
+   *   before the endless ones, already validated.
+   * @param {Partial<typeof DEFAULT_POOL_SIZES>} [options.poolSizes] - Caps for the object pools.
+   * @param {number} [options.playerCount] - 2 for a co-op or versus run.
+   * @param {boolean} [options.isVersus] - With two players, compete instead of cooperating.
+   * @param {Difficulty} [options.difficulty] - How hard the run starts out.
+   */
+  constructor(width, height, seed, {
+    viewWidth = width,
+    viewHeight = height,
+    levels = [],
+    poolSizes = {},
+    playerCount = 1,
+    isVersus = false,
+    difficulty = DEFAULT_DIFFICULTY
+  } = {}) {
+    this.width = width
+    this.height = height
+    this.random = new Random(seed)
+    this.seed = this.random.seed
+
+    // Create the players side by side at the center of the world, with the camera already on them
+    this.players = Array.from({ length: playerCount }, (unused, index) => new Player(
+      width / 2 + (index - (playerCount - 1) / 2) * PLAYER_SPACING,
+      height / 2,
+      10,
+      PLAYER_COLORS[index],
+      index
+    ))
+    this.camera = new Camera(viewWidth, viewHeight)
+    this.camera.snapTo(...this.getPlayersCenter(), width, height)
+    this.scoreManager = new ScoreManager(playerCount)
+    this.isVersus = isVersus
+
+    // Every enemy, projectile and power-up gets a number that's never reused, even when
+    // the object itself comes back from a pool. The simulation doesn't need it; online
+    // play uses it to tell entities apart from one network snapshot to the next.
+    this.nextEntityId = 1
+
+    // These arrays hold all active projectiles, enemies, and explosion particles.
+    // Entities are added when created and removed when they collide, leave the world, or fade out.
+    this.projectiles = []
+    this.enemies = []
+    this.particles = []
+    // Floating "+N" labels showing how many points each hit earned
+    this.scorePopups = []
+
+    // ─── Object Pools ─────────────────────────────────────────────────
+    // Entities removed from the arrays above go back to these pools, and new ones
+    // are taken from them, so long runs don't keep feeding the garbage collector.
+    const sizes = { ...DEFAULT_POOL_SIZES, ...poolSizes }
+    this.particlePool = new ObjectPool(() => new Particle(), { maxSize: sizes.particles, allocateWhenFull: false })
+    this.projectilePool = new ObjectPool(() => new Projectile(), { maxSize: sizes.projectiles })
+    this.enemyPool = new ObjectPool(() => new Enemy(), { maxSize: sizes.enemies })
+
+    // ─── Collision Broad-Phase ────────────────────────────────────────
+    // Enemies are filed into a grid each step, so the player and each projectile
+    // only test the enemies near them instead of every enemy in the world.
+    this.enemyGrid = new SpatialHash(COLLISION_CELL_SIZE)
+    // Reused for every grid query, so the collision pass doesn't allocate
+    this.nearbyEnemies = []
+
+    // ─── Boss Waves ───────────────────────────────────────────────────
+    // While a boss is alive, normal spawning and the level timer are paused.
+    // Its bullets are kept apart from the player's projectiles because they
+    // hurt the player instead of enemies.
+    this.boss = null
+    this.bossesDefeated = 0
+    this.enemyBullets = []
+
+    // ─── Power-Ups ────────────────────────────────────────────────────
+    // Pickups floating in the world, and the effects the player has collected
+    this.powerUps = []
+    this.activePowerUps = new ActivePowerUps()
+
+    // ─── Difficulty Progression ───────────────────────────────────────
+    // Each level makes enemies spawn faster and move quicker, creating a natural
+    // escalation that keeps the player engaged and challenged.
+    //
+    // Both the level and spawn timers count simulation time (the sum of all
+    // fixed steps), not wall-clock time, so they stay in lockstep with how far
+    // enemies have actually moved — whatever the display's refresh rate.
+    this.currentLevel = 1
+    this.levelElapsed = 0
+    this.difficulty = difficulty
+
+    // The scripted levels, and the script for the current one — null once
+    // they've run out and the endless formula has taken over
+    this.levels = levels
+    this.levelScript = null
+    // When the current level began, in elapsedTime — the Renderer shows a level's name for a moment
+    this.levelStartTime = 0
+
+    // A countdown of simulation time until the next enemy appears. It's re-read
+    // from getSpawnDelay() after every spawn, so as the level increases enemies
+    // spawn more frequently without needing to restart anything.
+    this.spawnCountdown = this.getSpawnDelay()
+
+    // Total simulation time survived so far, in seconds
+    this.elapsedTime = 0
+
+    // Set when the player loses a life mid-step; they respawn once the step is done
+    this.isRespawnPending = false
+
+    // Set once the player's last life is lost. The world stops changing after that.
+    this.isGameOver = false
+
+    // A developer switch (see DevConsole.js): nothing can hurt the players while it's on
+    this.isGodMode = false
+
+    // Fraction of each explosion's particles that are actually created (see spawnExplosion).
+    // Purely for show, so it can be lowered for reduced motion without changing the run.
+    this.particleDensity = 1
+
+    // What happened during the latest step (see WorldEvent). Emptied at the start of each step.
+    /** @type {WorldEvent[]} */
+    this.events = []
+
+    this.beginLevel()
+  }
+
+  /** The first player — the only one outside co-op */
+  get player() {
+    return this.players[0]
+  }
+
+  /** True when two players share the world, in co-op or versus */
+  get isMultiplayer() {
+    return this.players.length > 1
+  }
+
+  /**
+   * The point halfway between the players, which the camera follows.
+   *
+   * @returns {[number, number]}
+   */
+  getPlayersCenter() {
+    let sumX = 0
+    let sumY = 0
+    for (const player of this.players) {
+      sumX += player.positionX
+      sumY += player.positionY
+    }
+    return [sumX / this.players.length, sumY / this.players.length]
+  }
+
+  /**
+   * The player an enemy at this point goes after: the nearest one who isn't downed.
+   *
+   * @returns {Player}
+   */
+  getTarget(positionX, positionY) {
+    let nearestPlayer = this.players[0]
+    let nearestDistance = Infinity
+    for (const player of this.players) {
+      if (player.isDowned) continue
+      const distance = Math.hypot(player.positionX - positionX, player.positionY - positionY)
+      if (distance < nearestDistance) {
+        nearestPlayer = player
+        nearestDistance = distance
+      }
+    }
+    return nearestPlayer
+  }
+
+  /**
+   * Calculate how often enemies spawn at the current level, in seconds.
+   * Starts at 1 second and decreases by 0.075s each level,
+   * but never goes below 0.2s — that's already 5 enemies per second
+   * which is plenty overwhelming. The difficulty's spawn rate shortens or stretches it.
+   */
+  getSpawnDelay() {
+    return Math.max(0.2, 1 - (this.currentLevel - 1) * 0.075) / this.difficulty.spawnRate
+  }
+
+  /**
+   * Calculate how fast enemies move at the current level, in pixels per second.
+   * Starts at 60 px/s and increases by 12 px/s each level.
+   * By level 5, enemies move at 1.8x speed — noticeably faster
+   * but still dodgeable for a skilled player.
+   * A scripted level reads the speed off its own curve instead.
+   * Either way, the difficulty's enemy speed multiplies it.
+   */
+  getEnemySpeed() {
+    const levelSpeed = this.levelScript ? this.levelScript.getEnemySpeed() : 60 + (this.currentLevel - 1) * 12
+    return levelSpeed * this.difficulty.enemySpeed
+  }
+
+  /**
+   * Advance the whole simulation by one fixed step.
+   *
+   * @param {number} deltaTime - Length of the step in seconds.
+   * @param {Controls|Controls[]} [controls] - What the player is doing during this step.
+   *   In co-op, an array with one entry per player.
+   */
+  step(deltaTime, controls = IDLE_CONTROLS) {
+    this.events.length = 0
+    if (this.isGameOver) return
+    this.elapsedTime += deltaTime
+    this.activePowerUps.update(deltaTime)
+
+    // Slow motion only slows down what's hostile. The player, their shots and
+    // the level clock keep running at full speed.
+    const hostileDeltaTime = this.activePowerUps.isActive('slow')
+      ? deltaTime * SLOW_MOTION_FACTOR
+      : deltaTime
+
+    // Move each player based on which keys are currently pressed, and let them fire.
+    // A downed player can't do either until they're revived.
+    const controlsList = Array.isArray(controls) ? controls : [controls]
+    this.players.forEach((player, index) => {
+      const playerControls = player.isDowned ? IDLE_CONTROLS : controlsList[index] ?? IDLE_CONTROLS
+      player.update(playerControls, this.width, this.height, deltaTime)
+      if (playerControls.weaponSlot >= 0) player.selectWeapon(playerControls.weaponSlot)
+      this.updateWeapons(player, deltaTime, playerControls)
+    })
+
+    // The camera follows the players — in co-op it follows the middle of the pair,
+    // and neither ship can leave the view, so they can't lose sight of each other
+    this.camera.follow(...this.getPlayersCenter(), this.width, this.height, deltaTime)
+    if (this.isMultiplayer) {
+      this.keepPlayersInView()
+      if (!this.isVersus) this.updateRevives(deltaTime)
+    }
+
+    this.updateProjectiles(deltaTime)
+    this.updateParticles(deltaTime)
+    this.updateScorePopups(deltaTime)
+    this.updatePowerUps(deltaTime)
+    this.updateEnemies(hostileDeltaTime)
+    this.updateBoss(hostileDeltaTime)
+    this.updateEnemyBullets(hostileDeltaTime)
+    if (this.isRespawnPending) this.respawnPlayer()
+    this.removeDestroyedEnemies()
+    this.removeSpentProjectiles()
+    if (this.isGameOver) return
+
+    this.scoreManager.update(deltaTime)
+    this.updateSpawnTimer(hostileDeltaTime)
+    this.updateLevelTimer(deltaTime)
+  }
+
+  updateLevelTimer(deltaTime) {
+    // The clock stops during a boss fight — the level only moves on once it's beaten
+    if (this.boss) return
+
+    this.levelElapsed += deltaTime
+    if (this.levelScript) {
+      const enemiesLeft = this.enemies.filter((enemy) => !enemy.isDestroyed).length
+      if (this.levelScript.isComplete(this.levelElapsed, enemiesLeft)) {
+        this.levelElapsed = 0
+        this.advanceLevel()
+      }
+    } else if (this.levelElapsed >= LEVEL_DURATION) {
+      this.levelElapsed -= LEVEL_DURATION
+      this.advanceLevel()
+    }
+  }
+
+  advanceLevel() {
+    this.currentLevel++
+    this.scoreManager.setLevel(this.currentLevel)
+    this.events.push({ type: 'levelUp', level: this.currentLevel })
+    this.beginLevel()
+  }
+
+  /**
+   * Set up the level that's just started: load its script if there is one, and bring
+   * on the boss if it has one. Past the scripted levels a boss comes every fifth level.
+   */
+  beginLevel() {
+    const definition = this.levels[this.currentLevel - 1]
+    const wasScripted = this.levelScript !== null
+    this.levelScript = definition ? new LevelScript(definition) : null
+    this.levelStartTime = this.elapsedTime
+
+    if (this.levelScript) {
+      if (definition.boss) this.spawnBoss()
+    } else {
+      // Coming off the last scripted level, the endless spawn timer starts fresh
+      if (wasScripted) this.spawnCountdown = this.getSpawnDelay()
+      if (this.currentLevel % BOSS_LEVEL_INTERVAL === 0) this.spawnBoss()
+    }
+  }
+
+  updateSpawnTimer(deltaTime) {
+    // Regular enemies hold off while a boss is on screen (it summons its own minions)
+    if (this.boss) return
+
+    if (this.levelScript) {
+      for (const wave of this.levelScript.update(deltaTime, this.difficulty.spawnRate)) this.spawnWaveGroup(wave)
+      return
+    }
+
+    this.spawnCountdown -= deltaTime
+    if (this.spawnCountdown <= 0) {
+      this.spawnOneEnemy()
+      this.spawnCountdown += this.getSpawnDelay()
+    }
+  }
+
+  // ─── Enemy Spawning ─────────────────────────────────────────────
+  spawnOneEnemy() {
+    // Which kinds of enemy can appear depends on the level — see enemyTypes.js
+    const enemyType = pickEnemyType(this.currentLevel, this.random)
+
+    // Random radius between 4 and 30 pixels — bigger enemies are harder to destroy.
+    // Some types need a minimum size to work (a splitter has to be big enough to split).
+    const [minimumRadius, maximumRadius] = enemyType.radiusRange ?? [4, 30]
+    const radius = this.random.range(minimumRadius, maximumRadius)
+
+    let spawnX
+    let spawnY
+
+    // Randomly choose whether the enemy appears on a vertical edge (left/right)
+    // or a horizontal edge (top/bottom) of the camera's view. This gives an even
+    // spread around the player, wherever they are in the world.
+    const { camera } = this
+    const viewLeft = camera.positionX
+    const viewTop = camera.positionY
+    const viewRight = viewLeft + camera.viewWidth
+    const viewBottom = viewTop + camera.viewHeight
+    if (this.random.chance(0.5)) {
+      // Spawn on left or right edge — offset by radius so the enemy starts fully off-screen
+      spawnX = this.random.chance(0.5) ? viewLeft - radius : viewRight + radius
+      spawnY = this.random.range(viewTop, viewBottom)
+    } else {
+      // Spawn on top or bottom edge
+      spawnX = this.random.range(viewLeft, viewRight)
+      spawnY = this.random.chance(0.5) ? viewTop - radius : viewBottom + radius
+    }
+
+    return this.launchEnemy(enemyType, spawnX, spawnY, radius, this.getEnemySpeed())
+  }
+
+  /**
+   * Give a freshly placed enemy its color and send it toward the player.
+   *
+   * @param {import('./enemyTypes.js').EnemyBehaviour} enemyType
+   * @param {number} spawnX - Where it starts, usually just outside the view.
+   * @param {number} spawnY
+   * @param {number} radius
+   * @param {number} enemySpeed - In pixels per second.
+   * @param {number} [angle] - Direction to fly in. Defaults to straight at the nearest player.
+   */
+  launchEnemy(enemyType, spawnX, spawnY, radius, enemySpeed, angle) {
+    // Each enemy gets a unique hue using HSL color space.
+    // A random hue angle (0-360 on the color wheel) gives each one its own color.
+    const color = `hsl(${this.random.range(0, 360)}, 50%, 50%)`
+
+    // Calculate the angle from the spawn point toward the player's CURRENT position.
+    // Math.atan2(deltaY, deltaX) returns the angle in radians between the positive X axis
+    // and the line from the origin to the point (deltaX, deltaY).
+    // We aim at the player's position at spawn time — enemies do NOT track the player
+    // after spawning. This makes their paths predictable so the player can dodge.
+    // In co-op, each enemy picks whichever player is closer to where it appears.
+    const target = this.getTarget(spawnX, spawnY)
+    const angleToPlayer = angle ?? Math.atan2(
+      target.positionY - spawnY,
+      target.positionX - spawnX
+    )
+
+    // Convert the angle to a velocity vector, scaled by the current level's speed.
+    // cos(angle) gives the horizontal component, sin(angle) gives the vertical component.
+    // Together they create a unit vector (length 1) pointing toward the player,
+    // then multiplied by the speed factor so higher levels produce faster enemies.
+    const velocity = {
+      horizontal: Math.cos(angleToPlayer) * enemySpeed,
+      vertical: Math.sin(angleToPlayer) * enemySpeed
+    }
+
+    return this.createEnemy(spawnX, spawnY, radius, color, velocity, enemyType.name)
+  }
+
+  /**
+   * Spawn one group from a scripted wave: pick an edge of the view and a point along it,
+   * arrange the group's enemies in the wave's formation around that point, and send them
+   * all toward the player in parallel so the formation holds its shape as it flies in.
+   *
+   * @param {import('./levels.js').WaveDefinition} wave
+   */
+  spawnWaveGroup(wave) {
+    const { camera } = this
+    const edge = wave.edges[Math.floor(this.random.range(0, wave.edges.length))]
+    const along = this.random.range(0, 1)
+
+    // The anchor sits just outside the chosen edge of the view
+    const margin = 30
+    const viewLeft = camera.positionX
+    const viewTop = camera.positionY
+    const anchorX = edge === 'left' ? viewLeft - margin
+      : edge === 'right' ? viewLeft + camera.viewWidth + margin
+        : viewLeft + along * camera.viewWidth
+    const anchorY = edge === 'top' ? viewTop - margin
+      : edge === 'bottom' ? viewTop + camera.viewHeight + margin
+        : viewTop + along * camera.viewHeight
+
+    // Everyone flies the direction from the anchor to the nearest player. Formation offsets
+    // are measured along that direction ("forward") and across it ("side"); negative forward
+    // offsets sit further back, outside the view.
+    const player = this.getTarget(anchorX, anchorY)
+    const angle = Math.atan2(player.positionY - anchorY, player.positionX - anchorX)
+    const forwardX = Math.cos(angle)
+    const forwardY = Math.sin(angle)
+    const enemySpeed = this.getEnemySpeed() * wave.speedMultiplier
+
+    getFormationOffsets(wave.formation, wave.groupSize).forEach(([forward, side]) => {
+      const enemyType = pickEnemyTypeFromMix(wave.enemies, this.random)
+      const [minimumRadius, maximumRadius] = wave.radius ?? enemyType.radiusRange ?? [4, 30]
+      const radius = this.random.range(minimumRadius, maximumRadius)
+      const spawnX = anchorX + forwardX * forward - forwardY * side
+      const spawnY = anchorY + forwardY * forward + forwardX * side
+      this.launchEnemy(enemyType, spawnX, spawnY, radius, enemySpeed, angle)
+    })
+  }
+
+  /**
+   * Take an enemy from the pool, set it up and add it to the world.
+   * Takes the same arguments as the Enemy constructor.
+   */
+  createEnemy(positionX, positionY, radius, color, velocity, type) {
+    const enemy = this.enemyPool.acquire()
+    enemy.init(positionX, positionY, radius, color, velocity, type)
+    enemy.id = this.nextEntityId++
+    this.enemies.push(enemy)
+    return enemy
+  }
+
+  /**
+   * Take a projectile from the pool, set it up and add it to the given array
+   * (the player's projectiles or the boss's bullets).
+   * Takes the same arguments as the Projectile constructor.
+   */
+  createProjectile(projectiles, positionX, positionY, radius, color, velocity, kind) {
+    const projectile = this.projectilePool.acquire()
+    projectile.init(positionX, positionY, radius, color, velocity, kind)
+    projectile.id = this.nextEntityId++
+    projectiles.push(projectile)
+    return projectile
+  }
+
+  /**
+   * Break a destroyed splitter into small, fast drifters that fan out
+   * from its direction of travel.
+   */
+  splitEnemy(enemy) {
+    const { splitCount } = enemy.behaviour
+    const heading = Math.atan2(enemy.velocity.vertical, enemy.velocity.horizontal)
+    const fragmentSpeed = enemy.speed * 1.2
+
+    for (let index = 0; index < splitCount; index++) {
+      // Spread the fragments evenly across a 70° fan centred on the heading
+      const spread = splitCount > 1 ? (index / (splitCount - 1) - 0.5) * (Math.PI * 7 / 18) : 0
+      const velocity = {
+        horizontal: Math.cos(heading + spread) * fragmentSpeed,
+        vertical: Math.sin(heading + spread) * fragmentSpeed
+      }
+      this.createEnemy(enemy.positionX, enemy.positionY, 8, enemy.color, velocity)
+    }
+  }
+
+  // ─── Particle Explosion ────────────────────────────────────────
+  // When a projectile hits an enemy, we create a burst of tiny particles
+  // at the collision point. Each particle flies in a random direction,
+  // matching the enemy's color so it looks like the enemy is shattering.
+  //
+  // More particles = bigger visual impact:
+  //   - Shrink hit (enemy survives): 8 particles — a small "chip" effect
+  //   - Kill hit (enemy destroyed):  24 particles — a satisfying explosion
+  //
+  // With a particleDensity below 1, only that share of the particles is created.
+  spawnExplosion(positionX, positionY, color, particleCount) {
+    const keptCount = Math.ceil(particleCount * this.particleDensity)
+    for (let index = 0; index < particleCount; index++) {
+      // Each particle flies in a random direction (0 to 2π radians = full circle)
+      const randomAngle = this.random.range(0, Math.PI * 2)
+      // Random speed between 60 and 360 px/s gives variety — some particles fly far,
+      // others stay close, making the explosion look organic rather than uniform
+      const randomSpeed = this.random.range(60, 360)
+      const velocity = {
+        horizontal: Math.cos(randomAngle) * randomSpeed,
+        vertical: Math.sin(randomAngle) * randomSpeed
+      }
+      // Particle radius between 1 and 3 pixels — small enough to look like debris
+      const particleRadius = this.random.range(1, 3)
+
+      // The random numbers above are drawn even when the pool is empty (or the particle
+      // is left out), so how many particles fit never changes what the seeded generator
+      // produces next
+      if (index >= keptCount) continue
+      const particle = this.particlePool.acquire()
+      if (!particle) continue
+      particle.init(positionX, positionY, particleRadius, color, velocity)
+      this.particles.push(particle)
+    }
+  }
+
+  // ─── Firing Projectiles ─────────────────────────────────────────
+  /**
+   * Switch the first player to another weapon. Out-of-range slots are ignored.
+   *
+   * @param {number} slot - Index into WEAPON_ORDER.
+   */
+  selectWeapon(slot) {
+    this.player.selectWeapon(slot)
+  }
+
+  /**
+   * Cool every one of a player's weapons down, then fire the current one if the
+   * trigger is held and its cooldown and heat allow it.
+   *
+   * @param {Player} player
+   * @param {number} deltaTime
+   * @param {Controls} controls - That player's controls.
+   */
+  updateWeapons(player, deltaTime, controls) {
+    for (const weapon of player.weapons) weapon.update(deltaTime)
+
+    const weapon = player.currentWeapon
+    if (!controls.fire || !weapon.canFire) return
+
+    const isRapidFire = this.activePowerUps.isActive('rapid')
+    weapon.fire(isRapidFire ? RAPID_FIRE_INTERVAL_MULTIPLIER : 1, !isRapidFire)
+    this.fireProjectile(controls.aimX, controls.aimY, player)
+  }
+
+  /**
+   * Fire a player's current weapon toward a target point — one projectile
+   * normally, or a fan of three while the spread power-up is active.
+   * This ignores the weapon's cooldown and heat; updateWeapons() checks those.
+   *
+   * @param {number} targetX
+   * @param {number} targetY
+   * @param {Player} [player] - Who's firing. Defaults to the first player.
+   * @returns {Projectile[]} The projectiles that were created.
+   */
+  fireProjectile(targetX, targetY, player = this.player) {
+    const weaponType = player.currentWeapon.type
+    // One event per trigger pull, even when the spread power-up fires three shots
+    this.events.push({
+      type: 'projectileFired',
+      weaponKind: player.currentWeapon.kind,
+      positionX: player.positionX,
+      positionY: player.positionY,
+      playerIndex: player.index
+    })
+
+    // Calculate the angle from the player's current position to the target.
+    // Math.atan2 returns the angle in radians, which we then convert
+    // to horizontal and vertical velocity components using cos and sin.
+    const angleToTarget = Math.atan2(
+      targetY - player.positionY,
+      targetX - player.positionX
+    )
+
+    // Spread shot adds two extra projectiles angled 15° either side
+    const spreadAngle = Math.PI / 12
+    const angles = this.activePowerUps.isActive('spread')
+      ? [angleToTarget - spreadAngle, angleToTarget, angleToTarget + spreadAngle]
+      : [angleToTarget]
+
+    return angles.map((angle) => {
+      // Multiply the unit direction vector by the weapon's projectile speed
+      // in pixels per second. Higher multiplier = faster projectiles.
+      const velocity = {
+        horizontal: Math.cos(angle) * weaponType.projectileSpeed,
+        vertical: Math.sin(angle) * weaponType.projectileSpeed
+      }
+
+      // Projectile starts at the player's current position
+      const projectile = this.createProjectile(
+        this.projectiles,
+        player.positionX,
+        player.positionY,
+        weaponType.projectileRadius,
+        weaponType.color,
+        velocity,
+        weaponType.projectileKind
+      )
+      projectile.ownerIndex = player.index
+      return projectile
+    })
+  }
+
+  /**
+   * Burst a shell, damaging every enemy that overlaps the blast — shields don't
+   * help against an explosion — and the boss too if it's caught in it.
+   */
+  explodeShell(shell) {
+    const { positionX, positionY } = shell
+    this.spawnExplosion(positionX, positionY, shell.color, 30)
+    let hitAnything = false
+
+    // Only enemies that existed before the blast — a splitter's fragments
+    // appear at its center and shouldn't be destroyed by the same blast
+    const enemyCount = this.enemies.length
+    for (let enemyIndex = 0; enemyIndex < enemyCount; enemyIndex++) {
+      const enemy = this.enemies[enemyIndex]
+      if (enemy.isDestroyed) continue
+
+      const distance = Math.hypot(enemy.positionX - positionX, enemy.positionY - positionY)
+      if (distance - enemy.radius < SHELL_BLAST_RADIUS) {
+        this.damageEnemy(enemy, shell.ownerIndex)
+        hitAnything = true
+      }
+    }
+
+    const { boss } = this
+    if (boss && Math.hypot(boss.positionX - positionX, boss.positionY - positionY) - boss.radius < SHELL_BLAST_RADIUS) {
+      this.damageBoss(positionX, positionY, SHELL_BOSS_DAMAGE, shell.ownerIndex)
+      hitAnything = true
+    }
+
+    if (!hitAnything) this.recordMiss(shell)
+  }
+
+  /**
+   * The enemy or boss closest to a point — what a missile homes in on.
+   *
+   * @returns {Enemy|Boss|null} Null if there's nothing to chase.
+   */
+  findNearestTarget(positionX, positionY) {
+    let nearestTarget = null
+    let nearestDistance = Infinity
+
+    for (const target of this.boss ? [...this.enemies, this.boss] : this.enemies) {
+      if (target.isDestroyed) continue
+      const distance = Math.hypot(target.positionX - positionX, target.positionY - positionY)
+      if (distance < nearestDistance) {
+        nearestTarget = target
+        nearestDistance = distance
+      }
+    }
+    return nearestTarget
+  }
+
+  // ─── Player Damage ──────────────────────────────────────────────
+  /**
+   * Something hostile touched a player. A shield soaks up the hit; otherwise
+   * it costs one point of health and knocks the player away from the source.
+   * Running out of health costs a life, and losing the last life ends the game.
+   * In co-op it downs the player instead, and the game ends once both are down.
+   *
+   * @param {Player} player - Who was hit.
+   * @param {number} sourceX - Where the hit came from, for the knockback direction.
+   * @param {number} sourceY
+   * @returns {boolean} True if the hit landed, false if the player was invulnerable
+   *   (or already down) and it passed straight through. Check isGameOver to see
+   *   whether it was fatal.
+   */
+  hitPlayer(player, sourceX, sourceY) {
+    if (player.invulnerableTime > 0 || player.isDowned || this.isGodMode) return false
+
+    if (this.activePowerUps.consumeShield()) {
+      player.invulnerableTime = SHIELD_GRACE_TIME
+      this.spawnExplosion(player.positionX, player.positionY, POWER_UP_TYPES.shield.color, 16)
+      return true
+    }
+
+    // A hit also breaks the combo
+    this.scoreManager.resetCombo()
+    this.spawnExplosion(player.positionX, player.positionY, player.color, 12)
+
+    const isOutOfHealth = player.takeHit(1, sourceX, sourceY, HIT_KNOCKBACK_SPEED)
+    if (!isOutOfHealth) {
+      player.invulnerableTime = HIT_INVULNERABLE_TIME
+      return true
+    }
+
+    this.spawnExplosion(player.positionX, player.positionY, player.color, 40)
+    if (this.isMultiplayer) {
+      this.downPlayer(player)
+      return true
+    }
+
+    const hasLivesLeft = player.loseLife()
+    this.events.push({
+      type: 'playerDied',
+      livesLeft: player.lives,
+      positionX: player.positionX,
+      positionY: player.positionY,
+      playerIndex: player.index
+    })
+    if (hasLivesLeft) {
+      // The move to the center waits until the end of the step, when no
+      // loop is halfway through the arrays the respawn clears
+      player.invulnerableTime = RESPAWN_INVULNERABLE_TIME
+      this.isRespawnPending = true
+    } else {
+      this.isGameOver = true
+    }
+    return true
+  }
+
+  /**
+   * Co-op: a player ran out of health. They stay where they fell until their partner
+   * revives them — unless the partner is already down too, which ends the run.
+   * In versus nobody comes to help, but the run still lasts until both are down.
+   */
+  downPlayer(player) {
+    player.goDown()
+    const playersUp = this.players.filter((other) => !other.isDowned).length
+    this.events.push({
+      type: 'playerDied',
+      livesLeft: playersUp,
+      positionX: player.positionX,
+      positionY: player.positionY,
+      playerIndex: player.index
+    })
+    if (playersUp === 0) this.isGameOver = true
+  }
+
+  /**
+   * Co-op: fill the revive meter of each downed player whose partner is beside them,
+   * and drain it while nobody is. A full meter brings them back with full health.
+   */
+  updateRevives(deltaTime) {
+    for (const player of this.players) {
+      if (!player.isDowned) continue
+
+      const isPartnerNear = this.players.some((partner) => !partner.isDowned &&
+        Math.hypot(partner.positionX - player.positionX, partner.positionY - player.positionY) < REVIVE_RADIUS)
+      player.reviveProgress = isPartnerNear
+        ? player.reviveProgress + deltaTime
+        : Math.max(0, player.reviveProgress - deltaTime)
+      if (player.reviveProgress < REVIVE_TIME) continue
+
+      player.revive()
+      player.invulnerableTime = RESPAWN_INVULNERABLE_TIME
+      this.scorePopups.push(new ScorePopup(player.positionX, player.positionY - 30, 'REVIVED', ''))
+      this.events.push({ type: 'playerRevived', positionX: player.positionX, positionY: player.positionY, playerIndex: player.index })
+    }
+  }
+
+  /**
+   * Co-op: hold both ships inside the camera's view.
+   */
+  keepPlayersInView() {
+    const { camera } = this
+    for (const player of this.players) {
+      player.positionX = Math.max(camera.positionX + player.radius,
+        Math.min(camera.positionX + camera.viewWidth - player.radius, player.positionX))
+      player.positionY = Math.max(camera.positionY + player.radius,
+        Math.min(camera.positionY + camera.viewHeight - player.radius, player.positionY))
+    }
+  }
+
+  /**
+   * Bring the player back at the center for their next life, with a safe start:
+   * every enemy and bullet nearby is blown away (no points for those), and
+   * a warning pops up if this is their last life.
+   */
+  respawnPlayer() {
+    const { player } = this
+    this.isRespawnPending = false
+    player.respawn(this.width / 2, this.height / 2)
+    this.camera.snapTo(player.positionX, player.positionY, this.width, this.height)
+
+    const isNearCenter = (entity) =>
+      Math.hypot(entity.positionX - player.positionX, entity.positionY - player.positionY) - entity.radius < RESPAWN_CLEAR_RADIUS
+
+    for (const enemy of this.enemies) {
+      if (enemy.isDestroyed || !isNearCenter(enemy)) continue
+      enemy.isDestroyed = true
+      this.spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 12)
+    }
+    for (const bullet of this.enemyBullets) {
+      if (isNearCenter(bullet)) bullet.isSpent = true
+    }
+
+    if (player.isOnLastLife) {
+      this.scorePopups.push(new ScorePopup(player.positionX, player.positionY - 30, 'LAST LIFE', ''))
+    }
+  }
+
+  // ─── Power-Ups ──────────────────────────────────────────────────
+  /**
+   * Sometimes leave a power-up where an enemy was destroyed.
+   */
+  maybeDropPowerUp(positionX, positionY) {
+    if (this.powerUps.length >= MAX_POWER_UPS_ON_SCREEN) return
+    if (!this.random.chance(POWER_UP_DROP_CHANCE)) return
+
+    // Weighted pick, the same way enemy types are chosen
+    const kinds = Object.keys(POWER_UP_TYPES)
+    const totalWeight = kinds.reduce((sum, kind) => sum + POWER_UP_TYPES[kind].weight, 0)
+    let roll = this.random.range(0, totalWeight)
+    let kind = kinds[kinds.length - 1]
+    for (const candidate of kinds) {
+      roll -= POWER_UP_TYPES[candidate].weight
+      if (roll < 0) {
+        kind = candidate
+        break
+      }
+    }
+
+    // Drift off in a random direction at a lazy 30 px/s
+    const driftAngle = this.random.range(0, Math.PI * 2)
+    const velocity = { horizontal: Math.cos(driftAngle) * 30, vertical: Math.sin(driftAngle) * 30 }
+    const powerUp = new PowerUp(positionX, positionY, kind, velocity)
+    powerUp.id = this.nextEntityId++
+    this.powerUps.push(powerUp)
+  }
+
+  // ── Update power-up pickups ──
+  // Power-ups work for the whole team, so either player can grab them
+  updatePowerUps(deltaTime) {
+    for (let powerUpIndex = this.powerUps.length - 1; powerUpIndex >= 0; powerUpIndex--) {
+      const powerUp = this.powerUps[powerUpIndex]
+      powerUp.update(deltaTime, this.width, this.height)
+
+      const collector = this.players.find((player) => !player.isDowned &&
+        Math.hypot(player.positionX - powerUp.positionX, player.positionY - powerUp.positionY) - player.radius - powerUp.radius < 1)
+      if (collector) {
+        this.powerUps.splice(powerUpIndex, 1)
+        this.collectPowerUp(powerUp, collector)
+      }
+    }
+  }
+
+  collectPowerUp(powerUp, collector = this.player) {
+    // Announce what was picked up with a popup, in place of a score
+    this.scorePopups.push(new ScorePopup(powerUp.positionX, powerUp.positionY, powerUp.type.label, ''))
+
+    if (powerUp.kind === 'bomb') {
+      this.detonateBomb(collector.index)
+    } else {
+      this.activePowerUps.activate(powerUp.kind)
+    }
+  }
+
+  /**
+   * Destroy every regular enemy and boss bullet at once. Each enemy still
+   * scores as a kill (and chains into a huge multi-kill), but splitters don't
+   * split — the bomb leaves nothing behind. A boss takes heavy damage instead.
+   *
+   * @param {number} [playerIndex] - Who picked the bomb up, and so earns the points.
+   */
+  detonateBomb(playerIndex = 0) {
+    for (const enemy of this.enemies) {
+      if (enemy.isDestroyed) continue
+      const award = this.scoreManager.addKillPoints(enemy, playerIndex)
+      this.showScorePopup(enemy.positionX, enemy.positionY, award)
+      this.spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 12)
+      this.recordKill(enemy, playerIndex)
+      enemy.isDestroyed = true
+    }
+    for (const bullet of this.enemyBullets) bullet.isSpent = true
+
+    if (this.boss) {
+      this.boss.takeHit(5)
+      if (this.boss.isDefeated) this.defeatBoss(playerIndex)
+    }
+  }
+
+  // ── Update projectiles ──
+  // A projectile that bursts, burns out or leaves the world is flagged isSpent.
+  // Like those used up in the collision pass, it's removed at the end of the step
+  // by removeSpentProjectiles(), which also returns it to the pool.
+  updateProjectiles(deltaTime) {
+    for (let projectileIndex = this.projectiles.length - 1; projectileIndex >= 0; projectileIndex--) {
+      const projectile = this.projectiles[projectileIndex]
+
+      if (projectile.kind === 'missile') {
+        const target = this.findNearestTarget(projectile.positionX, projectile.positionY)
+        if (target) projectile.steerToward(target.positionX, target.positionY, MISSILE_TURN_RATE * deltaTime)
+      }
+      projectile.update(deltaTime)
+
+      // A shell that hasn't hit anything bursts when its fuse runs out
+      if (projectile.kind === 'shell' && projectile.age >= SHELL_FUSE_TIME) {
+        projectile.isSpent = true
+        this.explodeShell(projectile)
+        continue
+      }
+
+      // A missile that couldn't catch anything fizzles out
+      if (projectile.kind === 'missile' && projectile.age >= MISSILE_LIFETIME) {
+        projectile.isSpent = true
+        this.spawnExplosion(projectile.positionX, projectile.positionY, projectile.color, 4)
+        this.recordMiss(projectile)
+        continue
+      }
+
+      // Remove projectiles that have left the world.
+      // We check all four edges, accounting for the projectile's radius
+      // so it's fully off-screen before removal (not just the center point).
+      const isOffScreen =
+        projectile.positionX + projectile.radius < 0 ||
+        projectile.positionX - projectile.radius > this.width ||
+        projectile.positionY + projectile.radius < 0 ||
+        projectile.positionY - projectile.radius > this.height
+
+      if (isOffScreen) {
+        projectile.isSpent = true
+        // A shot that flew away without hitting anything breaks the combo.
+        // A laser that pierced something on the way out still counts as a hit.
+        if (!projectile.piercedTargets?.size) this.recordMiss(projectile)
+      }
+    }
+  }
+
+  /**
+   * A shot was used up without hitting anything, which breaks the combo.
+   */
+  recordMiss(projectile) {
+    this.scoreManager.registerMiss()
+    this.events.push({
+      type: 'projectileMissed',
+      positionX: projectile.positionX,
+      positionY: projectile.positionY,
+      playerIndex: projectile.ownerIndex
+    })
+  }
+
+  // ── Update particles ──
+  // Particles fade out over time. Once fully transparent (alpha <= 0), they are
+  // removed and go back to the pool.
+  //
+  // The order particles are drawn in doesn't matter, so instead of splice (which shifts
+  // every later particle down one slot) the faded particle's slot is filled with the
+  // last one in the array — a "swap-remove". Iterating backwards means that last
+  // particle has already been updated this step.
+  updateParticles(deltaTime) {
+    const { particles } = this
+
+    for (let particleIndex = particles.length - 1; particleIndex >= 0; particleIndex--) {
+      const particle = particles[particleIndex]
+      particle.update(deltaTime)
+
+      if (particle.alpha <= 0) {
+        particles[particleIndex] = particles[particles.length - 1]
+        particles.pop()
+        this.particlePool.release(particle)
+      }
+    }
+  }
+
+  // ─── Boss ───────────────────────────────────────────────────────
+  spawnBoss() {
+    // Enter from just above the top edge of the view, in the middle
+    const { camera } = this
+    this.boss = new Boss(camera.positionX + camera.viewWidth / 2, camera.positionY - 60, this.bossesDefeated + 1)
+    return this.boss
+  }
+
+  updateBoss(deltaTime) {
+    const { boss, projectiles } = this
+    if (!boss || this.isGameOver) return
+
+    // The boss fights within the camera's view, so it stays on screen wherever the player goes
+    const { camera } = this
+    const attacks = boss.update(deltaTime, camera.positionX, camera.positionY, camera.viewWidth, camera.viewHeight)
+    for (const attack of attacks) {
+      if (attack.kind === 'ring') {
+        this.fireBulletRing(boss, attack)
+      } else {
+        this.summonMinions(boss, attack)
+      }
+    }
+
+    // Touching the boss hurts just like touching any other enemy
+    for (const player of this.players) {
+      const distanceToPlayer = Math.hypot(player.positionX - boss.positionX, player.positionY - boss.positionY)
+      if (distanceToPlayer - player.radius - boss.radius < 1) {
+        this.hitPlayer(player, boss.positionX, boss.positionY)
+        if (this.isGameOver) return
+      }
+    }
+
+    // Each projectile knocks off one hit point. Bosses don't shrink, so the
+    // radius stays the same and the health bar shows the damage instead.
+    for (let projectileIndex = projectiles.length - 1; projectileIndex >= 0; projectileIndex--) {
+      const projectile = projectiles[projectileIndex]
+      // Already used up on an enemy this step
+      if (projectile.isSpent) continue
+
+      const distanceBetween = Math.hypot(
+        projectile.positionX - boss.positionX,
+        projectile.positionY - boss.positionY
+      )
+      if (distanceBetween - boss.radius - projectile.radius >= 1) continue
+      if (projectile.piercedTargets?.has(boss)) continue
+
+      if (projectile.kind === 'shell') {
+        projectile.isSpent = true
+        this.explodeShell(projectile)
+      } else if (projectile.kind === 'laser') {
+        projectile.piercedTargets.add(boss)
+        this.damageBoss(projectile.positionX, projectile.positionY, 1, projectile.ownerIndex)
+      } else {
+        projectile.isSpent = true
+        this.damageBoss(projectile.positionX, projectile.positionY, 1, projectile.ownerIndex)
+      }
+
+      // Defeated — the boss is gone, so there's nothing left to check
+      if (!this.boss) return
+    }
+  }
+
+  /**
+   * Knock hit points off the boss, with a spark and a popup where it was hit.
+   *
+   * @param {number} [playerIndex] - Who hit it.
+   */
+  damageBoss(hitX, hitY, damage, playerIndex = 0) {
+    const { boss } = this
+    boss.takeHit(damage)
+    this.spawnExplosion(hitX, hitY, boss.color, 6)
+    this.events.push({ type: 'bossHit', positionX: hitX, positionY: hitY, color: boss.color })
+    this.showScorePopup(hitX, hitY, this.scoreManager.addShrinkPoints(playerIndex))
+    if (boss.isDefeated) this.defeatBoss(playerIndex)
+  }
+
+  /**
+   * Fire bullets evenly spaced around the full circle from the boss's center.
+   */
+  fireBulletRing(boss, attack) {
+    for (let index = 0; index < attack.count; index++) {
+      const angle = attack.angleOffset + (index / attack.count) * Math.PI * 2
+      const velocity = {
+        horizontal: Math.cos(angle) * attack.speed,
+        vertical: Math.sin(angle) * attack.speed
+      }
+      this.createProjectile(this.enemyBullets, boss.positionX, boss.positionY, 6, 'hsl(0, 90%, 65%)', velocity)
+    }
+  }
+
+  /**
+   * Release minions from the boss, spread around it and aimed at the nearest player.
+   */
+  summonMinions(boss, attack) {
+    for (let index = 0; index < attack.count; index++) {
+      const angle = (index / attack.count) * Math.PI * 2
+      const spawnX = boss.positionX + Math.cos(angle) * boss.radius
+      const spawnY = boss.positionY + Math.sin(angle) * boss.radius
+      const target = this.getTarget(spawnX, spawnY)
+      const angleToPlayer = Math.atan2(target.positionY - spawnY, target.positionX - spawnX)
+      const minionSpeed = this.getEnemySpeed()
+      const velocity = {
+        horizontal: Math.cos(angleToPlayer) * minionSpeed,
+        vertical: Math.sin(angleToPlayer) * minionSpeed
+      }
+      this.createEnemy(spawnX, spawnY, 12, boss.color, velocity, attack.minionType)
+    }
+  }
+
+  /**
+   * @param {number} [playerIndex] - Who landed the final blow.
+   */
+  defeatBoss(playerIndex = 0) {
+    const { boss } = this
+
+    const award = this.scoreManager.addBossKillPoints(boss.bossNumber, playerIndex)
+    this.showScorePopup(boss.positionX, boss.positionY, award)
+    this.events.push({
+      type: 'enemyKilled',
+      positionX: boss.positionX,
+      positionY: boss.positionY,
+      radius: boss.radius,
+      color: boss.color,
+      isBoss: true,
+      playerIndex
+    })
+
+    // A celebratory explosion: a big burst in the boss's color, ringed by
+    // smaller bursts in a rainbow of hues
+    this.spawnExplosion(boss.positionX, boss.positionY, boss.color, 60)
+    for (let index = 0; index < 8; index++) {
+      const angle = (index / 8) * Math.PI * 2
+      this.spawnExplosion(
+        boss.positionX + Math.cos(angle) * boss.radius,
+        boss.positionY + Math.sin(angle) * boss.radius,
+        `hsl(${index * 45}, 80%, 60%)`,
+        20
+      )
+    }
+
+    // Clear the boss's remaining bullets so the victory isn't spoiled by a stray shot
+    for (const bullet of this.enemyBullets) bullet.isSpent = true
+    this.bossesDefeated++
+    this.boss = null
+  }
+
+  // ── Update boss bullets ──
+  // Like player projectiles, but they hurt the players when they touch them
+  updateEnemyBullets(deltaTime) {
+    for (let bulletIndex = this.enemyBullets.length - 1; bulletIndex >= 0; bulletIndex--) {
+      const bullet = this.enemyBullets[bulletIndex]
+      // Already cleared away this step, by a bomb or the boss's defeat
+      if (bullet.isSpent) continue
+      bullet.update(deltaTime)
+
+      for (const player of this.players) {
+        const distanceToPlayer = Math.hypot(player.positionX - bullet.positionX, player.positionY - bullet.positionY)
+        if (distanceToPlayer - player.radius - bullet.radius < 1 && this.hitPlayer(player, bullet.positionX, bullet.positionY)) {
+          bullet.isSpent = true
+          break
+        }
+      }
+      if (this.isGameOver) return
+      if (bullet.isSpent) continue
+
+      const isOffScreen =
+        bullet.positionX + bullet.radius < 0 ||
+        bullet.positionX - bullet.radius > this.width ||
+        bullet.positionY + bullet.radius < 0 ||
+        bullet.positionY - bullet.radius > this.height
+
+      if (isOffScreen) {
+        bullet.isSpent = true
+      }
+    }
+  }
+
+  // ── Update score popups ──
+  // Same backwards iteration as particles — popups are removed once they've faded.
+  updateScorePopups(deltaTime) {
+    for (let popupIndex = this.scorePopups.length - 1; popupIndex >= 0; popupIndex--) {
+      const popup = this.scorePopups[popupIndex]
+      popup.update(deltaTime)
+
+      if (popup.isExpired) {
+        this.scorePopups.splice(popupIndex, 1)
+      }
+    }
+  }
+
+  /**
+   * Show a "+N" popup for a score award at the given position.
+   *
+   * @param {import('./ScoreManager.js').ScoreAward} award
+   */
+  showScorePopup(positionX, positionY, award) {
+    this.scorePopups.push(new ScorePopup(positionX, positionY, `+${award.points}`, award.label))
+  }
+
+  // ── Update enemies and check collisions ──
+  // Every enemy moves first, then they're all filed into the collision grid.
+  // The player and each projectile then only test the enemies in the cells around them.
+  //
+  // Nothing is removed from an array during this pass. A destroyed enemy is flagged
+  // isDestroyed and a used-up projectile is flagged isSpent; flagged entities are
+  // skipped from then on and taken out at the end of the step. That way a bullet
+  // spent on one enemy can never go on to hit a second enemy in the same step.
+  updateEnemies(deltaTime) {
+    const { enemies, projectiles, enemyGrid } = this
+
+    enemyGrid.clear()
+    for (const enemy of enemies) {
+      // Already caught in a shell's blast earlier this step
+      if (enemy.isDestroyed) continue
+      enemy.update(deltaTime, this.getTarget(enemy.positionX, enemy.positionY))
+
+      // Gone for good — no points, and no explosion nobody would see
+      if (this.hasEscaped(enemy)) {
+        enemy.isDestroyed = true
+        continue
+      }
+      enemyGrid.insert(enemy)
+    }
+
+    for (const player of this.players) {
+      this.checkEnemiesTouchingPlayer(player)
+      if (this.isGameOver) return
+    }
+
+    for (let projectileIndex = projectiles.length - 1; projectileIndex >= 0; projectileIndex--) {
+      const projectile = projectiles[projectileIndex]
+      if (!projectile.isSpent) this.checkProjectileHits(projectile)
+    }
+  }
+
+  hasEscaped(enemy) {
+    return enemy.positionX < -ENEMY_ESCAPE_MARGIN ||
+      enemy.positionX > this.width + ENEMY_ESCAPE_MARGIN ||
+      enemy.positionY < -ENEMY_ESCAPE_MARGIN ||
+      enemy.positionY > this.height + ENEMY_ESCAPE_MARGIN
+  }
+
+  /**
+   * Hurt a player if any enemy has reached them.
+   *
+   * @param {Player} player
+   */
+  checkEnemiesTouchingPlayer(player) {
+    // The circles count as touching when they're less than 1 pixel apart,
+    // so search 1 pixel further than the player's radius
+    const nearbyEnemies = this.enemyGrid.query(player.positionX, player.positionY, player.radius + 1, this.nearbyEnemies)
+
+    for (const enemy of nearbyEnemies) {
+      if (enemy.isDestroyed) continue
+
+      // Math.hypot calculates the straight-line distance between two points.
+      // If the distance minus both radii is less than 1 pixel, the circles are touching.
+      const distanceToPlayer = Math.hypot(
+        player.positionX - enemy.positionX,
+        player.positionY - enemy.positionY
+      )
+
+      // While the player is invulnerable, enemies pass straight through them
+      if (distanceToPlayer - player.radius - enemy.radius < 1 && this.hitPlayer(player, enemy.positionX, enemy.positionY)) {
+        if (this.isGameOver) return
+
+        // An enemy that rams the player is smashed by the impact (no points for that)
+        this.spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 24)
+        enemy.isDestroyed = true
+      }
+    }
+  }
+
+  /**
+   * Check one projectile against the enemies near it, and apply whatever it hits.
+   */
+  checkProjectileHits(projectile) {
+    const nearbyEnemies = this.enemyGrid.query(
+      projectile.positionX,
+      projectile.positionY,
+      projectile.radius + 1,
+      this.nearbyEnemies
+    )
+
+    for (const enemy of nearbyEnemies) {
+      if (enemy.isDestroyed) continue
+
+      const distanceBetween = Math.hypot(
+        projectile.positionX - enemy.positionX,
+        projectile.positionY - enemy.positionY
+      )
+      // Not actually overlapping — the grid only says they're close
+      if (distanceBetween - enemy.radius - projectile.radius >= 1) continue
+
+      // A laser is still inside an enemy it already pierced
+      if (projectile.piercedTargets?.has(enemy)) continue
+
+      // Shields soak up the shot: the projectile is spent but the enemy is unharmed
+      if (enemy.blocksHit(projectile.positionX, projectile.positionY)) {
+        this.spawnExplosion(projectile.positionX, projectile.positionY, 'white', 4)
+        projectile.isSpent = true
+        return
+      }
+
+      if (projectile.kind === 'shell') {
+        // The blast damages this enemy along with everything around it
+        projectile.isSpent = true
+        this.explodeShell(projectile)
+        return
+      }
+
+      if (projectile.kind === 'laser') {
+        // Lasers keep going, remembering this enemy so it isn't hit again next step
+        projectile.piercedTargets.add(enemy)
+        this.damageEnemy(enemy, projectile.ownerIndex)
+        continue
+      }
+
+      // Anything else is used up by the first enemy it hits
+      projectile.isSpent = true
+      this.damageEnemy(enemy, projectile.ownerIndex)
+      return
+    }
+  }
+
+  /**
+   * Apply one hit to an enemy: shrink it, or destroy it if it's already small.
+   *
+   * A destroyed enemy is only flagged here. removeDestroyedEnemies() takes it out of
+   * the array at the end of the step, so a blast can destroy enemies other than the
+   * one a loop is currently looking at.
+   *
+   * @param {Enemy} enemy
+   * @param {number} [playerIndex] - Who hit it, and so earns the points.
+   */
+  damageEnemy(enemy, playerIndex = 0) {
+    // Compare against the target radius rather than the on-screen one, so a
+    // second hit landing mid-shrink still counts the first hit's 10px.
+    if (enemy.targetRadius - 10 > 5) {
+      // Enemy is big enough to survive: shrink it by 10px.
+      // The enemy eases its radius down over the next few steps,
+      // creating a satisfying visual "crunch" effect instead of an instant size change.
+      enemy.shrink(10)
+      const award = this.scoreManager.addShrinkPoints(playerIndex)
+      this.showScorePopup(enemy.positionX, enemy.positionY, award)
+      // Small chip explosion — 8 particles since the enemy survives
+      this.spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 8)
+      this.events.push({
+        type: 'enemyShrunk',
+        positionX: enemy.positionX,
+        positionY: enemy.positionY,
+        radius: enemy.targetRadius,
+        color: enemy.color
+      })
+    } else {
+      // Enemy is too small to shrink further — destroy it completely
+      const award = this.scoreManager.addKillPoints(enemy, playerIndex)
+      this.showScorePopup(enemy.positionX, enemy.positionY, award)
+      // Big explosion — 24 particles for a satisfying destruction effect
+      this.spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 24)
+      this.recordKill(enemy, playerIndex)
+      enemy.isDestroyed = true
+      // Fragments are pushed onto the end of the array after this step's enemies
+      // have moved and been filed in the collision grid, so they start next step
+      if (enemy.behaviour.splitCount) this.splitEnemy(enemy)
+      this.maybeDropPowerUp(enemy.positionX, enemy.positionY)
+    }
+  }
+
+  /** Add an enemyKilled event for an enemy a player destroyed */
+  recordKill(enemy, playerIndex) {
+    if (this.levelScript) this.levelScript.kills++
+    this.events.push({
+      type: 'enemyKilled',
+      positionX: enemy.positionX,
+      positionY: enemy.positionY,
+      radius: enemy.initialRadius,
+      color: enemy.color,
+      isBoss: false,
+      playerIndex
+    })
+  }
+
+  /**
+   * Take every destroyed enemy out of the array, keeping the rest in order,
+   * and return it to the pool.
+   */
+  removeDestroyedEnemies() {
+    const { enemies, projectiles } = this
+    let keptCount = 0
+    for (const enemy of enemies) {
+      if (!enemy.isDestroyed) {
+        enemies[keptCount++] = enemy
+        continue
+      }
+
+      // A laser remembers the enemies it has pierced. This one is about to be reused
+      // for a new enemy, which the laser must not mistake for the old one.
+      for (const projectile of projectiles) projectile.piercedTargets?.delete(enemy)
+      this.enemyPool.release(enemy)
+    }
+    enemies.length = keptCount
+  }
+
+  /**
+   * Take every spent projectile and boss bullet out of their arrays the same way.
+   */
+  removeSpentProjectiles() {
+    releaseSpent(this.projectiles, this.projectilePool)
+    releaseSpent(this.enemyBullets, this.projectilePool)
+  }
+
+  // ─── Developer Tools ────────────────────────────────────────────
+  // Shortcuts for the developer console (see DevConsole.js). A run that uses them
+  // no longer plays out from its controls alone, so it can't be replayed.
+
+  /**
+   * Put one enemy of the given type at a point, flying at the nearest player.
+   *
+   * @param {string} typeName - A key of ENEMY_TYPES, like 'charger'.
+   * @param {number} positionX - World position.
+   * @param {number} positionY
+   * @returns {import('./Enemy.js').Enemy}
+   */
+  spawnEnemyAt(typeName, positionX, positionY) {
+    if (!Object.hasOwn(ENEMY_TYPES, typeName)) {
+      throw new Error(`There's no "${typeName}" enemy. Try one of: ${Object.keys(ENEMY_TYPES).join(', ')}.`)
+    }
+    const enemyType = ENEMY_TYPES[typeName]
+    const [minimumRadius, maximumRadius] = enemyType.radiusRange ?? [4, 30]
+    const radius = (minimumRadius + maximumRadius) / 2
+    return this.launchEnemy(enemyType, positionX, positionY, radius, this.getEnemySpeed())
+  }
+
+  /**
+   * Skip straight to the start of a level, as if the one before had just been finished.
+   * A boss still being fought is dismissed along with its bullets; the new level brings
+   * its own if it has one.
+   *
+   * @param {number} level - 1 or more.
+   */
+  jumpToLevel(level) {
+    if (!Number.isInteger(level) || level < 1) {
+      throw new Error('The level has to be a whole number, 1 or more.')
+    }
+    this.boss = null
+    for (const bullet of this.enemyBullets) bullet.isSpent = true
+    this.removeSpentProjectiles()
+    this.levelElapsed = 0
+    this.currentLevel = level - 1
+    this.advanceLevel()
+  }
+}
+
+/**
+ * Remove every spent projectile from an array in one pass, keeping the rest in order,
+ * and return the spent ones to the pool.
+ */
+function releaseSpent(projectiles, pool) {
+  let keptCount = 0
+  for (const projectile of projectiles) {
+    if (projectile.isSpent) pool.release(projectile)
+    else projectiles[keptCount++] = projectile
+  }
+  projectiles.length = keptCount
+}
+
+/**
+ * Where each member of a formation goes, relative to the group's anchor point,
+ * as [forward, side] pairs in units of FORMATION_SPACING. Forward is the direction
+ * the group flies in, so every member starts at or behind the anchor.
+ *
+ *   single  •            line  • • • • •         column  •
+ *                                                        •  (trailing behind)
+ *   v       •       •    ring  a circle, entering         •
+ *             •   •            together
+ *               •
+ *
+ * @param {string} formation - One of FORMATIONS in levels.js.
+ * @param {number} groupSize - How many enemies in the group.
+ * @returns {Array<[number, number]>}
+ */
+function getFormationOffsets(formation, groupSize) {
+  const offsets = []
+  const middle = (groupSize - 1) / 2
+  const ringRadius = Math.max(1, groupSize / (2 * Math.PI)) * FORMATION_SPACING
+
+  for (let index = 0; index < groupSize; index++) {
+    const fromMiddle = index - middle
+    switch (formation) {
+      case 'line':
+        offsets.push([0, fromMiddle * FORMATION_SPACING])
+        break
+      case 'column':
+        offsets.push([-index * FORMATION_SPACING, 0])
+        break
+      case 'v':
+        offsets.push([-Math.abs(fromMiddle) * FORMATION_SPACING, fromMiddle * FORMATION_SPACING])
+        break
+      case 'ring': {
+        const angle = (index / groupSize) * Math.PI * 2
+        offsets.push([-ringRadius + Math.cos(angle) * ringRadius, Math.sin(angle) * ringRadius])
+        break
+      }
+      default:
+        offsets.push([0, 0])
+    }
+  }
+  return offsets
+}
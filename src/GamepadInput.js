@@ -0,0 +1,108 @@
+/**
+ * GamepadInput — Reads a connected gamepad through the browser's Gamepad API.
+ *
+ * Gamepads don't send events for their sticks and buttons — their state has to be
+ * read ("polled") whenever we want it. poll() takes a snapshot and turns it into
+ * twin-stick controls:
+ *
+ *   Left stick      — move
+ *   Right stick     — aim
+ *   Right trigger   — fire (either trigger works)
+ *   Bumpers (LB/RB) — previous / next weapon
+ *   Start           — pause
+ *   A               — confirm on menus
+ *
+ * Button numbers follow the "standard" layout every major browser maps Xbox and
+ * PlayStation controllers to.
+ *
+ * Sticks never rest at exactly zero, so a small "dead zone" around the center
+ * is ignored — otherwise the ship would creep about on its own.
+ */
+
+// Stick deflection below this (out of 1) counts as centered
+const STICK_DEAD_ZONE = 0.2
+
+// How far an analog trigger must be pulled to count as pressed
+const TRIGGER_THRESHOLD = 0.3
+
+// Button indices in the standard gamepad layout
+const BUTTON_A = 0
+const BUTTON_LEFT_BUMPER = 4
+const BUTTON_RIGHT_BUMPER = 5
+const BUTTON_LEFT_TRIGGER = 6
+const BUTTON_RIGHT_TRIGGER = 7
+const BUTTON_START = 9
+
+/**
+ * @typedef {Object} GamepadState
+ * @property {number} moveX - Left stick, -1 to 1, with the dead zone removed.
+ * @property {number} moveY
+ * @property {number} aimX - Right stick, -1 to 1, with the dead zone removed.
+ * @property {number} aimY
+ * @property {boolean} fire - Whether a trigger is held.
+ * @property {boolean} nextWeaponPressed - Right bumper went down since the last poll.
+ * @property {boolean} previousWeaponPressed - Left bumper went down since the last poll.
+ * @property {boolean} pausePressed - Start went down since the last poll.
+ * @property {boolean} confirmPressed - A went down since the last poll.
+ *
+ * The "...Pressed" fields are only true on the poll where the button went down,
+ * so holding a button doesn't repeat its action.
+ */
+
+export class GamepadInput {
+  /**
+   * @param {Navigator} [navigatorObject] - Where to read gamepads from. Swappable for tests.
+   */
+  constructor(navigatorObject = globalThis.navigator) {
+    this.navigator = navigatorObject
+    // Which buttons were down on the previous poll, to spot new presses
+    this.previousButtons = []
+  }
+
+  /**
+   * Read the first connected gamepad.
+   *
+   * @returns {GamepadState|null} Null if there's no gamepad (or no Gamepad API).
+   */
+  poll() {
+    const gamepads = this.navigator?.getGamepads?.() ?? []
+    const gamepad = Array.from(gamepads).find((candidate) => candidate && candidate.connected)
+    if (!gamepad) {
+      this.previousButtons = []
+      return null
+    }
+
+    const buttons = gamepad.buttons.map((button) => button.pressed || button.value > TRIGGER_THRESHOLD)
+    const previousButtons = this.previousButtons
+    const wasJustPressed = (index) => Boolean(buttons[index]) && !previousButtons[index]
+    this.previousButtons = buttons
+
+    const move = applyDeadZone(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0)
+    const aim = applyDeadZone(gamepad.axes[2] ?? 0, gamepad.axes[3] ?? 0)
+
+    return {
+      moveX: move.x,
+      moveY: move.y,
+      aimX: aim.x,
+      aimY: aim.y,
+      fire: Boolean(buttons[BUTTON_RIGHT_TRIGGER] || buttons[BUTTON_LEFT_TRIGGER]),
+      nextWeaponPressed: wasJustPressed(BUTTON_RIGHT_BUMPER),
+      previousWeaponPressed: wasJustPressed(BUTTON_LEFT_BUMPER),
+      pausePressed: wasJustPressed(BUTTON_START),
+      confirmPressed: wasJustPressed(BUTTON_A)
+    }
+  }
+}
+
+/**
+ * Ignore small stick movements, and stretch the rest so the output still goes
+ * smoothly from 0 (just outside the dead zone) to 1 (pushed all the way).
+ * The dead zone is a circle rather than a square, so diagonals aren't cut short.
+ */
+function applyDeadZone(x, y) {
+  const magnitude = Math.hypot(x, y)
+  if (magnitude < STICK_DEAD_ZONE) return { x: 0, y: 0 }
+
+  const scaledMagnitude = Math.min(1, (magnitude - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE))
+  return { x: (x / magnitude) * scaledMagnitude, y: (y / magnitude) * scaledMagnitude }
+}
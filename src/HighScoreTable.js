@@ -0,0 +1,100 @@
+/**
+ * HighScoreTable — The top 10 runs, saved in the browser's localStorage.
+ *
+ * Each entry records who played, how they did and when:
+ *   { name, score, level, survivalTime, date }
+ *
+ * The table is saved through a VersionedStorage:
+ *   { version: 1, entries: [...], lastName: 'ACE' }
+ * When the format changes in the future, bump HIGH_SCORE_VERSION and teach migrate()
+ * how to upgrade the old shape — players keep their scores instead of losing them.
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const HIGH_SCORE_VERSION = 1
+export const MAX_HIGH_SCORES = 10
+const STORAGE_KEY = 'space-shooting.high-scores'
+
+/**
+ * @typedef {Object} HighScoreEntry
+ * @property {string} name - Player name, as typed on the game-over screen.
+ * @property {number} score - Final score.
+ * @property {number} level - Level reached.
+ * @property {number} survivalTime - Seconds survived (simulation time).
+ * @property {string} date - When the run ended, as an ISO 8601 string.
+ */
+
+export class HighScoreTable {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the table. Defaults to localStorage
+   *   when it exists; with null the table still works but is forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, HIGH_SCORE_VERSION, migrate)
+    const saved = this.store.load() ?? { entries: [], lastName: '' }
+    /** @type {HighScoreEntry[]} */
+    this.entries = saved.entries
+    // Remembered so the name box can be pre-filled next time
+    this.lastName = saved.lastName
+  }
+
+  /**
+   * Check whether a score is good enough to be entered into the table.
+   */
+  qualifies(score) {
+    if (score <= 0) return false
+    if (this.entries.length < MAX_HIGH_SCORES) return true
+    return score > this.entries[this.entries.length - 1].score
+  }
+
+  /**
+   * Insert a new entry in score order, drop anything past the top 10, and save.
+   *
+   * @param {HighScoreEntry} entry
+   * @returns {number} The entry's position in the table (0 = first), or -1 if it didn't make it.
+   */
+  add(entry) {
+    // Equal scores keep their original order, so an older run stays ahead of a newer tie
+    let rank = this.entries.findIndex((existing) => entry.score > existing.score)
+    if (rank === -1) rank = this.entries.length
+
+    this.entries.splice(rank, 0, entry)
+    this.entries.length = Math.min(this.entries.length, MAX_HIGH_SCORES)
+    this.lastName = entry.name
+    this.save()
+
+    return rank < MAX_HIGH_SCORES ? rank : -1
+  }
+
+  save() {
+    this.store.save({ entries: this.entries, lastName: this.lastName })
+  }
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which resets the table.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case HIGH_SCORE_VERSION:
+      return {
+        entries: Array.isArray(data.entries) ? data.entries.filter(isValidEntry) : [],
+        lastName: typeof data.lastName === 'string' ? data.lastName : ''
+      }
+    // Future versions: add a case for the old version that converts it,
+    // then falls through to the newer shape.
+    default:
+      return null
+  }
+}
+
+function isValidEntry(entry) {
+  return entry !== null &&
+    typeof entry === 'object' &&
+    typeof entry.name === 'string' &&
+    Number.isFinite(entry.score) &&
+    Number.isFinite(entry.level) &&
+    Number.isFinite(entry.survivalTime) &&
+    typeof entry.date === 'string'
+}
@@ -2,10 +2,14 @@
  * InputHandler — Tracks which keyboard keys are currently held down
  * and converts them into a movement direction for the player.
  *
- * Supports three types of movement keys:
+ * Supports three types of movement keys by default:
  *   - WASD keys for cardinal directions (common in PC gaming)
  *   - Arrow keys for cardinal directions (intuitive for beginners)
  *   - Q, E, Z, C for dedicated diagonal directions
+ * Players can remap all of them — which key does what comes from KeyBindings.
+ *
+ * The arrow keys belong to the second player. In co-op each player's direction is read
+ * from their own keys; in a solo run both sets are merged to steer the one ship.
  *
  * When multiple keys are pressed, their effects combine.
  * For example, holding W + D produces the same up-right direction as pressing E.
@@ -15,8 +19,24 @@
  * than cardinal movement (just up), because the diagonal of a unit square is √2 ≈ 1.414.
  * Normalizing ensures consistent speed regardless of direction.
  */
+/**
+ * True if a key event is headed for a text box (like the developer console), where
+ * the keys are for typing rather than flying.
+ *
+ * @param {EventTarget|null|undefined} target - The event's target.
+ * @returns {boolean}
+ */
+export function isTextEntry(target) {
+  return target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA'
+}
+
 export class InputHandler {
-  constructor() {
+  /**
+   * @param {import('./KeyBindings.js').KeyBindings} keyBindings - Which keys move in which direction.
+   */
+  constructor(keyBindings) {
+    this.keyBindings = keyBindings
+
     // A Set is used instead of an object because it cleanly handles
     // add/delete without needing to worry about true/false states
     this.pressedKeys = new Set()
@@ -24,6 +44,7 @@ export class InputHandler {
     // We use e.code (physical key position like "KeyW") instead of e.key (character like "w")
     // because e.code is unaffected by caps lock, shift, or non-QWERTY keyboard layouts
     this.handleKeyDown = (keyEvent) => {
+      if (isTextEntry(keyEvent.target)) return
       this.pressedKeys.add(keyEvent.code)
     }
 
@@ -38,25 +59,35 @@ export class InputHandler {
   /**
    * Calculate a normalized movement direction based on all currently pressed keys.
    *
+   * @param {number} [playerIndex] - Read only this player's keys (0 or 1). Leave it
+   *   out in a solo run to read both players' keys.
    * @returns {{ directionX: number, directionY: number }}
    *   A unit vector (length 1) pointing in the desired movement direction,
    *   or { 0, 0 } if no movement keys are pressed.
    */
-  getDirection() {
+  getDirection(playerIndex) {
     let directionX = 0
     let directionY = 0
+    const readsPlayerOne = playerIndex !== 1
+    const readsPlayerTwo = playerIndex !== 0
+    const isHeld = (actionName) => this.keyBindings.isHeld(actionName, this.pressedKeys)
+    const isHeldByEither = (actionName, playerTwoActionName) =>
+      (readsPlayerOne && isHeld(actionName)) || (readsPlayerTwo && isHeld(playerTwoActionName))
 
-    // Cardinal directions — WASD and arrow keys
-    if (this.pressedKeys.has('KeyW') || this.pressedKeys.has('ArrowUp'))    directionY -= 1
-    if (this.pressedKeys.has('KeyS') || this.pressedKeys.has('ArrowDown'))  directionY += 1
-    if (this.pressedKeys.has('KeyA') || this.pressedKeys.has('ArrowLeft'))  directionX -= 1
-    if (this.pressedKeys.has('KeyD') || this.pressedKeys.has('ArrowRight')) directionX += 1
+    // Cardinal directions — WASD and arrow keys by default
+    if (isHeldByEither('moveUp', 'p2MoveUp'))       directionY -= 1
+    if (isHeldByEither('moveDown', 'p2MoveDown'))   directionY += 1
+    if (isHeldByEither('moveLeft', 'p2MoveLeft'))   directionX -= 1
+    if (isHeldByEither('moveRight', 'p2MoveRight')) directionX += 1
 
-    // Diagonal shortcut keys — each one adds both horizontal and vertical components
-    if (this.pressedKeys.has('KeyQ')) { directionX -= 1; directionY -= 1 } // up-left
-    if (this.pressedKeys.has('KeyE')) { directionX += 1; directionY -= 1 } // up-right
-    if (this.pressedKeys.has('KeyZ')) { directionX -= 1; directionY += 1 } // down-left
-    if (this.pressedKeys.has('KeyC')) { directionX += 1; directionY += 1 } // down-right
+    // Diagonal shortcut keys — each one adds both horizontal and vertical components.
+    // Only the first player has them.
+    if (readsPlayerOne) {
+      if (isHeld('moveUpLeft'))    { directionX -= 1; directionY -= 1 } // Q
+      if (isHeld('moveUpRight'))   { directionX += 1; directionY -= 1 } // E
+      if (isHeld('moveDownLeft'))  { directionX -= 1; directionY += 1 } // Z
+      if (isHeld('moveDownRight')) { directionX += 1; directionY += 1 } // C
+    }
 
     // Normalize the direction vector so movement speed is the same in every direction.
     // Math.hypot gives us the length (magnitude) of the vector.
@@ -0,0 +1,197 @@
+/**
+ * KeyBindings — Which keyboard keys trigger which action, saved in localStorage.
+ *
+ * Every action can have up to two keys (a primary and a secondary). Players remap them
+ * on the Controls screen.
+ *
+ * The second player's actions (those starting with "p2") start on the arrow keys and Enter.
+ * In a solo run they steer and fire the only ship too, so WASD and the arrows both work.
+ *
+ * Keys are stored as KeyboardEvent.code values ("KeyW", "Space", "ArrowUp"...), which
+ * name the physical key rather than the character it types, so bindings keep working
+ * whatever the keyboard layout or caps lock state.
+ *
+ * The bindings are saved as JSON together with a format version number:
+ *   { version: 2, bindings: { moveUp: ['KeyW'], ... } }
+ */
+import { VersionedStorage } from './VersionedStorage.js'
+
+export const KEY_BINDINGS_VERSION = 2
+const STORAGE_KEY = 'space-shooting.key-bindings'
+
+// How many keys each action can have
+export const SLOTS_PER_ACTION = 2
+
+/**
+ * Every rebindable action, in the order the Controls screen lists them,
+ * with the label shown there and the keys it starts with.
+ */
+export const ACTIONS = [
+  { name: 'moveUp', label: 'Move up', defaultKeys: ['KeyW'] },
+  { name: 'moveDown', label: 'Move down', defaultKeys: ['KeyS'] },
+  { name: 'moveLeft', label: 'Move left', defaultKeys: ['KeyA'] },
+  { name: 'moveRight', label: 'Move right', defaultKeys: ['KeyD'] },
+  { name: 'moveUpLeft', label: 'Move up-left', defaultKeys: ['KeyQ'] },
+  { name: 'moveUpRight', label: 'Move up-right', defaultKeys: ['KeyE'] },
+  { name: 'moveDownLeft', label: 'Move down-left', defaultKeys: ['KeyZ'] },
+  { name: 'moveDownRight', label: 'Move down-right', defaultKeys: ['KeyC'] },
+  { name: 'fire', label: 'Fire', defaultKeys: ['Space'] },
+  { name: 'pause', label: 'Pause', defaultKeys: ['Escape', 'KeyP'] },
+  { name: 'mute', label: 'Mute sound', defaultKeys: ['KeyM'] },
+  { name: 'weapon1', label: 'Blaster', defaultKeys: ['Digit1', 'Numpad1'] },
+  { name: 'weapon2', label: 'Laser', defaultKeys: ['Digit2', 'Numpad2'] },
+  { name: 'weapon3', label: 'Shell', defaultKeys: ['Digit3', 'Numpad3'] },
+  { name: 'weapon4', label: 'Missile', defaultKeys: ['Digit4', 'Numpad4'] },
+  { name: 'p2MoveUp', label: 'P2 move up', defaultKeys: ['ArrowUp'] },
+  { name: 'p2MoveDown', label: 'P2 move down', defaultKeys: ['ArrowDown'] },
+  { name: 'p2MoveLeft', label: 'P2 move left', defaultKeys: ['ArrowLeft'] },
+  { name: 'p2MoveRight', label: 'P2 move right', defaultKeys: ['ArrowRight'] },
+  { name: 'p2Fire', label: 'P2 fire', defaultKeys: ['Enter', 'Numpad0'] },
+  { name: 'p2NextWeapon', label: 'P2 next weapon', defaultKeys: ['ShiftRight'] }
+]
+
+export class KeyBindings {
+  /**
+   * @param {Storage|null} [storage] - Where to persist the bindings. Defaults to localStorage
+   *   when it exists; with null the bindings still work but are forgotten on reload.
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.store = new VersionedStorage(storage, STORAGE_KEY, KEY_BINDINGS_VERSION, migrate)
+    /** @type {Object<string, string[]>} Action name → key codes */
+    this.bindings = this.store.load() ?? createDefaultBindings()
+  }
+
+  /**
+   * Find the action a key is bound to.
+   *
+   * @param {string} code - A KeyboardEvent.code value.
+   * @returns {string|null} The action name, or null if the key isn't bound.
+   */
+  getAction(code) {
+    for (const action of ACTIONS) {
+      if (this.bindings[action.name].includes(code)) return action.name
+    }
+    return null
+  }
+
+  /**
+   * Check whether any key bound to an action is in a set of held keys.
+   *
+   * @param {string} actionName
+   * @param {Set<string>} pressedKeys - Codes of the keys held right now.
+   */
+  isHeld(actionName, pressedKeys) {
+    return this.bindings[actionName].some((code) => pressedKeys.has(code))
+  }
+
+  /**
+   * The keys bound to an action, one entry per slot (null for an empty slot).
+   *
+   * @returns {Array<string|null>}
+   */
+  getSlots(actionName) {
+    const codes = this.bindings[actionName]
+    return Array.from({ length: SLOTS_PER_ACTION }, (unused, slot) => codes[slot] ?? null)
+  }
+
+  /**
+   * Bind a key to one slot of an action and save. A key can only do one thing,
+   * so it's first taken away from whatever action had it before.
+   *
+   * @param {string} actionName
+   * @param {number} slot - 0 for the primary key, 1 for the secondary.
+   * @param {string|null} code - The new key, or null to clear the slot.
+   */
+  bind(actionName, slot, code) {
+    if (code !== null) {
+      for (const name of Object.keys(this.bindings)) {
+        this.bindings[name] = this.bindings[name].filter((existing) => existing !== code)
+      }
+    }
+
+    const slots = this.getSlots(actionName)
+    slots[slot] = code
+    // Empty slots are dropped, so a secondary key moves up when the primary is cleared
+    this.bindings[actionName] = slots.filter((existing) => existing !== null)
+    this.save()
+  }
+
+  /** Put every action back on its default keys and save */
+  resetToDefaults() {
+    this.bindings = createDefaultBindings()
+    this.save()
+  }
+
+  save() {
+    this.store.save({ bindings: this.bindings })
+  }
+}
+
+/**
+ * A short, readable name for a key code, for showing on screen:
+ * "KeyW" → "W", "Digit1" → "1", "ArrowUp" → "↑", "Space" → "Space".
+ *
+ * @param {string} code - A KeyboardEvent.code value.
+ * @returns {string}
+ */
+export function describeKey(code) {
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' }
+  if (arrows[code]) return arrows[code]
+  if (code.startsWith('Key')) return code.slice(3)
+  if (code.startsWith('Digit')) return code.slice(5)
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`
+  if (code === 'Escape') return 'Esc'
+  return code
+}
+
+function createDefaultBindings() {
+  return Object.fromEntries(ACTIONS.map((action) => [action.name, [...action.defaultKeys]]))
+}
+
+/**
+ * Bring saved data from any known format version up to the current one.
+ * Returns null for data we don't understand, which falls back to the defaults.
+ */
+function migrate(data) {
+  switch (data.version) {
+    case 1:
+    case KEY_BINDINGS_VERSION: {
+      if (data.bindings === null || typeof data.bindings !== 'object') return null
+
+      // Start from the defaults so actions added since the file was saved still get keys
+      const bindings = createDefaultBindings()
+      for (const action of ACTIONS) {
+        const saved = data.bindings[action.name]
+        if (Array.isArray(saved) && saved.every((code) => typeof code === 'string')) {
+          bindings[action.name] = saved.slice(0, SLOTS_PER_ACTION)
+        }
+      }
+
+      if (data.version === 1) upgradeFromVersion1(bindings)
+      return bindings
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Version 1 had no second player, and gave the arrow keys to player one's movement.
+ * They move over to the second player's movement. Any other key the new actions start
+ * with that was already doing something else keeps its old job, and the new action
+ * goes without it, so every key still does just one thing.
+ */
+function upgradeFromVersion1(bindings) {
+  const movedKeys = { moveUp: 'ArrowUp', moveDown: 'ArrowDown', moveLeft: 'ArrowLeft', moveRight: 'ArrowRight' }
+  for (const [name, movedCode] of Object.entries(movedKeys)) {
+    bindings[name] = bindings[name].filter((code) => code !== movedCode)
+  }
+
+  const playerTwoActions = ACTIONS.filter((action) => action.name.startsWith('p2'))
+  const keysInUse = new Set(ACTIONS
+    .filter((action) => !playerTwoActions.includes(action))
+    .flatMap((action) => bindings[action.name]))
+  for (const action of playerTwoActions) {
+    bindings[action.name] = bindings[action.name].filter((code) => !keysInUse.has(code))
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * LevelScript — Plays out one scripted level from its LevelDefinition (see levels.js).
+ *
+ * It keeps the level's clock and tracks each wave: how long until its next group and
+ * how many groups are left. Like the Boss, it never creates enemies itself — update()
+ * returns the waves that are due a group this step, and the GameWorld spawns them.
+ * Nothing here is random, so scripted levels replay exactly.
+ */
+export class LevelScript {
+  /**
+   * @param {import('./levels.js').LevelDefinition} definition
+   */
+  constructor(definition) {
+    this.definition = definition
+
+    // Seconds since the level started, counted in the same (possibly slowed) time enemies move in
+    this.time = 0
+
+    // Enemies destroyed during this level, for levels that end after a number of kills
+    this.kills = 0
+
+    this.waves = definition.waves.map((wave) => ({ wave, groupsLeft: wave.count, countdown: wave.at }))
+  }
+
+  /** True once every wave has spawned all of its groups */
+  get isSpawningDone() {
+    return this.waves.every((waveState) => waveState.groupsLeft === 0)
+  }
+
+  /**
+   * Advance the level's clock.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   * @param {number} [spawnRate] - The difficulty's spawn rate: 2 counts down to each group twice as fast.
+   * @returns {import('./levels.js').WaveDefinition[]} One entry per group to spawn this step.
+   */
+  update(deltaTime, spawnRate = 1) {
+    this.time += deltaTime
+    const groups = []
+
+    for (const waveState of this.waves) {
+      if (waveState.groupsLeft === 0) continue
+      waveState.countdown -= deltaTime * spawnRate
+
+      // A very short interval can be due more than once in a single step
+      while (waveState.countdown <= 0 && waveState.groupsLeft > 0) {
+        groups.push(waveState.wave)
+        waveState.groupsLeft--
+        waveState.countdown += waveState.wave.interval
+      }
+    }
+    return groups
+  }
+
+  /**
+   * How fast enemies move right now, in pixels per second, read off the level's
+   * speed curve. Between two points the speed changes in a straight line; before the
+   * first point and after the last it stays at that point's speed.
+   */
+  getEnemySpeed() {
+    const curve = this.definition.speedCurve
+    const nextIndex = curve.findIndex((point) => point.time > this.time)
+    if (nextIndex === -1) return curve[curve.length - 1].speed
+    if (nextIndex === 0) return curve[0].speed
+
+    const previous = curve[nextIndex - 1]
+    const next = curve[nextIndex]
+    const progress = (this.time - previous.time) / (next.time - previous.time)
+    return previous.speed + (next.speed - previous.speed) * progress
+  }
+
+  /**
+   * Whether the level's end condition has been met.
+   *
+   * @param {number} levelElapsed - Seconds the level has been running (not slowed down).
+   * @param {number} enemiesLeft - Enemies still alive in the world.
+   */
+  isComplete(levelElapsed, enemiesLeft) {
+    const { end } = this.definition
+    switch (end.type) {
+      case 'time':
+        return levelElapsed >= end.seconds
+      case 'kills':
+        // Also over if the waves are spent and nothing is left to kill, rather than stuck forever
+        return this.kills >= end.count || (this.isSpawningDone && enemiesLeft === 0)
+      default:
+        return this.isSpawningDone && enemiesLeft === 0
+    }
+  }
+}
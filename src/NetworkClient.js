@@ -0,0 +1,80 @@
+/**
+ * NetworkClient — The browser's end of the WebSocket to the game server.
+ *
+ * A thin wrapper that speaks JSON in both directions (see protocol.js for the messages),
+ * so the rest of the game deals in plain objects and never sees the socket itself.
+ *
+ *   const client = new NetworkClient()
+ *   client.onMessage = (message) => { ... }
+ *   await client.connect('ws://localhost:8080')
+ *   client.send({ type: 'create', mode: 'coop' })
+ */
+export class NetworkClient {
+  constructor() {
+    this.socket = null
+
+    // Called with each message from the server, already parsed
+    this.onMessage = null
+    // Called once if the connection drops, or the server closes it
+    this.onClose = null
+  }
+
+  get isConnected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN
+  }
+
+  /**
+   * Open the connection.
+   *
+   * @param {string} url - The server's address, like ws://localhost:8080.
+   * @returns {Promise<void>} Rejects with a readable Error if the server can't be reached.
+   */
+  connect(url) {
+    return new Promise((resolve, reject) => {
+      let socket
+      try {
+        socket = new WebSocket(url)
+      } catch {
+        // A malformed address throws straight away instead of failing later
+        reject(new Error(`"${url}" is not a server address. It should look like ws://localhost:8080.`))
+        return
+      }
+      this.socket = socket
+
+      socket.addEventListener('open', () => resolve(), { once: true })
+      socket.addEventListener('message', (messageEvent) => {
+        let message
+        try {
+          message = JSON.parse(messageEvent.data)
+        } catch {
+          return
+        }
+        this.onMessage?.(message)
+      })
+      socket.addEventListener('close', () => {
+        // A promise only settles once, so this does nothing if it already opened
+        reject(new Error(`Could not connect to ${url}. Is the game server running?`))
+        if (this.socket !== socket) return
+        this.socket = null
+        this.onClose?.()
+      })
+    })
+  }
+
+  /**
+   * Send a message, if the connection is still open. Anything sent after it
+   * dropped is simply lost — the game finds out through onClose.
+   *
+   * @param {Object} message
+   */
+  send(message) {
+    if (this.isConnected) this.socket.send(JSON.stringify(message))
+  }
+
+  /** Hang up without calling onClose — whoever closes it already knows */
+  close() {
+    const { socket } = this
+    this.socket = null
+    socket?.close()
+  }
+}
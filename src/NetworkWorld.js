@@ -0,0 +1,435 @@
+/**
+ * NetworkWorld — The browser's copy of an online game, rebuilt from the server's snapshots.
+ *
+ * Online, the real GameWorld runs on the server (see server/Room.js). This stands in for
+ * it on each side: it has the same public fields the Renderer and the AudioEngine read —
+ * players, enemies, projectiles, camera, scoreManager, events — so they draw and play an
+ * online run without knowing the difference. It never decides anything for itself.
+ *
+ * Snapshots only arrive 20 times a second, and a few milliseconds late, so two tricks
+ * keep the picture smooth:
+ *
+ *   Interpolation — enemies, bullets and the other ship are drawn INTERPOLATION_DELAY in
+ *   the past, part-way between the two snapshots around that moment. There's almost always
+ *   a newer snapshot to move toward, so they glide instead of jumping 20 times a second.
+ *
+ *   Prediction — the local ship can't wait for the round trip, or every key press would
+ *   feel sluggish. It moves the moment the key goes down, by running the same Player code
+ *   the server will. Each snapshot says which of our inputs the server has used so far;
+ *   the ship is put back where the server had it, and the inputs still on their way are
+ *   replayed on top. Most of the time that lands exactly where the ship already was.
+ */
+import { Player } from './Player.js'
+import { Particle } from './Particle.js'
+import { PowerUp } from './PowerUp.js'
+import { ScoreManager } from './ScoreManager.js'
+import { ActivePowerUps } from './ActivePowerUps.js'
+import { Camera } from './Camera.js'
+import { Random } from './Random.js'
+import { ObjectPool } from './ObjectPool.js'
+import { interpolate, SIMULATION_STEP } from './GameLoop.js'
+import { IDLE_CONTROLS, PLAYER_COLORS, DEFAULT_POOL_SIZES } from './GameWorld.js'
+
+// How far in the past remote things are drawn, in seconds — two snapshots' worth
+export const INTERPOLATION_DELAY = 0.1
+
+// The local clock eases toward the server's by this fraction each step, and jumps
+// straight there if it's further off than MAX_CLOCK_DRIFT (after a pause, say)
+const CLOCK_CORRECTION = 0.05
+const MAX_CLOCK_DRIFT = 0.5
+
+// Snapshots keep arriving while the game is paused. Past this many, the oldest are thrown away.
+const MAX_BUFFERED_SNAPSHOTS = 40
+
+// Nothing drawn here moves by itself — the snapshots move it — so nothing needs a velocity
+const STILL = Object.freeze({ horizontal: 0, vertical: 0 })
+
+export class NetworkWorld {
+  /**
+   * @param {import('./protocol.js').StartMessage} start - The server's start message.
+   */
+  constructor(start) {
+    this.width = start.width
+    this.height = start.height
+    this.isVersus = start.mode === 'versus'
+    this.roomCode = start.code
+    // Which of the players this browser controls
+    this.localIndex = start.playerIndex
+
+    // Both ships begin at the center; the first snapshot puts them where they really are
+    this.players = PLAYER_COLORS.map((color, index) => new Player(this.width / 2, this.height / 2, 10, color, index))
+    this.camera = new Camera(start.viewWidth, start.viewHeight)
+    this.camera.snapTo(this.width / 2, this.height / 2, this.width, this.height)
+    this.scoreManager = new ScoreManager(2)
+    this.activePowerUps = new ActivePowerUps()
+
+    // What the Renderer draws, rebuilt from the snapshots every step
+    this.enemies = []
+    this.projectiles = []
+    this.enemyBullets = []
+    this.powerUps = []
+    this.boss = null
+    // Explosions are purely for show, so they're made here from the snapshots' events.
+    // There are no score popups online.
+    this.particles = []
+    this.scorePopups = []
+    this.particlePool = new ObjectPool(() => new Particle(), { maxSize: DEFAULT_POOL_SIZES.particles, allocateWhenFull: false })
+    // Nothing depends on where the particles fly, so this needn't match anyone's seed
+    this.random = new Random()
+    // The share of each explosion's particles that are created, as in GameWorld
+    this.particleDensity = 1
+
+    // Drawn entities by id, so each keeps its object — and its previous position — from step to step
+    this.entityViews = { enemies: new Map(), projectiles: new Map(), enemyBullets: new Map(), powerUps: new Map() }
+    this.viewStep = 0
+
+    this.currentLevel = 1
+    this.levelStartTime = 0
+    this.levelScript = null
+    this.elapsedTime = 0
+
+    // Set by the game-over or partner-left message; result holds what the server said
+    this.isGameOver = false
+    this.result = null
+
+    /** @type {import('./GameWorld.js').WorldEvent[]} */
+    this.events = []
+
+    // Snapshots waiting to be drawn, oldest first, and our estimate of the server's clock
+    this.snapshots = []
+    this.latestSnapshot = null
+    this.clock = null
+
+    // Our own inputs, numbered, that the server hasn't used yet
+    this.inputSequence = 0
+    this.pendingInputs = []
+  }
+
+  /** The ship this browser controls */
+  get player() {
+    return this.players[this.localIndex]
+  }
+
+  get isMultiplayer() {
+    return true
+  }
+
+  /** The same as GameWorld's: the point halfway between the players */
+  getPlayersCenter() {
+    const [first, second] = this.players
+    return [(first.positionX + second.positionX) / 2, (first.positionY + second.positionY) / 2]
+  }
+
+  /**
+   * Take in a snapshot from the server.
+   *
+   * @param {Object} snapshot - See createSnapshot() in protocol.js.
+   */
+  receiveSnapshot(snapshot) {
+    // Index the entities once here, rather than searching for each one every step
+    snapshot.index = {
+      enemies: indexById(snapshot.enemies),
+      projectiles: indexById(snapshot.projectiles),
+      enemyBullets: indexById(snapshot.enemyBullets),
+      powerUps: indexById(snapshot.powerUps)
+    }
+    this.snapshots.push(snapshot)
+    if (this.snapshots.length > MAX_BUFFERED_SNAPSHOTS) this.snapshots.shift()
+    this.latestSnapshot = snapshot
+    this.clock ??= snapshot.time
+
+    this.applyTeamState(snapshot)
+    this.reconcile(snapshot)
+  }
+
+  /**
+   * The run has ended on the server, or the connection to it has. Only the first
+   * reason counts — the server closes the connection right after saying the game is over.
+   *
+   * @param {{ scores?: number[], winner?: number|null, partnerLeft?: boolean, isDisconnected?: boolean }} result
+   */
+  end(result) {
+    if (this.isGameOver) return
+    this.isGameOver = true
+    this.result = result
+  }
+
+  /**
+   * Scores, power-ups, the level and each ship's health aren't worth interpolating,
+   * so they're always shown as of the newest snapshot.
+   */
+  applyTeamState(snapshot) {
+    const { scoreManager, activePowerUps } = this
+    scoreManager.score = snapshot.score.total
+    scoreManager.playerScores = snapshot.score.players
+    scoreManager.multiplier = snapshot.score.multiplier
+    scoreManager.comboTimeLeft = snapshot.score.comboTimeLeft
+    scoreManager.level = snapshot.level
+    activePowerUps.timeLeft = snapshot.powerUpTimers
+    activePowerUps.hasShield = snapshot.hasShield
+
+    this.currentLevel = snapshot.level
+    this.levelStartTime = snapshot.levelStartTime
+    this.levelScript = snapshot.levelName === null ? null : { definition: { name: snapshot.levelName } }
+
+    snapshot.players.forEach((state, index) => {
+      const player = this.players[index]
+      player.health = state.health
+      player.invulnerableTime = state.invulnerableTime
+      player.isDowned = state.isDowned
+      player.reviveProgress = state.reviveProgress
+      player.currentWeaponIndex = state.weaponIndex
+      // A negative heat marks an overheated weapon
+      player.weapons.forEach((weapon, weaponIndex) => {
+        weapon.heat = Math.abs(state.heat[weaponIndex])
+        weapon.isOverheated = state.heat[weaponIndex] < 0
+      })
+    })
+  }
+
+  /**
+   * Put the local ship where the server had it after our last input it used, then
+   * replay the inputs it hasn't seen yet. The previous position is kept, so the
+   * correction is smoothed over by the next frame rather than jumping.
+   */
+  reconcile(snapshot) {
+    const acknowledged = snapshot.acknowledged[this.localIndex]
+    while (this.pendingInputs.length > 0 && this.pendingInputs[0].sequence <= acknowledged) {
+      this.pendingInputs.shift()
+    }
+
+    const { player } = this
+    const state = snapshot.players[this.localIndex]
+    const { previousPositionX, previousPositionY } = player
+    player.positionX = state.positionX
+    player.positionY = state.positionY
+    player.knockbackVelocity.horizontal = state.knockbackX
+    player.knockbackVelocity.vertical = state.knockbackY
+
+    for (const input of this.pendingInputs) this.predict(input.controls)
+    player.previousPositionX = previousPositionX
+    player.previousPositionY = previousPositionY
+  }
+
+  /**
+   * Move the local ship one step, exactly as the server's GameWorld will.
+   */
+  predict(controls) {
+    const { player, camera } = this
+    const playerControls = player.isDowned ? IDLE_CONTROLS : controls
+    player.update(playerControls, this.width, this.height, SIMULATION_STEP)
+    if (playerControls.weaponSlot >= 0) player.selectWeapon(playerControls.weaponSlot)
+
+    // Both ships have to stay in view, the same as on the server
+    player.positionX = Math.max(camera.positionX + player.radius,
+      Math.min(camera.positionX + camera.viewWidth - player.radius, player.positionX))
+    player.positionY = Math.max(camera.positionY + player.radius,
+      Math.min(camera.positionY + camera.viewHeight - player.radius, player.positionY))
+  }
+
+  /**
+   * Advance one simulation step: move the local ship, and move everything else
+   * along the snapshots.
+   *
+   * @param {number} deltaTime - Length of the step in seconds.
+   * @param {import('./GameWorld.js').Controls} controls - The local player's controls. They're
+   *   numbered (see inputSequence), and the caller sends them to the server with that number.
+   */
+  step(deltaTime, controls) {
+    this.events.length = 0
+    if (this.isGameOver) return
+
+    this.inputSequence++
+    this.pendingInputs.push({ sequence: this.inputSequence, controls })
+    this.predict(controls)
+
+    if (this.latestSnapshot) {
+      this.advanceClock(deltaTime)
+      this.showSnapshotsAt(this.clock - INTERPOLATION_DELAY)
+    }
+    this.camera.follow(...this.getPlayersCenter(), this.width, this.height, deltaTime)
+    this.updateParticles(deltaTime)
+  }
+
+  advanceClock(deltaTime) {
+    this.clock += deltaTime
+    const drift = this.latestSnapshot.time - this.clock
+    this.clock = Math.abs(drift) > MAX_CLOCK_DRIFT ? this.latestSnapshot.time : this.clock + drift * CLOCK_CORRECTION
+  }
+
+  /**
+   * Place every remote thing where it was at the given server time, and play the
+   * events that have happened by then.
+   */
+  showSnapshotsAt(renderTime) {
+    const { snapshots } = this
+
+    // The last snapshot at or before that time, and the one after it to move toward
+    let fromIndex = 0
+    while (fromIndex + 1 < snapshots.length && snapshots[fromIndex + 1].time <= renderTime) fromIndex++
+    const from = snapshots[fromIndex]
+    const to = snapshots[fromIndex + 1] ?? from
+    const fraction = to === from ? 1 : Math.max(0, Math.min(1, (renderTime - from.time) / (to.time - from.time)))
+
+    for (let index = 0; index <= fromIndex; index++) this.playEvents(snapshots[index])
+    // Older snapshots aren't needed any more
+    snapshots.splice(0, fromIndex)
+
+    this.elapsedTime = interpolate(from.time, to.time, fraction)
+    this.viewStep++
+    this.syncEntities('enemies', from, to, fraction, (state) => ({
+      type: state.type,
+      velocity: STILL,
+      isDestroyed: false,
+      chargePhaseTimeLeft: 0
+    }), (enemy, state) => {
+      enemy.radius = state.radius
+      enemy.color = state.color
+      enemy.facingAngle = state.heading
+      enemy.shieldAngle = state.shieldAngle
+      enemy.shieldArc = state.shieldArc
+      enemy.chargePhase = state.isWindingUp ? 'windup' : null
+    })
+    const createShot = (state) => ({ kind: state.kind, velocity: { horizontal: 0, vertical: 0 } })
+    const updateShot = (shot, state) => {
+      shot.radius = state.radius
+      shot.color = state.color
+      shot.velocity.horizontal = Math.cos(state.heading)
+      shot.velocity.vertical = Math.sin(state.heading)
+    }
+    this.syncEntities('projectiles', from, to, fraction, createShot, updateShot)
+    this.syncEntities('enemyBullets', from, to, fraction, createShot, updateShot)
+    this.syncEntities('powerUps', from, to, fraction, (state) => new PowerUp(state.positionX, state.positionY, state.kind, STILL),
+      (powerUp, state) => { powerUp.age = state.age })
+
+    this.showBoss(from.boss, to.boss, fraction)
+
+    // The other ship
+    this.players.forEach((player, index) => {
+      if (index === this.localIndex) return
+      player.previousPositionX = player.positionX
+      player.previousPositionY = player.positionY
+      player.positionX = interpolate(from.players[index].positionX, to.players[index].positionX, fraction)
+      player.positionY = interpolate(from.players[index].positionY, to.players[index].positionY, fraction)
+    })
+  }
+
+  /**
+   * Bring one kind of entity up to date: everything in the newer snapshot is drawn,
+   * part-way from where it was in the older one (if it was there yet).
+   *
+   * @param {'enemies'|'projectiles'|'enemyBullets'|'powerUps'} kind
+   * @param {Object} from - The older snapshot.
+   * @param {Object} to - The newer snapshot.
+   * @param {number} fraction - How far from one to the other (0 to 1).
+   * @param {function(Object): Object} create - Makes the drawn object for an entity seen for the first time.
+   * @param {function(Object, Object): void} update - Copies the rest of an entity's state onto its drawn object.
+   */
+  syncEntities(kind, from, to, fraction, create, update) {
+    const views = this.entityViews[kind]
+    const drawn = this[kind]
+    drawn.length = 0
+
+    for (const state of to[kind]) {
+      const fromState = from.index[kind].get(state.id) ?? state
+      const positionX = interpolate(fromState.positionX, state.positionX, fraction)
+      const positionY = interpolate(fromState.positionY, state.positionY, fraction)
+
+      let view = views.get(state.id)
+      if (view) {
+        view.previousPositionX = view.positionX
+        view.previousPositionY = view.positionY
+      } else {
+        view = create(state)
+        views.set(state.id, view)
+        view.previousPositionX = positionX
+        view.previousPositionY = positionY
+      }
+      view.positionX = positionX
+      view.positionY = positionY
+      view.shownAt = this.viewStep
+      update(view, state)
+      drawn.push(view)
+    }
+
+    // Forget whatever has gone from the snapshots — destroyed, spent or collected
+    for (const [id, view] of views) {
+      if (view.shownAt !== this.viewStep) views.delete(id)
+    }
+  }
+
+  showBoss(fromState, toState, fraction) {
+    if (!toState) {
+      this.boss = null
+      return
+    }
+    const start = fromState ?? toState
+    const positionX = interpolate(start.positionX, toState.positionX, fraction)
+    const positionY = interpolate(start.positionY, toState.positionY, fraction)
+    if (this.boss) {
+      this.boss.previousPositionX = this.boss.positionX
+      this.boss.previousPositionY = this.boss.positionY
+    } else {
+      this.boss = { previousPositionX: positionX, previousPositionY: positionY }
+    }
+    Object.assign(this.boss, toState, { positionX, positionY })
+  }
+
+  /**
+   * Hand a snapshot's events on (once) for the sound effects, and set off the
+   * explosions the server's world made for them.
+   */
+  playEvents(snapshot) {
+    if (snapshot.hasPlayed) return
+    snapshot.hasPlayed = true
+
+    for (const event of snapshot.events) {
+      this.events.push(event)
+      switch (event.type) {
+        case 'enemyShrunk':
+          this.spawnExplosion(event.positionX, event.positionY, event.color, 8)
+          break
+        case 'enemyKilled':
+          this.spawnExplosion(event.positionX, event.positionY, event.color, event.isBoss ? 60 : 24)
+          break
+        case 'bossHit':
+          this.spawnExplosion(event.positionX, event.positionY, event.color, 6)
+          break
+        case 'playerDied':
+          this.spawnExplosion(event.positionX, event.positionY, this.players[event.playerIndex].color, 40)
+          break
+      }
+    }
+  }
+
+  /** The same burst of particles as GameWorld.spawnExplosion() */
+  spawnExplosion(positionX, positionY, color, particleCount) {
+    const keptCount = Math.ceil(particleCount * this.particleDensity)
+    for (let index = 0; index < keptCount; index++) {
+      const particle = this.particlePool.acquire()
+      if (!particle) return
+      const angle = this.random.range(0, Math.PI * 2)
+      const speed = this.random.range(60, 360)
+      const velocity = { horizontal: Math.cos(angle) * speed, vertical: Math.sin(angle) * speed }
+      particle.init(positionX, positionY, this.random.range(1, 3), color, velocity)
+      this.particles.push(particle)
+    }
+  }
+
+  updateParticles(deltaTime) {
+    const { particles } = this
+    for (let particleIndex = particles.length - 1; particleIndex >= 0; particleIndex--) {
+      const particle = particles[particleIndex]
+      particle.update(deltaTime)
+      if (particle.alpha <= 0) {
+        particles[particleIndex] = particles[particles.length - 1]
+        particles.pop()
+        this.particlePool.release(particle)
+      }
+    }
+  }
+}
+
+function indexById(entities) {
+  return new Map(entities.map((entity) => [entity.id, entity]))
+}
@@ -0,0 +1,73 @@
+/**
+ * ObjectPool — Keeps used objects around so they can be handed out again
+ * instead of creating new ones.
+ *
+ * A big chain of kills can create hundreds of particles in one step. If every one is
+ * a fresh object, the browser's garbage collector eventually has to stop and clean
+ * them all up, and that pause shows up as a visible hitch. With a pool, a particle
+ * that fades out goes back on a "free list", and the next explosion reuses it.
+ *
+ *   const particle = pool.acquire()      // a spare object, or a new one
+ *   particle.init(...)                   // the caller fills in every field
+ *   ...
+ *   pool.release(particle)               // back on the free list for next time
+ *
+ * Pooled classes have an init() method that sets EVERY field, because a reused
+ * object still holds whatever its previous life left behind.
+ *
+ * The pool never manages more than maxSize objects. When all of them are in use,
+ * acquire() either creates a throwaway object that's left for the garbage collector
+ * after it's released, or returns null so the caller can do without.
+ */
+export class ObjectPool {
+  /**
+   * @param {function(): Object} create - Makes a new object when there's no spare one.
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] - Most objects the pool keeps track of, in use and spare together.
+   * @param {boolean} [options.allocateWhenFull] - When every object is in use: true creates a
+   *   throwaway object, false makes acquire() return null.
+   */
+  constructor(create, { maxSize = Infinity, allocateWhenFull = true } = {}) {
+    this.create = create
+    this.maxSize = maxSize
+    this.allocateWhenFull = allocateWhenFull
+
+    // Released objects waiting to be reused
+    this.spare = []
+    this.inUseCount = 0
+
+    // How many times acquire() found every object in use — handy for tuning maxSize
+    this.exhaustedCount = 0
+  }
+
+  /**
+   * Take an object from the pool. Remember to init() it — it may be a reused one.
+   *
+   * @returns {Object|null} Null only when the pool is full and allocateWhenFull is off.
+   */
+  acquire() {
+    if (this.spare.length > 0) {
+      this.inUseCount++
+      return this.spare.pop()
+    }
+
+    if (this.inUseCount >= this.maxSize) {
+      this.exhaustedCount++
+      if (!this.allocateWhenFull) return null
+    }
+
+    // Throwaway objects are counted as in use too, so the pool stays within maxSize
+    // when they're released — release() simply doesn't keep them
+    this.inUseCount++
+    return this.create()
+  }
+
+  /**
+   * Give an object back once it's no longer part of the game.
+   * It must not be used again until acquire() hands it out.
+   */
+  release(object) {
+    this.inUseCount--
+    if (this.inUseCount + this.spare.length < this.maxSize) this.spare.push(object)
+  }
+}
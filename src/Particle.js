@@ -4,64 +4,84 @@
  * When a projectile hits an enemy, we spawn a burst of particles at the collision point.
  * Each particle flies in a random direction at a random speed, then gradually slows down
  * (via friction) and fades out (via decreasing alpha). Once fully transparent, the particle
- * is removed from the game.
+ * is removed from the game and returned to the pool.
  *
  * Particles use the same color as the enemy they came from, creating a satisfying
  * visual effect that makes it look like the enemy is breaking apart.
+ *
+ * Explosions create a lot of particles, so they're recycled through an ObjectPool
+ * rather than created fresh each time.
  */
+
+// Default velocity for a blank particle
+const STILL = Object.freeze({ horizontal: 0, vertical: 0 })
+
 export class Particle {
   /**
-   * @param {CanvasRenderingContext2D} context - The drawing context.
-   * @param {number} positionX - Starting X position (where the collision happened).
-   * @param {number} positionY - Starting Y position (where the collision happened).
-   * @param {number} radius - Size of the particle (randomized by the caller).
-   * @param {string} color - Color of the particle (matches the enemy's color).
-   * @param {Object} velocity - Initial direction and speed { horizontal, vertical }.
+   * Particles come from the world's particle pool, which creates them blank and
+   * calls init() each time one is handed out.
+   *
+   * @param {number} [positionX] - Starting X position (where the collision happened).
+   * @param {number} [positionY] - Starting Y position (where the collision happened).
+   * @param {number} [radius] - Size of the particle (randomized by the caller).
+   * @param {string} [color] - Color of the particle (matches the enemy's color).
+   * @param {Object} [velocity] - Initial direction and speed in pixels per second { horizontal, vertical }.
+   */
+  constructor(positionX = 0, positionY = 0, radius = 0, color = 'white', velocity = STILL) {
+    // The particle's own velocity object, reused for every life it has.
+    // init() copies the values in rather than keeping the caller's object.
+    this.velocity = { horizontal: 0, vertical: 0 }
+    this.init(positionX, positionY, radius, color, velocity)
+  }
+
+  /**
+   * Set every field, so a recycled particle starts exactly like a new one.
+   * Takes the same arguments as the constructor.
    */
-  constructor(context, positionX, positionY, radius, color, velocity) {
-    this.context = context
+  init(positionX, positionY, radius, color, velocity) {
     this.positionX = positionX
     this.positionY = positionY
     this.radius = radius
     this.color = color
-    this.velocity = velocity
+    this.velocity.horizontal = velocity.horizontal
+    this.velocity.vertical = velocity.vertical
+
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
 
     // Alpha controls transparency: 1 = fully visible, 0 = invisible.
-    // We decrease it each frame so the particle gradually fades out.
+    // We decrease it over time so the particle gradually fades out.
     this.alpha = 1
 
-    // Friction slows the particle down each frame by multiplying velocity.
-    // A value of 0.98 means each frame retains 98% of the previous speed,
-    // creating a natural deceleration like air resistance.
-    this.friction = 0.98
-  }
+    // How much alpha is lost per second. At 0.6, a particle lasts about 1.7 seconds.
+    this.fadeRate = 0.6
 
-  draw() {
-    // Save the current canvas state so we can change globalAlpha
-    // without affecting other drawings in the same frame
-    this.context.save()
-    this.context.globalAlpha = this.alpha
-    this.context.beginPath()
-    this.context.arc(this.positionX, this.positionY, this.radius, 0, Math.PI * 2, false)
-    this.context.fillStyle = this.color
-    this.context.fill()
-    // Restore the canvas state so globalAlpha goes back to normal
-    this.context.restore()
+    // Friction slows the particle down over time by multiplying velocity.
+    // This is the fraction of speed kept after one full second — 0.3 is the same
+    // as keeping 98% of the speed every 1/60th of a second (0.98^60 ≈ 0.3),
+    // creating a natural deceleration like air resistance.
+    this.friction = 0.3
   }
 
-  update() {
-    this.draw()
+  /**
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
 
-    // Apply friction to slow the particle down each frame
-    this.velocity.horizontal *= this.friction
-    this.velocity.vertical *= this.friction
+    // Apply friction to slow the particle down. Raising it to the power of
+    // deltaTime scales the per-second friction down to this step's share.
+    const frictionThisStep = Math.pow(this.friction, deltaTime)
+    this.velocity.horizontal *= frictionThisStep
+    this.velocity.vertical *= frictionThisStep
 
     // Move the particle
-    this.positionX += this.velocity.horizontal
-    this.positionY += this.velocity.vertical
+    this.positionX += this.velocity.horizontal * deltaTime
+    this.positionY += this.velocity.vertical * deltaTime
 
-    // Fade out gradually. The rate (0.01) controls how long particles
-    // stay visible — at 60fps, a particle lasts about 100 frames (~1.7 seconds).
-    this.alpha -= 0.01
+    // Fade out gradually
+    this.alpha -= this.fadeRate * deltaTime
   }
 }
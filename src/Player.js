@@ -1,49 +1,185 @@
 /**
  * Player — The ship you control in the game.
  *
- * The player is a circle that can move around the canvas using keyboard input.
- * Projectiles are fired from the player's position, and the game ends
- * if any enemy touches the player.
+ * The player is a circle that can move around the world using keyboard input.
+ * Projectiles are fired from the player's position.
+ *
+ * Getting hit costs one point of health and knocks the ship back. When health runs
+ * out a life is lost and the ship starts over with full health; the game only ends
+ * once the last life is gone. The GameWorld decides when the player is hit and where
+ * they respawn — this class just keeps the numbers and applies the movement.
+ *
+ * In a co-op run there are two players, and running out of health doesn't cost a life:
+ * the ship is "downed" instead, stuck where it is until its partner revives it.
+ *
+ * Each player carries every weapon at once; only the selected one fires,
+ * but they all keep cooling down in the background.
  */
+import { Weapon, WEAPON_ORDER } from './Weapon.js'
+
+// Health points per life, and lives at the start of a run
+const MAX_HEALTH = 3
+const STARTING_LIVES = 3
+
+// Fraction of the knockback speed still left after one second
+const KNOCKBACK_DAMPING = 0.005
+
 export class Player {
-  constructor(context, positionX, positionY, radius, color) {
-    this.context = context
+  /**
+   * @param {number} positionX
+   * @param {number} positionY
+   * @param {number} radius
+   * @param {string} color
+   * @param {number} [index] - 0 for the first player, 1 for the second in co-op.
+   */
+  constructor(positionX, positionY, radius, color, index = 0) {
+    this.index = index
     this.positionX = positionX
     this.positionY = positionY
     this.radius = radius
     this.color = color
 
-    // Movement speed in pixels per frame.
-    // At 60fps, a speed of 3 means the player crosses a 1920px screen in ~10 seconds —
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    // Movement speed in pixels per second.
+    // A speed of 180 means the player crosses a 1920px screen in ~10 seconds —
     // fast enough to dodge enemies but slow enough to feel controllable.
-    this.speed = 3
+    this.speed = 180
+
+    // Seconds left during which nothing can hurt the player (e.g. right after a shield pops)
+    this.invulnerableTime = 0
+
+    this.maxHealth = MAX_HEALTH
+    this.health = MAX_HEALTH
+    // Lives left, counting the current one
+    this.lives = STARTING_LIVES
+
+    // Extra velocity from being hit, in pixels per second. It dies away quickly,
+    // shoving the ship clear of whatever hit it.
+    this.knockbackVelocity = { horizontal: 0, vertical: 0 }
+
+    this.weapons = WEAPON_ORDER.map((kind) => new Weapon(kind))
+    this.currentWeaponIndex = 0
+
+    // Co-op only: out of health and waiting for the partner. reviveProgress counts the
+    // seconds the partner has spent beside the ship so far.
+    this.isDowned = false
+    this.reviveProgress = 0
+  }
+
+  get isOnLastLife() {
+    return this.lives === 1
+  }
+
+  get currentWeapon() {
+    return this.weapons[this.currentWeaponIndex]
+  }
+
+  /**
+   * Switch to another weapon. Out-of-range slots are ignored.
+   *
+   * @param {number} slot - Index into WEAPON_ORDER.
+   */
+  selectWeapon(slot) {
+    if (Number.isInteger(slot) && slot >= 0 && slot < this.weapons.length) {
+      this.currentWeaponIndex = slot
+    }
+  }
+
+  /**
+   * Lose health and get knocked away from whatever caused the hit.
+   *
+   * @param {number} damage - Health points to lose.
+   * @param {number} sourceX - Where the hit came from; the ship is pushed directly away from it.
+   * @param {number} sourceY
+   * @param {number} knockbackSpeed - How hard the ship is pushed, in pixels per second.
+   * @returns {boolean} True if that was the last of this life's health.
+   */
+  takeHit(damage, sourceX, sourceY, knockbackSpeed) {
+    this.health = Math.max(0, this.health - damage)
+
+    // Pushed along the line from the source through the ship. A hit from dead
+    // center has no direction, so it just pushes upward.
+    const distance = Math.hypot(this.positionX - sourceX, this.positionY - sourceY)
+    const awayX = distance > 0 ? (this.positionX - sourceX) / distance : 0
+    const awayY = distance > 0 ? (this.positionY - sourceY) / distance : -1
+    this.knockbackVelocity.horizontal = awayX * knockbackSpeed
+    this.knockbackVelocity.vertical = awayY * knockbackSpeed
+
+    return this.health === 0
   }
 
-  draw() {
-    this.context.beginPath()
-    this.context.arc(this.positionX, this.positionY, this.radius, 0, Math.PI * 2, false)
-    this.context.fillStyle = this.color
-    this.context.fill()
+  /**
+   * Use up a life.
+   *
+   * @returns {boolean} True if there are lives left to carry on with.
+   */
+  loseLife() {
+    this.lives = Math.max(0, this.lives - 1)
+    return this.lives > 0
   }
 
   /**
-   * Move the player based on keyboard input direction, then draw.
+   * Start the next life at the given position with full health.
+   */
+  respawn(positionX, positionY) {
+    this.positionX = positionX
+    this.positionY = positionY
+    // Jumping to a new spot shouldn't be smoothed over by interpolation
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+    this.health = this.maxHealth
+    this.knockbackVelocity.horizontal = 0
+    this.knockbackVelocity.vertical = 0
+  }
+
+  /**
+   * Go down where the ship is, out of the fight until revived.
+   */
+  goDown() {
+    this.isDowned = true
+    this.reviveProgress = 0
+    this.knockbackVelocity.horizontal = 0
+    this.knockbackVelocity.vertical = 0
+  }
+
+  /**
+   * Get back up where the ship went down, with full health.
+   */
+  revive() {
+    this.isDowned = false
+    this.reviveProgress = 0
+    this.health = this.maxHealth
+  }
+
+  /**
+   * Move the player based on keyboard input direction.
    *
    * @param {Object} direction - A normalized vector { directionX, directionY } from InputHandler.
    *   "Normalized" means the vector's length is always 1 (or 0 if no keys pressed),
    *   so the player moves at the same speed whether going straight or diagonally.
-   * @param {number} canvasWidth - Used to clamp the player inside the canvas.
-   * @param {number} canvasHeight - Used to clamp the player inside the canvas.
+   * @param {number} worldWidth - Used to clamp the player inside the world.
+   * @param {number} worldHeight - Used to clamp the player inside the world.
+   * @param {number} deltaTime - Length of the simulation step in seconds.
    */
-  update(direction, canvasWidth, canvasHeight) {
-    this.positionX += direction.directionX * this.speed
-    this.positionY += direction.directionY * this.speed
+  update(direction, worldWidth, worldHeight, deltaTime) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime)
 
-    // Clamp position so the player circle never leaves the visible canvas area.
-    // We account for the radius so the edge of the circle stays inside, not just the center.
-    this.positionX = Math.max(this.radius, Math.min(canvasWidth - this.radius, this.positionX))
-    this.positionY = Math.max(this.radius, Math.min(canvasHeight - this.radius, this.positionY))
+    this.positionX += (direction.directionX * this.speed + this.knockbackVelocity.horizontal) * deltaTime
+    this.positionY += (direction.directionY * this.speed + this.knockbackVelocity.vertical) * deltaTime
+
+    // Knockback fades the same way particles slow down — by a fixed fraction per second
+    const damping = Math.pow(KNOCKBACK_DAMPING, deltaTime)
+    this.knockbackVelocity.horizontal *= damping
+    this.knockbackVelocity.vertical *= damping
 
-    this.draw()
+    // Clamp position so the player circle never leaves the world.
+    // We account for the radius so the edge of the circle stays inside, not just the center.
+    this.positionX = Math.max(this.radius, Math.min(worldWidth - this.radius, this.positionX))
+    this.positionY = Math.max(this.radius, Math.min(worldHeight - this.radius, this.positionY))
   }
 }
@@ -0,0 +1,81 @@
+/**
+ * PowerUp — A collectible pickup that sometimes drops when an enemy is destroyed.
+ *
+ * Pickups drift slowly and bounce off the edges of the world, so they stay on screen
+ * until the player flies into them. What happens on pickup is decided by the kind:
+ *
+ *   spread — every shot fires three projectiles in a fan          (10 seconds)
+ *   rapid  — weapons fire 2.5x faster and don't build up heat      (8 seconds)
+ *   shield — absorbs the next hit, so it costs no health           (until hit)
+ *   bomb   — instantly destroys every enemy and boss bullet        (instant)
+ *   slow   — enemies, boss and bullets move at half speed          (6 seconds)
+ *
+ * The timers and stacking rules live in ActivePowerUps.
+ */
+
+/**
+ * @typedef {Object} PowerUpType
+ * @property {string} label - Name shown in the HUD.
+ * @property {string} symbol - Letter drawn on the pickup.
+ * @property {string} color - Ring color of the pickup.
+ * @property {number} duration - Seconds the effect lasts (0 = not timed).
+ * @property {number} weight - Relative chance of dropping compared to the other kinds.
+ */
+
+/** @type {Object<string, PowerUpType>} */
+export const POWER_UP_TYPES = {
+  spread: { label: 'SPREAD', symbol: 'S', color: 'hsl(200, 90%, 60%)', duration: 10, weight: 3 },
+  rapid: { label: 'RAPID', symbol: 'R', color: 'hsl(40, 95%, 60%)', duration: 8, weight: 3 },
+  shield: { label: 'SHIELD', symbol: 'O', color: 'hsl(160, 80%, 55%)', duration: 0, weight: 2 },
+  bomb: { label: 'BOMB', symbol: 'B', color: 'hsl(0, 85%, 60%)', duration: 0, weight: 1 },
+  slow: { label: 'SLOW-MO', symbol: 'T', color: 'hsl(280, 80%, 70%)', duration: 6, weight: 2 }
+}
+
+export class PowerUp {
+  /**
+   * @param {number} positionX - Where it dropped.
+   * @param {number} positionY - Where it dropped.
+   * @param {string} kind - A key of POWER_UP_TYPES.
+   * @param {Object} velocity - Drift direction and speed in pixels per second { horizontal, vertical }.
+   */
+  constructor(positionX, positionY, kind, velocity) {
+    this.positionX = positionX
+    this.positionY = positionY
+    this.kind = kind
+    this.type = POWER_UP_TYPES[kind]
+    this.velocity = velocity
+    this.radius = 12
+
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    // Drives the gentle pulsing of the pickup's ring
+    this.age = 0
+  }
+
+  /**
+   * Drift, bouncing off the world edges so the pickup never leaves the screen.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   * @param {number} worldWidth
+   * @param {number} worldHeight
+   */
+  update(deltaTime, worldWidth, worldHeight) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+    this.positionX += this.velocity.horizontal * deltaTime
+    this.positionY += this.velocity.vertical * deltaTime
+    this.age += deltaTime
+
+    // Reverse the velocity on whichever axis went out of bounds, and clamp back inside
+    if (this.positionX < this.radius || this.positionX > worldWidth - this.radius) {
+      this.velocity.horizontal *= -1
+      this.positionX = Math.max(this.radius, Math.min(worldWidth - this.radius, this.positionX))
+    }
+    if (this.positionY < this.radius || this.positionY > worldHeight - this.radius) {
+      this.velocity.vertical *= -1
+      this.positionY = Math.max(this.radius, Math.min(worldHeight - this.radius, this.positionY))
+    }
+  }
+}
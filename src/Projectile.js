@@ -1,31 +1,99 @@
 /**
- * Projectile — Bullets fired by the player toward the mouse click position.
+ * Projectile — Bullets fired by the player toward the aim position.
  *
- * When the player clicks, we calculate the angle from the player to the click
+ * When the player fires, we calculate the angle from the player to the aim point
  * using atan2, then create a velocity vector in that direction.
- * The projectile travels in a straight line until it hits an enemy or leaves the screen.
+ * The projectile travels in a straight line until it hits an enemy or leaves the world.
+ *
+ * The "kind" decides what happens on impact (see Weapon.js):
+ *   bullet  — spent on the first thing it hits
+ *   laser   — pierces, damaging each enemy it passes through once
+ *   shell   — bursts, damaging everything in an area
+ *   missile — like a bullet, but the world steers it toward enemies
+ *
+ * The player can fire many shots a second, so projectiles are recycled through an
+ * ObjectPool. The boss's bullets are Projectiles too, from the same pool.
  */
+
+// Default velocity for a blank projectile
+const STILL = Object.freeze({ horizontal: 0, vertical: 0 })
+
 export class Projectile {
-  constructor(context, positionX, positionY, radius, color, velocity) {
-    this.context = context
+  /**
+   * Projectiles come from the world's projectile pool, which creates them blank and
+   * calls init() each time one is handed out.
+   */
+  constructor(positionX = 0, positionY = 0, radius = 0, color = 'white', velocity = STILL, kind = 'bullet') {
+    // The projectile's own velocity object, reused for every life it has.
+    // init() copies the values in, and missiles steer by changing them.
+    this.velocity = { horizontal: 0, vertical: 0 }
+    this.init(positionX, positionY, radius, color, velocity, kind)
+  }
+
+  /**
+   * Set every field, so a recycled projectile starts exactly like a new one.
+   * Takes the same arguments as the constructor.
+   */
+  init(positionX, positionY, radius, color, velocity, kind = 'bullet') {
     this.positionX = positionX
     this.positionY = positionY
     this.radius = radius
     this.color = color
-    // velocity is an object { horizontal, vertical } — pixels moved per frame on each axis
-    this.velocity = velocity
+    // velocity is an object { horizontal, vertical } — pixels moved per second on each axis
+    this.velocity.horizontal = velocity.horizontal
+    this.velocity.vertical = velocity.vertical
+    this.kind = kind
+
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    // Seconds since it was fired — shells burst and missiles burn out after a while
+    this.age = 0
+    // Everything a laser has already passed through, so each target is only hit once.
+    // A recycled projectile keeps its Set (emptied) if it's a laser again.
+    if (kind === 'laser') {
+      this.piercedTargets ??= new Set()
+      this.piercedTargets.clear()
+    } else {
+      this.piercedTargets = null
+    }
+
+    // Set when it hits something and is used up. The world removes it at the end of the step.
+    this.isSpent = false
+
+    // Which player fired it, so the points for whatever it hits go to them
+    this.ownerIndex = 0
   }
 
-  draw() {
-    this.context.beginPath()
-    this.context.arc(this.positionX, this.positionY, this.radius, 0, Math.PI * 2, false)
-    this.context.fillStyle = this.color
-    this.context.fill()
+  /**
+   * Turn toward a point, but by no more than maxTurn radians, keeping the same speed.
+   *
+   * @param {number} targetX
+   * @param {number} targetY
+   * @param {number} maxTurn - Largest allowed change of heading this step, in radians.
+   */
+  steerToward(targetX, targetY, maxTurn) {
+    const speed = Math.hypot(this.velocity.horizontal, this.velocity.vertical)
+    const currentHeading = Math.atan2(this.velocity.vertical, this.velocity.horizontal)
+    const desiredHeading = Math.atan2(targetY - this.positionY, targetX - this.positionX)
+
+    // Wrap the difference into -π..π so it always turns the short way round
+    const difference = Math.atan2(Math.sin(desiredHeading - currentHeading), Math.cos(desiredHeading - currentHeading))
+    const newHeading = currentHeading + Math.max(-maxTurn, Math.min(maxTurn, difference))
+
+    this.velocity.horizontal = Math.cos(newHeading) * speed
+    this.velocity.vertical = Math.sin(newHeading) * speed
   }
 
-  update() {
-    this.draw()
-    this.positionX = this.positionX + this.velocity.horizontal
-    this.positionY = this.positionY + this.velocity.vertical
+  /**
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+    this.positionX = this.positionX + this.velocity.horizontal * deltaTime
+    this.positionY = this.positionY + this.velocity.vertical * deltaTime
+    this.age += deltaTime
   }
 }
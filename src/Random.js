@@ -0,0 +1,54 @@
+/**
+ * Random — A small seedable pseudo-random number generator (PRNG).
+ *
+ * Math.random() can't be seeded, so two runs of the game can never be made identical.
+ * This generator produces the same sequence of numbers every time it starts from the
+ * same seed. If every random decision in the simulation goes through one of these,
+ * a run can be reproduced exactly from its seed plus the player's inputs — which is
+ * what makes replays possible.
+ *
+ * The algorithm is "mulberry32": a tiny, fast 32-bit generator that is more than
+ * random enough for games (it is NOT suitable for anything security related).
+ */
+export class Random {
+  /**
+   * @param {number} [seed] - Any 32-bit integer. A fresh random seed is used if omitted.
+   */
+  constructor(seed = Random.createSeed()) {
+    // ">>> 0" forces the value into an unsigned 32-bit integer
+    this.seed = seed >>> 0
+    this.state = this.seed
+  }
+
+  /**
+   * Pick a new seed for a fresh run. This is the only place Math.random() is
+   * still allowed — everything after it must be derived from the seed.
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 2 ** 32)
+  }
+
+  /**
+   * Return the next number in the sequence, between 0 (inclusive) and 1 (exclusive),
+   * exactly like Math.random().
+   */
+  next() {
+    // Math.imul multiplies as 32-bit integers, so the result is identical in every
+    // JavaScript engine — ordinary "*" would lose precision on large numbers.
+    this.state = (this.state + 0x6D2B79F5) >>> 0
+    let mixed = this.state
+    mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1)
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61)
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296
+  }
+
+  /** Return a number between min (inclusive) and max (exclusive) */
+  range(min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /** Return true with the given probability (0 to 1) */
+  chance(probability) {
+    return this.next() < probability
+  }
+}
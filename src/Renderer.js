@@ -0,0 +1,1033 @@
+/**
+ * Renderer — Draws a snapshot of the GameWorld onto a canvas.
+ *
+ * The renderer only ever reads from the world; it never changes it. That one-way
+ * relationship is what lets the simulation run without a canvas (in tests or in Node)
+ * while the browser version still looks exactly the same.
+ *
+ * Draw order matters on a canvas — later drawings appear on top of earlier ones:
+ *   background → starfield → power-ups → player → projectiles → particles → enemies
+ *   → boss → boss bullets → score popups → death flash → threat indicators → HUD
+ *   → minimap → level name
+ *
+ * Everything in the world is drawn in world units, through the Viewport's transform and
+ * shifted by the camera, so it scales with the window and scrolls with the player. The HUD
+ * is drawn in screen pixels instead: the score stays readable on a phone and doesn't
+ * become enormous on a big monitor.
+ *
+ * In co-op both ships are drawn, and the HUD gets a row of hearts, a score and a weapon
+ * bar for each player.
+ *
+ * The AccessibilitySettings are read on every frame, so changing them shows straight away:
+ * enemy colors by type from a color-blind-safe or high-contrast palette, outlines that
+ * show each enemy's size, a steady picture without blinking or pulsing, and a bigger HUD.
+ *
+ * The extra effects (see Effects.js) are drawn here too, each only while its setting is on:
+ * a shake of the view, a parallax starfield, trails behind enemies and shots, a glow around
+ * each ship and a red flash at the edges when one is destroyed. They're all plain fills and
+ * strokes — no shadows or filters, which are slow without a GPU. Reduced motion stops the
+ * shake and the stars, and turns the flash down to a tint.
+ */
+import { interpolate } from './GameLoop.js'
+import { COMBO_WINDOW } from './ScoreManager.js'
+import { POWER_UP_TYPES } from './PowerUp.js'
+import { JOYSTICK_RADIUS } from './TouchInput.js'
+import { REVIVE_TIME } from './GameWorld.js'
+import { AccessibilitySettings } from './AccessibilitySettings.js'
+import { Effects } from './Effects.js'
+
+// Enemies this far outside the view (in world units) get an arrow on the edge of the screen
+const THREAT_RANGE = 500
+
+// Width of the minimap in the bottom-right corner, in screen pixels
+const MINIMAP_WIDTH = 160
+
+// A scripted level's name is shown for this many seconds as it starts
+const LEVEL_NAME_TIME = 3
+
+// Trails reach back as far as this many steps' movement, and are this see-through
+const TRAIL_STEPS = 4
+const TRAIL_ALPHA = 0.3
+
+// The glow around a ship reaches out to this many times its radius
+const GLOW_SCALE = 3
+const GLOW_ALPHA = 0.35
+
+// How much the stars slide as the ship moves across the view, on top of following the
+// view itself. Without it they'd hold still whenever the camera can't move.
+const STAR_SWAY = 0.5
+
+// How strong the red flash is at its peak, and with reduced motion
+const VIGNETTE_ALPHA = 0.7
+const REDUCED_MOTION_VIGNETTE_ALPHA = 0.3
+
+// Enemy colors by type for the palettes other than 'standard'. The color-blind one is
+// the Okabe-Ito palette, minus its dark blue and black, which vanish against the background.
+const ENEMY_PALETTES = {
+  colorBlind: {
+    drifter: '#e69f00',
+    zigzag: '#56b4e9',
+    homer: '#009e73',
+    splitter: '#f0e442',
+    shielded: '#cc79a7',
+    charger: '#d55e00'
+  },
+  highContrast: {
+    drifter: '#ffff00',
+    zigzag: '#00ffff',
+    homer: '#00ff00',
+    splitter: '#ff00ff',
+    shielded: '#ff8000',
+    charger: '#ff3030'
+  }
+}
+
+export class Renderer {
+  /**
+   * @param {CanvasRenderingContext2D} context - The 2D drawing context to render into.
+   * @param {import('./Viewport.js').Viewport} viewport - Where the world sits on the canvas.
+   * @param {AccessibilitySettings} [accessibility] - Palette, outlines, reduced motion and HUD size.
+   * @param {Effects} [effects] - The shake, flash and stars to draw, and which effects are on.
+   */
+  constructor(context, viewport, accessibility = new AccessibilitySettings(null), effects = new Effects()) {
+    this.context = context
+    this.viewport = viewport
+    this.accessibility = accessibility
+    this.effects = effects
+  }
+
+  // The HUD is laid out on a screen this size, then scaled up by hudScale to fill the real one
+  get hudWidth() {
+    return this.viewport.screenWidth / this.accessibility.hudScale
+  }
+
+  get hudHeight() {
+    return this.viewport.screenHeight / this.accessibility.hudScale
+  }
+
+  /** An enemy's own random color, or its type's color in the chosen palette */
+  getEnemyColor(enemy) {
+    return ENEMY_PALETTES[this.accessibility.palette]?.[enemy.type] ?? enemy.color
+  }
+
+  /**
+   * Whether something that flashes should be drawn in its "on" state right now.
+   * With reduced motion nothing flashes: it just stays on.
+   *
+   * @param {number} time - Seconds on whatever clock drives the flashing.
+   * @param {number} rate - How many times a second it switches on or off.
+   */
+  isFlashOn(time, rate) {
+    return this.accessibility.isReducedMotion || Math.floor(time * rate) % 2 === 0
+  }
+
+  /**
+   * The alpha for text that pulses to get attention — steady with reduced motion.
+   */
+  getPulseAlpha(time) {
+    return this.accessibility.isReducedMotion ? 1 : 0.6 + 0.4 * Math.sin(time * 6)
+  }
+
+  /**
+   * Draw one frame.
+   *
+   * @param {import('./GameWorld.js').GameWorld} world - The world to draw.
+   * @param {number} interpolation - How far we are between the last simulation step
+   *   and the next one (0 to 1). Entities are drawn between their previous and
+   *   current positions, which keeps motion smooth on high refresh rate displays.
+   */
+  render(world, interpolation) {
+    // Clear the entire canvas to a solid black background each frame.
+    // This gives a clean render with no leftover artifacts from previous frames.
+    this.clear()
+
+    // Anything outside the view — like an enemy about to fly in — is hidden behind the bars.
+    // A screen shake moves the whole view, so the bars stay put.
+    const { context, viewport } = this
+    const { camera } = world
+    const cameraX = interpolate(camera.previousPositionX, camera.positionX, interpolation)
+    const cameraY = interpolate(camera.previousPositionY, camera.positionY, interpolation)
+    const [shakeX, shakeY] = this.getShakeOffset()
+    const viewX = cameraX + shakeX
+    const viewY = cameraY + shakeY
+    context.save()
+    viewport.applyWorldTransform(context, viewX, viewY)
+    context.beginPath()
+    context.rect(viewX, viewY, camera.viewWidth, camera.viewHeight)
+    context.clip()
+
+    if (this.effects.settings.hasStarfield) this.drawStarfield(world, cameraX, cameraY, viewX, viewY, interpolation)
+    this.drawWorldEdges(world)
+
+    world.powerUps.forEach((powerUp) => this.drawPowerUp(powerUp, interpolation))
+    world.players.forEach((player) => this.drawPlayer(player, world.activePowerUps, interpolation))
+    world.projectiles.forEach((projectile) => this.drawProjectile(projectile, interpolation))
+    world.particles.forEach((particle) => this.drawParticle(particle, interpolation))
+    world.enemies.forEach((enemy) => this.drawEnemy(enemy, interpolation))
+    if (world.boss) this.drawBoss(world.boss, interpolation)
+    world.enemyBullets.forEach((bullet) => this.drawCircle(bullet, interpolation))
+    world.scorePopups.forEach((popup) => this.drawScorePopup(popup, interpolation))
+    context.restore()
+
+    this.drawDeathVignette(camera)
+
+    // A faint outline shows where the edges are when there are bars around the view
+    if (viewport.hasBars) this.drawViewBorder(camera)
+    this.drawThreatIndicators(world, cameraX, cameraY)
+
+    // Draw the HUD last so it always appears on top of all game entities
+    context.save()
+    context.scale(this.accessibility.hudScale, this.accessibility.hudScale)
+    this.drawHud(world.scoreManager)
+    this.drawPowerUpTimers(world.activePowerUps)
+    if (world.isMultiplayer) {
+      world.players.forEach((player) => {
+        this.drawWeaponBar(player, player.index, true)
+        this.drawCoopHealth(player, world.scoreManager.playerScores[player.index], world.elapsedTime)
+      })
+    } else {
+      this.drawWeaponBar(world.player, 0, false)
+      this.drawHealth(world.player, world.elapsedTime)
+    }
+    if (world.boss) this.drawBossHealthBar(world.boss)
+    context.restore()
+    this.drawMinimap(world)
+    if (world.levelScript) this.drawLevelName(world)
+  }
+
+  /**
+   * Announce a scripted level by name in the middle of the screen, fading out.
+   */
+  drawLevelName(world) {
+    const age = world.elapsedTime - world.levelStartTime
+    if (age >= LEVEL_NAME_TIME) return
+
+    const { context, viewport } = this
+    context.save()
+    // Fully visible until the last second, then fading away
+    context.globalAlpha = Math.min(1, LEVEL_NAME_TIME - age)
+    context.fillStyle = 'white'
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    context.font = '20px sans-serif'
+    context.fillText(`Level ${world.currentLevel}`, viewport.screenWidth / 2, viewport.screenHeight * 0.3 - 28)
+    context.font = 'bold 36px sans-serif'
+    context.fillText(world.levelScript.definition.name, viewport.screenWidth / 2, viewport.screenHeight * 0.3 + 8)
+    context.restore()
+  }
+
+  /**
+   * Fill the whole canvas with the black background, and leave the context
+   * ready to draw in screen pixels.
+   */
+  clear() {
+    const { context } = this
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.fillStyle = 'black'
+    context.fillRect(0, 0, context.canvas.width, context.canvas.height)
+    this.viewport.applyScreenTransform(context)
+  }
+
+  /** This frame's shake of the view, in world units — none while shaking is off */
+  getShakeOffset() {
+    if (!this.effects.settings.hasScreenShake || this.accessibility.isReducedMotion) return [0, 0]
+    return this.effects.getShakeOffset()
+  }
+
+  /**
+   * Layers of stars that fill the view. Each layer slides along with the view by its own
+   * depth, so the far stars creep and the near ones race past — and it wraps around, so
+   * a few dozen stars per layer cover any distance. Every layer is a single fill.
+   */
+  drawStarfield(world, cameraX, cameraY, viewX, viewY, interpolation) {
+    const { context } = this
+    const { camera, player } = world
+
+    // With reduced motion the stars stay where they are on the screen
+    let shiftX = 0
+    let shiftY = 0
+    if (!this.accessibility.isReducedMotion) {
+      const playerX = interpolate(player.previousPositionX, player.positionX, interpolation)
+      const playerY = interpolate(player.previousPositionY, player.positionY, interpolation)
+      shiftX = cameraX + (playerX - cameraX - camera.viewWidth / 2) * STAR_SWAY
+      shiftY = cameraY + (playerY - cameraY - camera.viewHeight / 2) * STAR_SWAY
+    }
+
+    for (const { depth, size, alpha, stars } of this.effects.starLayers) {
+      context.fillStyle = `rgba(255, 255, 255, ${alpha})`
+      context.beginPath()
+      for (let index = 0; index < stars.length; index += 2) {
+        context.rect(
+          viewX + wrap(stars[index] * camera.viewWidth - shiftX * depth, camera.viewWidth),
+          viewY + wrap(stars[index + 1] * camera.viewHeight - shiftY * depth, camera.viewHeight),
+          size, size
+        )
+      }
+      context.fill()
+    }
+  }
+
+  /**
+   * A fading streak behind something moving, as long as a few steps of its movement.
+   * It's one stroke, drawn just before the body so the body sits on top of it.
+   */
+  drawTrail(entity, color, interpolation) {
+    const movementX = entity.positionX - entity.previousPositionX
+    const movementY = entity.positionY - entity.previousPositionY
+    // Nothing to see on something standing still
+    if (Math.abs(movementX) + Math.abs(movementY) < 0.5) return
+
+    const { context } = this
+    const positionX = interpolate(entity.previousPositionX, entity.positionX, interpolation)
+    const positionY = interpolate(entity.previousPositionY, entity.positionY, interpolation)
+    context.save()
+    context.globalAlpha = TRAIL_ALPHA
+    context.beginPath()
+    context.moveTo(positionX - movementX * TRAIL_STEPS, positionY - movementY * TRAIL_STEPS)
+    context.lineTo(positionX, positionY)
+    context.strokeStyle = color
+    context.lineWidth = entity.radius
+    context.lineCap = 'round'
+    context.stroke()
+    context.restore()
+  }
+
+  /**
+   * A soft halo in the ship's color, fading out from its edge. A gradient fill costs far
+   * less than a canvas shadow blur on a machine without a GPU.
+   */
+  drawPlayerGlow(player, interpolation) {
+    const { context } = this
+    const positionX = interpolate(player.previousPositionX, player.positionX, interpolation)
+    const positionY = interpolate(player.previousPositionY, player.positionY, interpolation)
+    const glowRadius = player.radius * GLOW_SCALE
+
+    const gradient = context.createRadialGradient(positionX, positionY, player.radius * 0.5, positionX, positionY, glowRadius)
+    gradient.addColorStop(0, player.color)
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)')
+    context.save()
+    context.globalAlpha = GLOW_ALPHA
+    context.fillStyle = gradient
+    context.beginPath()
+    context.arc(positionX, positionY, glowRadius, 0, Math.PI * 2, false)
+    context.fill()
+    context.restore()
+  }
+
+  /**
+   * Redden the edges of the view for a moment after a ship is destroyed, fading out.
+   * Drawn in screen pixels over the world, but under the HUD.
+   */
+  drawDeathVignette(camera) {
+    const strength = this.effects.getVignetteStrength()
+    if (strength === 0 || !this.effects.settings.hasDeathVignette) return
+
+    const { context, viewport } = this
+    const width = camera.viewWidth * viewport.scale
+    const height = camera.viewHeight * viewport.scale
+    const centerX = viewport.offsetX + width / 2
+    const centerY = viewport.offsetY + height / 2
+
+    // Clear in the middle, red toward the corners
+    const gradient = context.createRadialGradient(centerX, centerY, Math.min(width, height) * 0.3, centerX, centerY, Math.hypot(width, height) / 2)
+    gradient.addColorStop(0, 'rgba(255, 0, 0, 0)')
+    gradient.addColorStop(1, 'rgba(255, 0, 0, 1)')
+    context.save()
+    context.globalAlpha = strength * (this.accessibility.isReducedMotion ? REDUCED_MOTION_VIGNETTE_ALPHA : VIGNETTE_ALPHA)
+    context.fillStyle = gradient
+    context.fillRect(viewport.offsetX, viewport.offsetY, width, height)
+    context.restore()
+  }
+
+  drawViewBorder(camera) {
+    const { context, viewport } = this
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)'
+    context.lineWidth = 1
+    context.strokeRect(viewport.offsetX, viewport.offsetY, camera.viewWidth * viewport.scale, camera.viewHeight * viewport.scale)
+  }
+
+  /**
+   * Outline the walls of the world, so it's clear why the ship (and the camera) stops there.
+   * Only the part of the outline inside the view actually shows.
+   */
+  drawWorldEdges(world) {
+    const { context } = this
+    context.strokeStyle = 'rgba(120, 160, 255, 0.35)'
+    context.lineWidth = 4
+    context.strokeRect(0, 0, world.width, world.height)
+  }
+
+  /**
+   * Point out enemies that are just off screen: a small arrow on the edge of the view,
+   * in the enemy's color, aimed at where it is. Closer enemies get brighter arrows.
+   * Enemies far away don't get one — most of those are drifters flying off for good.
+   */
+  drawThreatIndicators(world, cameraX, cameraY) {
+    const { context, viewport } = this
+    const { camera } = world
+    const viewRight = cameraX + camera.viewWidth
+    const viewBottom = cameraY + camera.viewHeight
+    const centerX = cameraX + camera.viewWidth / 2
+    const centerY = cameraY + camera.viewHeight / 2
+    const margin = 14 / viewport.scale
+
+    const threats = world.boss ? [...world.enemies, world.boss] : world.enemies
+    for (const enemy of threats) {
+      if (enemy.isDestroyed || camera.canSee(enemy.positionX, enemy.positionY, enemy.radius)) continue
+
+      // How far outside the view it is, along whichever axis it's furthest out
+      const distanceOutside = Math.max(
+        cameraX - enemy.positionX, enemy.positionX - viewRight,
+        cameraY - enemy.positionY, enemy.positionY - viewBottom
+      )
+      if (distanceOutside > THREAT_RANGE) continue
+
+      // Slide along the line from the view's center toward the enemy until it meets the
+      // edge (pulled in by the margin), by scaling that line down to fit
+      const towardX = enemy.positionX - centerX
+      const towardY = enemy.positionY - centerY
+      const fit = Math.min(
+        towardX === 0 ? Infinity : (camera.viewWidth / 2 - margin) / Math.abs(towardX),
+        towardY === 0 ? Infinity : (camera.viewHeight / 2 - margin) / Math.abs(towardY)
+      )
+      const edgeX = viewport.offsetX + (centerX + towardX * fit - cameraX) * viewport.scale
+      const edgeY = viewport.offsetY + (centerY + towardY * fit - cameraY) * viewport.scale
+
+      context.save()
+      context.translate(edgeX, edgeY)
+      context.rotate(Math.atan2(towardY, towardX))
+      context.globalAlpha = 1 - 0.7 * (distanceOutside / THREAT_RANGE)
+      context.fillStyle = this.getEnemyColor(enemy)
+      context.beginPath()
+      context.moveTo(8, 0)
+      context.lineTo(-6, -7)
+      context.lineTo(-6, 7)
+      context.closePath()
+      context.fill()
+      context.restore()
+    }
+  }
+
+  /**
+   * A small map of the whole world in the bottom-right corner: a box for what the camera
+   * sees, a dot for every enemy, and the player in white. Left out when the whole world
+   * fits on screen, since there'd be nothing new on it.
+   */
+  drawMinimap(world) {
+    const { context, viewport } = this
+    const { camera } = world
+    if (world.width <= camera.viewWidth && world.height <= camera.viewHeight) return
+
+    const mapScale = MINIMAP_WIDTH / world.width
+    const mapHeight = world.height * mapScale
+    const mapX = viewport.screenWidth - 16 - MINIMAP_WIDTH
+    const mapY = viewport.screenHeight - 16 - mapHeight
+    const toMap = (entity) => [mapX + entity.positionX * mapScale, mapY + entity.positionY * mapScale]
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    context.fillRect(mapX, mapY, MINIMAP_WIDTH, mapHeight)
+    context.strokeStyle = 'rgba(255, 255, 255, 0.4)'
+    context.lineWidth = 1
+    context.strokeRect(mapX, mapY, MINIMAP_WIDTH, mapHeight)
+    context.strokeStyle = 'rgba(255, 255, 255, 0.25)'
+    context.strokeRect(
+      mapX + camera.positionX * mapScale, mapY + camera.positionY * mapScale,
+      camera.viewWidth * mapScale, camera.viewHeight * mapScale
+    )
+
+    // Clip so enemies still flying in from outside the world don't spill over the frame
+    context.save()
+    context.beginPath()
+    context.rect(mapX, mapY, MINIMAP_WIDTH, mapHeight)
+    context.clip()
+    for (const enemy of world.enemies) {
+      if (enemy.isDestroyed) continue
+      const [dotX, dotY] = toMap(enemy)
+      context.fillStyle = this.getEnemyColor(enemy)
+      context.fillRect(dotX - 1, dotY - 1, 2, 2)
+    }
+    if (world.boss) {
+      const [dotX, dotY] = toMap(world.boss)
+      context.fillStyle = world.boss.color
+      context.fillRect(dotX - 3, dotY - 3, 6, 6)
+    }
+    context.restore()
+
+    for (const player of world.players) {
+      const [playerX, playerY] = toMap(player)
+      context.fillStyle = player.color
+      context.fillRect(playerX - 2, playerY - 2, 4, 4)
+    }
+  }
+
+  /**
+   * Draw any entity that has a position, previous position, radius and color.
+   */
+  drawCircle(entity, interpolation) {
+    this.context.beginPath()
+    this.context.arc(
+      interpolate(entity.previousPositionX, entity.positionX, interpolation),
+      interpolate(entity.previousPositionY, entity.positionY, interpolation),
+      entity.radius, 0, Math.PI * 2, false
+    )
+    this.context.fillStyle = entity.color
+    this.context.fill()
+  }
+
+  /**
+   * Draw the player, with a ring around it while a shield is held. After a hit,
+   * a respawn or a shield popping, the ship blinks to show it can't be hurt for a moment.
+   * A downed co-op player is drawn faded, with a ring that fills as they're revived.
+   */
+  drawPlayer(player, activePowerUps, interpolation) {
+    const { context } = this
+    if (player.isDowned) {
+      this.drawDownedPlayer(player, interpolation)
+      return
+    }
+
+    if (this.effects.settings.hasPlayerGlow) this.drawPlayerGlow(player, interpolation)
+
+    // With reduced motion, the ship is drawn faded instead of blinking
+    if (player.invulnerableTime <= 0) {
+      this.drawCircle(player, interpolation)
+    } else if (this.accessibility.isReducedMotion) {
+      context.save()
+      context.globalAlpha = 0.5
+      this.drawCircle(player, interpolation)
+      context.restore()
+    } else if (Math.floor(player.invulnerableTime * 10) % 2 !== 0) {
+      this.drawCircle(player, interpolation)
+    }
+
+    if (activePowerUps.hasShield) {
+      context.beginPath()
+      context.arc(
+        interpolate(player.previousPositionX, player.positionX, interpolation),
+        interpolate(player.previousPositionY, player.positionY, interpolation),
+        player.radius + 6, 0, Math.PI * 2, false
+      )
+      context.strokeStyle = POWER_UP_TYPES.shield.color
+      context.lineWidth = 2
+      context.stroke()
+    }
+  }
+
+  drawDownedPlayer(player, interpolation) {
+    const { context } = this
+    const positionX = interpolate(player.previousPositionX, player.positionX, interpolation)
+    const positionY = interpolate(player.previousPositionY, player.positionY, interpolation)
+
+    context.save()
+    context.globalAlpha = 0.35
+    this.drawCircle(player, interpolation)
+    context.restore()
+
+    // The empty track, then the part filled so far, starting from the top
+    context.lineWidth = 3
+    context.beginPath()
+    context.arc(positionX, positionY, player.radius + 10, 0, Math.PI * 2, false)
+    context.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+    context.stroke()
+    if (player.reviveProgress > 0) {
+      const fraction = Math.min(1, player.reviveProgress / REVIVE_TIME)
+      context.beginPath()
+      context.arc(positionX, positionY, player.radius + 10, -Math.PI / 2, -Math.PI / 2 + fraction * Math.PI * 2, false)
+      context.strokeStyle = player.color
+      context.stroke()
+    }
+  }
+
+  /**
+   * A pickup is a dark circle with a pulsing colored ring and a letter for its kind.
+   */
+  drawPowerUp(powerUp, interpolation) {
+    const { context } = this
+    const positionX = interpolate(powerUp.previousPositionX, powerUp.positionX, interpolation)
+    const positionY = interpolate(powerUp.previousPositionY, powerUp.positionY, interpolation)
+    const pulse = this.accessibility.isReducedMotion ? 1 : 1 + Math.sin(powerUp.age * 5) * 0.15
+
+    context.beginPath()
+    context.arc(positionX, positionY, powerUp.radius * pulse, 0, Math.PI * 2, false)
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    context.fill()
+    context.strokeStyle = powerUp.type.color
+    context.lineWidth = 2
+    context.stroke()
+
+    context.fillStyle = powerUp.type.color
+    context.font = 'bold 14px sans-serif'
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    context.fillText(powerUp.type.symbol, positionX, positionY)
+  }
+
+  /**
+   * Draw a player projectile with the look of its weapon: lasers are streaks
+   * along their path, missiles are little darts, everything else is a dot.
+   */
+  drawProjectile(projectile, interpolation) {
+    const { context } = this
+    const positionX = interpolate(projectile.previousPositionX, projectile.positionX, interpolation)
+    const positionY = interpolate(projectile.previousPositionY, projectile.positionY, interpolation)
+    const heading = Math.atan2(projectile.velocity.vertical, projectile.velocity.horizontal)
+
+    // A laser is a streak already
+    if (this.effects.settings.hasTrails && projectile.kind !== 'laser') {
+      this.drawTrail(projectile, projectile.color, interpolation)
+    }
+
+    switch (projectile.kind) {
+      case 'laser':
+        // A streak trailing 24px behind the tip
+        context.beginPath()
+        context.moveTo(positionX, positionY)
+        context.lineTo(positionX - Math.cos(heading) * 24, positionY - Math.sin(heading) * 24)
+        context.strokeStyle = projectile.color
+        context.lineWidth = projectile.radius
+        context.lineCap = 'round'
+        context.stroke()
+        break
+
+      case 'missile':
+        context.save()
+        context.translate(positionX, positionY)
+        context.rotate(heading)
+        context.beginPath()
+        context.moveTo(projectile.radius * 1.6, 0)
+        context.lineTo(-projectile.radius, projectile.radius * 0.7)
+        context.lineTo(-projectile.radius, -projectile.radius * 0.7)
+        context.closePath()
+        context.fillStyle = projectile.color
+        context.fill()
+        context.restore()
+        break
+
+      default:
+        // Bullets are plain dots; shells are bigger dots with a white ring
+        this.drawCircle(projectile, interpolation)
+        if (projectile.kind === 'shell') {
+          context.strokeStyle = 'white'
+          context.lineWidth = 1
+          context.stroke()
+        }
+    }
+  }
+
+  /**
+   * Draw an enemy with the look of its type, so the player can tell
+   * at a glance how each one is going to move.
+   */
+  drawEnemy(enemy, interpolation) {
+    const { context } = this
+    const positionX = interpolate(enemy.previousPositionX, enemy.positionX, interpolation)
+    const positionY = interpolate(enemy.previousPositionY, enemy.positionY, interpolation)
+    const { radius } = enemy
+    const heading = enemy.facingAngle ?? Math.atan2(enemy.velocity.vertical, enemy.velocity.horizontal)
+
+    if (this.effects.settings.hasTrails) this.drawTrail(enemy, this.getEnemyColor(enemy), interpolation)
+
+    context.save()
+    context.translate(positionX, positionY)
+    context.fillStyle = this.getEnemyColor(enemy)
+    context.strokeStyle = 'white'
+    context.beginPath()
+
+    switch (enemy.type) {
+      case 'zigzag':
+        // A diamond, rotated to point along its path
+        context.rotate(heading)
+        context.moveTo(radius, 0)
+        context.lineTo(0, radius * 0.7)
+        context.lineTo(-radius, 0)
+        context.lineTo(0, -radius * 0.7)
+        context.closePath()
+        context.fill()
+        this.outlineEnemy(radius)
+        break
+
+      case 'homer':
+        // A circle with a white "eye" that looks where it's heading
+        context.arc(0, 0, radius, 0, Math.PI * 2, false)
+        context.fill()
+        this.outlineEnemy(radius)
+        context.beginPath()
+        context.fillStyle = 'white'
+        context.arc(Math.cos(heading) * radius * 0.5, Math.sin(heading) * radius * 0.5, Math.max(1.5, radius * 0.25), 0, Math.PI * 2, false)
+        context.fill()
+        break
+
+      case 'splitter':
+        // A circle with cracks across it, hinting that it will break apart
+        context.arc(0, 0, radius, 0, Math.PI * 2, false)
+        context.fill()
+        this.outlineEnemy(radius)
+        context.beginPath()
+        context.strokeStyle = 'black'
+        context.lineWidth = 2
+        context.moveTo(-radius * 0.7, -radius * 0.7)
+        context.lineTo(radius * 0.7, radius * 0.7)
+        context.moveTo(radius * 0.7, -radius * 0.7)
+        context.lineTo(-radius * 0.7, radius * 0.7)
+        context.stroke()
+        break
+
+      case 'shielded':
+        // A circle with a thick white arc for the shield
+        context.arc(0, 0, radius, 0, Math.PI * 2, false)
+        context.fill()
+        this.outlineEnemy(radius)
+        context.beginPath()
+        context.lineWidth = 3
+        context.arc(
+          0, 0, radius + 4,
+          enemy.shieldAngle - enemy.shieldArc / 2,
+          enemy.shieldAngle + enemy.shieldArc / 2,
+          false
+        )
+        context.stroke()
+        break
+
+      case 'charger':
+        // An arrowhead pointing where it will dash. It flashes white while winding up.
+        context.rotate(heading)
+        context.moveTo(radius * 1.2, 0)
+        context.lineTo(-radius, radius * 0.8)
+        context.lineTo(-radius * 0.5, 0)
+        context.lineTo(-radius, -radius * 0.8)
+        context.closePath()
+        if (enemy.chargePhase === 'windup' && this.isFlashOn(enemy.chargePhaseTimeLeft, 10)) {
+          context.fillStyle = 'white'
+        }
+        context.fill()
+        this.outlineEnemy(radius)
+        break
+
+      default:
+        // Drifters are the original plain circle
+        context.arc(0, 0, radius, 0, Math.PI * 2, false)
+        context.fill()
+        this.outlineEnemy(radius)
+    }
+
+    context.restore()
+  }
+
+  /**
+   * With shape outlines on, trace the enemy's body (the path just filled) in white.
+   * Small enemies get a thin line and big ones a thick one, so size reads without color.
+   */
+  outlineEnemy(radius) {
+    if (!this.accessibility.hasShapeOutlines) return
+    const { context } = this
+    context.save()
+    context.strokeStyle = 'white'
+    context.lineWidth = radius < 10 ? 1 : radius < 20 ? 2 : 3.5
+    context.stroke()
+    context.restore()
+  }
+
+  /**
+   * List the running power-ups to the right of the score, each with a bar
+   * that empties as its timer runs down. The shield has no timer, so its bar stays full.
+   */
+  drawPowerUpTimers(activePowerUps) {
+    const { context } = this
+    const columnX = 200
+
+    activePowerUps.getHudEntries().forEach((entry, index) => {
+      const rowY = 16 + index * 26
+
+      context.fillStyle = entry.color
+      context.font = '16px sans-serif'
+      context.textAlign = 'left'
+      context.textBaseline = 'top'
+      const timeText = entry.duration > 0 ? ` ${entry.timeLeft.toFixed(1)}s` : ''
+      context.fillText(`${entry.label}${timeText}`, columnX, rowY)
+
+      const fraction = entry.duration > 0 ? Math.min(1, entry.timeLeft / entry.duration) : 1
+      context.fillRect(columnX, rowY + 19, 90 * fraction, 3)
+    })
+  }
+
+  /**
+   * List a player's weapons along the bottom-left corner with their number keys.
+   * Each has a heat meter underneath that turns from yellow to red as it heats up,
+   * and flashes while the weapon is overheated and can't fire.
+   *
+   * @param {import('./Player.js').Player} player
+   * @param {number} row - 0 for the bottom row; in co-op the second player's sits above.
+   * @param {boolean} isLabeled - Start the row with the player's name, in their color.
+   */
+  drawWeaponBar(player, row, isLabeled) {
+    const { context } = this
+    const slotWidth = 100
+    const rowY = this.hudHeight - 40 - row * 40
+    const firstSlotX = isLabeled ? 52 : 16
+
+    context.font = '14px sans-serif'
+    context.textAlign = 'left'
+    context.textBaseline = 'top'
+
+    if (isLabeled) {
+      context.fillStyle = player.color
+      context.fillText(`P${player.index + 1}`, 16, rowY)
+    }
+
+    player.weapons.forEach((weapon, index) => {
+      const slotX = firstSlotX + index * slotWidth
+      const isSelected = index === player.currentWeaponIndex
+
+      context.fillStyle = isSelected ? 'white' : 'rgba(255, 255, 255, 0.4)'
+      context.fillText(`${index + 1} ${weapon.type.label}`, slotX, rowY)
+
+      const meterWidth = slotWidth - 16
+      context.fillStyle = 'rgba(255, 255, 255, 0.15)'
+      context.fillRect(slotX, rowY + 20, meterWidth, 4)
+
+      const isFlashing = weapon.isOverheated && this.isFlashOn(weapon.heat, 20)
+      context.fillStyle = isFlashing ? 'white' : `hsl(${60 - weapon.heat * 60}, 100%, 55%)`
+      context.fillRect(slotX, rowY + 20, meterWidth * weapon.heat, 4)
+    })
+  }
+
+  /**
+   * The boss is a big circle with a white core whose size pulses faster
+   * as it moves into angrier phases.
+   */
+  drawBoss(boss, interpolation) {
+    const { context } = this
+    this.drawCircle(boss, interpolation)
+
+    const positionX = interpolate(boss.previousPositionX, boss.positionX, interpolation)
+    const positionY = interpolate(boss.previousPositionY, boss.positionY, interpolation)
+    const pulse = this.accessibility.isReducedMotion ? 0.5 : 0.5 + 0.5 * Math.sin(boss.fightTime * boss.phase * 4)
+
+    context.beginPath()
+    context.arc(positionX, positionY, boss.radius * (0.25 + 0.1 * pulse), 0, Math.PI * 2, false)
+    context.fillStyle = 'white'
+    context.fill()
+
+    context.beginPath()
+    context.arc(positionX, positionY, boss.radius * 0.7, 0, Math.PI * 2, false)
+    context.strokeStyle = 'rgba(255, 255, 255, 0.6)'
+    context.lineWidth = 3
+    context.stroke()
+  }
+
+  /**
+   * A wide bar across the top of the screen showing how much health the boss has left.
+   */
+  drawBossHealthBar(boss) {
+    const { context } = this
+    const screenWidth = this.hudWidth
+    const barWidth = Math.min(600, screenWidth * 0.6)
+    const barX = (screenWidth - barWidth) / 2
+    const barY = 24
+
+    context.fillStyle = 'white'
+    context.font = '16px sans-serif'
+    context.textAlign = 'center'
+    context.textBaseline = 'bottom'
+    context.fillText(`BOSS ${boss.bossNumber}`, screenWidth / 2, barY - 4)
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.2)'
+    context.fillRect(barX, barY, barWidth, 12)
+    context.fillStyle = boss.color
+    context.fillRect(barX, barY, barWidth * (boss.health / boss.maxHealth), 12)
+  }
+
+  drawParticle(particle, interpolation) {
+    // Save the current canvas state so we can change globalAlpha
+    // without affecting other drawings in the same frame
+    this.context.save()
+    this.context.globalAlpha = Math.max(0, particle.alpha)
+    this.drawCircle(particle, interpolation)
+    // Restore the canvas state so globalAlpha goes back to normal
+    this.context.restore()
+  }
+
+  drawScorePopup(popup, interpolation) {
+    const positionX = interpolate(popup.previousPositionX, popup.positionX, interpolation)
+    const positionY = interpolate(popup.previousPositionY, popup.positionY, interpolation)
+
+    this.context.save()
+    this.context.globalAlpha = popup.alpha
+    this.context.fillStyle = 'white'
+    this.context.textAlign = 'center'
+    this.context.textBaseline = 'middle'
+    this.context.font = 'bold 18px sans-serif'
+    this.context.fillText(popup.text, positionX, positionY)
+
+    // Bonus names sit just under the number in a smaller gold font
+    if (popup.label) {
+      this.context.fillStyle = '#ffd84d'
+      this.context.font = 'bold 12px sans-serif'
+      this.context.fillText(popup.label, positionX, positionY + 16)
+    }
+    this.context.restore()
+  }
+
+  /**
+   * Draw the score, level and combo multiplier in the top-left corner of the canvas.
+   */
+  drawHud(scoreManager) {
+    this.context.fillStyle = 'white'
+    this.context.font = '24px sans-serif'
+    this.context.textAlign = 'left'
+    this.context.textBaseline = 'top'
+    this.context.fillText(`Score: ${scoreManager.score}`, 16, 16)
+    // Show the level below the score so the player knows
+    // the game is getting progressively harder
+    this.context.fillText(`Level: ${scoreManager.level}`, 16, 48)
+
+    // The multiplier only appears while a combo is running. The bar underneath
+    // shrinks as the combo window runs out, so the player knows to keep hitting.
+    if (scoreManager.comboTimeLeft > 0) {
+      this.context.fillStyle = '#ffd84d'
+      this.context.fillText(`x${scoreManager.multiplier}`, 16, 80)
+
+      const barWidth = 80 * (scoreManager.comboTimeLeft / COMBO_WINDOW)
+      this.context.fillRect(16, 110, barWidth, 4)
+    }
+  }
+
+  /**
+   * Draw a row of hearts for the current life's health in the top-right corner,
+   * with the lives left underneath. On the last life a pulsing red warning appears.
+   */
+  drawHealth(player, elapsedTime) {
+    const { context } = this
+    const rightEdge = this.hudWidth - 16
+    const heartSize = 22
+
+    for (let index = 0; index < player.maxHealth; index++) {
+      // Hearts fill from the left, so they're drawn right to left
+      const heartX = rightEdge - (player.maxHealth - index) * (heartSize + 6) + heartSize / 2
+      this.drawHeart(heartX, 16 + heartSize / 2, heartSize, index < player.health)
+    }
+
+    context.fillStyle = 'white'
+    context.font = '16px sans-serif'
+    context.textAlign = 'right'
+    context.textBaseline = 'top'
+    context.fillText(`Lives: ${player.lives}`, rightEdge, 46)
+
+    if (player.isOnLastLife) {
+      context.save()
+      context.globalAlpha = this.getPulseAlpha(elapsedTime)
+      context.fillStyle = '#ff4d4d'
+      context.font = 'bold 16px sans-serif'
+      context.fillText('LAST LIFE', rightEdge, 68)
+      context.restore()
+    }
+  }
+
+  /**
+   * Co-op: a row of hearts for each player in the top-right corner, with their score
+   * underneath. There are no lives — a player out of health is down until revived.
+   */
+  drawCoopHealth(player, score, elapsedTime) {
+    const { context } = this
+    const rightEdge = this.hudWidth - 16
+    const heartSize = 22
+    const rowY = 16 + player.index * 60
+
+    for (let index = 0; index < player.maxHealth; index++) {
+      const heartX = rightEdge - (player.maxHealth - index) * (heartSize + 6) + heartSize / 2
+      this.drawHeart(heartX, rowY + heartSize / 2, heartSize, index < player.health)
+    }
+
+    context.font = '16px sans-serif'
+    context.textAlign = 'right'
+    context.textBaseline = 'top'
+    context.fillStyle = player.color
+    context.fillText(`P${player.index + 1}  ${score}`, rightEdge, rowY + 30)
+
+    if (player.isDowned) {
+      context.save()
+      context.globalAlpha = this.getPulseAlpha(elapsedTime)
+      context.fillStyle = '#ff4d4d'
+      context.font = 'bold 16px sans-serif'
+      context.fillText('DOWN', rightEdge - player.maxHealth * (heartSize + 6) - 8, rowY + 2)
+      context.restore()
+    }
+  }
+
+  /**
+   * A heart made of two arcs and a point — solid red when full, an outline when lost.
+   */
+  drawHeart(centerX, centerY, size, isFull) {
+    const { context } = this
+    const lobeRadius = size / 4
+
+    context.beginPath()
+    context.moveTo(centerX, centerY + size / 2)
+    context.lineTo(centerX - size / 2, centerY - size / 8)
+    context.arc(centerX - lobeRadius, centerY - size / 8, lobeRadius, Math.PI, 0, false)
+    context.arc(centerX + lobeRadius, centerY - size / 8, lobeRadius, Math.PI, 0, false)
+    context.closePath()
+
+    if (isFull) {
+      context.fillStyle = '#ff4d4d'
+      context.fill()
+    } else {
+      context.strokeStyle = 'rgba(255, 255, 255, 0.5)'
+      context.lineWidth = 2
+      context.stroke()
+    }
+  }
+
+  /**
+   * Label the screen so it's obvious a recorded run is playing, not a live one.
+   * It sits below the health display in the top-right corner.
+   *
+   * @param {number} [playerCount] - The co-op health display is taller, so it moves down.
+   */
+  drawReplayBadge(playerCount = 1) {
+    const { context } = this
+    context.save()
+    // Part of the HUD, so it grows with it and stays under the hearts
+    context.scale(this.accessibility.hudScale, this.accessibility.hudScale)
+    context.fillStyle = 'white'
+    context.font = '24px sans-serif'
+    context.textAlign = 'right'
+    context.textBaseline = 'top'
+    context.fillText('REPLAY', this.hudWidth - 16, 92 + (playerCount - 1) * 44)
+    context.restore()
+  }
+
+  /**
+   * Draw the floating touch joystick: a ring where the thumb first landed,
+   * and a knob that follows the thumb but never leaves the ring.
+   *
+   * @param {{ originX: number, originY: number, currentX: number, currentY: number }} joystick
+   */
+  drawTouchJoystick(joystick) {
+    const { context } = this
+    const offsetX = joystick.currentX - joystick.originX
+    const offsetY = joystick.currentY - joystick.originY
+    const distance = Math.hypot(offsetX, offsetY)
+    const knobScale = distance > JOYSTICK_RADIUS ? JOYSTICK_RADIUS / distance : 1
+
+    context.beginPath()
+    context.arc(joystick.originX, joystick.originY, JOYSTICK_RADIUS, 0, Math.PI * 2, false)
+    context.strokeStyle = 'rgba(255, 255, 255, 0.3)'
+    context.lineWidth = 2
+    context.stroke()
+
+    context.beginPath()
+    context.arc(
+      joystick.originX + offsetX * knobScale,
+      joystick.originY + offsetY * knobScale,
+      JOYSTICK_RADIUS * 0.4, 0, Math.PI * 2, false
+    )
+    context.fillStyle = 'rgba(255, 255, 255, 0.25)'
+    context.fill()
+  }
+}
+
+/** Wrap a value into the range 0 up to size, counting back from size when it's negative */
+function wrap(value, size) {
+  return ((value % size) + size) % size
+}
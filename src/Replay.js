@@ -0,0 +1,221 @@
+/**
+ * Replay — Records a run as its seed plus the controls used on every simulation step,
+ * and plays it back exactly.
+ *
+ * The GameWorld is deterministic: given the same seed, world size and the same controls
+ * on every step, it produces exactly the same game. So instead of saving positions of
+ * every enemy, a replay only needs to store:
+ *   - the seed that drove all the randomness
+ *   - the world size and the camera's view size (spawn positions depend on both)
+ *   - the scripted levels the run was played with, in full — the level files may
+ *     have been edited since, and the replay has to play the levels it was recorded on
+ *   - how many players there were (1, or 2 for co-op)
+ *   - the difficulty it started on, and the step of every change made to it from the pause menu
+ *   - one entry per step: movement direction, aim position, whether the trigger was held
+ *     and which weapon was selected — for each player
+ *
+ * Replays are saved as JSON so they can be downloaded, attached to bug reports and shared.
+ * Each step is stored as a compact array [directionX, directionY, aimX, aimY, fire, weaponSlot]
+ * rather than an object, which keeps a five-minute run to a few hundred kilobytes. In co-op
+ * the second player's six numbers follow straight on in the same array.
+ */
+import { validateLevel } from './levels.js'
+
+// Bump this whenever the file format changes, so old files are rejected with a clear message.
+// Also bump it when the simulation changes how a recorded run plays out — version 3 came
+// with the collision grid, which checks enemies in a different order, version 4 with
+// the camera, which added the view size, version 5 with the scripted levels,
+// version 6 with co-op, which added the player count, and version 7 with the difficulty.
+export const REPLAY_VERSION = 7
+
+// Numbers stored per player in each frame
+const FRAME_FIELDS_PER_PLAYER = 6
+
+/**
+ * @typedef {Object} ReplayData
+ * @property {number} version - File format version (REPLAY_VERSION).
+ * @property {number} seed - The seed the GameWorld was created with.
+ * @property {number} width - World width in pixels.
+ * @property {number} height - World height in pixels.
+ * @property {number} viewWidth - Width of the camera's view in pixels.
+ * @property {number} viewHeight - Height of the camera's view in pixels.
+ * @property {number} playerCount - 1, or 2 for a co-op run.
+ * @property {import('./levels.js').LevelDefinition[]} levels - The scripted levels, in play order.
+ * @property {import('./GameWorld.js').Difficulty} difficulty - The difficulty the run started on.
+ * @property {Array<{ frame: number, difficulty: import('./GameWorld.js').Difficulty }>} difficultyChanges -
+ *   Each time the difficulty was changed mid-run: the new one, and the frame it applied from.
+ * @property {number} finalScore - Score when the run ended (shown before watching).
+ * @property {Array<Array<number>>} frames - One [directionX, directionY, aimX, aimY, fire, weaponSlot]
+ *   per step, repeated for each player.
+ */
+
+export class ReplayRecorder {
+  /**
+   * @param {import('./GameWorld.js').GameWorld} world - The world being recorded.
+   */
+  constructor(world) {
+    this.world = world
+    this.frames = []
+    this.startDifficulty = world.difficulty
+    this.difficultyChanges = []
+  }
+
+  /**
+   * Store the controls for one simulation step. Call this with exactly
+   * the same object (or, in co-op, array) that is passed into world.step().
+   */
+  record(controls) {
+    // A new difficulty object means it was changed since the last step
+    const lastDifficulty = this.difficultyChanges.at(-1)?.difficulty ?? this.startDifficulty
+    if (this.world.difficulty !== lastDifficulty) {
+      this.difficultyChanges.push({ frame: this.frames.length, difficulty: this.world.difficulty })
+    }
+
+    const controlsList = Array.isArray(controls) ? controls : [controls]
+    this.frames.push(controlsList.flatMap((playerControls) => [
+      playerControls.directionX,
+      playerControls.directionY,
+      playerControls.aimX,
+      playerControls.aimY,
+      playerControls.fire ? 1 : 0,
+      playerControls.weaponSlot ?? -1
+    ]))
+  }
+
+  /** @returns {ReplayData} */
+  toReplay() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.world.seed,
+      width: this.world.width,
+      height: this.world.height,
+      viewWidth: this.world.camera.viewWidth,
+      viewHeight: this.world.camera.viewHeight,
+      playerCount: this.world.players.length,
+      levels: this.world.levels,
+      difficulty: this.startDifficulty,
+      difficultyChanges: this.difficultyChanges,
+      finalScore: this.world.scoreManager.score,
+      frames: this.frames
+    }
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {ReplayData} replay - A replay from ReplayRecorder or parseReplay().
+   */
+  constructor(replay) {
+    this.replay = replay
+    this.frameIndex = 0
+    this.difficultyChangeIndex = 0
+  }
+
+  /**
+   * The difficulty to switch to before the next step, if it was changed there
+   * during the recording. Call it before nextControls().
+   *
+   * @returns {import('./GameWorld.js').Difficulty|null}
+   */
+  takeDifficultyChange() {
+    const change = this.replay.difficultyChanges[this.difficultyChangeIndex]
+    if (!change || change.frame !== this.frameIndex) return null
+    this.difficultyChangeIndex++
+    return change.difficulty
+  }
+
+  /** True once every recorded step has been played */
+  get isFinished() {
+    return this.frameIndex >= this.replay.frames.length
+  }
+
+  /**
+   * Return the controls for the next simulation step, in the same shape
+   * the browser input produces — one object, or an array of them in co-op.
+   *
+   * @returns {import('./GameWorld.js').Controls|import('./GameWorld.js').Controls[]}
+   */
+  nextControls() {
+    const frame = this.replay.frames[this.frameIndex]
+    this.frameIndex++
+
+    const controlsList = []
+    for (let offset = 0; offset < frame.length; offset += FRAME_FIELDS_PER_PLAYER) {
+      const [directionX, directionY, aimX, aimY, fire, weaponSlot] = frame.slice(offset, offset + FRAME_FIELDS_PER_PLAYER)
+      controlsList.push({ directionX, directionY, aimX, aimY, fire: fire === 1, weaponSlot })
+    }
+    return controlsList.length === 1 ? controlsList[0] : controlsList
+  }
+}
+
+/**
+ * Turn a replay into a JSON string ready to be saved to a file.
+ *
+ * @param {ReplayData} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay)
+}
+
+/**
+ * Read a replay back from a JSON string, checking that it's something we can play.
+ * Throws an Error with a message suitable for showing to the player if it isn't.
+ *
+ * @param {string} text - Contents of a replay file.
+ * @returns {ReplayData}
+ */
+export function parseReplay(text) {
+  let replay
+  try {
+    replay = JSON.parse(text)
+  } catch (parseError) {
+    throw new Error('Replay file is not valid JSON.')
+  }
+
+  if (replay === null || typeof replay !== 'object') {
+    throw new Error('Replay file does not contain a replay.')
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION}).`)
+  }
+  for (const field of ['seed', 'width', 'height', 'viewWidth', 'viewHeight']) {
+    if (!Number.isFinite(replay[field])) {
+      throw new Error(`Replay is missing a numeric "${field}".`)
+    }
+  }
+  if (replay.playerCount !== 1 && replay.playerCount !== 2) {
+    throw new Error('Replay must be for 1 or 2 players.')
+  }
+
+  // Levels are checked with the same rules as level files, so a hand-edited replay
+  // gets the same clear message a broken level file would
+  if (!Array.isArray(replay.levels)) {
+    throw new Error('Replay is missing its list of levels.')
+  }
+  replay.levels = replay.levels.map((level, index) => validateLevel(level, `Replay level ${index + 1}`))
+
+  const isDifficulty = (difficulty) =>
+    difficulty !== null && typeof difficulty === 'object' &&
+    [difficulty.spawnRate, difficulty.enemySpeed].every((multiplier) => Number.isFinite(multiplier) && multiplier > 0)
+  if (!isDifficulty(replay.difficulty)) {
+    throw new Error('Replay is missing its difficulty.')
+  }
+  // Changes must come in order, each on a later frame than the one before
+  const isValidChanges = Array.isArray(replay.difficultyChanges) &&
+    replay.difficultyChanges.every((change, index, changes) =>
+      change !== null && typeof change === 'object' && Number.isInteger(change.frame) &&
+      change.frame > (index > 0 ? changes[index - 1].frame : -1) && isDifficulty(change.difficulty))
+  if (!isValidChanges) {
+    throw new Error('Replay difficulty changes are missing or malformed.')
+  }
+
+  const frameLength = FRAME_FIELDS_PER_PLAYER * replay.playerCount
+  const isValidFrame = (frame) =>
+    Array.isArray(frame) && frame.length === frameLength && frame.every(Number.isFinite)
+  if (!Array.isArray(replay.frames) || !replay.frames.every(isValidFrame)) {
+    throw new Error('Replay frames are missing or malformed.')
+  }
+
+  return replay
+}
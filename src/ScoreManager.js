@@ -1,29 +1,153 @@
 /**
- * ScoreManager — Tracks and displays the player's score and current level on the canvas.
+ * ScoreManager — Tracks the player's score, current level and combo multiplier.
  *
- * Points are awarded for damaging enemies:
- *   - Shrinking an enemy (hitting a large one): +10 points
- *   - Destroying an enemy completely:           +100 points
+ * Base points are awarded for damaging enemies:
+ *   - Shrinking an enemy (hitting a large one): 10 points
+ *   - Destroying an enemy completely:           100 points
  *
- * The HUD is drawn directly on the canvas (not as an HTML element)
- * so it stays part of the game's visual layer and works with the trail effect.
- * It's rendered last each frame so it always appears on top of everything else.
+ * Skilful play earns more on top of that:
+ *   - Combo multiplier: every 5 hits in a row raises the multiplier by one (up to x8).
+ *     It resets when a shot misses (leaves the screen) or when no hit lands for 2 seconds.
+ *   - Multi-kill bonus: destroying several enemies within 0.75s of each other.
+ *   - Burst bonus: destroying a large enemy within 1s of first hitting it.
+ *   - Boss bonus: 2500 points per boss number (the second boss is worth 5000...).
+ *
+ * Every award method returns what was earned, so the world can show a "+N" popup
+ * at the hit location. This class only holds numbers — the Renderer draws the HUD.
+ *
+ * In co-op each award also goes to the player who earned it, so both players see their
+ * own score alongside the team's. The combo belongs to the team: either player's hits
+ * keep it going, and either player's miss breaks it.
+ */
+
+const SHRINK_POINTS = 10
+const KILL_POINTS = 100
+
+// How many hits in a row it takes to raise the multiplier by one step
+const HITS_PER_MULTIPLIER = 5
+const MAX_MULTIPLIER = 8
+
+// Seconds the combo survives without a new hit
+export const COMBO_WINDOW = 2
+
+// Kills this close together (in seconds) count as one multi-kill
+const MULTI_KILL_WINDOW = 0.75
+const MULTI_KILL_POINTS = 50 // per extra kill in the chain
+
+// A "large" enemy needs at least two shrinks before it can be destroyed
+const BURST_MIN_RADIUS = 25
+const BURST_WINDOW = 1
+const BURST_POINTS = 150
+
+const BOSS_KILL_POINTS = 2500
+
+const MULTI_KILL_LABELS = ['', '', 'DOUBLE KILL', 'TRIPLE KILL', 'QUAD KILL']
+
+/**
+ * @typedef {Object} ScoreAward
+ * @property {number} points - Total points added to the score, multiplier and bonuses included.
+ * @property {string} label - Name of any bonus earned (e.g. "DOUBLE KILL"), or '' if none.
  */
+
 export class ScoreManager {
-  constructor(context) {
-    this.context = context
+  /**
+   * @param {number} [playerCount] - 2 for a co-op run.
+   */
+  constructor(playerCount = 1) {
+    // The team's score, and each player's share of it
     this.score = 0
+    this.playerScores = new Array(playerCount).fill(0)
     this.level = 1
+
+    // Consecutive hits without a miss or a timeout
+    this.hitStreak = 0
+    this.multiplier = 1
+    // Seconds left before the combo times out (0 = no combo running)
+    this.comboTimeLeft = 0
+
+    // Kills in the current multi-kill chain, and seconds left to extend it
+    this.multiKillCount = 0
+    this.multiKillTimeLeft = 0
+  }
+
+  /**
+   * Count down the combo and multi-kill windows.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    if (this.comboTimeLeft > 0) {
+      this.comboTimeLeft -= deltaTime
+      if (this.comboTimeLeft <= 0) this.resetCombo()
+    }
+
+    if (this.multiKillTimeLeft > 0) {
+      this.multiKillTimeLeft -= deltaTime
+      if (this.multiKillTimeLeft <= 0) this.multiKillCount = 0
+    }
   }
 
-  /** Award points for shrinking an enemy (partial hit on a large enemy) */
-  addShrinkPoints() {
-    this.score += 10
+  /**
+   * Award points for shrinking an enemy (partial hit on a large enemy).
+   *
+   * @param {number} [playerIndex] - Who landed the hit.
+   * @returns {ScoreAward}
+   */
+  addShrinkPoints(playerIndex = 0) {
+    this.registerHit()
+    return this.award(SHRINK_POINTS * this.multiplier, '', playerIndex)
+  }
+
+  /**
+   * Award points for completely destroying an enemy.
+   *
+   * @param {import('./Enemy.js').Enemy} enemy - The enemy that was destroyed.
+   * @param {number} [playerIndex] - Who destroyed it.
+   * @returns {ScoreAward}
+   */
+  addKillPoints(enemy, playerIndex = 0) {
+    this.registerHit()
+
+    let points = KILL_POINTS * this.multiplier
+    const labels = []
+
+    // Multi-kill: each kill inside the window extends the chain
+    this.multiKillCount++
+    this.multiKillTimeLeft = MULTI_KILL_WINDOW
+    if (this.multiKillCount >= 2) {
+      points += MULTI_KILL_POINTS * (this.multiKillCount - 1) * this.multiplier
+      labels.push(MULTI_KILL_LABELS[this.multiKillCount] ?? 'MULTI KILL')
+    }
+
+    // Burst: a big enemy taken down quickly from its first hit
+    const isBurstKill =
+      enemy.initialRadius >= BURST_MIN_RADIUS &&
+      enemy.timeSinceFirstHit <= BURST_WINDOW
+    if (isBurstKill) {
+      points += BURST_POINTS * this.multiplier
+      labels.push('BURST')
+    }
+
+    return this.award(points, labels.join(' + '), playerIndex)
+  }
+
+  /**
+   * Award the big bonus for defeating a boss. Later bosses are worth more.
+   *
+   * @param {number} bossNumber - 1 for the first boss of the run, 2 for the second...
+   * @param {number} [playerIndex] - Who landed the final blow.
+   * @returns {ScoreAward}
+   */
+  addBossKillPoints(bossNumber, playerIndex = 0) {
+    this.registerHit()
+    return this.award(BOSS_KILL_POINTS * bossNumber * this.multiplier, 'BOSS DEFEATED', playerIndex)
   }
 
-  /** Award points for completely destroying an enemy */
-  addKillPoints() {
-    this.score += 100
+  /**
+   * A shot left the screen without hitting anything — the combo is broken.
+   */
+  registerMiss() {
+    this.resetCombo()
   }
 
   /** Update the displayed level number */
@@ -31,19 +155,22 @@ export class ScoreManager {
     this.level = newLevel
   }
 
-  /**
-   * Draw the score and level in the top-left corner of the canvas.
-   * Called once per frame at the end of the game loop so it renders
-   * on top of all game entities.
-   */
-  draw() {
-    this.context.fillStyle = 'white'
-    this.context.font = '24px sans-serif'
-    this.context.textAlign = 'left'
-    this.context.textBaseline = 'top'
-    this.context.fillText(`Score: ${this.score}`, 16, 16)
-    // Show the level below the score so the player knows
-    // the game is getting progressively harder
-    this.context.fillText(`Level: ${this.level}`, 16, 48)
+  /** Extend the streak and raise the multiplier every HITS_PER_MULTIPLIER hits */
+  registerHit() {
+    this.hitStreak++
+    this.comboTimeLeft = COMBO_WINDOW
+    this.multiplier = Math.min(MAX_MULTIPLIER, 1 + Math.floor(this.hitStreak / HITS_PER_MULTIPLIER))
+  }
+
+  resetCombo() {
+    this.hitStreak = 0
+    this.multiplier = 1
+    this.comboTimeLeft = 0
+  }
+
+  award(points, label, playerIndex) {
+    this.score += points
+    this.playerScores[playerIndex] += points
+    return { points, label }
   }
 }
@@ -0,0 +1,49 @@
+/**
+ * ScorePopup — A floating "+N" label that rises from where points were earned and fades out.
+ *
+ * Popups make the combo system readable: you see exactly how much each hit was worth,
+ * and bonus names like "DOUBLE KILL" appear underneath the number when they trigger.
+ * They live in the GameWorld alongside particles and age in simulation time.
+ */
+export class ScorePopup {
+  /**
+   * @param {number} positionX - Where the points were earned.
+   * @param {number} positionY - Where the points were earned.
+   * @param {string} text - The main text, usually the points earned ("+120").
+   * @param {string} label - Bonus name shown under the text, or '' for none.
+   */
+  constructor(positionX, positionY, text, label) {
+    this.positionX = positionX
+    this.positionY = positionY
+    this.text = text
+    this.label = label
+
+    // Position at the end of the previous simulation step, used for smooth drawing
+    this.previousPositionX = positionX
+    this.previousPositionY = positionY
+
+    // Popups drift upward for one second, fading as they go
+    this.riseSpeed = 40 // pixels per second
+    this.lifetime = 1
+    this.age = 0
+  }
+
+  /** 1 when just created, falling to 0 when the popup expires */
+  get alpha() {
+    return Math.max(0, 1 - this.age / this.lifetime)
+  }
+
+  get isExpired() {
+    return this.age >= this.lifetime
+  }
+
+  /**
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    this.previousPositionX = this.positionX
+    this.previousPositionY = this.positionY
+    this.positionY -= this.riseSpeed * deltaTime
+    this.age += deltaTime
+  }
+}
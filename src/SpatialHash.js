@@ -0,0 +1,105 @@
+/**
+ * SpatialHash — A uniform grid for finding which circles might be touching,
+ * without comparing every circle against every other one.
+ *
+ * Checking each of 300 projectiles against each of 300 enemies is 90,000 distance
+ * calculations per step, and almost all of them are pairs on opposite sides of the
+ * screen. The grid cuts that down: the world is divided into square cells, every
+ * entity is filed under the cell its center is in, and a query only looks at the
+ * handful of cells around the point it's asked about.
+ *
+ * This is only the "broad phase". A query returns entities that are CLOSE ENOUGH TO
+ * CHECK, not ones that definitely overlap — the caller still does the exact circle
+ * test on each candidate.
+ *
+ * An entity is stored in a single cell even if it's bigger than the cell. To make
+ * up for that, queries are widened by the largest radius inserted so far, so a big
+ * enemy whose edge pokes into the next cell is still found.
+ *
+ * The grid is rebuilt from scratch every step: clear(), insert() everything, then query.
+ * The cell arrays are kept and emptied rather than thrown away, so rebuilding
+ * creates no garbage once the grid has warmed up.
+ */
+
+// Cell coordinates are packed into one number so they can be Map keys without building
+// strings. Rows can go this far from the origin (in either direction) before two cells
+// would share a key — far more than any world this game uses.
+const CELL_KEY_STRIDE = 65536
+
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Width and height of each cell, in pixels. Something close to
+   *   the diameter of a typical entity works best: much smaller and big entities cover many
+   *   cells' worth of query, much bigger and each cell holds too many candidates.
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize
+    /** @type {Map<number, Array<Object>>} */
+    this.cells = new Map()
+    this.largestRadius = 0
+  }
+
+  /**
+   * Empty every cell, ready to insert this step's entities.
+   */
+  clear() {
+    for (const cell of this.cells.values()) cell.length = 0
+    this.largestRadius = 0
+  }
+
+  /**
+   * File an entity under the cell its center is in.
+   *
+   * @param {{ positionX: number, positionY: number, radius: number }} entity
+   */
+  insert(entity) {
+    const key = this.getKey(this.toCell(entity.positionX), this.toCell(entity.positionY))
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = []
+      this.cells.set(key, cell)
+    }
+    cell.push(entity)
+    if (entity.radius > this.largestRadius) this.largestRadius = entity.radius
+  }
+
+  /**
+   * Find every entity that could be touching a circle.
+   *
+   * Results come back in the same order every time for the same insertions,
+   * which keeps the simulation deterministic for replays.
+   *
+   * @param {number} positionX - Center of the circle being checked.
+   * @param {number} positionY
+   * @param {number} radius
+   * @param {Array<Object>} [results] - Array to fill, so hot loops can reuse one. It's emptied first.
+   * @returns {Array<Object>} The candidates. Some may turn out not to overlap.
+   */
+  query(positionX, positionY, radius, results = []) {
+    results.length = 0
+    const reach = radius + this.largestRadius
+
+    const firstColumn = this.toCell(positionX - reach)
+    const lastColumn = this.toCell(positionX + reach)
+    const firstRow = this.toCell(positionY - reach)
+    const lastRow = this.toCell(positionY + reach)
+
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      for (let row = firstRow; row <= lastRow; row++) {
+        const cell = this.cells.get(this.getKey(column, row))
+        if (!cell) continue
+        for (const entity of cell) results.push(entity)
+      }
+    }
+    return results
+  }
+
+  /** Which column (or row) a coordinate falls in */
+  toCell(coordinate) {
+    return Math.floor(coordinate / this.cellSize)
+  }
+
+  getKey(column, row) {
+    return column * CELL_KEY_STRIDE + row
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * StateMachine — Moves the game between a fixed set of named states
+ * (title screen, playing, paused, game over) and cleans up after each one.
+ *
+ * Every state has an enter() function that sets up whatever it needs: showing an
+ * overlay, listening for keys, starting the game loop. Instead of remembering to
+ * undo each of those by hand, enter() registers them on a StateScope. When the
+ * machine leaves the state, the scope removes every listener and runs every cleanup
+ * in one go — so nothing from the previous state can leak into the next one.
+ *
+ * Each state also lists which states it's allowed to move to. Asking for any other
+ * transition throws, which catches mistakes like "resume" being pressed on the title screen.
+ */
+
+/**
+ * @typedef {Object} StateDefinition
+ * @property {string[]} transitions - Names of the states this one may move to.
+ * @property {function(StateScope, *, string|null): void} enter - Called on entering the
+ *   state with a fresh scope, the payload passed to transition(), and the previous state's name.
+ */
+
+/**
+ * Collects cleanup work for one visit to a state.
+ */
+export class StateScope {
+  constructor() {
+    this.cleanups = []
+  }
+
+  /**
+   * Add an event listener that is removed automatically when the state is left.
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options)
+    this.onExit(() => target.removeEventListener(type, handler, options))
+  }
+
+  /**
+   * Register any other cleanup (stopping a loop, hiding an overlay...) to run when the state is left.
+   */
+  onExit(cleanup) {
+    this.cleanups.push(cleanup)
+  }
+
+  /** Run every cleanup, newest first — the reverse of the order things were set up */
+  dispose() {
+    while (this.cleanups.length > 0) {
+      this.cleanups.pop()()
+    }
+  }
+}
+
+export class StateMachine {
+  /**
+   * @param {Object<string, StateDefinition>} states - All states, keyed by name.
+   */
+  constructor(states) {
+    this.states = states
+    this.currentName = null
+    this.currentScope = null
+  }
+
+  /**
+   * Leave the current state (running all of its cleanups) and enter another one.
+   *
+   * @param {string} nextName - The state to enter.
+   * @param {*} [payload] - Extra information handed to the next state's enter().
+   */
+  transition(nextName, payload) {
+    const nextState = this.states[nextName]
+    if (!nextState) {
+      throw new Error(`Unknown game state "${nextName}"`)
+    }
+
+    const previousName = this.currentName
+    if (previousName !== null && !this.states[previousName].transitions.includes(nextName)) {
+      throw new Error(`Cannot go from "${previousName}" to "${nextName}"`)
+    }
+
+    if (this.currentScope) this.currentScope.dispose()
+
+    this.currentName = nextName
+    this.currentScope = new StateScope()
+    nextState.enter(this.currentScope, payload, previousName)
+  }
+
+  /** Check which state the machine is in */
+  is(stateName) {
+    return this.currentName === stateName
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * TouchInput — Twin-stick style touch controls for phones and tablets.
+ *
+ * The screen is split down the middle:
+ *   - Left half: a floating virtual joystick. It appears wherever the thumb lands,
+ *     and dragging away from that spot moves the ship — further means faster.
+ *   - Right half: aim and fire. Tapping fires once at the tapped spot; holding
+ *     keeps firing, and dragging moves the aim point.
+ *
+ * Each finger is tracked by the identifier the browser gives its touch, so both
+ * thumbs work at the same time and lifting one never affects the other.
+ * A third finger is simply ignored until one of the first two is lifted.
+ *
+ * Like InputHandler, this only records what the fingers are doing. game.js reads
+ * it once per simulation step and folds it into the controls object.
+ */
+
+// How far (in pixels) the thumb has to be dragged from the joystick's center for full speed
+export const JOYSTICK_RADIUS = 60
+
+// Drags shorter than this fraction of the radius are ignored, so a resting thumb doesn't drift
+const JOYSTICK_DEAD_ZONE = 0.15
+
+/**
+ * Guess whether this device has a touch screen. Hybrid laptops answer yes here too —
+ * they get the touch hints, but the mouse and keyboard keep working as usual.
+ */
+export function isTouchDevice() {
+  return (globalThis.navigator?.maxTouchPoints ?? 0) > 0 || 'ontouchstart' in globalThis
+}
+
+export class TouchInput {
+  /**
+   * @param {HTMLElement} surface - The element to listen on (the canvas).
+   */
+  constructor(surface) {
+    this.surface = surface
+
+    // The joystick finger: where it landed and where it is now. Null when not touching.
+    /** @type {{ identifier: number, originX: number, originY: number, currentX: number, currentY: number }|null} */
+    this.joystick = null
+
+    // The aim finger's position. Null when not touching.
+    /** @type {{ identifier: number, positionX: number, positionY: number }|null} */
+    this.aim = null
+
+    // Set when an aim touch starts, so a tap shorter than one simulation step still fires
+    this.isTapPending = false
+
+    this.handleTouchStart = (touchEvent) => {
+      // Stop the browser from scrolling, zooming or turning the touch into mouse events
+      touchEvent.preventDefault()
+
+      for (const touch of touchEvent.changedTouches) {
+        const isLeftHalf = touch.clientX < this.surface.clientWidth / 2
+
+        if (isLeftHalf && !this.joystick) {
+          this.joystick = {
+            identifier: touch.identifier,
+            originX: touch.clientX,
+            originY: touch.clientY,
+            currentX: touch.clientX,
+            currentY: touch.clientY
+          }
+        } else if (!isLeftHalf && !this.aim) {
+          this.aim = { identifier: touch.identifier, positionX: touch.clientX, positionY: touch.clientY }
+          this.isTapPending = true
+        }
+      }
+    }
+
+    this.handleTouchMove = (touchEvent) => {
+      touchEvent.preventDefault()
+
+      for (const touch of touchEvent.changedTouches) {
+        if (this.joystick?.identifier === touch.identifier) {
+          this.joystick.currentX = touch.clientX
+          this.joystick.currentY = touch.clientY
+        } else if (this.aim?.identifier === touch.identifier) {
+          this.aim.positionX = touch.clientX
+          this.aim.positionY = touch.clientY
+        }
+      }
+    }
+
+    // Used for both touchend and touchcancel (e.g. a notification sliding over the game)
+    this.handleTouchEnd = (touchEvent) => {
+      touchEvent.preventDefault()
+
+      for (const touch of touchEvent.changedTouches) {
+        if (this.joystick?.identifier === touch.identifier) this.joystick = null
+        if (this.aim?.identifier === touch.identifier) this.aim = null
+      }
+    }
+
+    // Not passive, so preventDefault() is allowed to stop scrolling and zooming
+    const options = { passive: false }
+    surface.addEventListener('touchstart', this.handleTouchStart, options)
+    surface.addEventListener('touchmove', this.handleTouchMove, options)
+    surface.addEventListener('touchend', this.handleTouchEnd, options)
+    surface.addEventListener('touchcancel', this.handleTouchEnd, options)
+  }
+
+  /**
+   * The joystick's movement direction. Unlike the keyboard this is analog:
+   * its length goes from 0 at the center to 1 at JOYSTICK_RADIUS and beyond.
+   *
+   * @returns {{ directionX: number, directionY: number }}
+   */
+  getDirection() {
+    if (!this.joystick) return { directionX: 0, directionY: 0 }
+
+    const offsetX = this.joystick.currentX - this.joystick.originX
+    const offsetY = this.joystick.currentY - this.joystick.originY
+    const distance = Math.hypot(offsetX, offsetY)
+    if (distance < JOYSTICK_RADIUS * JOYSTICK_DEAD_ZONE) return { directionX: 0, directionY: 0 }
+
+    const strength = Math.min(1, distance / JOYSTICK_RADIUS)
+    return { directionX: (offsetX / distance) * strength, directionY: (offsetY / distance) * strength }
+  }
+
+  /** True while a finger is held on the fire side */
+  get isFiring() {
+    return this.aim !== null
+  }
+
+  /**
+   * Whether an aim touch started since the last call. Reading it clears it.
+   */
+  consumeTap() {
+    const wasTapped = this.isTapPending
+    this.isTapPending = false
+    return wasTapped
+  }
+
+  /**
+   * Remove event listeners. Any fingers still down are forgotten.
+   */
+  destroy() {
+    this.surface.removeEventListener('touchstart', this.handleTouchStart)
+    this.surface.removeEventListener('touchmove', this.handleTouchMove)
+    this.surface.removeEventListener('touchend', this.handleTouchEnd)
+    this.surface.removeEventListener('touchcancel', this.handleTouchEnd)
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * VersionedStorage — One value in localStorage, saved as JSON with a format version number.
+ *
+ * Everything the game remembers between visits (the high scores, key bindings, settings
+ * and achievements) is kept this way, each under its own key:
+ *   { version: 2, ...the data }
+ * When a format changes, its owner bumps the version and teaches its migrate() how to
+ * upgrade the old shape, so players keep what they had instead of losing it.
+ *
+ * Storage is passed in rather than read from the global, so everything saved this way
+ * also works in Node (with a simple in-memory stand-in) and when localStorage is
+ * unavailable. Neither loading nor saving ever throws: a corrupted or hand-edited value
+ * loads as null, so the game still starts (on defaults), and when storage is full or
+ * disabled — as in some private browsing modes — nothing is remembered past this session.
+ */
+
+/**
+ * @template T
+ */
+export class VersionedStorage {
+  /**
+   * @param {Storage|null} storage - Where to keep the value. With null nothing is kept.
+   * @param {string} key - Its localStorage key.
+   * @param {number} version - The current format version, written with every save.
+   * @param {function(Object): (T|null)} migrate - Turns saved data (an object with a version
+   *   field, of any version) into the current shape — or null for data it doesn't understand.
+   */
+  constructor(storage, key, version, migrate) {
+    this.storage = storage
+    this.key = key
+    this.version = version
+    this.migrate = migrate
+  }
+
+  /**
+   * @returns {T|null} The saved value in the current shape, or null if there's nothing
+   *   usable saved.
+   */
+  load() {
+    if (!this.storage) return null
+
+    try {
+      const raw = this.storage.getItem(this.key)
+      if (raw === null) return null
+      const data = JSON.parse(raw)
+      if (data === null || typeof data !== 'object') return null
+      return this.migrate(data)
+    } catch (loadError) {
+      return null
+    }
+  }
+
+  /**
+   * @param {Object} data - The value to keep. The version number is added to it.
+   */
+  save(data) {
+    if (!this.storage) return
+
+    try {
+      this.storage.setItem(this.key, JSON.stringify({ version: this.version, ...data }))
+    } catch (saveError) {
+      // Not remembered, but everything still works for this session
+    }
+  }
+}
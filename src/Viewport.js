@@ -0,0 +1,159 @@
+/**
+ * Viewport — Fits the camera's view of the world onto the canvas, whatever the window's
+ * size and pixel density.
+ *
+ * The simulation works in "world units". The camera's view is always VIEW_HEIGHT units
+ * tall, so a level plays the same on a phone as on a 4K monitor — only bigger or smaller.
+ * The viewport scales the view up or down to fit the window, centers it, and converts
+ * between the coordinate systems:
+ *
+ *   screen (CSS pixels, like mouse events) ──screenToView()──▶ view units ──+ camera──▶ world units
+ *
+ * When the window and the view have different shapes, the spare space on two sides
+ * is left empty — "letterboxing" (bars above and below) or "pillarboxing" (bars at
+ * the sides). The view's shape is picked when a run starts, by chooseViewSize():
+ * either matching the window (no bars until the window is resized) or a fixed 16:9.
+ *
+ * The canvas's backing store is sized in device pixels, not CSS pixels. On a Retina
+ * screen one CSS pixel is 2×2 device pixels, and a canvas sized in CSS pixels gets
+ * stretched to fit — which is what makes it blurry.
+ */
+
+// The view is always this many units tall. Its width depends on the shape chosen.
+export const VIEW_HEIGHT = 720
+
+// The fixed shape used when letterboxing is switched on
+const LETTERBOX_ASPECT_RATIO = 16 / 9
+
+// Views are never narrower or wider than this, however odd the window's shape
+const MINIMUM_ASPECT_RATIO = 1 / 2
+const MAXIMUM_ASPECT_RATIO = 21 / 9
+
+// Phones can have 3 or more device pixels per CSS pixel. Drawing all of them costs
+// a lot of fill rate for detail nobody can see, so the backing store stops at 2×.
+const MAX_PIXEL_RATIO = 2
+
+/**
+ * Pick the size of the camera's view for a new run.
+ *
+ * @param {number} screenWidth - Size of the window, in CSS pixels.
+ * @param {number} screenHeight
+ * @param {boolean} isLetterboxed - True for a fixed 16:9 view, false to match the window's shape.
+ * @returns {{ width: number, height: number }} In world units.
+ */
+export function chooseViewSize(screenWidth, screenHeight, isLetterboxed) {
+  const windowAspectRatio = screenHeight > 0 ? screenWidth / screenHeight : LETTERBOX_ASPECT_RATIO
+  const aspectRatio = isLetterboxed
+    ? LETTERBOX_ASPECT_RATIO
+    : Math.min(MAXIMUM_ASPECT_RATIO, Math.max(MINIMUM_ASPECT_RATIO, windowAspectRatio))
+  return { width: Math.round(VIEW_HEIGHT * aspectRatio), height: VIEW_HEIGHT }
+}
+
+export class Viewport {
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas to size. It should fill the window.
+   */
+  constructor(canvas) {
+    this.canvas = canvas
+
+    // Size of the canvas on screen, in CSS pixels
+    this.screenWidth = 0
+    this.screenHeight = 0
+    // Device pixels per CSS pixel for the backing store
+    this.pixelRatio = 1
+
+    this.viewWidth = chooseViewSize(1, 1, true).width
+    this.viewHeight = VIEW_HEIGHT
+
+    // CSS pixels per world unit, and where the view's top-left corner sits on screen
+    this.scale = 1
+    this.offsetX = 0
+    this.offsetY = 0
+  }
+
+  /**
+   * Resize the canvas to a new window size and pixel density.
+   *
+   * @param {number} screenWidth - In CSS pixels.
+   * @param {number} screenHeight
+   * @param {number} [devicePixelRatio]
+   */
+  resize(screenWidth, screenHeight, devicePixelRatio = 1) {
+    this.screenWidth = screenWidth
+    this.screenHeight = screenHeight
+    this.pixelRatio = Math.min(MAX_PIXEL_RATIO, Math.max(1, devicePixelRatio))
+
+    // The backing store gets the device pixels; CSS keeps the element at its on-screen size.
+    // Setting width or height also wipes the canvas, so the caller should redraw.
+    this.canvas.width = Math.round(screenWidth * this.pixelRatio)
+    this.canvas.height = Math.round(screenHeight * this.pixelRatio)
+    this.canvas.style.width = `${screenWidth}px`
+    this.canvas.style.height = `${screenHeight}px`
+
+    this.fit()
+  }
+
+  /**
+   * Switch to a view of a different size (a new run, or a replay recorded elsewhere).
+   */
+  setViewSize(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth
+    this.viewHeight = viewHeight
+    this.fit()
+  }
+
+  /** Whether there are empty bars around the view */
+  get hasBars() {
+    return this.offsetX > 0.5 || this.offsetY > 0.5
+  }
+
+  /**
+   * Scale the view as large as it can be while fitting entirely inside the
+   * window, and center it.
+   */
+  fit() {
+    if (this.viewWidth <= 0 || this.viewHeight <= 0) return
+    this.scale = Math.min(this.screenWidth / this.viewWidth, this.screenHeight / this.viewHeight)
+    this.offsetX = (this.screenWidth - this.viewWidth * this.scale) / 2
+    this.offsetY = (this.screenHeight - this.viewHeight * this.scale) / 2
+  }
+
+  /**
+   * Convert a point on screen (like a mouse event's clientX and clientY) to world units
+   * measured from the view's top-left corner. Add the camera's position to get a point
+   * in the world. Points over the bars come out outside the view, which is fine for aiming.
+   *
+   * @returns {{ x: number, y: number }}
+   */
+  screenToView(screenX, screenY) {
+    return {
+      x: (screenX - this.offsetX) / this.scale,
+      y: (screenY - this.offsetY) / this.scale
+    }
+  }
+
+  /**
+   * Set up a context so drawing at world coordinates lands in the right place on screen.
+   *
+   * @param {CanvasRenderingContext2D} context
+   * @param {number} cameraX - World position of the view's top-left corner.
+   * @param {number} cameraY
+   */
+  applyWorldTransform(context, cameraX, cameraY) {
+    const ratio = this.pixelRatio
+    const scale = this.scale * ratio
+    context.setTransform(
+      scale, 0, 0, scale,
+      (this.offsetX - cameraX * this.scale) * ratio,
+      (this.offsetY - cameraY * this.scale) * ratio
+    )
+  }
+
+  /**
+   * Set up a context for drawing in CSS pixels from the top-left of the window —
+   * for the HUD and touch controls, which stay the same size whatever the world's scale.
+   */
+  applyScreenTransform(context) {
+    context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0)
+  }
+}
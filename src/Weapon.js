@@ -0,0 +1,92 @@
+/**
+ * Weapon — One of the player's guns, with its own fire rate and heat.
+ *
+ * Every weapon has a minimum time between shots (its fire interval), so holding the
+ * trigger fires steadily and an auto-clicker can't fire any faster than holding does.
+ * Each shot also adds heat. Heat drains away on its own, but if it reaches the top
+ * the weapon overheats and refuses to fire until it has cooled well down —
+ * so spraying nonstop is punished and switching weapons becomes part of the game.
+ *
+ * The player carries all four weapons and switches with the number keys or mouse wheel:
+ *
+ *   1 blaster — quick, cheap shots (the original projectile)
+ *   2 laser   — fast beam that pierces through every enemy in its path
+ *   3 shell   — slow explosive that damages everything within its blast
+ *   4 missile — turns toward the nearest enemy
+ */
+
+/**
+ * @typedef {Object} WeaponType
+ * @property {string} label - Name shown in the HUD.
+ * @property {string} projectileKind - What it fires: 'bullet', 'laser', 'shell' or 'missile'.
+ * @property {number} fireInterval - Minimum seconds between shots.
+ * @property {number} heatPerShot - Heat added per shot (1 = overheated).
+ * @property {number} projectileSpeed - Pixels per second.
+ * @property {number} projectileRadius - Collision radius in pixels.
+ * @property {string} color - Projectile color.
+ */
+
+/** @type {Object<string, WeaponType>} */
+export const WEAPON_TYPES = {
+  blaster: { label: 'BLASTER', projectileKind: 'bullet', fireInterval: 0.15, heatPerShot: 0.08, projectileSpeed: 300, projectileRadius: 5, color: 'white' },
+  laser: { label: 'LASER', projectileKind: 'laser', fireInterval: 0.3, heatPerShot: 0.14, projectileSpeed: 650, projectileRadius: 3, color: 'hsl(190, 100%, 65%)' },
+  shell: { label: 'SHELL', projectileKind: 'shell', fireInterval: 0.8, heatPerShot: 0.25, projectileSpeed: 160, projectileRadius: 7, color: 'hsl(30, 100%, 60%)' },
+  missile: { label: 'MISSILE', projectileKind: 'missile', fireInterval: 0.45, heatPerShot: 0.18, projectileSpeed: 260, projectileRadius: 5, color: 'hsl(0, 90%, 65%)' }
+}
+
+// The order weapons appear in — number key 1 selects the first, and so on
+export const WEAPON_ORDER = ['blaster', 'laser', 'shell', 'missile']
+
+// Heat lost per second
+const COOL_RATE = 0.35
+
+// Once overheated, a weapon only fires again after cooling below this
+const OVERHEAT_RECOVERY = 0.3
+
+export class Weapon {
+  /**
+   * @param {string} kind - A key of WEAPON_TYPES.
+   */
+  constructor(kind) {
+    this.kind = kind
+    this.type = WEAPON_TYPES[kind]
+    // Seconds until the next shot is allowed
+    this.cooldown = 0
+    // 0 = cold, 1 = overheated
+    this.heat = 0
+    this.isOverheated = false
+  }
+
+  get canFire() {
+    return this.cooldown <= 0 && !this.isOverheated
+  }
+
+  /**
+   * Record that a shot was fired: start the cooldown and add heat.
+   *
+   * @param {number} [fireIntervalMultiplier] - Below 1 fires faster (rapid fire power-up).
+   * @param {boolean} [generatesHeat] - False to fire without heating up.
+   */
+  fire(fireIntervalMultiplier = 1, generatesHeat = true) {
+    this.cooldown = this.type.fireInterval * fireIntervalMultiplier
+    if (!generatesHeat) return
+
+    this.heat += this.type.heatPerShot
+    if (this.heat >= 1) {
+      this.heat = 1
+      this.isOverheated = true
+    }
+  }
+
+  /**
+   * Count down the cooldown and let heat drain away. Every weapon cools
+   * all the time, including the ones that aren't selected.
+   *
+   * @param {number} deltaTime - Length of the simulation step in seconds.
+   */
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime)
+    this.heat = Math.max(0, this.heat - COOL_RATE * deltaTime)
+    if (this.isOverheated && this.heat <= OVERHEAT_RECOVERY) this.isOverheated = false
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * benchmark.js — Entry point for benchmark.html, a stress test for collision detection.
+ *
+ * The scene fills the window with thousands of enemies and projectiles bouncing around,
+ * then finds every overlapping enemy–projectile pair two ways each frame:
+ *   - Brute force: every projectile against every enemy, like the game used to
+ *   - Spatial hash: enemies filed into a grid, each projectile only checks the cells around it
+ *
+ * Both must find the same number of hits, so a mismatch is shown as an error.
+ * The panel shows how long each method takes (averaged over recent frames)
+ * and how many distance checks it needed.
+ *
+ * The counts can be changed in the panel, or in the URL: benchmark.html?enemies=5000&projectiles=2000
+ */
+import { SpatialHash } from './SpatialHash.js'
+import { Random } from './Random.js'
+
+// Same cell size the game uses
+const CELL_SIZE = 64
+
+// How strongly each frame's time pulls the displayed average — small values give a steadier readout
+const AVERAGE_WEIGHT = 0.05
+
+const canvas = document.querySelector('canvas')
+canvas.width = innerWidth
+canvas.height = innerHeight
+const context = canvas.getContext('2d')
+
+const enemyCountInput = document.querySelector('#benchmark-enemies')
+const projectileCountInput = document.querySelector('#benchmark-projectiles')
+const restartButton = document.querySelector('#benchmark-restart')
+const resultsElement = document.querySelector('#benchmark-results')
+
+const parameters = new URLSearchParams(location.search)
+enemyCountInput.value = parameters.get('enemies') ?? '3000'
+projectileCountInput.value = parameters.get('projectiles') ?? '1000'
+
+const grid = new SpatialHash(CELL_SIZE)
+// Reused for every grid query, just like GameWorld does
+const nearbyEnemies = []
+
+let scene = createScene()
+let averages = { bruteForceTime: 0, gridTime: 0 }
+
+restartButton.addEventListener('click', () => {
+  scene = createScene()
+  averages = { bruteForceTime: 0, gridTime: 0 }
+})
+
+requestAnimationFrame(animate)
+
+function animate() {
+  requestAnimationFrame(animate)
+  moveScene(scene, 1 / 60)
+
+  let startTime = performance.now()
+  const bruteForce = countHitsBruteForce(scene)
+  const bruteForceTime = performance.now() - startTime
+
+  startTime = performance.now()
+  const withGrid = countHitsWithGrid(scene)
+  const gridTime = performance.now() - startTime
+
+  averages.bruteForceTime = blend(averages.bruteForceTime, bruteForceTime)
+  averages.gridTime = blend(averages.gridTime, gridTime)
+
+  drawScene(scene)
+  showResults(bruteForce, withGrid)
+}
+
+// ─── Scene ──────────────────────────────────────────────────────────
+/**
+ * Scatter enemies and projectiles over the window with random velocities.
+ * A fixed seed means the same counts always give the same scene.
+ */
+function createScene() {
+  const random = new Random(12345)
+  const enemyCount = readCount(enemyCountInput)
+  const projectileCount = readCount(projectileCountInput)
+
+  // Enemies use the game's size range and are slow; projectiles are small and fast
+  const createCircles = (count, minimumRadius, maximumRadius, speed) =>
+    Array.from({ length: count }, () => {
+      const angle = random.range(0, Math.PI * 2)
+      return {
+        positionX: random.range(0, canvas.width),
+        positionY: random.range(0, canvas.height),
+        radius: random.range(minimumRadius, maximumRadius),
+        velocity: { horizontal: Math.cos(angle) * speed, vertical: Math.sin(angle) * speed }
+      }
+    })
+
+  return {
+    enemies: createCircles(enemyCount, 4, 30, 60),
+    projectiles: createCircles(projectileCount, 5, 5, 400)
+  }
+}
+
+/**
+ * Move everything, bouncing off the window edges so the density stays the same.
+ */
+function moveScene({ enemies, projectiles }, deltaTime) {
+  for (const circle of [...enemies, ...projectiles]) {
+    circle.positionX += circle.velocity.horizontal * deltaTime
+    circle.positionY += circle.velocity.vertical * deltaTime
+    if (circle.positionX < 0 || circle.positionX > canvas.width) circle.velocity.horizontal *= -1
+    if (circle.positionY < 0 || circle.positionY > canvas.height) circle.velocity.vertical *= -1
+  }
+}
+
+// ─── The Two Methods ────────────────────────────────────────────────
+/**
+ * Check every projectile against every enemy.
+ *
+ * @returns {{ hits: number, checks: number }}
+ */
+function countHitsBruteForce({ enemies, projectiles }) {
+  let hits = 0
+  for (const projectile of projectiles) {
+    for (const enemy of enemies) {
+      if (isTouching(projectile, enemy)) hits++
+    }
+  }
+  return { hits, checks: enemies.length * projectiles.length }
+}
+
+/**
+ * File the enemies into the grid, then check each projectile against nearby enemies only.
+ * The time includes rebuilding the grid, since the game has to do that every step too.
+ *
+ * @returns {{ hits: number, checks: number }}
+ */
+function countHitsWithGrid({ enemies, projectiles }) {
+  grid.clear()
+  for (const enemy of enemies) grid.insert(enemy)
+
+  let hits = 0
+  let checks = 0
+  for (const projectile of projectiles) {
+    grid.query(projectile.positionX, projectile.positionY, projectile.radius + 1, nearbyEnemies)
+    checks += nearbyEnemies.length
+    for (const enemy of nearbyEnemies) {
+      if (isTouching(projectile, enemy)) hits++
+    }
+  }
+  return { hits, checks }
+}
+
+// The same overlap test GameWorld uses: less than 1 pixel between the edges
+function isTouching(first, second) {
+  const distance = Math.hypot(first.positionX - second.positionX, first.positionY - second.positionY)
+  return distance - first.radius - second.radius < 1
+}
+
+// ─── Drawing ────────────────────────────────────────────────────────
+function drawScene({ enemies, projectiles }) {
+  context.fillStyle = 'black'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+
+  context.fillStyle = 'hsla(200, 60%, 55%, 0.5)'
+  for (const enemy of enemies) fillCircle(enemy)
+
+  context.fillStyle = 'white'
+  for (const projectile of projectiles) fillCircle(projectile)
+}
+
+function fillCircle({ positionX, positionY, radius }) {
+  context.beginPath()
+  context.arc(positionX, positionY, radius, 0, Math.PI * 2)
+  context.fill()
+}
+
+function showResults(bruteForce, withGrid) {
+  const { bruteForceTime, gridTime } = averages
+  const speedUp = gridTime > 0 ? (bruteForceTime / gridTime).toFixed(1) : '—'
+  const mismatch = bruteForce.hits === withGrid.hits
+    ? ''
+    : `\nMISMATCH: brute force found ${bruteForce.hits} hits, the grid found ${withGrid.hits}`
+
+  resultsElement.textContent =
+    `Brute force:  ${bruteForceTime.toFixed(2)} ms  (${bruteForce.checks.toLocaleString()} checks)\n` +
+    `Spatial hash: ${gridTime.toFixed(2)} ms  (${withGrid.checks.toLocaleString()} checks)\n` +
+    `${speedUp}x faster — ${withGrid.hits} hits this frame` +
+    mismatch
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────
+function readCount(input) {
+  const count = Math.floor(Number(input.value))
+  return Number.isFinite(count) && count >= 0 ? count : 0
+}
+
+function blend(average, sample) {
+  return average === 0 ? sample : average + (sample - average) * AVERAGE_WEIGHT
+}
@@ -0,0 +1,206 @@
+/**
+ * enemyTypes.js — The different kinds of enemy and how each one behaves.
+ *
+ * Every Enemy has a "behaviour": one of the objects below. The Enemy class handles
+ * what all enemies share (moving by their velocity, easing their radius when shrunk),
+ * and calls into its behaviour for what makes each kind different:
+ *
+ *   drifter  — flies in a straight line at wherever the player was (the original enemy)
+ *   zigzag   — weaves side to side across its path
+ *   homer    — keeps turning toward the player, but can only turn so fast
+ *   splitter — breaks into smaller drifters when destroyed
+ *   shielded — carries a rotating shield that blocks shots hitting it
+ *   charger  — creeps in, stops to wind up, then dashes at the player
+ *
+ * New kinds unlock as the level rises (minLevel), and "weight" controls how often
+ * each unlocked kind is picked compared to the others.
+ *
+ * Behaviour hooks (all optional except the first three):
+ * @typedef {Object} EnemyBehaviour
+ * @property {string} name - Matches enemy.type; the Renderer uses it to pick a shape.
+ * @property {number} minLevel - First level this kind can spawn on.
+ * @property {number} weight - Relative chance of being picked once unlocked.
+ * @property {[number, number]} [radiusRange] - Spawn size range if different from the default.
+ * @property {function(Enemy): void} [init] - Set up per-enemy state after spawning.
+ * @property {function(Enemy, Object, number): void} [steer] - Adjust velocity each step,
+ *   given the target ({ positionX, positionY }) and deltaTime in seconds.
+ * @property {function(Enemy, number, number): boolean} [blocksHit] - Return true if a hit at
+ *   the given position should bounce off instead of doing damage.
+ * @property {number} [splitCount] - How many small enemies to release when destroyed.
+ */
+
+/** Point an enemy's velocity at the target, moving at the given speed */
+function aimAt(enemy, target, speed) {
+  const angle = Math.atan2(target.positionY - enemy.positionY, target.positionX - enemy.positionX)
+  enemy.velocity.horizontal = Math.cos(angle) * speed
+  enemy.velocity.vertical = Math.sin(angle) * speed
+  // Remembered so the enemy keeps facing the same way while standing still
+  enemy.facingAngle = angle
+}
+
+/** Wrap an angle into the range -π to π so differences between angles are easy to compare */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle))
+}
+
+/** @type {Object<string, EnemyBehaviour>} */
+export const ENEMY_TYPES = {
+  drifter: {
+    name: 'drifter',
+    minLevel: 1,
+    weight: 10
+  },
+
+  zigzag: {
+    name: 'zigzag',
+    minLevel: 2,
+    weight: 4,
+    init(enemy) {
+      // The straight-line path the enemy weaves around
+      enemy.baseVelocity = { ...enemy.velocity }
+      enemy.zigzagPhase = 0
+    },
+    steer(enemy, target, deltaTime) {
+      // Side-to-side speed follows a cosine wave, which moves the enemy along a
+      // sine-shaped path 40px either side of its straight line
+      const amplitude = 40
+      const frequency = 4 // radians per second
+      enemy.zigzagPhase += frequency * deltaTime
+
+      // The perpendicular of (x, y) is (-y, x) — rotate the base direction by 90°
+      const baseSpeed = Math.hypot(enemy.baseVelocity.horizontal, enemy.baseVelocity.vertical)
+      const sideways = amplitude * frequency * Math.cos(enemy.zigzagPhase) / baseSpeed
+      enemy.velocity.horizontal = enemy.baseVelocity.horizontal - enemy.baseVelocity.vertical * sideways
+      enemy.velocity.vertical = enemy.baseVelocity.vertical + enemy.baseVelocity.horizontal * sideways
+    }
+  },
+
+  homer: {
+    name: 'homer',
+    minLevel: 3,
+    weight: 3,
+    init(enemy) {
+      // Homers are a little slower than drifters so they can be outrun
+      enemy.speed *= 0.8
+      enemy.velocity.horizontal *= 0.8
+      enemy.velocity.vertical *= 0.8
+    },
+    steer(enemy, target, deltaTime) {
+      const currentHeading = Math.atan2(enemy.velocity.vertical, enemy.velocity.horizontal)
+      const desiredHeading = Math.atan2(target.positionY - enemy.positionY, target.positionX - enemy.positionX)
+
+      // Turn at most 1.5 radians per second, so a quick sidestep still shakes them off
+      const maxTurn = 1.5 * deltaTime
+      const turn = Math.max(-maxTurn, Math.min(maxTurn, wrapAngle(desiredHeading - currentHeading)))
+      const newHeading = currentHeading + turn
+
+      enemy.velocity.horizontal = Math.cos(newHeading) * enemy.speed
+      enemy.velocity.vertical = Math.sin(newHeading) * enemy.speed
+    }
+  },
+
+  splitter: {
+    name: 'splitter',
+    minLevel: 4,
+    weight: 3,
+    // Big enough to need at least one shrink, and to make its fragments worth it
+    radiusRange: [16, 30],
+    splitCount: 3
+  },
+
+  shielded: {
+    name: 'shielded',
+    minLevel: 5,
+    weight: 2,
+    radiusRange: [14, 30],
+    init(enemy) {
+      enemy.shieldAngle = 0
+      // The shield covers a third of the circle
+      enemy.shieldArc = (Math.PI * 2) / 3
+    },
+    steer(enemy, target, deltaTime) {
+      // The shield spins, so there's always a gap to shoot through if you time it
+      enemy.shieldAngle = wrapAngle(enemy.shieldAngle + 1.5 * deltaTime)
+    },
+    blocksHit(enemy, hitX, hitY) {
+      const hitAngle = Math.atan2(hitY - enemy.positionY, hitX - enemy.positionX)
+      return Math.abs(wrapAngle(hitAngle - enemy.shieldAngle)) <= enemy.shieldArc / 2
+    }
+  },
+
+  charger: {
+    name: 'charger',
+    minLevel: 6,
+    weight: 2,
+    init(enemy) {
+      enemy.chargePhase = 'approach'
+      enemy.chargePhaseTimeLeft = 1.5
+    },
+    steer(enemy, target, deltaTime) {
+      enemy.chargePhaseTimeLeft -= deltaTime
+      if (enemy.chargePhaseTimeLeft > 0) {
+        // Creeping in: keep a slow bead on the player
+        if (enemy.chargePhase === 'approach') aimAt(enemy, target, enemy.speed * 0.5)
+        return
+      }
+
+      // Cycle approach → windup → dash → approach...
+      if (enemy.chargePhase === 'approach') {
+        // Stop dead for a moment — this pause is the player's warning
+        enemy.chargePhase = 'windup'
+        enemy.chargePhaseTimeLeft = 0.6
+        enemy.velocity.horizontal = 0
+        enemy.velocity.vertical = 0
+      } else if (enemy.chargePhase === 'windup') {
+        // Lock on to where the player is right now and launch. The dash
+        // doesn't steer, so moving during the windup is how you dodge it.
+        enemy.chargePhase = 'dash'
+        enemy.chargePhaseTimeLeft = 0.7
+        aimAt(enemy, target, enemy.speed * 3.5)
+      } else {
+        enemy.chargePhase = 'approach'
+        enemy.chargePhaseTimeLeft = 1.5
+      }
+    }
+  }
+}
+
+/**
+ * Pick which kind of enemy to spawn next, weighted among the kinds unlocked at this level.
+ *
+ * @param {number} level - The current level.
+ * @param {import('./Random.js').Random} random - The world's random generator.
+ * @returns {EnemyBehaviour}
+ */
+export function pickEnemyType(level, random) {
+  const unlocked = Object.values(ENEMY_TYPES).filter((type) => level >= type.minLevel)
+  const totalWeight = unlocked.reduce((sum, type) => sum + type.weight, 0)
+
+  // Roll a number along the combined weights and find which kind's slice it landed in
+  let roll = random.range(0, totalWeight)
+  for (const type of unlocked) {
+    roll -= type.weight
+    if (roll < 0) return type
+  }
+  return unlocked[unlocked.length - 1]
+}
+
+/**
+ * Pick an enemy from a scripted wave's mix, where each kind has its own weight
+ * instead of the ones above. Level unlocks don't apply — the level's author decides.
+ *
+ * @param {Object<string, number>} mix - Enemy type name → relative chance, e.g. { drifter: 3, homer: 1 }.
+ * @param {import('./Random.js').Random} random - The world's random generator.
+ * @returns {EnemyBehaviour}
+ */
+export function pickEnemyTypeFromMix(mix, random) {
+  const entries = Object.entries(mix)
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0)
+
+  let roll = random.range(0, totalWeight)
+  for (const [typeName, weight] of entries) {
+    roll -= weight
+    if (roll < 0) return ENEMY_TYPES[typeName]
+  }
+  return ENEMY_TYPES[entries[entries.length - 1][0]]
+}
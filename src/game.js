@@ -1,381 +1,1473 @@
 /**
- * game.js — The heart of the game. Orchestrates the game loop, enemy spawning,
- * collision detection, scoring, and user input.
+ * game.js — Connects the simulation to the browser.
  *
- * Everything comes together here: the Player moves based on keyboard input,
- * Projectiles fly toward mouse clicks, Enemies spawn at edges and march inward,
- * and the ScoreManager tracks how well the player is doing.
+ * The GameWorld holds all the game rules and the Renderer draws it, but neither
+ * knows about the DOM. This module is the glue: it turns keyboard, mouse, gamepad and
+ * touch input into a "controls" object for each simulation step, runs the GameLoop, plays
+ * the sound for whatever happened, keeps the canvas fitted to the window, and shows the
+ * title, pause, controls, options, achievements and game-over overlays.
+ *
+ * Which of those is active is decided by a StateMachine with eight states:
+ *
+ *   title ──start──▶ playing ◀──resume── paused
+ *                      │  └────pause─────▶ │
+ *                      ▼                    │
+ *                  gameOver ──restart──▶ playing     (paused ──quit──▶ title)
+ *
+ *   title / paused ──▶ controls, options or achievements ──back──▶ wherever it was opened from
+ *   title / gameOver ──▶ lobby ──both players in──▶ playing
+ *
+ * Each state sets up its listeners through its scope, so leaving a state
+ * always tears down exactly what it created.
+ *
+ * Every live run is recorded as a replay. In playback mode the controls come from
+ * the replay instead of the keyboard and mouse, and the run plays out exactly as before.
+ *
+ * A co-op run has a second ship on the same keyboard: the arrow keys and Enter by default,
+ * aiming by itself at the nearest enemy. A connected gamepad drives that second ship too.
+ *
+ * An online run (co-op or versus) is simulated by the game server instead. Each step's
+ * controls are sent to it, and a NetworkWorld rebuilt from its snapshots is drawn in place
+ * of a GameWorld. Online runs aren't recorded — the server's world is the only real one.
+ *
+ * The Options screen's difficulty, game speed and accessibility settings all apply
+ * straight away — to a paused run as well as the next one. A difficulty change mid-run
+ * is recorded in the replay, so it still plays back exactly.
+ *
+ * Opened with ?debug in the address, the game also has a debug overlay (F3) and a
+ * developer console (`) for tuning — see DebugOverlay.js and DevConsole.js. A run
+ * changed from the console can't be replayed or enter the high-score table.
+ *
+ * After every step, whatever happened in it is published on an EventBus. Achievements
+ * listen there during live and online runs (not replays, which were already counted),
+ * and each one unlocked pops up as a toast. The visual effects listen there too, in every
+ * run: kills shake the view and hold the next few steps back (a hit-stop), and deaths
+ * flash the screen red. Each effect can be switched off on the Options screen.
  */
-import { Player } from './Player.js'
-import { Projectile } from './Projectile.js'
-import { Enemy } from './Enemy.js'
-import { Particle } from './Particle.js'
-import { InputHandler } from './InputHandler.js'
-import { ScoreManager } from './ScoreManager.js'
+import { InputHandler, isTextEntry } from './InputHandler.js'
+import { GameLoop, SIMULATION_STEP } from './GameLoop.js'
+import { GameWorld, IDLE_CONTROLS } from './GameWorld.js'
+import { Renderer } from './Renderer.js'
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from './Replay.js'
+import { StateMachine } from './StateMachine.js'
+import { HighScoreTable } from './HighScoreTable.js'
+import { WEAPON_ORDER } from './Weapon.js'
+import { KeyBindings, ACTIONS, describeKey } from './KeyBindings.js'
+import { GamepadInput } from './GamepadInput.js'
+import { TouchInput, isTouchDevice } from './TouchInput.js'
+import { AudioEngine } from './AudioEngine.js'
+import { AudioSettings } from './AudioSettings.js'
+import { Viewport, chooseViewSize } from './Viewport.js'
+import { DisplaySettings } from './DisplaySettings.js'
+import { DifficultySettings } from './DifficultySettings.js'
+import { EffectsSettings } from './EffectsSettings.js'
+import { Effects } from './Effects.js'
+import { AccessibilitySettings } from './AccessibilitySettings.js'
+import { loadLevels } from './levels.js'
+import { NetworkClient } from './NetworkClient.js'
+import { NetworkWorld } from './NetworkWorld.js'
+import { DEFAULT_SERVER_PORT, encodeControls } from './protocol.js'
+import { EventBus } from './EventBus.js'
+import { Achievements, ACHIEVEMENTS } from './Achievements.js'
+import { DevConsole } from './DevConsole.js'
+import { DebugOverlay } from './DebugOverlay.js'
+
+// How far ahead of the ship the aim point sits when aiming with a gamepad stick
+const GAMEPAD_AIM_DISTANCE = 200
+
+// A live run's world is this many screens wide and this many tall
+const WORLD_SIZE_IN_SCREENS = 3
+
+// How long an achievement's toast stays up, in milliseconds
+const TOAST_DURATION = 4000
+
+// With reduced motion, explosions make this share of their usual particles
+const REDUCED_MOTION_PARTICLE_DENSITY = 0.25
+
+// The developer console keeps this many lines of its output
+const DEV_CONSOLE_LOG_LINES = 40
 
 /**
- * Initialize and start the game.
- * Can be called multiple times — each call sets up a fresh game session.
+ * Set up the game and show the title screen. Call this once — restarting,
+ * pausing and watching replays are all handled by the state machine.
  *
  * @param {HTMLCanvasElement} canvas - The canvas element to draw on.
  * @param {CanvasRenderingContext2D} context - The 2D drawing context for the canvas.
  */
 export function startGame(canvas, context) {
-  // Create the player at the center of the screen
-  const centerX = canvas.width / 2
-  const centerY = canvas.height / 2
-  const player = new Player(context, centerX, centerY, 10, 'white')
+  const viewport = new Viewport(canvas)
+  const accessibilitySettings = new AccessibilitySettings()
+  const effectsSettings = new EffectsSettings()
+  const effects = new Effects(effectsSettings)
+  const renderer = new Renderer(context, viewport, accessibilitySettings, effects)
+  const displaySettings = new DisplaySettings()
+  const difficultySettings = new DifficultySettings()
+  const highScoreTable = new HighScoreTable()
+  const keyBindings = new KeyBindings()
+  const gamepad = new GamepadInput()
+  const audio = new AudioEngine(new AudioSettings())
+  const gameEvents = new EventBus()
+  const achievements = new Achievements()
+
+  // The developer tools only exist when the page was opened with ?debug
+  const isDevMode = new URLSearchParams(globalThis.location?.search ?? '').has('debug')
+  const devConsole = isDevMode ? new DevConsole() : null
+  const debugOverlay = isDevMode ? new DebugOverlay(context, viewport) : null
+
+  // Grab the overlay elements from the HTML so we can show/hide them
+  const titleScreen = document.getElementById('title-screen')
+  const startButton = document.getElementById('start-button')
+  const coopButton = document.getElementById('coop-button')
+  const onlineButton = document.getElementById('online-button')
+  const titleControlsButton = document.getElementById('title-controls-button')
+  const titleOptionsButton = document.getElementById('title-options-button')
+  const titleAchievementsButton = document.getElementById('title-achievements-button')
+  const levelErrorText = document.getElementById('level-error')
 
-  // Set up keyboard input tracking and score display
-  const input = new InputHandler()
-  const scoreManager = new ScoreManager(context)
+  const lobbyScreen = document.getElementById('lobby-screen')
+  const serverUrlInput = document.getElementById('server-url-input')
+  const gameModeSelect = document.getElementById('game-mode-select')
+  const createRoomButton = document.getElementById('create-room-button')
+  const joinRoomForm = document.getElementById('join-room-form')
+  const joinRoomButton = document.getElementById('join-room-button')
+  const roomCodeInput = document.getElementById('room-code-input')
+  const lobbyStatusText = document.getElementById('lobby-status')
+  const lobbyBackButton = document.getElementById('lobby-back-button')
+
+  const pauseScreen = document.getElementById('pause-screen')
+  const onlinePauseHint = document.getElementById('online-pause-hint')
+  const resumeButton = document.getElementById('resume-button')
+  const quitButton = document.getElementById('quit-button')
+  const touchPauseButton = document.getElementById('touch-pause-button')
+  const pauseControlsButton = document.getElementById('pause-controls-button')
+  const pauseOptionsButton = document.getElementById('pause-options-button')
+  const pauseAchievementsButton = document.getElementById('pause-achievements-button')
+
+  const controlsScreen = document.getElementById('controls-screen')
+  const controlsTableBody = document.querySelector('#controls-table tbody')
+  const resetControlsButton = document.getElementById('reset-controls-button')
+  const controlsBackButton = document.getElementById('controls-back-button')
+
+  const optionsScreen = document.getElementById('options-screen')
+  const musicVolumeSlider = document.getElementById('music-volume-slider')
+  const effectsVolumeSlider = document.getElementById('effects-volume-slider')
+  const muteCheckbox = document.getElementById('mute-checkbox')
+  const letterboxCheckbox = document.getElementById('letterbox-checkbox')
+  const difficultySelect = document.getElementById('difficulty-select')
+  const spawnRateSlider = document.getElementById('spawn-rate-slider')
+  const spawnRateText = document.getElementById('spawn-rate-value')
+  const enemySpeedSlider = document.getElementById('enemy-speed-slider')
+  const enemySpeedText = document.getElementById('enemy-speed-value')
+  const gameSpeedSlider = document.getElementById('game-speed-slider')
+  const gameSpeedText = document.getElementById('game-speed-value')
+  const paletteSelect = document.getElementById('palette-select')
+  const outlinesCheckbox = document.getElementById('outlines-checkbox')
+  const reducedMotionCheckbox = document.getElementById('reduced-motion-checkbox')
+  const hudSizeSlider = document.getElementById('hud-size-slider')
+  const hudSizeText = document.getElementById('hud-size-value')
+  // Each effect's checkbox, by the setting it switches
+  const effectCheckboxes = new Map([
+    ['hasScreenShake', document.getElementById('screen-shake-checkbox')],
+    ['hasHitStop', document.getElementById('hit-stop-checkbox')],
+    ['hasStarfield', document.getElementById('starfield-checkbox')],
+    ['hasTrails', document.getElementById('trails-checkbox')],
+    ['hasPlayerGlow', document.getElementById('player-glow-checkbox')],
+    ['hasDeathVignette', document.getElementById('death-vignette-checkbox')]
+  ])
+  const optionsBackButton = document.getElementById('options-back-button')
+
+  const achievementsScreen = document.getElementById('achievements-screen')
+  const achievementsSummaryText = document.getElementById('achievements-summary')
+  const achievementsList = document.getElementById('achievements-list')
+  const achievementsBackButton = document.getElementById('achievements-back-button')
+  const toastContainer = document.getElementById('toast-container')
+
+  const devConsolePanel = document.getElementById('dev-console')
+  const devConsoleLog = document.getElementById('dev-console-log')
+  const devConsoleForm = document.getElementById('dev-console-form')
+  const devConsoleInput = document.getElementById('dev-console-input')
 
-  // Grab the game-over overlay elements from the HTML so we can show/hide them
   const gameOverScreen = document.getElementById('game-over-screen')
+  const gameOverTitle = document.getElementById('game-over-title')
   const finalScoreText = document.getElementById('final-score')
   const restartButton = document.getElementById('restart-button')
+  const watchReplayButton = document.getElementById('watch-replay-button')
+  const exportReplayButton = document.getElementById('export-replay-button')
+  const importReplayButton = document.getElementById('import-replay-button')
+  const replayFileInput = document.getElementById('replay-file-input')
+  const replayErrorText = document.getElementById('replay-error')
+  const nameEntryForm = document.getElementById('name-entry-form')
+  const nameEntryInput = document.getElementById('name-entry-input')
+  const highScoresButton = document.getElementById('high-scores-button')
+  const highScorePanel = document.getElementById('high-score-panel')
+  const highScoreTableBody = document.querySelector('#high-score-table tbody')
+  const highScoreEmptyText = document.getElementById('high-score-empty')
 
-  // These arrays hold all active projectiles, enemies, and explosion particles.
-  // Entities are added when created and removed when they collide, leave the screen, or fade out.
-  const projectiles = []
-  const enemies = []
-  const particles = []
+  // ─── Session ────────────────────────────────────────────────────
+  // A session is one run of the game: its world plus either a recorder (live play),
+  // a player (replay playback) or a connection to the server (online play). It survives
+  // pausing and is thrown away when the run ends or the player quits to the title screen.
+  // isTampered is set once the developer console has changed the world.
+  let session = null
 
-  // We store these IDs so we can stop them when the game ends
-  let animationId = null
-  let spawnTimerId = null
-  let levelTimerId = null
+  // Hang up on the server (online), stop counting towards achievements and forget the run
+  function endSession() {
+    session?.client?.close()
+    session?.stopTracking()
+    session?.stopEffects()
+    session = null
+  }
+
+  // ─── Levels ─────────────────────────────────────────────────────
+  // The scripted levels are fetched once, when the page loads. Runs can't start until
+  // that's settled, so the first run doesn't go endless just because it beat the download.
+  // A broken level file is reported on the title screen and the game plays endless instead.
+  let scriptedLevels = []
+  let areLevelsLoading = true
+  loadLevels()
+    .then((levels) => { scriptedLevels = levels })
+    .catch((loadError) => {
+      levelErrorText.textContent = `${loadError.message}\nThe scripted levels are skipped; playing endless mode.`
+    })
+    .finally(() => { areLevelsLoading = false })
 
-  // ─── Difficulty Progression ───────────────────────────────────────
-  // The game gets harder over time by increasing the level every 10 seconds.
-  // Each level makes enemies spawn faster and move quicker, creating a natural
-  // escalation that keeps the player engaged and challenged.
-  let currentLevel = 1
+  /**
+   * @param {import('./Replay.js').ReplayData|null} replay - Play this back, or null for a live run.
+   * @param {number} [playerCount] - 2 for a live co-op run. A replay brings its own.
+   */
+  function beginSession(replay, playerCount = 1) {
+    // A replay must be re-run with the same seed, world size and view size it was recorded
+    // with, otherwise enemies would spawn in different places and the inputs wouldn't line up.
+    // A live run gets a view shaped to fit the window (or 16:9 when letterboxed), and a
+    // world a few screens across in each direction for the camera to roam.
+    const viewSize = chooseViewSize(viewport.screenWidth, viewport.screenHeight, displaySettings.isLetterboxed)
+    const world = replay
+      ? new GameWorld(replay.width, replay.height, replay.seed, {
+        viewWidth: replay.viewWidth,
+        viewHeight: replay.viewHeight,
+        levels: replay.levels,
+        playerCount: replay.playerCount,
+        difficulty: replay.difficulty
+      })
+      : new GameWorld(viewSize.width * WORLD_SIZE_IN_SCREENS, viewSize.height * WORLD_SIZE_IN_SCREENS, undefined, {
+        viewWidth: viewSize.width,
+        viewHeight: viewSize.height,
+        levels: scriptedLevels,
+        playerCount,
+        difficulty: difficultySettings.difficulty
+      })
+    viewport.setViewSize(world.camera.viewWidth, world.camera.viewHeight)
 
-  function startLevelTimer() {
-    levelTimerId = setInterval(() => {
-      currentLevel++
-      scoreManager.setLevel(currentLevel)
-    }, 10000) // level up every 10 seconds
+    session = {
+      world,
+      replay,
+      replayPlayer: replay ? new ReplayPlayer(replay) : null,
+      replayRecorder: replay ? null : new ReplayRecorder(world),
+      client: null,
+      // A replay's achievements were already unlocked when it was played live
+      stopTracking: replay ? () => {} : achievements.startRun(gameEvents, world.player.index),
+      stopEffects: effects.startRun(gameEvents),
+      isTampered: false
+    }
+    devConsole?.reset()
+    applySettingsToRun()
+    resetRunInput(world)
   }
 
   /**
-   * Calculate how often enemies spawn at the current level.
-   * Starts at 1000ms (1 per second) and decreases by 75ms each level,
-   * but never goes below 200ms — that's already 5 enemies per second
-   * which is plenty overwhelming.
+   * Start an online run the server has just started. From here on the connection
+   * feeds the NetworkWorld its snapshots, until the run ends or the connection drops.
+   *
+   * @param {NetworkClient} client - Connected, and already in the room.
+   * @param {import('./protocol.js').StartMessage} start
    */
-  function getSpawnDelay() {
-    return Math.max(200, 1000 - (currentLevel - 1) * 75)
+  function beginOnlineSession(client, start) {
+    const world = new NetworkWorld(start)
+    viewport.setViewSize(world.camera.viewWidth, world.camera.viewHeight)
+    session = {
+      world,
+      replay: null,
+      replayPlayer: null,
+      replayRecorder: null,
+      client,
+      stopTracking: achievements.startRun(gameEvents, world.player.index),
+      // The server won't wait for a hit-stop, and only this browser's own ship flashes the screen
+      stopEffects: effects.startRun(gameEvents, { playerIndex: world.player.index, canHitStop: false }),
+      isTampered: false
+    }
+
+    client.onMessage = (message) => {
+      if (message.type === 'snapshot') world.receiveSnapshot(message)
+      if (message.type === 'gameOver') world.end({ scores: message.scores, winner: message.winner })
+      if (message.type === 'partnerLeft') world.end({ partnerLeft: true })
+    }
+    client.onClose = () => world.end({ isDisconnected: true })
+    devConsole?.reset()
+    applySettingsToRun()
+    resetRunInput(world)
   }
 
   /**
-   * Calculate how fast enemies move at the current level.
-   * Starts at 1x speed and increases by 0.2 each level.
-   * By level 5, enemies move at 1.8x speed — noticeably faster
-   * but still dodgeable for a skilled player.
+   * Bring the current run in line with the Options screen. Only a live run takes the
+   * difficulty and game speed: a replay keeps its own difficulty, and the server decides
+   * both for an online one. Particles and game speed are just for show, so even a
+   * replay gets those. The developer console's slow motion goes on top of the game speed.
    */
-  function getEnemySpeed() {
-    return 1 + (currentLevel - 1) * 0.2
-  }
-
-  // ─── Enemy Spawning ─────────────────────────────────────────────
-  // We use recursive setTimeout instead of setInterval so the delay
-  // can change dynamically as the level increases. setInterval locks
-  // in a fixed delay when first called and can't be adjusted.
-  function spawnOneEnemy() {
-    // Random radius between 4 and 30 pixels — bigger enemies are harder to destroy
-    const radius = Math.random() * (30 - 4) + 4
-
-    let spawnX
-    let spawnY
-
-    // Randomly choose whether the enemy appears on a vertical edge (left/right)
-    // or a horizontal edge (top/bottom). This gives an even spread around the screen.
-    if (Math.random() < 0.5) {
-      // Spawn on left or right edge — offset by radius so the enemy starts fully off-screen
-      spawnX = Math.random() < 0.5 ? 0 - radius : canvas.width + radius
-      spawnY = Math.random() * canvas.height
+  function applySettingsToRun() {
+    if (!session) return
+    const { world, client, replayPlayer } = session
+    if (!client && !replayPlayer) world.difficulty = difficultySettings.difficulty
+    gameLoop.speed = client ? 1 : difficultySettings.gameSpeed * (devConsole?.timeScale ?? 1)
+    world.particleDensity = accessibilitySettings.isReducedMotion ? REDUCED_MOTION_PARTICLE_DENSITY : 1
+  }
+
+  function resetRunInput(world) {
+    // Aim at the player until the mouse moves (or straight up for a gamepad),
+    // and forget any shot from the last run
+    mousePositionX = world.player.positionX - world.camera.positionX
+    mousePositionY = world.player.positionY - world.camera.positionY
+    firePending = false
+    partnerFirePending = false
+    pendingWeaponSlots.fill(-1)
+    aimSource = 'mouse'
+    gamepadAimAngle = -Math.PI / 2
+
+    // Clear the canvas completely so there's no leftover frame from the previous game
+    renderer.clear()
+  }
+
+  // ─── Game Loop ──────────────────────────────────────────────────
+  // The GameLoop calls update() exactly 60 times per second of simulation time,
+  // however fast the display refreshes, and render() once per display frame.
+  // It only runs in the "playing" state. Because the spawn and level timers count
+  // simulation steps, stopping the loop freezes them too.
+  const gameLoop = new GameLoop(update, render)
+
+  // Set while a hit-stop is holding steps back. The frame is drawn as the last step left
+  // it, since drawing part-way to a step that isn't coming would make it wobble.
+  let isStepHeld = false
+
+  function update(deltaTime) {
+    // The developer console can hold the simulation still, or let it through a step at a time
+    if (devConsole && !devConsole.takeStep()) return
+    // Polled even while a hit-stop holds the step back: a press only shows up as the
+    // difference between two polls, so one made during the hit-stop would be lost
+    const gamepadState = pollGamepad()
+    isStepHeld = effects.advance(deltaTime)
+    if (isStepHeld) {
+      if (gamepadState?.pausePressed) machine.transition('paused')
+      return
+    }
+
+    const { world, replayPlayer, replayRecorder } = session
+
+    if (session.client) {
+      stepOnline(deltaTime, readPlayerOneControls(false))
+    } else if (replayPlayer) {
+      const difficultyChange = replayPlayer.takeDifficultyChange()
+      if (difficultyChange) world.difficulty = difficultyChange
+      world.step(deltaTime, replayPlayer.nextControls())
     } else {
-      // Spawn on top or bottom edge
-      spawnX = Math.random() * canvas.width
-      spawnY = Math.random() < 0.5 ? 0 - radius : canvas.height + radius
+      const controls = readControls()
+      replayRecorder.record(controls)
+      world.step(deltaTime, controls)
     }
+    audio.playEvents(world.events, world.camera.positionX, world.camera.viewWidth)
+    gameEvents.publish(world.events)
+    achievements.trackStep(world.player, deltaTime)
 
-    // Each enemy gets a unique hue using HSL color space.
-    // Math.random() * 360 picks a random hue angle (0-360 on the color wheel).
-    const color = `hsl(${Math.random() * 360}, 50%, 50%)`
-
-    // Calculate the angle from the spawn point toward the player's CURRENT position.
-    // Math.atan2(deltaY, deltaX) returns the angle in radians between the positive X axis
-    // and the line from the origin to the point (deltaX, deltaY).
-    // We aim at the player's position at spawn time — enemies do NOT track the player
-    // after spawning. This makes their paths predictable so the player can dodge.
-    const angleToPlayer = Math.atan2(
-      player.positionY - spawnY,
-      player.positionX - spawnX
-    )
-
-    // Convert the angle to a velocity vector, scaled by the current level's speed.
-    // cos(angle) gives the horizontal component, sin(angle) gives the vertical component.
-    // Together they create a unit vector (length 1) pointing toward the player,
-    // then multiplied by the speed factor so higher levels produce faster enemies.
-    const speedMultiplier = getEnemySpeed()
-    const velocity = {
-      horizontal: Math.cos(angleToPlayer) * speedMultiplier,
-      vertical: Math.sin(angleToPlayer) * speedMultiplier
+    // A replay that was cut short (or whose run ended some other way) simply stops
+    // when its recorded steps run out
+    const isReplayFinished = replayPlayer !== null && replayPlayer.isFinished
+
+    if (world.isGameOver || isReplayFinished) {
+      machine.transition('gameOver')
+    } else if (gamepadState?.pausePressed) {
+      machine.transition('paused')
     }
+  }
 
-    enemies.push(new Enemy(context, spawnX, spawnY, radius, color, velocity))
+  /**
+   * Move the local ship straight away and send the same controls to the server,
+   * numbered so the NetworkWorld can tell when the server has used them.
+   */
+  function stepOnline(deltaTime, controls) {
+    session.world.step(deltaTime, controls)
+    session.client.send({ type: 'input', sequence: session.world.inputSequence, controls: encodeControls(controls) })
   }
 
-  function scheduleNextSpawn() {
-    // Each call reads the current spawn delay, so as the level increases
-    // enemies spawn more frequently without needing to restart the timer
-    spawnTimerId = setTimeout(() => {
-      spawnOneEnemy()
-      scheduleNextSpawn()
-    }, getSpawnDelay())
+  function render(interpolation) {
+    if (isStepHeld) interpolation = 1
+    renderer.render(session.world, interpolation)
+    if (session.replayPlayer) renderer.drawReplayBadge(session.world.players.length)
+    if (touchInput.joystick) renderer.drawTouchJoystick(touchInput.joystick)
+    if (debugOverlay) {
+      debugOverlay.recordFrame(performance.now())
+      debugOverlay.draw(session.world, interpolation, describeDevState())
+    }
   }
 
-  // ─── Particle Explosion ────────────────────────────────────────
-  // When a projectile hits an enemy, we create a burst of tiny particles
-  // at the collision point. Each particle flies in a random direction,
-  // matching the enemy's color so it looks like the enemy is shattering.
+  // ─── Player Input ───────────────────────────────────────────────
+  // The player can shoot in four ways:
+  //   1. Left mouse button on the canvas — fires toward the cursor
+  //   2. The fire key (Space by default) — fires toward the current mouse cursor position
+  //   3. A gamepad trigger — fires wherever the right stick points
+  //   4. A finger on the right half of a touch screen — fires toward the finger
+  // Holding any of them keeps firing as fast as the weapon allows. The weapon keys
+  // (1-4 by default), the mouse wheel and the gamepad bumpers switch weapons.
   //
-  // More particles = bigger visual impact:
-  //   - Shrink hit (enemy survives): 8 particles — a small "chip" effect
-  //   - Kill hit (enemy destroyed):  24 particles — a satisfying explosion
-  function spawnExplosion(positionX, positionY, color, particleCount) {
-    for (let index = 0; index < particleCount; index++) {
-      // Each particle flies in a random direction (0 to 2π radians = full circle)
-      const randomAngle = Math.random() * Math.PI * 2
-      // Random speed between 1 and 6 gives variety — some particles fly far,
-      // others stay close, making the explosion look organic rather than uniform
-      const randomSpeed = Math.random() * 5 + 1
-      const velocity = {
-        horizontal: Math.cos(randomAngle) * randomSpeed,
-        vertical: Math.sin(randomAngle) * randomSpeed
-      }
-      // Particle radius between 1 and 3 pixels — small enough to look like debris
-      const particleRadius = Math.random() * 2 + 1
-      particles.push(new Particle(context, positionX, positionY, particleRadius, color, velocity))
-    }
+  // Keyboard, mouse, gamepad and touch are all read all the time, so the player can
+  // put one down and pick up another mid-run. Whichever was last used to aim wins.
+  //
+  // In co-op the second player has the arrow keys, their own fire and next-weapon keys,
+  // and the gamepad. Outside co-op — online too, where each browser has one ship —
+  // those keys work for the one ship as well.
+  //
+  // None of these fire or switch anything directly — they only set flags that the
+  // next simulation step reads, so everything happens in simulation time.
+
+  // Created when entering "playing" and destroyed when leaving it, so keys
+  // (and fingers) released while paused can't get stuck down
+  let input = null
+  let touchInput = null
+
+  // Track the mouse position so the fire key knows where to aim.
+  // We update this every time the mouse moves over the canvas, and a
+  // touch screen's aim finger moves it too. It's kept in world units measured from
+  // the camera's corner: a cursor held still keeps pointing at the same spot on
+  // screen while the camera scrolls, so it's turned into a world point each step.
+  let mousePositionX = 0
+  let mousePositionY = 0
+
+  // 'mouse' aims at the cursor (or finger), 'gamepad' aims along the right stick
+  let aimSource = 'mouse'
+  let gamepadAimAngle = -Math.PI / 2
+
+  // Whether each trigger is held down right now
+  let isMouseFireHeld = false
+  let isKeyFireHeld = false
+  // Set on every press, so a click shorter than one step still fires
+  let firePending = false
+
+  // The same for the second player's fire key
+  let isPartnerFireHeld = false
+  let partnerFirePending = false
+
+  // Weapon each player switches to on the next step, or -1 to keep the current one
+  const pendingWeaponSlots = [-1, -1]
+
+  // The gamepad's state from the latest poll, or null if none is connected
+  let gamepadState = null
+
+  /**
+   * Aim at a point on screen — the mouse cursor or a finger. Events give positions in
+   * screen pixels, so the point is converted to view units first.
+   */
+  function aimAtScreenPoint(screenX, screenY) {
+    const viewPoint = viewport.screenToView(screenX, screenY)
+    mousePositionX = viewPoint.x
+    mousePositionY = viewPoint.y
+    aimSource = 'mouse'
   }
 
-  // ─── Game Loop ──────────────────────────────────────────────────
-  // This function runs ~60 times per second via requestAnimationFrame.
-  // Each frame: clear screen → update all entities → check collisions → draw score.
-  function animate() {
-    animationId = requestAnimationFrame(animate)
-
-    // Clear the entire canvas to a solid black background each frame.
-    // This gives a clean render with no leftover artifacts from previous frames.
-    context.fillStyle = 'black'
-    context.fillRect(0, 0, canvas.width, canvas.height)
-
-    // Move the player based on which keys are currently pressed
-    const movementDirection = input.getDirection()
-    player.update(movementDirection, canvas.width, canvas.height)
-
-    // ── Update projectiles ──
-    // We iterate backwards (from last to first) so we can safely remove items with splice.
-    // When you splice index 5 out of an array, items at index 6+ shift down by one.
-    // If we iterated forwards, we'd skip the item that shifted into the removed slot.
-    // Iterating backwards avoids this because items at lower indices are unaffected.
-    for (let projectileIndex = projectiles.length - 1; projectileIndex >= 0; projectileIndex--) {
-      const projectile = projectiles[projectileIndex]
-      projectile.update()
-
-      // Remove projectiles that have left the visible screen area.
-      // We check all four edges, accounting for the projectile's radius
-      // so it's fully off-screen before removal (not just the center point).
-      const isOffScreen =
-        projectile.positionX + projectile.radius < 0 ||
-        projectile.positionX - projectile.radius > canvas.width ||
-        projectile.positionY + projectile.radius < 0 ||
-        projectile.positionY - projectile.radius > canvas.height
-
-      if (isOffScreen) {
-        projectiles.splice(projectileIndex, 1)
-      }
+  function handleMouseMove(moveEvent) {
+    aimAtScreenPoint(moveEvent.clientX, moveEvent.clientY)
+  }
+
+  // Pressing the left button on the canvas fires toward where you clicked.
+  // We attach to the canvas (not window) so clicks on UI buttons like "Try Again"
+  // don't accidentally fire projectiles.
+  function handleCanvasMouseDown(mouseEvent) {
+    if (mouseEvent.button !== 0) return
+    aimAtScreenPoint(mouseEvent.clientX, mouseEvent.clientY)
+    isMouseFireHeld = true
+    firePending = true
+  }
+
+  // Releasing is watched on the whole window, so letting go outside the canvas still counts
+  function handleMouseUp(mouseEvent) {
+    if (mouseEvent.button === 0) isMouseFireHeld = false
+  }
+
+  // Scrolling steps through the weapons, wrapping around at either end
+  function handleWheel(wheelEvent) {
+    wheelEvent.preventDefault()
+    if (wheelEvent.deltaY !== 0) cycleWeapon(Math.sign(wheelEvent.deltaY))
+  }
+
+  /**
+   * Queue a switch to the next (1) or previous (-1) weapon, counting from
+   * any switch that's already queued so quick scrolling skips ahead.
+   *
+   * @param {number} step
+   * @param {number} [playerIndex] - Whose weapon to switch.
+   */
+  function cycleWeapon(step, playerIndex = 0) {
+    // Online, the first player on this keyboard is whichever ship this browser controls
+    const player = playerIndex === 0 ? session.world.player : session.world.players[playerIndex]
+    const pendingSlot = pendingWeaponSlots[playerIndex]
+    const currentSlot = pendingSlot >= 0 ? pendingSlot : player.currentWeaponIndex
+    pendingWeaponSlots[playerIndex] = (currentSlot + step + WEAPON_ORDER.length) % WEAPON_ORDER.length
+  }
+
+  function handlePlayingKeyDown(keyEvent) {
+    // Keys typed into the developer console are its own
+    if (isTextEntry(keyEvent.target)) return
+    if (isDevMode && handleDevKey(keyEvent)) return
+
+    const action = keyBindings.getAction(keyEvent.code)
+    const weaponSlot = getWeaponSlotForAction(action)
+
+    if (action === 'fire') {
+      // The fire key shoots toward wherever the mouse cursor is currently pointing.
+      // Prevent the browser from scrolling the page when spacebar is pressed.
+      keyEvent.preventDefault()
+      // Holding a key repeats keydown events — only the first one is a new press
+      if (!keyEvent.repeat) firePending = true
+      isKeyFireHeld = true
+    } else if (action === 'p2Fire') {
+      keyEvent.preventDefault()
+      if (!keyEvent.repeat) partnerFirePending = true
+      isPartnerFireHeld = true
+    } else if (action === 'p2NextWeapon') {
+      if (!keyEvent.repeat) cycleWeapon(1, isLocalCoop() ? 1 : 0)
+    } else if (weaponSlot >= 0) {
+      pendingWeaponSlots[0] = weaponSlot
+    } else if (action === 'pause') {
+      machine.transition('paused')
+    } else if (action === 'mute') {
+      audio.toggleMute()
     }
+  }
 
-    // ── Update particles ──
-    // Particles fade out over time. Once fully transparent (alpha <= 0),
-    // they are removed. We iterate backwards for safe splicing, same as projectiles.
-    for (let particleIndex = particles.length - 1; particleIndex >= 0; particleIndex--) {
-      const particle = particles[particleIndex]
-      particle.update()
+  function handlePlayingKeyUp(keyEvent) {
+    const action = keyBindings.getAction(keyEvent.code)
+    if (action === 'fire') isKeyFireHeld = false
+    if (action === 'p2Fire') isPartnerFireHeld = false
+  }
 
-      if (particle.alpha <= 0) {
-        particles.splice(particleIndex, 1)
-      }
+  /**
+   * Read the gamepad once per simulation step. Weapon switches are queued here;
+   * movement, aim and the trigger are picked up by readControls().
+   * In co-op the gamepad belongs to the second player.
+   *
+   * @returns {import('./GamepadInput.js').GamepadState|null}
+   */
+  function pollGamepad() {
+    gamepadState = gamepad.poll()
+    if (!gamepadState) return null
+
+    const isCoop = isLocalCoop()
+    if (!isCoop && (gamepadState.aimX !== 0 || gamepadState.aimY !== 0)) {
+      aimSource = 'gamepad'
+      gamepadAimAngle = Math.atan2(gamepadState.aimY, gamepadState.aimX)
     }
+    if (gamepadState.nextWeaponPressed) cycleWeapon(1, isCoop ? 1 : 0)
+    if (gamepadState.previousWeaponPressed) cycleWeapon(-1, isCoop ? 1 : 0)
+    return gamepadState
+  }
 
-    // ── Update enemies and check collisions ──
-    for (let enemyIndex = enemies.length - 1; enemyIndex >= 0; enemyIndex--) {
-      const enemy = enemies[enemyIndex]
-      enemy.update()
-
-      // Check if this enemy has reached the player.
-      // Math.hypot calculates the straight-line distance between two points.
-      // If the distance minus both radii is less than 1 pixel, the circles are touching.
-      const distanceToPlayer = Math.hypot(
-        player.positionX - enemy.positionX,
-        player.positionY - enemy.positionY
-      )
-
-      if (distanceToPlayer - player.radius - enemy.radius < 1) {
-        // Game over — stop the loop, stop all timers, clean up all event listeners
-        cancelAnimationFrame(animationId)
-        clearTimeout(spawnTimerId)
-        clearInterval(levelTimerId)
-        canvas.removeEventListener('click', handleCanvasClick)
-        canvas.removeEventListener('mousemove', handleMouseMove)
-        window.removeEventListener('keydown', handleSpacebarFire)
-        input.destroy()
-
-        // Show the game-over overlay with the player's final score
-        endGame(scoreManager.score)
-        return
-      }
+  /**
+   * Gather everything the players are doing right now into controls for the next
+   * simulation step — one object, or one per player in co-op.
+   *
+   * @returns {import('./GameWorld.js').Controls|import('./GameWorld.js').Controls[]}
+   */
+  function readControls() {
+    if (!isLocalCoop()) return readPlayerOneControls(false)
+    return [readPlayerOneControls(true), readPartnerControls()]
+  }
 
-      // Check if any projectile has hit this enemy
-      for (let projectileIndex = projectiles.length - 1; projectileIndex >= 0; projectileIndex--) {
-        const projectile = projectiles[projectileIndex]
-        const distanceBetween = Math.hypot(
-          projectile.positionX - enemy.positionX,
-          projectile.positionY - enemy.positionY
-        )
-
-        // Collision detected — the projectile and enemy circles are overlapping
-        if (distanceBetween - enemy.radius - projectile.radius < 1) {
-          if (enemy.radius - 10 > 5) {
-            // Enemy is big enough to survive: shrink it by 10px using GSAP animation.
-            // GSAP smoothly interpolates the radius value over several frames,
-            // creating a satisfying visual "crunch" effect instead of an instant size change.
-            gsap.to(enemy, { radius: enemy.radius - 10 })
-            scoreManager.addShrinkPoints()
-            // Small chip explosion — 8 particles since the enemy survives
-            spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 8)
-            projectiles.splice(projectileIndex, 1)
-          } else {
-            // Enemy is too small to shrink further — destroy it completely
-            scoreManager.addKillPoints()
-            // Big explosion — 24 particles for a satisfying destruction effect
-            spawnExplosion(enemy.positionX, enemy.positionY, enemy.color, 24)
-            enemies.splice(enemyIndex, 1)
-            projectiles.splice(projectileIndex, 1)
-            // Break out of the projectile loop because this enemy no longer exists.
-            // Continuing to check other projectiles against a removed enemy would cause bugs.
-            break
-          }
-        }
-      }
+  /** True when two players share this keyboard — not online, where each has their own */
+  function isLocalCoop() {
+    return session.world.isMultiplayer && !session.client
+  }
+
+  /**
+   * Gather everything the first player is doing right now into one controls object.
+   * A pending press and weapon switch are consumed so they only happen once.
+   *
+   * @param {boolean} isCoop - When true, the second player's keys and the gamepad are left to them.
+   */
+  function readPlayerOneControls(isCoop) {
+    let { directionX, directionY } = input.getDirection(isCoop ? 0 : undefined)
+    // Keys take priority, then the touch joystick, then the gamepad's left stick
+    if (directionX === 0 && directionY === 0) {
+      ({ directionX, directionY } = touchInput.getDirection())
     }
+    if (directionX === 0 && directionY === 0 && gamepadState && !isCoop) {
+      directionX = gamepadState.moveX
+      directionY = gamepadState.moveY
+    }
+
+    if (touchInput.aim) aimAtScreenPoint(touchInput.aim.positionX, touchInput.aim.positionY)
 
-    // Draw the score last so it always appears on top of all game entities
-    scoreManager.draw()
+    // The stick gives a direction, not a point — aim at a spot that far ahead of the ship
+    const { player, camera } = session.world
+    const aimX = aimSource === 'gamepad'
+      ? player.positionX + Math.cos(gamepadAimAngle) * GAMEPAD_AIM_DISTANCE
+      : camera.positionX + mousePositionX
+    const aimY = aimSource === 'gamepad'
+      ? player.positionY + Math.sin(gamepadAimAngle) * GAMEPAD_AIM_DISTANCE
+      : camera.positionY + mousePositionY
+
+    const isPartnerFiring = !isCoop && (partnerFirePending || isPartnerFireHeld)
+    // Taken every step, so a tap is used up even when something else was firing already
+    const isTapped = touchInput.consumeTap()
+    const controls = {
+      directionX,
+      directionY,
+      aimX,
+      aimY,
+      fire: firePending || isTapped || isMouseFireHeld || isKeyFireHeld ||
+        touchInput.isFiring || isPartnerFiring || (!isCoop && Boolean(gamepadState?.fire)),
+      weaponSlot: pendingWeaponSlots[0]
+    }
+    firePending = false
+    if (!isCoop) partnerFirePending = false
+    pendingWeaponSlots[0] = -1
+    return controls
   }
 
-  // ─── Firing Projectiles ─────────────────────────────────────────
-  // The player can shoot in two ways:
-  //   1. Left-click on the canvas — fires toward where you clicked
-  //   2. Spacebar — fires toward the current mouse cursor position
-  // Both methods use the same fireProjectile function, just with different trigger events.
+  /**
+   * Gather the second player's controls in co-op. They have no mouse, so they aim
+   * along the gamepad's right stick while it's pushed and otherwise at the nearest
+   * enemy — worked out here and recorded like any other aim, so replays still match.
+   */
+  function readPartnerControls() {
+    const { world } = session
+    const partner = world.players[1]
 
-  // Track the mouse position so spacebar knows where to aim.
-  // We update this every time the mouse moves over the canvas.
-  let mousePositionX = centerX
-  let mousePositionY = centerY
+    let { directionX, directionY } = input.getDirection(1)
+    if (directionX === 0 && directionY === 0 && gamepadState) {
+      directionX = gamepadState.moveX
+      directionY = gamepadState.moveY
+    }
 
-  function handleMouseMove(moveEvent) {
-    mousePositionX = moveEvent.clientX
-    mousePositionY = moveEvent.clientY
+    let aimX = partner.positionX
+    let aimY = partner.positionY - GAMEPAD_AIM_DISTANCE
+    if (gamepadState && (gamepadState.aimX !== 0 || gamepadState.aimY !== 0)) {
+      const stickAngle = Math.atan2(gamepadState.aimY, gamepadState.aimX)
+      aimX = partner.positionX + Math.cos(stickAngle) * GAMEPAD_AIM_DISTANCE
+      aimY = partner.positionY + Math.sin(stickAngle) * GAMEPAD_AIM_DISTANCE
+    } else {
+      const target = world.findNearestTarget(partner.positionX, partner.positionY)
+      if (target) {
+        aimX = target.positionX
+        aimY = target.positionY
+      }
+    }
+
+    const controls = {
+      directionX,
+      directionY,
+      aimX,
+      aimY,
+      fire: partnerFirePending || isPartnerFireHeld || Boolean(gamepadState?.fire),
+      weaponSlot: pendingWeaponSlots[1]
+    }
+    partnerFirePending = false
+    pendingWeaponSlots[1] = -1
+    return controls
   }
 
   /**
-   * Create a projectile that flies from the player toward a target point.
-   * Used by both click and spacebar firing methods.
+   * The game loop doesn't run on menus, so poll the gamepad once per display
+   * frame there instead — until the state is left.
+   *
+   * @param {import('./StateMachine.js').StateScope} scope
+   * @param {function(import('./GamepadInput.js').GamepadState): void} onPoll
    */
-  function fireProjectile(targetX, targetY) {
-    // Calculate the angle from the player's current position to the target.
-    // Math.atan2 returns the angle in radians, which we then convert
-    // to horizontal and vertical velocity components using cos and sin.
-    const angleToTarget = Math.atan2(
-      targetY - player.positionY,
-      targetX - player.positionX
-    )
-
-    // Multiply the unit direction vector by 5 to set the projectile speed.
-    // Higher multiplier = faster projectiles. The value 5 means the projectile
-    // moves 5 pixels per frame (~300 pixels per second at 60fps).
-    const velocity = {
-      horizontal: Math.cos(angleToTarget) * 5,
-      vertical: Math.sin(angleToTarget) * 5
+  function pollGamepadOnMenu(scope, onPoll) {
+    let isPolling = true
+    let frameId = 0
+
+    const poll = () => {
+      const state = gamepad.poll()
+      if (state) onPoll(state)
+      // onPoll may have changed the state, which ends this scope
+      if (isPolling) frameId = requestAnimationFrame(poll)
     }
+    frameId = requestAnimationFrame(poll)
 
-    // Projectile starts at the player's current position
-    projectiles.push(new Projectile(
-      context,
-      player.positionX,
-      player.positionY,
-      5,
-      'white',
-      velocity
-    ))
+    scope.onExit(() => {
+      isPolling = false
+      cancelAnimationFrame(frameId)
+    })
   }
 
-  // Left-click on the canvas fires toward where you clicked.
-  // We attach to the canvas (not window) so clicks on UI buttons like "Try Again"
-  // don't accidentally fire projectiles.
-  function handleCanvasClick(clickEvent) {
-    fireProjectile(clickEvent.clientX, clickEvent.clientY)
+  /**
+   * Show an overlay now and hide it again when the current state is left.
+   * We use a class toggle instead of setting display directly so that
+   * all the layout rules stay in CSS where they belong.
+   */
+  function showOverlay(scope, overlay) {
+    overlay.classList.add('visible')
+    scope.onExit(() => overlay.classList.remove('visible'))
   }
 
-  // Spacebar fires toward wherever the mouse cursor is currently pointing.
-  // This lets the player keep shooting rapidly without clicking repeatedly.
-  function handleSpacebarFire(keyEvent) {
-    if (keyEvent.code === 'Space') {
-      // Prevent the browser from scrolling the page when spacebar is pressed
+  // ─── Developer Tools ────────────────────────────────────────────
+  // Only with ?debug. F3 shows the debug overlay and ` opens the console, which stays
+  // open (and the run carries on, unless it's paused from the console) until ` or Esc
+  // closes it. Pressing Enter on an empty line runs the last command again, which makes
+  // "step" quick to repeat.
+  let lastDevCommand = ''
+
+  /**
+   * @returns {boolean} True if the key was one of the developer keys.
+   */
+  function handleDevKey(keyEvent) {
+    if (keyEvent.code === 'F3') {
       keyEvent.preventDefault()
-      fireProjectile(mousePositionX, mousePositionY)
+      debugOverlay.toggle()
+      return true
     }
+    if (keyEvent.code === 'Backquote') {
+      // Don't let the ` itself land in the text box
+      keyEvent.preventDefault()
+      openDevConsole()
+      return true
+    }
+    return false
   }
 
-  canvas.addEventListener('click', handleCanvasClick)
-  canvas.addEventListener('mousemove', handleMouseMove)
-  window.addEventListener('keydown', handleSpacebarFire)
+  function openDevConsole() {
+    devConsolePanel.classList.add('visible')
+    devConsoleInput.focus()
+  }
 
-  // ─── Game Over ──────────────────────────────────────────────────
-  // Show the overlay with the final score and set up the restart button.
-  function endGame(finalScore) {
-    finalScoreText.textContent = `Score: ${finalScore}`
+  function closeDevConsole() {
+    devConsolePanel.classList.remove('visible')
+    devConsoleInput.blur()
+  }
 
-    // Add the "visible" class to show the overlay with flexbox centering.
-    // We use a class toggle instead of setting display directly so that
-    // all the layout rules stay in CSS where they belong.
-    gameOverScreen.classList.add('visible')
+  /**
+   * Listen to the console's text box for the rest of the state. Its keys never reach
+   * the game: InputHandler and handlePlayingKeyDown both skip keys typed into a text box.
+   */
+  function listenToDevConsole(scope) {
+    scope.onExit(closeDevConsole)
+    scope.listen(devConsoleInput, 'keydown', (keyEvent) => {
+      if (keyEvent.code === 'Escape' || keyEvent.code === 'Backquote') {
+        keyEvent.preventDefault()
+        closeDevConsole()
+      }
+    })
+    scope.listen(devConsoleForm, 'submit', (submitEvent) => {
+      submitEvent.preventDefault()
+      const line = devConsoleInput.value.trim() || lastDevCommand
+      devConsoleInput.value = ''
+      if (line) runDevCommand(line)
+    })
+  }
+
+  function runDevCommand(line) {
+    lastDevCommand = line
+    const { world, client, replayPlayer } = session
+    let output
+    try {
+      const result = devConsole.run(line, {
+        world,
+        kind: client ? 'online' : replayPlayer ? 'replay' : 'live',
+        // The cursor is kept relative to the camera (see mousePositionX)
+        cursorX: world.camera.positionX + mousePositionX,
+        cursorY: world.camera.positionY + mousePositionY
+      })
+      if (result.changesRun && !session.isTampered) {
+        // The world no longer follows from its controls alone, so this run is out of
+        // the replays, the high scores and the achievements
+        session.isTampered = true
+        session.stopTracking()
+      }
+      output = result.message
+    } catch (commandError) {
+      output = commandError.message
+    }
+    applySettingsToRun()
+
+    const log = `${devConsoleLog.textContent}> ${line}\n${output}\n`
+    devConsoleLog.textContent = log.split('\n').slice(-DEV_CONSOLE_LOG_LINES).join('\n')
+    devConsoleLog.scrollTop = devConsoleLog.scrollHeight
+  }
+
+  /** Extra lines for the debug overlay's panel, for whatever the console has switched on */
+  function describeDevState() {
+    const notes = []
+    if (devConsole.isPaused) notes.push('Paused by the console — "step" to advance')
+    if (devConsole.timeScale !== 1) notes.push(`Time ×${devConsole.timeScale}`)
+    if (session.world.isGodMode) notes.push('God mode')
+    if (session.isTampered) notes.push('Changed from the console: no replay or high score')
+    return notes
+  }
 
-    // Use onclick (assignment) instead of addEventListener to guarantee
-    // only one handler exists — even if startGame is called multiple times,
-    // each call replaces the previous handler rather than stacking them.
-    restartButton.onclick = () => {
-      gameOverScreen.classList.remove('visible')
+  // ─── Achievement Toasts ─────────────────────────────────────────
+  // A toast isn't tied to any state: one unlocked on the last step of a run
+  // stays up over the game-over screen until its time is up.
+  achievements.onUnlock = (achievement) => {
+    const toast = document.createElement('div')
+    toast.className = 'toast'
+    const heading = document.createElement('strong')
+    heading.textContent = 'Achievement unlocked: '
+    toast.append(heading, achievement.title)
+    toastContainer.append(toast)
+    setTimeout(() => toast.remove(), TOAST_DURATION)
+  }
 
-      // Clear the canvas completely before restarting so there's no
-      // leftover trail from the previous game
-      context.fillStyle = 'black'
-      context.fillRect(0, 0, canvas.width, canvas.height)
+  // ─── Window Size ────────────────────────────────────────────────
+  // The canvas always fills the window. Resizing changes how big the world is drawn,
+  // never the world itself, so a run carries on undisturbed — if the window changes
+  // shape mid-run, bars appear around the world until the next run.
+  function resizeCanvas() {
+    viewport.resize(innerWidth, innerHeight, globalThis.devicePixelRatio ?? 1)
 
-      // Start a fresh game with the same canvas
-      startGame(canvas, context)
+    // Resizing wipes the canvas. While playing, the next frame redraws it; when
+    // paused, redraw the frozen frame now so it doesn't go black.
+    if (session) {
+      renderer.render(session.world, 1)
+    } else {
+      renderer.clear()
     }
   }
 
-  // ─── Start the game ─────────────────────────────────────────────
-  animate()
-  scheduleNextSpawn()
-  startLevelTimer()
+  // Dragging the window to a screen with a different pixel density changes
+  // devicePixelRatio without always firing "resize". A media query for the current
+  // density stops matching when that happens, so watch it (and re-arm for the new one).
+  function watchPixelRatio() {
+    if (!globalThis.matchMedia) return
+    const query = matchMedia(`(resolution: ${globalThis.devicePixelRatio ?? 1}dppx)`)
+    query.addEventListener('change', () => {
+      resizeCanvas()
+      watchPixelRatio()
+    }, { once: true })
+  }
+
+  resizeCanvas()
+  watchPixelRatio()
+  window.addEventListener('resize', resizeCanvas)
+
+  // ─── Sound ──────────────────────────────────────────────────────
+  // Browsers keep a page silent until the player interacts with it. Every click,
+  // key press and touch nudges the audio awake — the first one switches it on, and
+  // later ones bring it back if the browser suspended it (on iOS, a phone call can).
+  for (const gestureType of ['pointerdown', 'keydown', 'touchend']) {
+    window.addEventListener(gestureType, () => audio.unlock())
+  }
+
+  // Touch screens get touch hints on the menus and the on-screen pause button.
+  // A tablet with a keyboard is caught by the first touch even if detection missed it.
+  if (isTouchDevice()) document.body.classList.add('touch-device')
+  window.addEventListener('touchstart', () => document.body.classList.add('touch-device'), { once: true })
+
+  // ─── States ─────────────────────────────────────────────────────
+  const machine = new StateMachine({
+    title: {
+      transitions: ['playing', 'lobby', 'controls', 'options', 'achievements'],
+      enter(scope) {
+        // Quitting an online run hangs up on the server too
+        endSession()
+        renderer.clear()
+        showOverlay(scope, titleScreen)
+
+        const startRun = (playerCount = 1) => {
+          if (!areLevelsLoading) machine.transition('playing', { replay: null, playerCount })
+        }
+        scope.listen(startButton, 'click', () => startRun())
+        scope.listen(coopButton, 'click', () => startRun(2))
+        scope.listen(onlineButton, 'click', () => machine.transition('lobby'))
+        scope.listen(titleControlsButton, 'click', () => machine.transition('controls', { returnTo: 'title' }))
+        scope.listen(titleOptionsButton, 'click', () => machine.transition('options', { returnTo: 'title' }))
+        scope.listen(titleAchievementsButton, 'click', () => machine.transition('achievements', { returnTo: 'title' }))
+        scope.listen(window, 'keydown', (keyEvent) => {
+          if (keyEvent.code === 'Enter') startRun()
+        })
+        pollGamepadOnMenu(scope, (state) => {
+          if (state.confirmPressed || state.pausePressed) startRun()
+        })
+      }
+    },
+
+    playing: {
+      transitions: ['paused', 'gameOver'],
+      /**
+       * @param {{ replay?: Object|null, playerCount?: number, online?: { client: NetworkClient, start: Object } }} [payload] -
+       *   Present when starting a new run, absent when resuming from pause.
+       */
+      enter(scope, payload) {
+        if (payload?.online) {
+          beginOnlineSession(payload.online.client, payload.online.start)
+        } else if (payload) {
+          beginSession(payload.replay, payload.playerCount)
+        }
+
+        input = new InputHandler(keyBindings)
+        scope.onExit(() => input.destroy())
+        touchInput = new TouchInput(canvas)
+        scope.onExit(() => touchInput.destroy())
+
+        // During a run, the page itself must not scroll or zoom under the player's
+        // fingers. CSS does most of it; iOS Safari's pinch gesture needs stopping by hand.
+        document.body.classList.add('in-run')
+        scope.onExit(() => document.body.classList.remove('in-run'))
+        scope.listen(document, 'gesturestart', (gestureEvent) => gestureEvent.preventDefault())
+
+        // There's no Esc key on a phone, so touch screens get a pause button
+        showOverlay(scope, touchPauseButton)
+        scope.listen(touchPauseButton, 'click', () => machine.transition('paused'))
+
+        scope.listen(canvas, 'mousedown', handleCanvasMouseDown)
+        scope.listen(window, 'mouseup', handleMouseUp)
+        scope.listen(canvas, 'mousemove', handleMouseMove)
+        // Not passive, so preventDefault() can stop the wheel from scrolling the page
+        scope.listen(canvas, 'wheel', handleWheel, { passive: false })
+        scope.listen(window, 'keydown', handlePlayingKeyDown)
+        scope.listen(window, 'keyup', handlePlayingKeyUp)
+
+        // A trigger released while paused never sends its "up" event here,
+        // so let go of both when leaving the state
+        scope.onExit(() => {
+          isMouseFireHeld = false
+          isKeyFireHeld = false
+          isPartnerFireHeld = false
+        })
+
+        // Switching tabs or minimising the window pauses the game,
+        // so nobody comes back to find they died while away
+        scope.listen(document, 'visibilitychange', () => {
+          if (document.hidden) machine.transition('paused')
+        })
+
+        if (isDevMode) listenToDevConsole(scope)
+
+        // The music follows the run: it stops on pause and picks up again on resume
+        audio.startMusic(session.world.currentLevel)
+        scope.onExit(() => audio.stopMusic())
+
+        gameLoop.start()
+        scope.onExit(() => gameLoop.stop())
+      }
+    },
+
+    lobby: {
+      transitions: ['title', 'playing'],
+      enter(scope) {
+        showOverlay(scope, lobbyScreen)
+        // The server normally runs on the same machine as the page (see docker-compose.yml)
+        if (!serverUrlInput.value) serverUrlInput.value = `ws://${location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`
+        lobbyStatusText.textContent = ''
+
+        // The connection is handed over to the run once it starts; otherwise it closes with the lobby
+        const client = new NetworkClient()
+        let isStarting = false
+        scope.onExit(() => {
+          if (!isStarting) client.close()
+        })
+
+        // Once a room is open (or while connecting) there's nothing else to do but wait
+        const setBusy = (isBusy) => {
+          createRoomButton.disabled = isBusy
+          joinRoomButton.disabled = isBusy
+        }
+        setBusy(false)
+        scope.onExit(() => setBusy(false))
+
+        client.onMessage = (message) => {
+          switch (message.type) {
+            case 'created':
+              lobbyStatusText.textContent = `Room ${message.code} is open. Give the code to a friend — the game starts when they join.`
+              roomCodeInput.value = message.code
+              break
+            case 'joinFailed':
+              lobbyStatusText.textContent = message.reason
+              setBusy(false)
+              break
+            case 'start':
+              isStarting = true
+              machine.transition('playing', { online: { client, start: message } })
+              break
+          }
+        }
+        client.onClose = () => {
+          lobbyStatusText.textContent = 'Lost the connection to the server.'
+          setBusy(false)
+        }
+
+        const sendToServer = async (message) => {
+          setBusy(true)
+          try {
+            if (!client.isConnected) {
+              lobbyStatusText.textContent = 'Connecting…'
+              await client.connect(serverUrlInput.value.trim())
+              lobbyStatusText.textContent = ''
+            }
+            client.send(message)
+          } catch (connectError) {
+            lobbyStatusText.textContent = connectError.message
+            setBusy(false)
+          }
+        }
+
+        scope.listen(createRoomButton, 'click', () => sendToServer({ type: 'create', mode: gameModeSelect.value }))
+        scope.listen(joinRoomForm, 'submit', (submitEvent) => {
+          submitEvent.preventDefault()
+          if (roomCodeInput.value.trim()) sendToServer({ type: 'join', code: roomCodeInput.value })
+        })
+
+        scope.listen(lobbyBackButton, 'click', () => machine.transition('title'))
+        scope.listen(window, 'keydown', (keyEvent) => {
+          if (keyEvent.code === 'Escape') machine.transition('title')
+        })
+      }
+    },
+
+    paused: {
+      transitions: ['playing', 'title', 'controls', 'options', 'achievements'],
+      enter(scope) {
+        showOverlay(scope, pauseScreen)
+
+        // Nobody can pause the server. It keeps repeating the last controls it got,
+        // so send it one idle step to stop the ship where it is.
+        if (session.client) {
+          showOverlay(scope, onlinePauseHint)
+          stepOnline(SIMULATION_STEP, IDLE_CONTROLS)
+        }
+
+        const resume = () => machine.transition('playing')
+        scope.listen(resumeButton, 'click', resume)
+        scope.listen(quitButton, 'click', () => machine.transition('title'))
+        scope.listen(pauseControlsButton, 'click', () => machine.transition('controls', { returnTo: 'paused' }))
+        scope.listen(pauseOptionsButton, 'click', () => machine.transition('options', { returnTo: 'paused' }))
+        scope.listen(pauseAchievementsButton, 'click', () => machine.transition('achievements', { returnTo: 'paused' }))
+        scope.listen(window, 'keydown', (keyEvent) => {
+          const action = keyBindings.getAction(keyEvent.code)
+          if (action === 'pause') resume()
+          if (action === 'mute') audio.toggleMute()
+        })
+        pollGamepadOnMenu(scope, (state) => {
+          if (state.pausePressed) resume()
+        })
+      }
+    },
+
+    controls: {
+      transitions: ['title', 'paused'],
+      /**
+       * @param {{ returnTo: 'title'|'paused' }} payload - Which screen to go back to.
+       */
+      enter(scope, { returnTo }) {
+        showOverlay(scope, controlsScreen)
+
+        // The binding button waiting for a key press, as { action, slot }, or null
+        let waitingFor = null
+        const refresh = () => fillControlsTable(controlsTableBody, keyBindings, waitingFor)
+        refresh()
+
+        const goBack = () => machine.transition(returnTo)
+        scope.listen(controlsBackButton, 'click', goBack)
+        scope.listen(resetControlsButton, 'click', () => {
+          keyBindings.resetToDefaults()
+          waitingFor = null
+          refresh()
+        })
+
+        // One listener on the table handles every binding button, even after it's rebuilt
+        scope.listen(controlsTableBody, 'click', (clickEvent) => {
+          const button = clickEvent.target.closest('button[data-action]')
+          if (!button) return
+          // Drop focus, or the key about to be pressed (Space, Enter) would click it again
+          button.blur()
+          waitingFor = { action: button.dataset.action, slot: Number(button.dataset.slot) }
+          refresh()
+        })
+
+        scope.listen(window, 'keydown', (keyEvent) => {
+          if (!waitingFor) {
+            if (keyEvent.code === 'Escape') goBack()
+            return
+          }
+
+          // While waiting, every key is captured for the binding — Escape cancels,
+          // Backspace or Delete empties the slot
+          keyEvent.preventDefault()
+          if (keyEvent.code === 'Backspace' || keyEvent.code === 'Delete') {
+            keyBindings.bind(waitingFor.action, waitingFor.slot, null)
+          } else if (keyEvent.code !== 'Escape') {
+            keyBindings.bind(waitingFor.action, waitingFor.slot, keyEvent.code)
+          }
+          waitingFor = null
+          refresh()
+        })
+      }
+    },
+
+    options: {
+      transitions: ['title', 'paused'],
+      /**
+       * @param {{ returnTo: 'title'|'paused' }} payload - Which screen to go back to.
+       */
+      enter(scope, { returnTo }) {
+        showOverlay(scope, optionsScreen)
+
+        // The sliders go from 0 to 100; the settings store 0 to 1
+        const { settings } = audio
+        const refresh = () => {
+          musicVolumeSlider.value = String(Math.round(settings.musicVolume * 100))
+          effectsVolumeSlider.value = String(Math.round(settings.effectsVolume * 100))
+          muteCheckbox.checked = settings.isMuted
+          letterboxCheckbox.checked = displaySettings.isLetterboxed
+
+          const { difficulty } = difficultySettings
+          difficultySelect.value = difficultySettings.preset
+          spawnRateSlider.value = String(Math.round(difficulty.spawnRate * 100))
+          spawnRateText.textContent = formatPercent(difficulty.spawnRate)
+          enemySpeedSlider.value = String(Math.round(difficulty.enemySpeed * 100))
+          enemySpeedText.textContent = formatPercent(difficulty.enemySpeed)
+          gameSpeedSlider.value = String(Math.round(difficultySettings.gameSpeed * 100))
+          gameSpeedText.textContent = formatPercent(difficultySettings.gameSpeed)
+
+          paletteSelect.value = accessibilitySettings.palette
+          outlinesCheckbox.checked = accessibilitySettings.hasShapeOutlines
+          reducedMotionCheckbox.checked = accessibilitySettings.isReducedMotion
+          hudSizeSlider.value = String(Math.round(accessibilitySettings.hudScale * 100))
+          hudSizeText.textContent = formatPercent(accessibilitySettings.hudScale)
+
+          for (const [name, checkbox] of effectCheckboxes) checkbox.checked = effectsSettings[name]
+        }
+        refresh()
+
+        // "input" fires continuously while dragging, so the change is heard straight away
+        scope.listen(musicVolumeSlider, 'input', () => audio.setMusicVolume(Number(musicVolumeSlider.value) / 100))
+        scope.listen(effectsVolumeSlider, 'input', () => audio.setEffectsVolume(Number(effectsVolumeSlider.value) / 100))
+        // "change" fires once the slider is let go — play a shot so the new level can be heard
+        scope.listen(effectsVolumeSlider, 'change', () => audio.playFire('blaster'))
+        scope.listen(muteCheckbox, 'change', () => audio.setMuted(muteCheckbox.checked))
+
+        // A world can't change shape mid-run, so this is picked up by the next one
+        scope.listen(letterboxCheckbox, 'change', () => {
+          displaySettings.isLetterboxed = letterboxCheckbox.checked
+          displaySettings.save()
+        })
+
+        // The rest apply to the paused run at once. Redrawing its frozen frame shows the
+        // new look behind the overlay.
+        const changeDifficulty = (change) => {
+          change()
+          difficultySettings.save()
+          applySettingsToRun()
+          refresh()
+        }
+        const changeAccessibility = (change) => {
+          change()
+          accessibilitySettings.save()
+          applySettingsToRun()
+          refresh()
+          if (session) renderer.render(session.world, 1)
+        }
+        scope.listen(difficultySelect, 'change', () => changeDifficulty(() => {
+          difficultySettings.preset = difficultySelect.value
+        }))
+        // Moving a multiplier turns the current difficulty into a custom one
+        scope.listen(spawnRateSlider, 'input', () => changeDifficulty(() => {
+          difficultySettings.setCustomMultiplier('spawnRate', Number(spawnRateSlider.value) / 100)
+        }))
+        scope.listen(enemySpeedSlider, 'input', () => changeDifficulty(() => {
+          difficultySettings.setCustomMultiplier('enemySpeed', Number(enemySpeedSlider.value) / 100)
+        }))
+        scope.listen(gameSpeedSlider, 'input', () => changeDifficulty(() => {
+          difficultySettings.gameSpeed = Number(gameSpeedSlider.value) / 100
+        }))
+        scope.listen(paletteSelect, 'change', () => changeAccessibility(() => {
+          accessibilitySettings.palette = paletteSelect.value
+        }))
+        scope.listen(outlinesCheckbox, 'change', () => changeAccessibility(() => {
+          accessibilitySettings.hasShapeOutlines = outlinesCheckbox.checked
+        }))
+        scope.listen(reducedMotionCheckbox, 'change', () => changeAccessibility(() => {
+          accessibilitySettings.isReducedMotion = reducedMotionCheckbox.checked
+        }))
+        scope.listen(hudSizeSlider, 'input', () => changeAccessibility(() => {
+          accessibilitySettings.hudScale = Number(hudSizeSlider.value) / 100
+        }))
+        for (const [name, checkbox] of effectCheckboxes) {
+          scope.listen(checkbox, 'change', () => {
+            effectsSettings[name] = checkbox.checked
+            effectsSettings.save()
+            if (session) renderer.render(session.world, 1)
+          })
+        }
+
+        const goBack = () => machine.transition(returnTo)
+        scope.listen(optionsBackButton, 'click', goBack)
+        scope.listen(window, 'keydown', (keyEvent) => {
+          if (keyEvent.code === 'Escape') goBack()
+          if (keyBindings.getAction(keyEvent.code) === 'mute') {
+            audio.toggleMute()
+            refresh()
+          }
+        })
+      }
+    },
+
+    achievements: {
+      transitions: ['title', 'paused'],
+      /**
+       * @param {{ returnTo: 'title'|'paused' }} payload - Which screen to go back to.
+       */
+      enter(scope, { returnTo }) {
+        showOverlay(scope, achievementsScreen)
+
+        const unlockedCount = ACHIEVEMENTS.filter(({ id }) => achievements.isUnlocked(id)).length
+        achievementsSummaryText.textContent = `${unlockedCount} of ${ACHIEVEMENTS.length} unlocked`
+        fillAchievementsList(achievementsList, achievements)
+
+        const goBack = () => machine.transition(returnTo)
+        scope.listen(achievementsBackButton, 'click', goBack)
+        scope.listen(window, 'keydown', (keyEvent) => {
+          if (keyEvent.code === 'Escape') goBack()
+        })
+      }
+    },
+
+    gameOver: {
+      transitions: ['playing', 'lobby'],
+      enter(scope) {
+        const { world, replay, replayRecorder, client, isTampered } = session
+        endSession()
+
+        // The replay for this overlay is either the one we just watched or the run we just recorded.
+        // Online runs have none, so there's nothing to watch or export — and neither does
+        // a run changed from the developer console, which its controls alone can't reproduce.
+        const finishedReplay = replay ?? (isTampered ? null : replayRecorder?.toReplay()) ?? null
+        watchReplayButton.disabled = finishedReplay === null
+        exportReplayButton.disabled = finishedReplay === null
+
+        gameOverTitle.textContent = replay ? 'Replay Finished' : client ? describeOnlineResult(world) : 'Game Over'
+        const { score, playerScores } = world.scoreManager
+        finalScoreText.textContent = world.isMultiplayer
+          ? `Score: ${score} (P1 ${playerScores[0]} · P2 ${playerScores[1]})`
+          : `Score: ${score}`
+        replayErrorText.textContent = ''
+        showOverlay(scope, gameOverScreen)
+
+        // ── High scores ──
+        // Only live runs can enter the table — watching a replay doesn't count as playing.
+        // Nor does versus, where the team score means nothing, or a run changed from the console.
+        if (!replay && !world.isVersus && !isTampered && highScoreTable.qualifies(world.scoreManager.score)) {
+          nameEntryInput.value = highScoreTable.lastName
+          showOverlay(scope, nameEntryForm)
+          nameEntryInput.focus()
+        }
+
+        const showHighScores = (highlightRank = -1) => {
+          fillHighScoreTable(highScoreTableBody, highScoreTable.entries, highlightRank)
+          highScoreEmptyText.hidden = highScoreTable.entries.length > 0
+          highScorePanel.classList.add('visible')
+        }
+        scope.onExit(() => highScorePanel.classList.remove('visible'))
+
+        scope.listen(highScoresButton, 'click', () => {
+          if (highScorePanel.classList.contains('visible')) {
+            highScorePanel.classList.remove('visible')
+          } else {
+            showHighScores()
+          }
+        })
+
+        scope.listen(nameEntryForm, 'submit', (submitEvent) => {
+          // Stop the browser from reloading the page, which is what forms do by default
+          submitEvent.preventDefault()
+
+          const rank = highScoreTable.add({
+            name: nameEntryInput.value.trim().toUpperCase() || 'ANONYMOUS',
+            score: world.scoreManager.score,
+            level: world.currentLevel,
+            survivalTime: world.elapsedTime,
+            date: new Date().toISOString()
+          })
+          nameEntryForm.classList.remove('visible')
+          showHighScores(rank)
+        })
+
+        // Playing again keeps the same number of players. Online, that means finding a new room.
+        const playAgain = (replayToWatch) =>
+          machine.transition('playing', { replay: replayToWatch, playerCount: world.players.length })
+        scope.listen(restartButton, 'click', () => client ? machine.transition('lobby') : playAgain(null))
+        scope.listen(watchReplayButton, 'click', () => playAgain(finishedReplay))
+        scope.listen(exportReplayButton, 'click', () => downloadReplay(finishedReplay))
+
+        // The file picker is hidden — the button just opens it
+        scope.listen(importReplayButton, 'click', () => replayFileInput.click())
+        scope.listen(replayFileInput, 'change', async () => {
+          const [file] = replayFileInput.files
+          // Reset the input so picking the same file twice still fires "change"
+          replayFileInput.value = ''
+          if (!file) return
+
+          try {
+            const importedReplay = parseReplay(await file.text())
+            // The file is read asynchronously — make sure the player hasn't already left this screen
+            if (machine.is('gameOver')) playAgain(importedReplay)
+          } catch (importError) {
+            replayErrorText.textContent = importError.message
+          }
+        })
+      }
+    }
+  })
+
+  machine.transition('title')
+}
+
+/**
+ * The game-over heading for an online run: who won a versus match, or why it ended early.
+ *
+ * @param {NetworkWorld} world
+ * @returns {string}
+ */
+function describeOnlineResult(world) {
+  const { result } = world
+  if (result.partnerLeft) return 'The Other Player Left'
+  if (result.isDisconnected) return 'Connection Lost'
+  if (!world.isVersus) return 'Game Over'
+  if (result.winner === null) return 'Draw'
+  return result.winner === world.localIndex ? 'You Win!' : 'You Lose'
+}
+
+/**
+ * A multiplier as a percentage, like "(150%)", for the labels next to the sliders.
+ *
+ * @param {number} multiplier
+ * @returns {string}
+ */
+function formatPercent(multiplier) {
+  return `(${Math.round(multiplier * 100)}%)`
+}
+
+/**
+ * The weapon actions ("weapon1" to "weapon4") each select a weapon slot.
+ *
+ * @param {string|null} action - A key binding action name.
+ * @returns {number} The weapon slot, or -1 if the action isn't a weapon action.
+ */
+function getWeaponSlotForAction(action) {
+  const match = /^weapon(\d)$/.exec(action ?? '')
+  if (!match) return -1
+  const slot = Number(match[1]) - 1
+  return slot < WEAPON_ORDER.length ? slot : -1
+}
+
+/**
+ * Save a replay as a .json file by creating a temporary download link and clicking it.
+ */
+function downloadReplay(replay) {
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' })
+  const downloadUrl = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = downloadUrl
+  link.download = `space-shooting-replay-${replay.seed}-${replay.finalScore}.json`
+  link.click()
+
+  // The browser has started the download, so the temporary URL can be released
+  URL.revokeObjectURL(downloadUrl)
+}
+
+/**
+ * Rebuild the rows of the high-score table.
+ *
+ * @param {HTMLTableSectionElement} tableBody - The <tbody> to fill.
+ * @param {import('./HighScoreTable.js').HighScoreEntry[]} entries - Entries in rank order.
+ * @param {number} highlightRank - Index of the row to highlight, or -1 for none.
+ */
+function fillHighScoreTable(tableBody, entries, highlightRank) {
+  const rows = entries.map((entry, rank) => {
+    const row = document.createElement('tr')
+    if (rank === highlightRank) row.classList.add('highlight')
+
+    const cells = [
+      rank + 1,
+      entry.name,
+      entry.score,
+      entry.level,
+      formatDuration(entry.survivalTime),
+      new Date(entry.date).toLocaleDateString()
+    ]
+    for (const value of cells) {
+      const cell = document.createElement('td')
+      // textContent (not innerHTML) so a name like "<b>" is shown as typed, not run as HTML
+      cell.textContent = value
+      row.appendChild(cell)
+    }
+    return row
+  })
+
+  tableBody.replaceChildren(...rows)
+}
+
+/** Format seconds as minutes:seconds, e.g. 83.4 → "1:23" */
+function formatDuration(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = Math.floor(totalSeconds % 60)
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+/**
+ * Rebuild the rows of the controls table: each action with a button for
+ * its primary and secondary key. Clicking a button rebinds that slot.
+ *
+ * @param {HTMLTableSectionElement} tableBody - The <tbody> to fill.
+ * @param {KeyBindings} keyBindings - The current bindings.
+ * @param {{ action: string, slot: number }|null} waitingFor - The slot waiting for a key, if any.
+ */
+function fillControlsTable(tableBody, keyBindings, waitingFor) {
+  const rows = ACTIONS.map((action) => {
+    const row = document.createElement('tr')
+    const labelCell = document.createElement('td')
+    labelCell.textContent = action.label
+    row.appendChild(labelCell)
+
+    keyBindings.getSlots(action.name).forEach((code, slot) => {
+      const isWaiting = waitingFor !== null && waitingFor.action === action.name && waitingFor.slot === slot
+      const button = document.createElement('button')
+      button.dataset.action = action.name
+      button.dataset.slot = String(slot)
+      button.textContent = isWaiting ? 'Press a key…' : code ? describeKey(code) : '—'
+      if (isWaiting) button.classList.add('waiting')
+
+      const cell = document.createElement('td')
+      cell.appendChild(button)
+      row.appendChild(cell)
+    })
+    return row
+  })
+
+  tableBody.replaceChildren(...rows)
+}
+
+/**
+ * Rebuild the achievements gallery: every achievement in order, with the date it was
+ * unlocked, or dimmed with what it takes if it's still locked.
+ *
+ * @param {HTMLUListElement} list - The #achievements-list element.
+ * @param {Achievements} achievements
+ */
+function fillAchievementsList(list, achievements) {
+  const items = ACHIEVEMENTS.map((achievement) => {
+    const isUnlocked = achievements.isUnlocked(achievement.id)
+    const item = document.createElement('li')
+    item.classList.add(isUnlocked ? 'unlocked' : 'locked')
+
+    const title = document.createElement('div')
+    title.className = 'achievement-title'
+    title.textContent = achievement.title
+    const detail = document.createElement('div')
+    detail.className = 'achievement-detail'
+    detail.textContent = isUnlocked
+      ? `${achievement.description} Unlocked ${new Date(achievements.unlocked[achievement.id]).toLocaleDateString()}.`
+      : achievement.description
+
+    item.append(title, detail)
+    return item
+  })
+
+  list.replaceChildren(...items)
 }
@@ -0,0 +1,327 @@
+/**
+ * levels.js — Loads the scripted levels from JSON files and checks them against the schema.
+ *
+ * Levels live in the levels/ folder, one file per level, so designers can author them
+ * without touching the code. levels/index.json lists the files in the order they're played:
+ *
+ *   { "version": 1, "levels": ["01-first-contact.json", "02-crossfire.json"] }
+ *
+ * A level file looks like this (every field is explained in validateLevel() below):
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "First Contact",
+ *     "boss": false,
+ *     "speedCurve": [{ "time": 0, "speed": 60 }, { "time": 30, "speed": 75 }],
+ *     "end": { "type": "time", "seconds": 30 },
+ *     "waves": [
+ *       { "at": 0, "count": 10, "interval": 1.5, "enemies": { "drifter": 1 },
+ *         "edges": ["left", "right"], "formation": "single", "groupSize": 1,
+ *         "radius": [10, 25], "speedMultiplier": 1 }
+ *     ]
+ *   }
+ *
+ * Files are checked as they load. A mistake doesn't half-work at runtime: loading fails
+ * with a message naming the file and the field, e.g.
+ *
+ *   02-crossfire.json: waves[1].enemies has unknown enemy type "ghost" (expected one of drifter, zigzag, ...)
+ *
+ * Once the scripted levels run out, the game carries on with the endless formula
+ * in GameWorld — so an empty list simply means the original endless game.
+ */
+import { ENEMY_TYPES } from './enemyTypes.js'
+
+export const LEVEL_FORMAT_VERSION = 1
+
+// Where the game looks for the list of level files, relative to index.html
+export const LEVEL_INDEX_URL = 'levels/index.json'
+
+export const SPAWN_EDGES = ['left', 'right', 'top', 'bottom']
+export const FORMATIONS = ['single', 'line', 'column', 'v', 'ring']
+export const END_TYPES = ['time', 'kills', 'cleared']
+
+/**
+ * A level after validation, with every optional field filled in.
+ *
+ * The version is kept, so a level saved inside a replay validates just like a file.
+ *
+ * @typedef {Object} LevelDefinition
+ * @property {number} version - LEVEL_FORMAT_VERSION.
+ * @property {string} name - Shown when the level starts.
+ * @property {boolean} boss - Whether a boss arrives as the level begins. Waves wait until it's beaten.
+ * @property {Array<{ time: number, speed: number }>} speedCurve - Enemy speed (px/s) over the
+ *   level's time, straight lines between the points and flat beyond the ends. Sorted by time.
+ * @property {{ type: 'time'|'kills'|'cleared', seconds?: number, count?: number }} end - When the
+ *   level is over: after some seconds, after some kills, or once every wave has spawned and
+ *   every enemy is gone.
+ * @property {WaveDefinition[]} waves
+ */
+
+/**
+ * @typedef {Object} WaveDefinition
+ * @property {number} at - Seconds after the level starts that the first group spawns.
+ * @property {number} count - How many groups the wave spawns.
+ * @property {number} interval - Seconds between groups.
+ * @property {Object<string, number>} enemies - Enemy type → relative chance, picked per enemy.
+ * @property {string[]} edges - Which edges of the view groups come in from, picked per group.
+ * @property {string} formation - How a group is arranged (see FORMATIONS).
+ * @property {number} groupSize - Enemies per group. Always 1 for "single".
+ * @property {[number, number]|null} radius - Size range, or null (the same as leaving it out)
+ *   for each type's usual sizes.
+ * @property {number} speedMultiplier - Scales the level's speed curve for this wave.
+ */
+
+/**
+ * Fetch and validate every level listed in the index file.
+ *
+ * @param {string} [indexUrl] - Location of index.json. Level files are found next to it.
+ * @param {typeof fetch} [fetchFile] - Passed in so this can run outside a browser.
+ * @returns {Promise<LevelDefinition[]>} In play order. Rejects with a readable Error.
+ */
+export async function loadLevels(indexUrl = LEVEL_INDEX_URL, fetchFile = globalThis.fetch) {
+  const folder = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1)
+  const index = validateLevelIndex(await fetchJson(indexUrl, fetchFile), indexUrl)
+
+  return Promise.all(index.map(async (fileName) =>
+    validateLevel(await fetchJson(folder + fileName, fetchFile), fileName)
+  ))
+}
+
+async function fetchJson(url, fetchFile) {
+  let response
+  try {
+    response = await fetchFile(url)
+  } catch (networkError) {
+    throw new Error(`${url}: could not be loaded (${networkError.message})`)
+  }
+  if (!response.ok) throw new Error(`${url}: could not be loaded (HTTP ${response.status})`)
+
+  try {
+    return await response.json()
+  } catch (parseError) {
+    throw new Error(`${url}: is not valid JSON`)
+  }
+}
+
+/**
+ * Check the index file and return its list of level file names.
+ *
+ * @param {*} data - The parsed contents of index.json.
+ * @param {string} source - Where it came from, for error messages.
+ * @returns {string[]}
+ */
+export function validateLevelIndex(data, source) {
+  const check = new SchemaCheck(source)
+  if (check.object(data, '')) {
+    check.version(data)
+    if (Array.isArray(data.levels)) {
+      data.levels.forEach((fileName, index) => {
+        if (typeof fileName !== 'string' || !fileName.endsWith('.json')) {
+          check.fail(`levels[${index}]`, 'must be the name of a .json file', fileName)
+        }
+      })
+    } else {
+      check.fail('levels', 'must be a list of level file names', data.levels)
+    }
+  }
+  check.throwIfFailed()
+  return data.levels
+}
+
+/**
+ * Check a level against the schema, and fill in the defaults for anything optional.
+ * Every problem in the file is reported at once, one per line, rather than only the first.
+ *
+ * @param {*} data - A parsed level file.
+ * @param {string} source - Where it came from (usually the file name), for error messages.
+ * @returns {LevelDefinition}
+ */
+export function validateLevel(data, source) {
+  const check = new SchemaCheck(source)
+  if (!check.object(data, '')) check.throwIfFailed()
+
+  check.version(data)
+  const name = check.string(data.name, 'name')
+  const boss = check.optionalBoolean(data.boss, 'boss', false)
+
+  // ── Speed curve ──
+  let speedCurve = [{ time: 0, speed: 60 }]
+  if (data.speedCurve !== undefined) {
+    if (Array.isArray(data.speedCurve) && data.speedCurve.length > 0) {
+      speedCurve = data.speedCurve.map((point, index) => {
+        const path = `speedCurve[${index}]`
+        if (!check.object(point, path)) return null
+        return {
+          time: check.number(point.time, `${path}.time`, { min: 0 }),
+          speed: check.number(point.speed, `${path}.speed`, { min: 0, exclusive: true })
+        }
+      }).filter(Boolean).sort((first, second) => first.time - second.time)
+    } else {
+      check.fail('speedCurve', 'must be a list of at least one { "time", "speed" } point', data.speedCurve)
+    }
+  }
+
+  // ── End condition ──
+  let end = { type: 'cleared' }
+  if (data.end !== undefined && check.object(data.end, 'end')) {
+    const type = check.oneOf(data.end.type, 'end.type', END_TYPES)
+    if (type === 'time') end = { type, seconds: check.number(data.end.seconds, 'end.seconds', { min: 0, exclusive: true }) }
+    if (type === 'kills') end = { type, count: check.integer(data.end.count, 'end.count', { min: 1 }) }
+    if (type === 'cleared') end = { type }
+  }
+
+  // ── Waves ──
+  let waves = []
+  if (Array.isArray(data.waves)) {
+    waves = data.waves.map((wave, index) => validateWave(check, wave, `waves[${index}]`)).filter(Boolean)
+  } else {
+    check.fail('waves', 'must be a list of waves', data.waves)
+  }
+  if (Array.isArray(data.waves) && waves.length === 0 && end.type === 'cleared' && !boss) {
+    check.fail('waves', 'is empty, so a level that ends when cleared would be over immediately', data.waves)
+  }
+
+  check.throwIfFailed()
+  return { version: LEVEL_FORMAT_VERSION, name, boss, speedCurve, end, waves }
+}
+
+/** @returns {WaveDefinition|null} */
+function validateWave(check, wave, path) {
+  if (!check.object(wave, path)) return null
+
+  const at = check.optionalNumber(wave.at, `${path}.at`, 0, { min: 0 })
+  const count = check.integer(wave.count, `${path}.count`, { min: 1 })
+  const interval = check.optionalNumber(wave.interval, `${path}.interval`, 1, { min: 0, exclusive: true })
+
+  // Enemy mix: each key must be a real enemy type, with a positive weight
+  const enemies = {}
+  if (check.object(wave.enemies, `${path}.enemies`)) {
+    const typeNames = Object.keys(ENEMY_TYPES)
+    for (const [typeName, weight] of Object.entries(wave.enemies)) {
+      if (!typeNames.includes(typeName)) {
+        check.fail(`${path}.enemies`, `has unknown enemy type "${typeName}" (expected one of ${typeNames.join(', ')})`)
+      } else {
+        enemies[typeName] = check.number(weight, `${path}.enemies.${typeName}`, { min: 0, exclusive: true })
+      }
+    }
+    if (Object.keys(wave.enemies).length === 0) check.fail(`${path}.enemies`, 'must name at least one enemy type')
+  }
+
+  let edges = SPAWN_EDGES
+  if (wave.edges !== undefined) {
+    if (Array.isArray(wave.edges) && wave.edges.length > 0) {
+      edges = wave.edges.map((edge, index) => check.oneOf(edge, `${path}.edges[${index}]`, SPAWN_EDGES))
+    } else {
+      check.fail(`${path}.edges`, `must be a list of at least one of ${SPAWN_EDGES.join(', ')}`, wave.edges)
+    }
+  }
+
+  const formation = wave.formation === undefined ? 'single' : check.oneOf(wave.formation, `${path}.formation`, FORMATIONS)
+  const groupSize = formation === 'single'
+    ? 1
+    : check.optionalInteger(wave.groupSize, `${path}.groupSize`, 5, { min: 1, max: 20 })
+
+  let radius = null
+  if (wave.radius !== undefined && wave.radius !== null) {
+    const isRange = Array.isArray(wave.radius) && wave.radius.length === 2 &&
+      wave.radius.every((value) => Number.isFinite(value) && value >= 4) && wave.radius[0] <= wave.radius[1]
+    if (isRange) {
+      radius = [wave.radius[0], wave.radius[1]]
+    } else {
+      check.fail(`${path}.radius`, 'must be [smallest, largest] with both at least 4', wave.radius)
+    }
+  }
+
+  const speedMultiplier = check.optionalNumber(wave.speedMultiplier, `${path}.speedMultiplier`, 1, { min: 0, exclusive: true })
+
+  return { at, count, interval, enemies, edges, formation, groupSize, radius, speedMultiplier }
+}
+
+/**
+ * Collects every problem found while checking one file, so they can all be reported together.
+ * Each check returns the value it was given (or a stand-in when it's wrong) so checking
+ * can carry on and find the next problem.
+ */
+class SchemaCheck {
+  constructor(source) {
+    this.source = source
+    this.problems = []
+  }
+
+  /**
+   * Record a problem. Pass the offending value (even when it's undefined) to have it
+   * quoted in the message; leave it out when quoting it wouldn't help.
+   */
+  fail(path, message, ...value) {
+    this.problems.push(`${path || 'the file'} ${message}${value.length > 0 ? describeValue(value[0]) : ''}`)
+  }
+
+  throwIfFailed() {
+    if (this.problems.length === 0) return
+    throw new Error(this.problems.map((problem) => `${this.source}: ${problem}`).join('\n'))
+  }
+
+  version(data) {
+    if (data.version !== LEVEL_FORMAT_VERSION) {
+      this.fail('version', `must be ${LEVEL_FORMAT_VERSION}`, data.version)
+    }
+  }
+
+  object(value, path) {
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value)
+    if (!isObject) this.fail(path, path ? 'must be an object' : 'must contain a JSON object', value)
+    return isObject
+  }
+
+  string(value, path) {
+    if (typeof value === 'string' && value.trim() !== '') return value
+    this.fail(path, 'must be a non-empty string', value)
+    return ''
+  }
+
+  optionalBoolean(value, path, fallback) {
+    if (value === undefined) return fallback
+    if (typeof value === 'boolean') return value
+    this.fail(path, 'must be true or false', value)
+    return fallback
+  }
+
+  number(value, path, { min = -Infinity, max = Infinity, exclusive = false } = {}) {
+    const isInRange = Number.isFinite(value) && (exclusive ? value > min : value >= min) && value <= max
+    if (isInRange) return value
+    const bounds = [
+      min > -Infinity ? (exclusive ? `greater than ${min}` : `at least ${min}`) : '',
+      max < Infinity ? `at most ${max}` : ''
+    ].filter(Boolean).join(' and ')
+    this.fail(path, `must be a number${bounds ? ` ${bounds}` : ''}`, value)
+    return 1
+  }
+
+  integer(value, path, options) {
+    const number = this.number(value, path, options)
+    if (Number.isInteger(number)) return number
+    this.fail(path, 'must be a whole number', value)
+    return Math.round(number)
+  }
+
+  optionalNumber(value, path, fallback, options) {
+    return value === undefined ? fallback : this.number(value, path, options)
+  }
+
+  optionalInteger(value, path, fallback, options) {
+    return value === undefined ? fallback : this.integer(value, path, options)
+  }
+
+  oneOf(value, path, choices) {
+    if (choices.includes(value)) return value
+    this.fail(path, `must be one of ${choices.join(', ')}`, value)
+    return choices[0]
+  }
+}
+
+/** Show the offending value at the end of a message, e.g. ' (got "fast")' */
+function describeValue(value) {
+  if (value === undefined) return ' (it is missing)'
+  const text = JSON.stringify(value)
+  return ` (got ${text.length > 40 ? `${text.slice(0, 40)}…` : text})`
+}
@@ -0,0 +1,207 @@
+/**
+ * protocol.js — The messages online play sends over its WebSocket, shared by the
+ * browser and the Node server (server/) so both sides agree on every shape.
+ *
+ * The server is authoritative: it runs the one real GameWorld for a room — spawning,
+ * collisions, scoring — and the browsers only send their controls and draw what they're
+ * told. Every message is a JSON object with a "type":
+ *
+ *   Browser → server
+ *     { type: 'create', mode }              Open a new room ('coop' or 'versus')
+ *     { type: 'join', code }                Join a room by its code
+ *     { type: 'input', sequence, controls } One simulation step's controls (see encodeControls)
+ *
+ *   Server → browser
+ *     { type: 'created', code, mode }       The room is open; share the code with a friend
+ *     { type: 'joinFailed', reason }        No such room, or it's already full
+ *     { type: 'start', ... }                Both players are in (see StartMessage)
+ *     { type: 'snapshot', ... }             The world right now (see createSnapshot)
+ *     { type: 'gameOver', scores, winner }  The run has ended
+ *     { type: 'partnerLeft' }               The other player disconnected
+ *
+ * Snapshots carry only what the Renderer needs to draw an entity, not its whole state,
+ * and go out SNAPSHOTS_PER_SECOND times a second rather than every step.
+ */
+import { WEAPON_ORDER } from './Weapon.js'
+
+// Where the server listens when nobody says otherwise
+export const DEFAULT_SERVER_PORT = 8080
+
+export const GAME_MODES = ['coop', 'versus']
+
+// Room codes are a few letters from an alphabet without look-alikes (no I, L, O or 0),
+// so they're easy to read out to a friend
+export const ROOM_CODE_LENGTH = 4
+export const ROOM_CODE_LETTERS = 'ABCDEFGHJKMNPQRSTUVWXYZ'
+
+// Every online run uses the same view and world size, whatever each browser's window
+// looks like — both players have to see the same part of the same world
+export const ONLINE_VIEW_WIDTH = 1280
+export const ONLINE_VIEW_HEIGHT = 720
+export const ONLINE_WORLD_SIZE_IN_SCREENS = 3
+
+// The server steps at the usual 60 Hz but only sends a snapshot every third step
+export const SNAPSHOTS_PER_SECOND = 20
+
+/**
+ * @typedef {Object} StartMessage
+ * @property {'start'} type
+ * @property {string} code - The room's code.
+ * @property {'coop'|'versus'} mode
+ * @property {number} playerIndex - Which of the world's players this browser controls.
+ * @property {number} width - World size.
+ * @property {number} height
+ * @property {number} viewWidth - Camera view size.
+ * @property {number} viewHeight
+ */
+
+/**
+ * Pack one step's controls into the compact array sent with every input message:
+ * [directionX, directionY, aimX, aimY, fire, weaponSlot] — the same layout replays use.
+ *
+ * @param {import('./GameWorld.js').Controls} controls
+ * @returns {number[]}
+ */
+export function encodeControls(controls) {
+  return [
+    controls.directionX,
+    controls.directionY,
+    controls.aimX,
+    controls.aimY,
+    controls.fire ? 1 : 0,
+    controls.weaponSlot ?? -1
+  ]
+}
+
+/**
+ * Unpack controls sent by a browser. The server can't trust what it receives, so anything
+ * malformed is rejected, and a direction longer than 1 is cut down to full speed.
+ *
+ * @param {*} data - The "controls" field of an input message.
+ * @returns {import('./GameWorld.js').Controls|null} Null if it isn't a valid controls array.
+ */
+export function decodeControls(data) {
+  if (!Array.isArray(data) || data.length !== 6 || !data.every(Number.isFinite)) return null
+
+  let [directionX, directionY] = data
+  const [, , aimX, aimY, fire, weaponSlot] = data
+  const length = Math.hypot(directionX, directionY)
+  if (length > 1) {
+    directionX /= length
+    directionY /= length
+  }
+  const isValidSlot = Number.isInteger(weaponSlot) && weaponSlot >= 0 && weaponSlot < WEAPON_ORDER.length
+  return { directionX, directionY, aimX, aimY, fire: fire === 1, weaponSlot: isValidSlot ? weaponSlot : -1 }
+}
+
+/**
+ * Describe the world for the browsers: everything the Renderer reads, as plain data.
+ * Entities carry their id so a browser can follow each one from snapshot to snapshot.
+ *
+ * @param {import('./GameWorld.js').GameWorld} world
+ * @param {number[]} acknowledged - For each player, the sequence number of the last input
+ *   the server has applied. A browser uses it to tell which of its inputs are still in flight.
+ * @param {import('./GameWorld.js').WorldEvent[]} events - Everything that happened since the
+ *   previous snapshot, for sounds and explosions.
+ */
+export function createSnapshot(world, acknowledged, events) {
+  const { camera, scoreManager, activePowerUps, boss } = world
+  return {
+    type: 'snapshot',
+    time: world.elapsedTime,
+    acknowledged,
+    events,
+    camera: [camera.positionX, camera.positionY],
+    level: world.currentLevel,
+    levelStartTime: world.levelStartTime,
+    levelName: world.levelScript?.definition.name ?? null,
+    score: {
+      total: scoreManager.score,
+      players: scoreManager.playerScores,
+      multiplier: scoreManager.multiplier,
+      comboTimeLeft: scoreManager.comboTimeLeft
+    },
+    powerUpTimers: { ...activePowerUps.timeLeft },
+    hasShield: activePowerUps.hasShield,
+    players: world.players.map((player) => ({
+      positionX: player.positionX,
+      positionY: player.positionY,
+      knockbackX: player.knockbackVelocity.horizontal,
+      knockbackY: player.knockbackVelocity.vertical,
+      health: player.health,
+      invulnerableTime: player.invulnerableTime,
+      isDowned: player.isDowned,
+      reviveProgress: player.reviveProgress,
+      weaponIndex: player.currentWeaponIndex,
+      heat: player.weapons.map((weapon) => weapon.isOverheated ? -weapon.heat : weapon.heat)
+    })),
+    enemies: world.enemies.filter((enemy) => !enemy.isDestroyed).map((enemy) => ({
+      id: enemy.id,
+      type: enemy.type,
+      positionX: enemy.positionX,
+      positionY: enemy.positionY,
+      radius: enemy.radius,
+      color: enemy.color,
+      heading: enemy.facingAngle ?? Math.atan2(enemy.velocity.vertical, enemy.velocity.horizontal),
+      shieldAngle: enemy.shieldAngle,
+      shieldArc: enemy.shieldArc,
+      isWindingUp: enemy.chargePhase === 'windup' && Math.floor(enemy.chargePhaseTimeLeft * 10) % 2 === 0
+    })),
+    projectiles: world.projectiles.filter((projectile) => !projectile.isSpent).map(describeProjectile),
+    enemyBullets: world.enemyBullets.filter((bullet) => !bullet.isSpent).map(describeProjectile),
+    powerUps: world.powerUps.map((powerUp) => ({
+      id: powerUp.id,
+      kind: powerUp.kind,
+      positionX: powerUp.positionX,
+      positionY: powerUp.positionY,
+      age: powerUp.age
+    })),
+    boss: boss && {
+      positionX: boss.positionX,
+      positionY: boss.positionY,
+      radius: boss.radius,
+      color: boss.color,
+      phase: boss.phase,
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+      bossNumber: boss.bossNumber,
+      fightTime: boss.fightTime
+    }
+  }
+}
+
+function describeProjectile(projectile) {
+  return {
+    id: projectile.id,
+    kind: projectile.kind,
+    positionX: projectile.positionX,
+    positionY: projectile.positionY,
+    radius: projectile.radius,
+    color: projectile.color,
+    heading: Math.atan2(projectile.velocity.vertical, projectile.velocity.horizontal)
+  }
+}
+
+/**
+ * Make a room code.
+ *
+ * @param {function(): number} [random] - Returns a number from 0 up to 1, like Math.random.
+ * @returns {string}
+ */
+export function createRoomCode(random = Math.random) {
+  let code = ''
+  for (let index = 0; index < ROOM_CODE_LENGTH; index++) {
+    code += ROOM_CODE_LETTERS[Math.floor(random() * ROOM_CODE_LETTERS.length)]
+  }
+  return code
+}
+
+/**
+ * Tidy up a code the player typed: upper case, with spaces and dashes removed.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeRoomCode(text) {
+  return String(text).toUpperCase().replace(/[\s-]/g, '')
+}
@@ -0,0 +1,54 @@
+/**
+ * AccessibilitySettings tests — reduced motion follows the system until the player
+ * picks a side, however often the other settings are saved.
+ */
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { AccessibilitySettings } from '../src/AccessibilitySettings.js'
+
+const STORAGE_KEY = 'space-shooting.accessibility'
+
+function createMemoryStorage() {
+  const values = new Map()
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value))
+  }
+}
+
+/** Stand in for the system's "reduce motion" setting */
+function setSystemReducedMotion(matches) {
+  globalThis.matchMedia = () => ({ matches })
+}
+
+afterEach(() => {
+  delete globalThis.matchMedia
+})
+
+test('saving another setting leaves reduced motion to the system', () => {
+  const storage = createMemoryStorage()
+  setSystemReducedMotion(true)
+  const settings = new AccessibilitySettings(storage)
+  settings.hudScale = 1.5
+  settings.save()
+
+  assert.equal('isReducedMotion' in JSON.parse(storage.getItem(STORAGE_KEY)), false)
+
+  setSystemReducedMotion(false)
+  const reloaded = new AccessibilitySettings(storage)
+  assert.equal(reloaded.hudScale, 1.5)
+  assert.equal(reloaded.isReducedMotion, false)
+  setSystemReducedMotion(true)
+  assert.equal(reloaded.isReducedMotion, true)
+})
+
+test("the player's own choice is kept, whatever the system says", () => {
+  const storage = createMemoryStorage()
+  setSystemReducedMotion(true)
+  const settings = new AccessibilitySettings(storage)
+  settings.isReducedMotion = false
+  settings.save()
+
+  const reloaded = new AccessibilitySettings(storage)
+  assert.equal(reloaded.isReducedMotion, false)
+})
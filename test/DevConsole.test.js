@@ -0,0 +1,54 @@
+/**
+ * DevConsole tests — typed names only ever mean a command or enemy type of ours, and
+ * the shortcuts leave the world in a state it could have reached on its own.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DevConsole } from '../src/DevConsole.js'
+import { GameWorld } from '../src/GameWorld.js'
+
+function createTarget() {
+  const world = new GameWorld(800, 600, 1)
+  world.spawnCountdown = Infinity
+  return { world, kind: 'live', cursorX: 200, cursorY: 200 }
+}
+
+test('names inherited from Object are not commands', () => {
+  const devConsole = new DevConsole()
+  for (const name of ['constructor', 'tostring', '__proto__', 'hasownproperty']) {
+    assert.throws(() => devConsole.run(name, createTarget()), /^Error: Unknown command/, name)
+  }
+})
+
+test('names inherited from Object are not enemy types, and spawn nothing', () => {
+  const devConsole = new DevConsole()
+  for (const typeName of ['constructor', '__proto__', 'tostring']) {
+    const target = createTarget()
+    assert.throws(() => devConsole.run(`spawn ${typeName}`, target), /There's no ".*" enemy/, typeName)
+    assert.equal(target.world.enemies.length, 0, typeName)
+  }
+})
+
+test('a real enemy type spawns under the cursor', () => {
+  const target = createTarget()
+  const result = new DevConsole().run('spawn charger', target)
+
+  assert.deepEqual(result, { message: 'Spawned a charger.', changesRun: true })
+  assert.equal(target.world.enemies.length, 1)
+  assert.equal(target.world.enemies[0].type, 'charger')
+})
+
+test('jumping away from a boss takes its bullets with it', () => {
+  const target = createTarget()
+  const { world } = target
+  world.jumpToLevel(5)
+  assert.ok(world.boss)
+  world.fireBulletRing(world.boss, { count: 8, speed: 100, angleOffset: 0 })
+  assert.ok(world.enemyBullets.length > 0)
+
+  new DevConsole().run('level 7', target)
+
+  assert.equal(world.boss, null)
+  assert.equal(world.currentLevel, 7)
+  assert.deepEqual(world.enemyBullets, [])
+})
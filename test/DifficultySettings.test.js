@@ -0,0 +1,25 @@
+/**
+ * DifficultySettings tests — a saved preset only counts if it's one of ours.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DifficultySettings } from '../src/DifficultySettings.js'
+import { DEFAULT_DIFFICULTY } from '../src/GameWorld.js'
+
+function createStorageWith(data) {
+  const raw = JSON.stringify(data)
+  return { getItem: () => raw, setItem() {} }
+}
+
+test('a saved preset is restored', () => {
+  const settings = new DifficultySettings(createStorageWith({ version: 1, preset: 'hard' }))
+  assert.equal(settings.preset, 'hard')
+})
+
+test('a preset named after an Object property falls back to normal', () => {
+  for (const preset of ['toString', 'constructor', '__proto__']) {
+    const settings = new DifficultySettings(createStorageWith({ version: 1, preset }))
+    assert.equal(settings.preset, 'normal', preset)
+    assert.deepEqual(settings.difficulty, DEFAULT_DIFFICULTY, preset)
+  }
+})
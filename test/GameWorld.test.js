@@ -0,0 +1,130 @@
+/**
+ * GameWorld tests — the rules of the game, stepped headless in Node.
+ *
+ * Each test builds a small world with the endless spawner switched off, places the
+ * enemies it needs by hand and steps the world with scripted controls, so nothing
+ * random gets in the way.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { GameWorld, IDLE_CONTROLS } from '../src/GameWorld.js'
+import { SIMULATION_STEP } from '../src/GameLoop.js'
+
+const STANDING_STILL = { horizontal: 0, vertical: 0 }
+
+/** An 800×600 world with the player in the middle (400, 300) and no enemies spawning */
+function createQuietWorld() {
+  const world = new GameWorld(800, 600, 1)
+  world.spawnCountdown = Infinity
+  return world
+}
+
+/** Controls that hold the trigger down, aiming at a point */
+function fireAt(aimX, aimY) {
+  return { ...IDLE_CONTROLS, aimX, aimY, fire: true }
+}
+
+/**
+ * Step until the check passes, collecting every event along the way.
+ * Fails the test if it takes more than maxSteps.
+ */
+function stepUntil(world, controls, check, maxSteps = 600) {
+  const events = []
+  for (let stepCount = 0; stepCount < maxSteps; stepCount++) {
+    world.step(SIMULATION_STEP, controls)
+    events.push(...world.events)
+    if (check()) return events
+  }
+  assert.fail(`Still waiting after ${maxSteps} steps`)
+}
+
+test('a hit shrinks an enemy instead of destroying a big one', () => {
+  const world = createQuietWorld()
+  const enemy = world.createEnemy(400, 150, 30, 'red', STANDING_STILL)
+
+  const events = stepUntil(world, fireAt(400, 150), () => enemy.targetRadius < 30)
+
+  assert.equal(enemy.targetRadius, 20)
+  assert.equal(enemy.isDestroyed, false)
+  assert.ok(world.enemies.includes(enemy))
+  assert.ok(events.some((event) => event.type === 'enemyShrunk'))
+  assert.ok(world.scoreManager.score > 0)
+})
+
+test('a kill scores and removes the enemy', () => {
+  const world = createQuietWorld()
+  world.createEnemy(400, 150, 10, 'red', STANDING_STILL)
+
+  const events = stepUntil(world, fireAt(400, 150), () => world.enemies.length === 0)
+
+  const kills = events.filter((event) => event.type === 'enemyKilled')
+  assert.equal(kills.length, 1)
+  assert.equal(kills[0].playerIndex, 0)
+  assert.ok(world.scoreManager.score >= 100)
+})
+
+test('the level timer moves the run on a level every ten seconds', () => {
+  const world = createQuietWorld()
+  const events = []
+
+  for (let stepCount = 0; stepCount < 60; stepCount++) world.step(SIMULATION_STEP, IDLE_CONTROLS)
+  assert.equal(world.currentLevel, 1)
+  assert.ok(Math.abs(world.levelElapsed - 1) < 1e-9)
+
+  for (let stepCount = 0; stepCount < 540; stepCount++) {
+    world.step(SIMULATION_STEP, IDLE_CONTROLS)
+    events.push(...world.events)
+  }
+  assert.equal(world.currentLevel, 2)
+  assert.equal(world.scoreManager.level, 2)
+  assert.deepEqual(events.filter((event) => event.type === 'levelUp'), [{ type: 'levelUp', level: 2 }])
+})
+
+test('a projectile cannot hit two enemies in one step', () => {
+  const world = createQuietWorld()
+  // Two small enemies stacked on one spot, and a bullet right on top of both
+  const first = world.createEnemy(200, 150, 10, 'red', STANDING_STILL)
+  const second = world.createEnemy(200, 150, 10, 'blue', STANDING_STILL)
+  world.createProjectile(world.projectiles, 200, 150, 5, 'white', STANDING_STILL, 'bullet')
+
+  world.step(SIMULATION_STEP, IDLE_CONTROLS)
+
+  const kills = world.events.filter((event) => event.type === 'enemyKilled')
+  assert.equal(kills.length, 1)
+  assert.equal([first, second].filter((enemy) => world.enemies.includes(enemy)).length, 1)
+  assert.equal(world.projectiles.length, 0)
+})
+
+test('nothing changes once the game is over', () => {
+  const world = createQuietWorld()
+  world.isGameOver = true
+  const { elapsedTime } = world
+
+  world.step(SIMULATION_STEP, fireAt(400, 150))
+
+  assert.equal(world.elapsedTime, elapsedTime)
+  assert.equal(world.projectiles.length, 0)
+})
+
+test('an enemy from the pool keeps nothing from its previous life', () => {
+  const world = createQuietWorld()
+  const charger = world.createEnemy(100, 100, 20, 'red', STANDING_STILL, 'charger')
+  const shielded = world.createEnemy(700, 100, 20, 'blue', STANDING_STILL, 'shielded')
+  charger.chargePhase = 'windup'
+  charger.isDestroyed = true
+  shielded.isDestroyed = true
+  world.removeDestroyedEnemies()
+
+  const drifters = [
+    world.createEnemy(100, 500, 20, 'white', STANDING_STILL),
+    world.createEnemy(700, 500, 20, 'white', STANDING_STILL)
+  ]
+
+  assert.ok(drifters.includes(charger) && drifters.includes(shielded))
+  for (const drifter of drifters) {
+    assert.equal(drifter.chargePhase, undefined)
+    assert.equal(drifter.chargePhaseTimeLeft, undefined)
+    assert.equal(drifter.shieldAngle, undefined)
+    assert.equal(drifter.shieldArc, undefined)
+  }
+})
@@ -0,0 +1,125 @@
+/**
+ * Replay tests — a recorded run, played back from its controls alone, must end exactly
+ * where the original did. Any randomness that isn't seeded, or any rule that reads
+ * something outside the world, shows up here as a different score or step count.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { GameWorld } from '../src/GameWorld.js'
+import { SIMULATION_STEP } from '../src/GameLoop.js'
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from '../src/Replay.js'
+
+// 40 seconds: long enough for several levels, kills and weapon switches
+const RUN_STEPS = 2400
+
+/**
+ * Controls that keep changing, worked out from the step number alone: the ship circles,
+ * the aim sweeps round it, the trigger is pulled in bursts and the weapon changes
+ * every five seconds.
+ */
+function scriptedControls(world, stepIndex, playerIndex) {
+  const player = world.players[playerIndex]
+  const angle = stepIndex / 40 + playerIndex * Math.PI
+  return {
+    directionX: Math.round(Math.cos(angle)),
+    directionY: Math.round(Math.sin(angle)),
+    aimX: player.positionX + Math.cos(stepIndex / 15) * 300,
+    aimY: player.positionY + Math.sin(stepIndex / 15) * 300,
+    fire: stepIndex % 90 < 60,
+    weaponSlot: stepIndex % 300 === 0 ? (stepIndex / 300) % 4 : -1
+  }
+}
+
+/**
+ * Record a run, then play it back in a fresh world built from the (saved and re-read)
+ * replay, the way the game does.
+ *
+ * @param {Object} options - Passed on to the recorded GameWorld.
+ * @param {function(GameWorld, number): void} [beforeStep] - Change the world before a step.
+ */
+function recordAndReplay(options, beforeStep = () => {}) {
+  const recorded = new GameWorld(2400, 1800, 12345, { viewWidth: 800, viewHeight: 600, ...options })
+  const recorder = new ReplayRecorder(recorded)
+  for (let stepIndex = 0; stepIndex < RUN_STEPS && !recorded.isGameOver; stepIndex++) {
+    beforeStep(recorded, stepIndex)
+    const controlsList = recorded.players.map((player, index) => scriptedControls(recorded, stepIndex, index))
+    const controls = controlsList.length === 1 ? controlsList[0] : controlsList
+    recorder.record(controls)
+    recorded.step(SIMULATION_STEP, controls)
+  }
+
+  const replay = parseReplay(serializeReplay(recorder.toReplay()))
+  const replayed = new GameWorld(replay.width, replay.height, replay.seed, {
+    viewWidth: replay.viewWidth,
+    viewHeight: replay.viewHeight,
+    levels: replay.levels,
+    playerCount: replay.playerCount,
+    difficulty: replay.difficulty
+  })
+  const player = new ReplayPlayer(replay)
+  let replayedSteps = 0
+  while (!player.isFinished) {
+    const difficultyChange = player.takeDifficultyChange()
+    if (difficultyChange) replayed.difficulty = difficultyChange
+    replayed.step(SIMULATION_STEP, player.nextControls())
+    replayedSteps++
+  }
+
+  return { recorded, replayed, replay, recordedSteps: recorder.frames.length, replayedSteps }
+}
+
+function assertSameRun({ recorded, replayed, recordedSteps, replayedSteps }) {
+  // A run where nothing happened would match trivially
+  assert.ok(recorded.scoreManager.score > 0, 'the recorded run should score')
+
+  assert.equal(replayedSteps, recordedSteps)
+  assert.equal(replayed.scoreManager.score, recorded.scoreManager.score)
+  assert.deepEqual(replayed.scoreManager.playerScores, recorded.scoreManager.playerScores)
+  assert.equal(replayed.currentLevel, recorded.currentLevel)
+  assert.equal(replayed.elapsedTime, recorded.elapsedTime)
+  assert.equal(replayed.isGameOver, recorded.isGameOver)
+  // Every enemy, shot and pickup ever made, in the same order
+  assert.equal(replayed.nextEntityId, recorded.nextEntityId)
+  replayed.players.forEach((player, index) => {
+    assert.equal(player.positionX, recorded.players[index].positionX)
+    assert.equal(player.positionY, recorded.players[index].positionY)
+    assert.equal(player.lives, recorded.players[index].lives)
+  })
+}
+
+test('a solo run plays back exactly', () => {
+  const run = recordAndReplay({})
+  assert.equal(run.replay.playerCount, 1)
+  assertSameRun(run)
+})
+
+test('a co-op run plays back exactly', () => {
+  const run = recordAndReplay({ playerCount: 2 })
+  assert.equal(run.replay.playerCount, 2)
+  assert.equal(run.replay.frames[0].length, 12)
+  assertSameRun(run)
+})
+
+test('a run whose difficulty changes part-way plays back exactly', () => {
+  const hard = Object.freeze({ spawnRate: 1.5, enemySpeed: 1.3 })
+  const run = recordAndReplay({}, (world, stepIndex) => {
+    if (stepIndex === 600) world.difficulty = hard
+  })
+  assert.deepEqual(run.replay.difficultyChanges, [{ frame: 600, difficulty: { spawnRate: 1.5, enemySpeed: 1.3 } }])
+  assertSameRun(run)
+  assert.deepEqual(run.replayed.difficulty, hard)
+})
+
+test('a replay played without its difficulty change drifts from the original', () => {
+  // The check above only means something if the change really alters the run
+  const run = recordAndReplay({}, (world, stepIndex) => {
+    if (stepIndex === 600) world.difficulty = Object.freeze({ spawnRate: 2, enemySpeed: 2 })
+  })
+  const unchanged = new GameWorld(run.replay.width, run.replay.height, run.replay.seed, {
+    viewWidth: run.replay.viewWidth,
+    viewHeight: run.replay.viewHeight
+  })
+  const player = new ReplayPlayer(run.replay)
+  while (!player.isFinished) unchanged.step(SIMULATION_STEP, player.nextControls())
+  assert.notEqual(unchanged.nextEntityId, run.recorded.nextEntityId)
+})
@@ -0,0 +1,91 @@
+/**
+ * SocketConnection tests — messages split across frames are put back together, and
+ * can't be used to get past MAX_MESSAGE_SIZE.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { SocketConnection } from '../server/SocketConnection.js'
+
+const OPCODE_TEXT = 0x1
+const OPCODE_CONTINUATION = 0x0
+
+/** Just enough of a net.Socket to be past the handshake, remembering whether it was ended */
+function createFakeSocket() {
+  const socket = new EventEmitter()
+  socket.isEnded = false
+  socket.setNoDelay = () => {}
+  socket.write = () => {}
+  socket.end = () => { socket.isEnded = true }
+  socket.destroy = () => { socket.isEnded = true }
+  return socket
+}
+
+function createConnection() {
+  const socket = createFakeSocket()
+  const connection = new SocketConnection(socket)
+  const messages = []
+  connection.onMessage = (message) => messages.push(message)
+  return { socket, connection, messages }
+}
+
+/** A frame as a browser sends it: masked, with the length in whichever form fits */
+function createFrame(opcode, isFinal, payload) {
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0, 0x80 | payload.length])
+  } else {
+    header = Buffer.alloc(4)
+    header[1] = 0x80 | 126
+    header.writeUInt16BE(payload.length, 2)
+  }
+  header[0] = (isFinal ? 0x80 : 0) | opcode
+
+  const mask = Buffer.from([0x12, 0x34, 0x56, 0x78])
+  const masked = Buffer.from(payload)
+  for (let index = 0; index < masked.length; index++) masked[index] ^= mask[index % 4]
+  return Buffer.concat([header, mask, masked])
+}
+
+test('a message split across frames arrives whole', () => {
+  const { socket, connection, messages } = createConnection()
+  const text = Buffer.from(JSON.stringify({ type: 'input', moveX: 1 }))
+
+  socket.emit('data', createFrame(OPCODE_TEXT, false, text.subarray(0, 5)))
+  socket.emit('data', createFrame(OPCODE_CONTINUATION, false, text.subarray(5, 12)))
+  assert.equal(messages.length, 0)
+  socket.emit('data', createFrame(OPCODE_CONTINUATION, true, text.subarray(12)))
+
+  assert.deepEqual(messages, [{ type: 'input', moveX: 1 }])
+  assert.equal(connection.isOpen, true)
+})
+
+test('fragments adding up to more than the limit close the connection', () => {
+  const { socket, connection, messages } = createConnection()
+  const piece = Buffer.alloc(60 * 1024, 0x20)
+
+  socket.emit('data', createFrame(OPCODE_TEXT, false, piece))
+  assert.equal(connection.isOpen, true)
+  socket.emit('data', createFrame(OPCODE_CONTINUATION, false, piece))
+
+  assert.equal(connection.isOpen, false)
+  assert.equal(socket.isEnded, true)
+  assert.equal(connection.fragments.length, 1)
+  assert.equal(messages.length, 0)
+})
+
+test('a new message before the last one is finished closes the connection', () => {
+  const { socket, connection, messages } = createConnection()
+
+  socket.emit('data', createFrame(OPCODE_TEXT, false, Buffer.from('{"type":')))
+  socket.emit('data', createFrame(OPCODE_TEXT, true, Buffer.from('{"type":"ready"}')))
+
+  assert.equal(connection.isOpen, false)
+  assert.equal(messages.length, 0)
+})
+
+test('a continuation with no message to continue closes the connection', () => {
+  const { socket, connection } = createConnection()
+  socket.emit('data', createFrame(OPCODE_CONTINUATION, true, Buffer.from('{}')))
+  assert.equal(connection.isOpen, false)
+})
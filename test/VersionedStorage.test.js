@@ -0,0 +1,78 @@
+/**
+ * VersionedStorage tests — what every saved setting relies on: a round trip keeps the
+ * data, and nothing a player's storage can hold makes loading or saving throw.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { VersionedStorage } from '../src/VersionedStorage.js'
+import { HighScoreTable } from '../src/HighScoreTable.js'
+
+/** An in-memory stand-in for localStorage */
+function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial))
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    values
+  }
+}
+
+// Keeps version 2 as it is and upgrades version 1, which called "count" "total"
+function migrateCount(data) {
+  switch (data.version) {
+    case 1:
+      return { count: data.total }
+    case 2:
+      return { count: data.count }
+    default:
+      return null
+  }
+}
+
+test('saved data loads back, with the version added', () => {
+  const storage = createMemoryStorage()
+  const store = new VersionedStorage(storage, 'test.count', 2, migrateCount)
+
+  store.save({ count: 3 })
+
+  assert.deepEqual(JSON.parse(storage.values.get('test.count')), { version: 2, count: 3 })
+  assert.deepEqual(store.load(), { count: 3 })
+})
+
+test('data saved in an older version goes through migrate', () => {
+  const storage = createMemoryStorage({ 'test.count': JSON.stringify({ version: 1, total: 7 }) })
+  assert.deepEqual(new VersionedStorage(storage, 'test.count', 2, migrateCount).load(), { count: 7 })
+})
+
+test('anything unusable loads as null', () => {
+  for (const raw of ['not json', 'null', '42', '"text"', JSON.stringify({ version: 99 })]) {
+    const storage = createMemoryStorage({ 'test.count': raw })
+    assert.equal(new VersionedStorage(storage, 'test.count', 2, migrateCount).load(), null, raw)
+  }
+  assert.equal(new VersionedStorage(createMemoryStorage(), 'test.count', 2, migrateCount).load(), null)
+  assert.equal(new VersionedStorage(null, 'test.count', 2, migrateCount).load(), null)
+})
+
+test('storage that refuses to save or load does not throw', () => {
+  const brokenStorage = {
+    getItem() { throw new Error('SecurityError') },
+    setItem() { throw new Error('QuotaExceededError') }
+  }
+  const store = new VersionedStorage(brokenStorage, 'test.count', 2, migrateCount)
+  assert.doesNotThrow(() => store.save({ count: 1 }))
+  assert.equal(store.load(), null)
+})
+
+test('the high-score table is remembered, and drops entries it cannot read', () => {
+  const storage = createMemoryStorage()
+  const table = new HighScoreTable(storage)
+  table.add({ name: 'ACE', score: 500, level: 3, survivalTime: 42, date: '2025-01-01T00:00:00.000Z' })
+
+  const saved = JSON.parse(storage.values.get('space-shooting.high-scores'))
+  saved.entries.push({ name: 'BAD', score: 'lots' })
+  storage.setItem('space-shooting.high-scores', JSON.stringify(saved))
+
+  const reloaded = new HighScoreTable(storage)
+  assert.deepEqual(reloaded.entries.map((entry) => entry.name), ['ACE'])
+  assert.equal(reloaded.lastName, 'ACE')
+})